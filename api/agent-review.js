@@ -140,6 +140,11 @@ Rules:
       contextSummary.push(`Volume quality: ${context.volumeQuality}`);
     }
     
+    if (context.perpPositioning) {
+      const perp = context.perpPositioning;
+      contextSummary.push(`Perp positioning: ${perp.positioning} (funding ${perp.funding8hPct ?? 'N/A'}%/8h, OI ${perp.oiChange24hPct ?? 'N/A'}% 24h, basis ${perp.basisPct ?? 'N/A'}%)`);
+    }
+    
     if (context.dflowStatus) {
       contextSummary.push(`Prediction markets: ${context.dflowStatus}`);
     }
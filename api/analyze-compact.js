@@ -7,8 +7,10 @@
  */
 
 import * as marketData from '../services/marketData.js';
+import { normalizeSymbol } from '../services/symbols.js';
 import * as indicatorService from '../services/indicators.js';
 import * as strategyService from '../services/strategy.js';
+import { getPricePrecision, roundPrice } from '../lib/pricePrecision.js';
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -35,7 +37,7 @@ export default async function handler(req, res) {
     if (!symbol && req.url) {
       const pathMatch = req.url.match(/\/api\/analyze-compact\/([^?]+)/);
       if (pathMatch) {
-        symbol = pathMatch[1];
+        symbol = decodeURIComponent(pathMatch[1]);
       }
     }
 
@@ -45,6 +47,9 @@ export default async function handler(req, res) {
         example: '/api/analyze-compact/BTCUSDT'
       });
     }
+
+    // Any spelling ('btc/eur', 'ETH-BTC', 'XBTUSD') → canonical BASEQUOTE
+    symbol = normalizeSymbol(symbol);
     
     const intervals = ['4h', '1h', '15m', '5m'];
     console.log(`[Compact] Processing ${symbol}`);
@@ -55,26 +60,30 @@ export default async function handler(req, res) {
     
     for (const [interval, candles] of Object.entries(multiData)) {
       if (candles && !candles.error && Array.isArray(candles) && candles.length > 0) {
-        const indicators = indicatorService.calculateAllIndicators(candles);
-        const swingPoints = indicatorService.detectSwingPoints(candles, 20);
+        const indicators = indicatorService.calculateAllIndicators(candles, { symbol, interval });
+        const swingPoints = indicatorService.detectSwingPoints(candles, indicators.metadata.profile.params.swingLookback);
         
         analysis[interval] = {
           indicators,
           structure: swingPoints,
           candleCount: candles.length,
+          provider: candles.provider || null,
+          quality: candles.quality || null,
           lastCandle: candles[candles.length - 1]
         };
       }
     }
 
     const ticker = await marketData.getTickerPrice(symbol);
+    const pricePrecision = getPricePrecision(symbol, ticker.price);
     // Get canonical structure from evaluateStrategy
     const canonicalResult = strategyService.evaluateStrategy(symbol, analysis, 'auto', 'STANDARD');
 
     // Build COMPACT response - canonical structure but streamlined
     const compactResponse = {
       symbol: canonicalResult.symbol,
-      price: canonicalResult.price || parseFloat(ticker.price.toFixed(2)),
+      price: canonicalResult.price || roundPrice(ticker.price, pricePrecision),
+      pricePrecision,
       change24h: parseFloat(ticker.priceChangePercent.toFixed(2)),
       
       // HTF Bias
@@ -111,6 +120,16 @@ export default async function handler(req, res) {
             k: parseFloat(canonicalResult.timeframes['4h'].stoch.k.toFixed(1)),
             d: parseFloat(canonicalResult.timeframes['4h'].stoch.d.toFixed(1))
           } : null,
+          rsi: canonicalResult.timeframes['4h'].rsi?.value ?? null,
+          macd: canonicalResult.timeframes['4h'].macd ? {
+            state: canonicalResult.timeframes['4h'].macd.state,
+            cross: canonicalResult.timeframes['4h'].macd.cross
+          } : null,
+          adx: canonicalResult.timeframes['4h'].adx?.adx != null ? {
+            value: parseFloat(canonicalResult.timeframes['4h'].adx.adx.toFixed(1)),
+            strength: canonicalResult.timeframes['4h'].adx.trendStrength,
+            direction: canonicalResult.timeframes['4h'].adx.direction
+          } : null,
           pullback: canonicalResult.timeframes['4h'].pullback?.state,
           swingHigh: canonicalResult.timeframes['4h'].structure?.swingHigh,
           swingLow: canonicalResult.timeframes['4h'].structure?.swingLow
@@ -123,6 +142,16 @@ export default async function handler(req, res) {
             zone: canonicalResult.timeframes['1h'].stoch.condition,
             k: parseFloat(canonicalResult.timeframes['1h'].stoch.k.toFixed(1))
           } : null,
+          rsi: canonicalResult.timeframes['1h'].rsi?.value ?? null,
+          macd: canonicalResult.timeframes['1h'].macd ? {
+            state: canonicalResult.timeframes['1h'].macd.state,
+            cross: canonicalResult.timeframes['1h'].macd.cross
+          } : null,
+          adx: canonicalResult.timeframes['1h'].adx?.adx != null ? {
+            value: parseFloat(canonicalResult.timeframes['1h'].adx.adx.toFixed(1)),
+            strength: canonicalResult.timeframes['1h'].adx.trendStrength,
+            direction: canonicalResult.timeframes['1h'].adx.direction
+          } : null,
           pullback: canonicalResult.timeframes['1h'].pullback?.state
         } : { error: 'No data' }
       },
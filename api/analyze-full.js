@@ -1,14 +1,19 @@
 /**
  * Vercel Serverless Function: Full Strategy Analysis Endpoint
  * GET /api/analyze-full?symbol=BTCUSDT&mode=STANDARD
+ * GET /api/analyze-full?symbol=BTCUSDT&asOf=2024-08-05T00:00:00Z (point-in-time replay)
+ * GET /api/analyze-full?symbol=BTCUSDT&orderSize=25000,100000 (order book slippage for those notionals)
  * 
  * Returns rich strategy object with ALL strategies (even NO_TRADE ones)
  * Includes htfBias, timeframes, and all strategy evaluations
  */
 
 import * as marketData from '../services/marketData.js';
+import { normalizeSymbol } from '../services/symbols.js';
 import * as indicatorService from '../services/indicators.js';
 import strategyService from '../services/strategy.js';
+import { getPricePrecision, roundPrice } from '../lib/pricePrecision.js';
+import { computeLevelLadder } from '../lib/levels.js';
 import axios from 'axios';
 
 export default async function handler(req, res) {
@@ -41,7 +46,7 @@ export default async function handler(req, res) {
     if (!symbol && req.url) {
       const pathMatch = req.url.match(/\/api\/analyze-full\/([^?]+)/);
       if (pathMatch) {
-        symbol = pathMatch[1];
+        symbol = decodeURIComponent(pathMatch[1]);
       }
     }
 
@@ -51,25 +56,44 @@ export default async function handler(req, res) {
         error: 'Missing required parameter: symbol'
       });
     }
+
+    // Any spelling ('btc/eur', 'ETH-BTC', 'XBTUSD') → canonical BASEQUOTE
+    symbol = normalizeSymbol(symbol);
     
     console.log('[Analyze-Full] Symbol:', symbol);
     
     // Get mode from query (default to 'STANDARD')
     const mode = req.query.mode || 'STANDARD';
     
+    // Point-in-time replay: every timeframe is truncated to candles closed by asOf
+    let asOf;
+    try {
+      asOf = marketData.parseAsOf(req.query.asOf);
+    } catch (asOfError) {
+      return res.status(400).json({ error: asOfError.message });
+    }
+    
     // Parse intervals
     const { intervals } = req.query;
     const intervalList = intervals 
       ? intervals.split(',').map(i => i.trim()) 
       : ['1M', '1w', '3d', '1d', '4h', '1h', '15m', '5m', '3m', '1m'];
 
+    // Order notionals (quote currency) to estimate book slippage for, e.g. orderSize=25000,100000
+    const orderSizes = req.query.orderSize
+      ? String(req.query.orderSize).split(',').map(Number)
+      : undefined;
+    if (orderSizes && orderSizes.some(size => !Number.isFinite(size) || size <= 0)) {
+      return res.status(400).json({ error: 'orderSize must be a comma-separated list of positive numbers' });
+    }
+
     console.log(`[Analyze-Full] Processing ${symbol} (mode: ${mode}) for intervals: ${intervalList.join(', ')}`);
 
     // Fetch multi-timeframe OHLCV data
     console.log('[Analyze-Full] Step 1: Fetching multi-timeframe data...');
     let multiData;
     try {
-      multiData = await marketData.getMultiTimeframeData(symbol, intervalList, 500);
+      multiData = await marketData.getMultiTimeframeData(symbol, intervalList, 500, asOf);
       console.log('[Analyze-Full] Step 1: Success - got data for', Object.keys(multiData).length, 'timeframes');
     } catch (dataError) {
       console.error('[Analyze-Full] Step 1: ERROR fetching multi-timeframe data:', dataError.message);
@@ -117,13 +141,15 @@ export default async function handler(req, res) {
       }
 
         console.log(`[Analyze-Full] Step 2: Processing ${interval} with ${candles.length} candles`);
-        const indicators = indicatorService.calculateAllIndicators(candles);
-        const swingPoints = indicatorService.detectSwingPoints(candles, 20);
+        const indicators = indicatorService.calculateAllIndicators(candles, { symbol, interval, asOf });
+        const swingPoints = indicatorService.detectSwingPoints(candles, indicators.metadata.profile.params.swingLookback);
         
         analysis[interval] = {
           indicators,
           structure: swingPoints,
           candleCount: candles.length,
+          provider: candles.provider || null,
+          quality: candles.quality || null,
           lastCandle: candles[candles.length - 1]
         };
         console.log(`[Analyze-Full] Step 2: ${interval} processed successfully`);
@@ -139,15 +165,15 @@ export default async function handler(req, res) {
     console.log('[Analyze-Full] Step 3: Fetching ticker price...');
     let ticker, currentPrice;
     try {
-      ticker = await marketData.getTickerPrice(symbol);
-      currentPrice = parseFloat(ticker.price.toFixed(2));
+      ticker = asOf ? marketData.getTickerAsOf(symbol, multiData) : await marketData.getTickerPrice(symbol);
+      currentPrice = roundPrice(ticker.price, getPricePrecision(symbol, ticker.price));
       console.log('[Analyze-Full] Step 3: Success - current price:', currentPrice);
     } catch (tickerError) {
       console.error('[Analyze-Full] Step 3: ERROR fetching ticker:', tickerError.message);
       console.error('[Analyze-Full] Step 3: Stack:', tickerError.stack);
       // Try to extract price from analysis if available
       const lastCandle = analysis['1h']?.lastCandle || analysis['4h']?.lastCandle || analysis['1d']?.lastCandle;
-      currentPrice = lastCandle ? parseFloat(lastCandle.close.toFixed(2)) : null;
+      currentPrice = lastCandle ? roundPrice(lastCandle.close, getPricePrecision(symbol, lastCandle.close)) : null;
       console.warn(`[Analyze-Full] Step 3: Using fallback price from candles:`, currentPrice);
       if (!currentPrice) {
         // Return fallback response if we can't get price at all
@@ -176,154 +202,110 @@ export default async function handler(req, res) {
       }
     }
 
-    // Fetch additional market data (spread, bid/ask, order book, recent trades)
+    const pricePrecision = getPricePrecision(symbol, currentPrice);
+
+    // Live spread/book/trades and prediction markets only exist for the present on a Kraken
+    // market - replays (no post-asOf leaks) and imported symbols run on candles alone
+    const krakenSymbol = (await marketData.isImportedSymbol(symbol)) ? null : marketData.getKrakenPair(symbol);
     let marketDataInfo = null;
-    try {
-      // Get ticker data which includes bid/ask
-      // Use SYMBOL_MAP from marketData service
-      const { default: marketDataModule } = await import('../services/marketData.js');
-      const SYMBOL_MAP = {
-        'BTCUSDT': { kraken: 'XBTUSD' },
-        'ETHUSDT': { kraken: 'ETHUSD' },
-        'SOLUSDT': { kraken: 'SOLUSD' }
-      };
-      const krakenSymbol = SYMBOL_MAP[symbol]?.kraken || 'XBTUSD';
+    let dflowData = null;
+    if (!asOf && krakenSymbol) {
+      // Fetch additional market data (spread, bid/ask, order book, recent trades)
+      try {
+        // Get ticker data which includes bid/ask
       
-      const tickerResponse = await axios.get('https://api.kraken.com/0/public/Ticker', {
-        params: { pair: krakenSymbol },
-        timeout: 10000
-      });
+        const tickerResponse = await axios.get('https://api.kraken.com/0/public/Ticker', {
+          params: { pair: krakenSymbol },
+          timeout: 10000
+        });
       
-      if (tickerResponse.data && !tickerResponse.data.error && tickerResponse.data.result) {
-        const pairKey = Object.keys(tickerResponse.data.result)[0];
-        const tickerInfo = tickerResponse.data.result[pairKey];
+        if (tickerResponse.data && !tickerResponse.data.error?.length && tickerResponse.data.result) {
+          const pairKey = Object.keys(tickerResponse.data.result)[0];
+          const tickerInfo = tickerResponse.data.result[pairKey];
         
-        // Kraken ticker structure:
-        // a = ask array [price, wholeLotVolume, lotVolume]
-        // b = bid array [price, wholeLotVolume, lotVolume]
-        // c = last trade closed array [price, lotVolume]
-        // t = today's array [number of trades, number of trades]
-        // v = 24h volume array [volume, volume]
-        // p = volume weighted average price array [today, last 24 hours]
-        // l = today's low array [today, last 24 hours]
-        // h = today's high array [today, last 24 hours]
-        // o = today's opening price
+          // Kraken ticker structure:
+          // a = ask array [price, wholeLotVolume, lotVolume]
+          // b = bid array [price, wholeLotVolume, lotVolume]
+          // c = last trade closed array [price, lotVolume]
+          // t = today's array [number of trades, number of trades]
+          // v = 24h volume array [volume, volume]
+          // p = volume weighted average price array [today, last 24 hours]
+          // l = today's low array [today, last 24 hours]
+          // h = today's high array [today, last 24 hours]
+          // o = today's opening price
         
-        const bid = parseFloat(tickerInfo.b?.[0]) || currentPrice;
-        const ask = parseFloat(tickerInfo.a?.[0]) || currentPrice;
-        // Use lotVolume (index 2) for bid/ask quantities
-        const bidQty = parseFloat(tickerInfo.b?.[2] || 0) || 0;
-        const askQty = parseFloat(tickerInfo.a?.[2] || 0) || 0;
-        // Trade count is in t array - use first element (today's trades)
-        const tradeCount24h = parseInt(tickerInfo.t?.[0] || tickerInfo.t?.[1] || 0) || 0;
+          const bid = parseFloat(tickerInfo.b?.[0]) || currentPrice;
+          const ask = parseFloat(tickerInfo.a?.[0]) || currentPrice;
+          // Use lotVolume (index 2) for bid/ask quantities
+          const bidQty = parseFloat(tickerInfo.b?.[2] || 0) || 0;
+          const askQty = parseFloat(tickerInfo.a?.[2] || 0) || 0;
+          // Trade count is in t array - use first element (today's trades)
+          const tradeCount24h = parseInt(tickerInfo.t?.[0] || tickerInfo.t?.[1] || 0) || 0;
         
-        console.log(`[Analyze-Full] ${symbol} market data extracted from Kraken API:`, {
-          bid,
-          ask,
-          bidQty,
-          askQty,
-          tradeCount24h,
-          currentPrice,
-          spread: Math.abs(ask - bid),
-          apiWorking: true
-        });
+          console.log(`[Analyze-Full] ${symbol} market data extracted from Kraken API:`, {
+            bid,
+            ask,
+            bidQty,
+            askQty,
+            tradeCount24h,
+            currentPrice,
+            spread: Math.abs(ask - bid),
+            apiWorking: true
+          });
         
-        // Calculate spread
-        const spread = Math.abs(ask - bid);
-        const spreadPercent = currentPrice > 0 ? (spread / currentPrice) * 100 : 0;
+          // Calculate spread
+          const spread = Math.abs(ask - bid);
+          const spreadPercent = currentPrice > 0 ? (spread / currentPrice) * 100 : 0;
         
-        // Calculate bid/ask imbalance
-        const totalQty = bidQty + askQty;
-        const bidAskImbalance = totalQty > 0 ? ((bidQty - askQty) / totalQty) * 100 : 0;
+          // Calculate bid/ask imbalance
+          const totalQty = bidQty + askQty;
+          const bidAskImbalance = totalQty > 0 ? ((bidQty - askQty) / totalQty) * 100 : 0;
         
-        // Calculate volume quality (simplified - based on trade count vs volume)
-        const volumeQuality = tradeCount24h > 50000 ? 'HIGH' : tradeCount24h > 20000 ? 'MEDIUM' : 'LOW';
+          // Calculate volume quality (simplified - based on trade count vs volume)
+          const volumeQuality = tradeCount24h > 50000 ? 'HIGH' : tradeCount24h > 20000 ? 'MEDIUM' : 'LOW';
         
-        // Get order book depth
-        let orderBookData = null;
-        try {
-          const orderBookResponse = await axios.get('https://api.kraken.com/0/public/Depth', {
-            params: { pair: krakenSymbol, count: 10 },
-            timeout: 5000
-          });
-          
-          if (orderBookResponse.data && !orderBookResponse.data.error) {
-            const orderBook = orderBookResponse.data.result[pairKey];
-            const bids = orderBook.bids || [];
-            const asks = orderBook.asks || [];
-            
-            const bidLiquidity = bids.reduce((sum, [price, qty]) => sum + parseFloat(qty), 0);
-            const askLiquidity = asks.reduce((sum, [price, qty]) => sum + parseFloat(qty), 0);
-            const totalLiquidity = bidLiquidity + askLiquidity;
-            const liquidityImbalance = totalLiquidity > 0 ? ((bidLiquidity - askLiquidity) / totalLiquidity) * 100 : 0;
-            
-            orderBookData = {
-              bidLiquidity: parseFloat(bidLiquidity.toFixed(3)),
-              askLiquidity: parseFloat(askLiquidity.toFixed(2)),
-              imbalance: parseFloat(liquidityImbalance.toFixed(1))
-            };
-          }
-        } catch (obError) {
-          console.warn(`[Analyze-Full] Order book unavailable for ${symbol}:`, obError.message);
-        }
+          // Order book depth: imbalance bands, walls and slippage from one snapshot;
+          // its top 10 levels also fill the orderBook liquidity summary
+          const orderBookDepth = await marketData.getOrderBookDepth(symbol, { orderSizes });
         
-        // Get recent trades
-        let recentTradesData = null;
-        try {
-          const tradesResponse = await axios.get('https://api.kraken.com/0/public/Trades', {
-            params: { pair: krakenSymbol, count: 100 },
-            timeout: 5000
-          });
-          
-          if (tradesResponse.data && !tradesResponse.data.error) {
-            const trades = tradesResponse.data.result[pairKey] || [];
-            let buyVolume = 0;
-            let sellVolume = 0;
-            let buyCount = 0;
-            let sellCount = 0;
-            
-            trades.forEach(([price, volume, time, side]) => {
-              const vol = parseFloat(volume);
-              if (side === 'b' || side === 'buy') {
-                buyVolume += vol;
-                buyCount++;
-              } else {
-                sellVolume += vol;
-                sellCount++;
-              }
-            });
-            
-            const totalVolume = buyVolume + sellVolume;
-            const buyPressure = totalVolume > 0 ? (buyVolume / totalVolume) * 100 : 50;
-            const sellPressure = totalVolume > 0 ? (sellVolume / totalVolume) * 100 : 50;
-            const volumeImbalance = buyPressure - sellPressure;
-            const overallFlow = volumeImbalance > 5 ? 'BUY' : volumeImbalance < -5 ? 'SELL' : 'NEUTRAL';
-            
-            recentTradesData = {
-              overallFlow: overallFlow,
-              buyPressure: parseFloat(buyPressure.toFixed(1)),
-              sellPressure: parseFloat(sellPressure.toFixed(1)),
-              volumeImbalance: parseFloat(volumeImbalance.toFixed(1))
-            };
-          }
-        } catch (tradesError) {
-          console.warn(`[Analyze-Full] Recent trades unavailable for ${symbol}:`, tradesError.message);
-        }
+          // Trade flow: aggressor-classified trades give the recentTrades pressure summary
+          // and per-candle CVD for each analyzed interval
+          const { recentTrades: recentTradesData, ...tradeFlowData } = await marketData.getTradeFlow(symbol, multiData);
         
-        marketDataInfo = {
-          spread: parseFloat(spread.toFixed(2)),
-          spreadPercent: parseFloat(spreadPercent.toFixed(4)),
-          bid: parseFloat(bid.toFixed(2)),
-          ask: parseFloat(ask.toFixed(2)),
-          bidAskImbalance: parseFloat(bidAskImbalance.toFixed(1)),
-          volumeQuality: volumeQuality,
-          tradeCount24h: tradeCount24h,
-          orderBook: orderBookData || { bidLiquidity: null, askLiquidity: null, imbalance: null },
-          recentTrades: recentTradesData || { overallFlow: 'N/A', buyPressure: null, sellPressure: null, volumeImbalance: null }
-        };
-      } else {
-        console.warn(`[Analyze-Full] Ticker response error for ${symbol} - API FAILED, using fallback values`);
-        // Set default values instead of null
+          marketDataInfo = {
+            spread: roundPrice(spread, pricePrecision),
+            spreadPercent: parseFloat(spreadPercent.toFixed(4)),
+            bid: roundPrice(bid, pricePrecision),
+            ask: roundPrice(ask, pricePrecision),
+            bidAskImbalance: parseFloat(bidAskImbalance.toFixed(1)),
+            volumeQuality: volumeQuality,
+            tradeCount24h: tradeCount24h,
+            orderBook: orderBookDepth.topOfBook || { bidLiquidity: null, askLiquidity: null, imbalance: null },
+            recentTrades: recentTradesData || { overallFlow: 'N/A', buyPressure: null, sellPressure: null, volumeImbalance: null },
+            tradeFlow: tradeFlowData,
+            orderBookDepth
+          };
+        } else {
+          console.warn(`[Analyze-Full] Ticker response error for ${symbol} - API FAILED, using fallback values`);
+          // Set default values instead of null
+          marketDataInfo = {
+            spread: 0,
+            spreadPercent: 0,
+            bid: currentPrice,
+            ask: currentPrice,
+            bidAskImbalance: 0,
+            volumeQuality: 'MEDIUM', // Use MEDIUM as neutral fallback instead of 'N/A'
+            tradeCount24h: 0,
+            orderBook: { bidLiquidity: null, askLiquidity: null, imbalance: null },
+            recentTrades: { overallFlow: 'N/A', buyPressure: null, sellPressure: null, volumeImbalance: null },
+            tradeFlow: null,
+            orderBookDepth: null,
+            apiWorking: false // Flag to indicate API failure
+          };
+        }
+      } catch (error) {
+        console.warn(`[Analyze-Full] Market data unavailable for ${symbol}:`, error.message, '- API FAILED, using fallback values');
+        // Set default values instead of null so UI always shows the section
         marketDataInfo = {
           spread: 0,
           spreadPercent: 0,
@@ -334,38 +316,31 @@ export default async function handler(req, res) {
           tradeCount24h: 0,
           orderBook: { bidLiquidity: null, askLiquidity: null, imbalance: null },
           recentTrades: { overallFlow: 'N/A', buyPressure: null, sellPressure: null, volumeImbalance: null },
+          tradeFlow: null,
+          orderBookDepth: null,
           apiWorking: false // Flag to indicate API failure
         };
       }
-    } catch (error) {
-      console.warn(`[Analyze-Full] Market data unavailable for ${symbol}:`, error.message, '- API FAILED, using fallback values');
-      // Set default values instead of null so UI always shows the section
+
+      // Perp positioning (funding, open interest, basis) rides along in marketData;
+      // getDerivativesData never throws, sources it can't reach come back null
       marketDataInfo = {
-        spread: 0,
-        spreadPercent: 0,
-        bid: currentPrice,
-        ask: currentPrice,
-        bidAskImbalance: 0,
-        volumeQuality: 'MEDIUM', // Use MEDIUM as neutral fallback instead of 'N/A'
-        tradeCount24h: 0,
-        orderBook: { bidLiquidity: null, askLiquidity: null, imbalance: null },
-        recentTrades: { overallFlow: 'N/A', buyPressure: null, sellPressure: null, volumeImbalance: null },
-        apiWorking: false // Flag to indicate API failure
+        ...marketDataInfo,
+        derivatives: await marketData.getDerivativesData(symbol, currentPrice)
       };
-    }
 
-    // Fetch dFlow prediction market data (non-blocking - don't fail if unavailable)
-    let dflowData = null;
-    try {
-      dflowData = await marketData.getDflowPredictionMarkets(symbol);
-    } catch (error) {
-      console.warn(`[Analyze-Full] dFlow data unavailable for ${symbol}:`, error.message);
-      dflowData = {
-        symbol,
-        error: 'dFlow API unavailable',
-        events: [],
-        markets: []
-      };
+      // Fetch dFlow prediction market data (non-blocking - don't fail if unavailable)
+      try {
+        dflowData = await marketData.getDflowPredictionMarkets(symbol);
+      } catch (error) {
+        console.warn(`[Analyze-Full] dFlow data unavailable for ${symbol}:`, error.message);
+        dflowData = {
+          symbol,
+          error: 'dFlow API unavailable',
+          events: [],
+          markets: []
+        };
+      }
     }
 
     // Evaluate all strategies (pass marketData and dflowData for filters)
@@ -408,6 +383,7 @@ export default async function handler(req, res) {
         symbol,
         mode: mode === 'STANDARD' ? 'SAFE' : 'AGGRESSIVE',
         currentPrice: currentPrice || null,
+        pricePrecision,
         htfBias: {
           direction: htfBiasRaw.direction || 'neutral',
           confidence: typeof htfBiasRaw.confidence === 'number' 
@@ -482,6 +458,7 @@ export default async function handler(req, res) {
       symbol,
       mode: mode === 'STANDARD' ? 'SAFE' : 'AGGRESSIVE',
       currentPrice: currentPrice || null, // Always include, even if null
+      pricePrecision,
       htfBias: {
         direction: htfBias.direction || 'neutral',
         confidence: typeof htfBias.confidence === 'number' 
@@ -490,10 +467,14 @@ export default async function handler(req, res) {
         source: htfBias.source || 'none'
       },
       timeframes: timeframes || {}, // Always include, even if empty
+      levels: computeLevelLadder(analysis, currentPrice, { precision: pricePrecision }), // Support/resistance zones above and below price, nearest first
       strategies: { ...strategies }, // ✅ Includes TREND_RIDER automatically
       bestSignal: allStrategiesResult?.bestSignal || null,
+      dataProvenance: strategyService.getDataProvenance(analysis), // Real vs synthetic candles per timeframe
+      dataQuality: strategyService.getDataQuality(analysis), // Timeframes the validator flagged as broken/degraded
       marketData: marketDataInfo || null, // Spread, bid/ask, volume quality, order book, recent trades
       dflowData: dflowData || null, // Prediction market data
+      asOf: asOf ? new Date(asOf).toISOString() : null, // Set when this is a point-in-time replay
       schemaVersion: '1.0.0',
       jsonVersion: '0.05', // Increment on JSON structure changes
       generatedAt: new Date().toISOString()
@@ -1,11 +1,13 @@
 /**
  * Vercel Serverless Function: Strategy Analysis Endpoint
  * GET /api/analyze?symbol=BTCUSDT&intervals=4h,1h,15m,5m
+ * GET /api/analyze?symbol=BTCUSDT&asOf=2024-08-05T00:00:00Z (point-in-time replay)
  * 
  * Returns complete 4H strategy analysis with trade signal
  */
 
 import * as marketData from '../services/marketData.js';
+import { normalizeSymbol } from '../services/symbols.js';
 import * as indicatorService from '../services/indicators.js';
 import strategyService from '../services/strategy.js';
 import * as candleFeatures from '../lib/candleFeatures.js';
@@ -13,6 +15,7 @@ import * as levels from '../lib/levels.js';
 import * as advancedIndicators from '../lib/advancedIndicators.js';
 import * as volumeAnalysis from '../lib/volumeAnalysis.js';
 import * as confluenceScoring from '../lib/confluenceScoring.js';
+import { getPricePrecision, roundPrice } from '../lib/pricePrecision.js';
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -41,7 +44,7 @@ export default async function handler(req, res) {
     if (!symbol && req.url) {
       const pathMatch = req.url.match(/\/api\/analyze\/([^?]+)/);
       if (pathMatch) {
-        symbol = pathMatch[1];
+        symbol = decodeURIComponent(pathMatch[1]);
       }
     }
 
@@ -55,7 +58,18 @@ export default async function handler(req, res) {
         ]
       });
     }
+
+    // Any spelling ('btc/eur', 'ETH-BTC', 'XBTUSD') → canonical BASEQUOTE
+    symbol = normalizeSymbol(symbol);
     
+    // Point-in-time replay: every timeframe is truncated to candles closed by asOf
+    let asOf;
+    try {
+      asOf = marketData.parseAsOf(req.query.asOf);
+    } catch (asOfError) {
+      return res.status(400).json({ error: asOfError.message });
+    }
+
     // Parse intervals from query
     const { intervals } = req.query;
 
@@ -67,7 +81,7 @@ export default async function handler(req, res) {
     console.log(`[Analyze] Processing ${symbol} for intervals: ${intervalList.join(', ')}`);
 
     // Fetch multi-timeframe OHLCV data
-    const multiData = await marketData.getMultiTimeframeData(symbol, intervalList, 500);
+    const multiData = await marketData.getMultiTimeframeData(symbol, intervalList, 500, asOf);
 
     // Calculate indicators for each timeframe
     const analysis = {};
@@ -88,8 +102,8 @@ export default async function handler(req, res) {
 
       try {
         // Calculate indicators and structure
-        const indicators = indicatorService.calculateAllIndicators(candles);
-        const swingPoints = indicatorService.detectSwingPoints(candles, 20);
+        const indicators = indicatorService.calculateAllIndicators(candles, { symbol, interval, asOf });
+        const swingPoints = indicatorService.detectSwingPoints(candles, indicators.metadata.profile.params.swingLookback);
         
         // Get last 2 candles for enriched analysis
         const latestCandle = candles[candles.length - 1];
@@ -104,7 +118,7 @@ export default async function handler(req, res) {
         // Compute support/resistance levels (for 4h and 1h only)
         const shouldComputeLevels = ['4h', '1h'].includes(interval);
         const levelsData = shouldComputeLevels ? 
-          levels.computeLevels(candles, indicators.price.current, swingPoints) : null;
+          levels.computeLevels(candles, indicators.price.current, swingPoints, 0.5, getPricePrecision(symbol, indicators.price.current)) : null;
         
         // Get recent candles for trigger timeframe (5m)
         const recentCandles = (interval === '5m') ? 
@@ -134,6 +148,11 @@ export default async function handler(req, res) {
             distanceFrom21EMA: indicators.analysis.distanceFrom21EMA
           },
           stoch: indicators.stochRSI,
+          rsi: indicators.rsi,
+          macd: indicators.macd,
+          adx: indicators.adx,
+          divergences: indicators.divergences,
+          volumeProfile: indicators.volumeProfile,
           ...advancedData
         };
         
@@ -144,6 +163,8 @@ export default async function handler(req, res) {
           indicators,
           structure: swingPoints,
           candleCount: candles.length,
+          provider: candles.provider || null,
+          quality: candles.quality || null,
           lastCandle: candles[candles.length - 1],
           
           // Enhanced candle analysis
@@ -175,7 +196,8 @@ export default async function handler(req, res) {
 
     // Get current price
     console.log(`[Analyze] Fetching current price for ${symbol}...`);
-    const ticker = await marketData.getTickerPrice(symbol);
+    const ticker = asOf ? marketData.getTickerAsOf(symbol, multiData) : await marketData.getTickerPrice(symbol);
+    const pricePrecision = getPricePrecision(symbol, ticker.price);
 
     // Get setupType from query (default to 'auto' to check all strategies)
     const setupType = req.query.setupType || 'auto';
@@ -201,17 +223,18 @@ export default async function handler(req, res) {
 
     // Evaluate Micro-Scalp Override (only relevant when 4H is FLAT and normal trade blocked)
     console.log(`[Analyze] Evaluating micro-scalp override...`);
-    const microScalpResult = strategyService.evaluateMicroScalp(analysis);
+    const microScalpResult = strategyService.evaluateMicroScalp(analysis, null, null, false, pricePrecision);
 
     // Canonical result already has the structure: { symbol, price, htfBias, timeframes, signal, meta }
     // Build response with canonical structure + backward compatibility fields
     const response = {
       // Canonical structure
       ...canonicalResult,
-      price: canonicalResult.price || parseFloat(ticker.price.toFixed(2)),
+      price: canonicalResult.price || roundPrice(ticker.price, pricePrecision),
+      pricePrecision,
       
       // Backward compatibility - keep old field names
-      currentPrice: canonicalResult.price || parseFloat(ticker.price.toFixed(2)),
+      currentPrice: canonicalResult.price || roundPrice(ticker.price, pricePrecision),
       priceChange24h: parseFloat(ticker.priceChangePercent.toFixed(2)),
       
       // Signal aliases for backward compatibility
@@ -225,6 +248,7 @@ export default async function handler(req, res) {
       microScalpEligible: microScalpResult.eligible,
       microScalp: microScalpResult.signal,
       
+      asOf: asOf ? new Date(asOf).toISOString() : null,
       timestamp: new Date().toISOString()
     };
 
@@ -7,6 +7,7 @@
  */
 
 import * as tradeExecution from '../services/tradeExecution.js';
+import { normalizeSymbol } from '../services/symbols.js';
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -67,6 +68,9 @@ export default async function handler(req, res) {
       console.log('[ExecuteTrade] Adding symbol to signal:', symbol);
       signal.symbol = symbol;
     }
+    if (signal.symbol) {
+      signal.symbol = normalizeSymbol(signal.symbol);
+    }
 
     // Validate signal
     console.log('[ExecuteTrade] Validating signal...');
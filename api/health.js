@@ -5,6 +5,8 @@
  * Simple endpoint to verify Vercel deployment is working
  */
 
+import { getProviderStatus } from '../services/marketData.js';
+
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -26,6 +28,7 @@ export default async function handler(req, res) {
         nodeVersion: process.version,
         hasOpenAIKey: hasOpenAIKey
       },
+      dataProviders: getProviderStatus(),
       message: 'EditTrades API is running'
     });
   } catch (error) {
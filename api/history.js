@@ -0,0 +1,97 @@
+/**
+ * Vercel Serverless Function: Historical Candles Endpoint
+ * GET /api/history?symbol=BTCUSDT&interval=1h&start=2024-01-01&end=2024-06-01&provider=binance
+ *
+ * Returns a deep OHLCV history, paged backwards from `end` (default now) until `start` is covered
+ */
+
+import * as marketData from '../services/marketData.js';
+import { normalizeSymbol } from '../services/symbols.js';
+
+// Keep a single request inside the serverless time budget
+const MAX_HISTORY_CANDLES = 20000;
+
+/**
+ * Parse a date query param (ISO date string or ms timestamp)
+ * @param {string} value - Query value
+ * @returns {number|null} Timestamp in ms
+ */
+function parseTime(value) {
+  if (!value) return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow GET
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { interval = '1h', provider = 'binance' } = req.query;
+    const startTime = parseTime(req.query.start);
+    const endTime = parseTime(req.query.end) || Date.now();
+
+    if (!req.query.symbol || !startTime) {
+      return res.status(400).json({
+        error: 'Missing required parameters: symbol, start',
+        examples: [
+          '/api/history?symbol=BTCUSDT&interval=1h&start=2024-01-01',
+          '/api/history?symbol=ETHUSDT&interval=5m&start=2024-05-01&end=2024-05-15&provider=binance'
+        ]
+      });
+    }
+
+    const symbol = normalizeSymbol(req.query.symbol);
+    const intervalMinutes = marketData.INTERVAL_TO_MINUTES[interval];
+    if (!intervalMinutes) {
+      return res.status(400).json({ error: `Unsupported interval: ${interval}` });
+    }
+
+    const expectedCandles = Math.ceil((endTime - startTime) / (intervalMinutes * 60 * 1000));
+    if (expectedCandles > MAX_HISTORY_CANDLES) {
+      return res.status(400).json({
+        error: `Range too large: ~${expectedCandles} candles requested, max ${MAX_HISTORY_CANDLES} per request`,
+        hint: 'Narrow the start/end range or use a higher interval'
+      });
+    }
+
+    console.log(`[History] ${symbol} ${interval} ${new Date(startTime).toISOString()} → ${new Date(endTime).toISOString()} via ${provider}`);
+
+    const history = await marketData.getHistoricalCandles(symbol, interval, { startTime, endTime, provider });
+
+    return res.status(200).json({
+      symbol,
+      interval,
+      provider: history.provider,
+      startTime: new Date(startTime).toISOString(),
+      endTime: new Date(endTime).toISOString(),
+      pages: history.pages,
+      complete: history.complete, // false if the provider's history ends after startTime
+      quality: history.quality,
+      candleCount: history.candles.length,
+      candles: history.candles
+    });
+
+  } catch (error) {
+    console.error('[History] Error:', error.message);
+    const isInputError = /Unsupported|No paged history source|startTime must be/.test(error.message);
+    return res.status(isInputError ? 400 : 500).json({
+      error: isInputError ? error.message : 'Failed to fetch historical candles',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Vercel Serverless Function: Candle Import Endpoint
+ * GET  /api/import - list imported symbols
+ * POST /api/import - import a CSV or JSON OHLCV export under a custom symbol
+ *
+ * Body: { symbol, content, interval?, format?, name?, source?, replace? }
+ *   - content: raw CSV (timestamp/time,open,high,low,close,volume header) or JSON file text
+ *   - candles: already-parsed OHLCV array, instead of content
+ * Imported symbols then work everywhere a Kraken pair does (/api/analyze/SPX, /api/scan)
+ * POST needs `Authorization: Bearer <IMPORT_ADMIN_TOKEN>`; without IMPORT_ADMIN_TOKEN configured imports are disabled (503)
+ * On Vercel imports live in /tmp and only last as long as the function instance
+ */
+
+import * as marketData from '../services/marketData.js';
+
+/**
+ * Check the admin token - fails closed when IMPORT_ADMIN_TOKEN isn't configured
+ * @returns {Object|null} { status, error } to reject with, or null when authorized
+ */
+function checkAdminToken(req) {
+  const token = process.env.IMPORT_ADMIN_TOKEN;
+  if (!token) {
+    return { status: 503, error: 'Candle imports are disabled: IMPORT_ADMIN_TOKEN is not configured' };
+  }
+  if (req.headers?.authorization !== `Bearer ${token}`) {
+    return { status: 401, error: 'Unauthorized: candle imports need the admin token' };
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method === 'GET') {
+    const symbols = await marketData.getImportedSymbols();
+    return res.status(200).json({ count: symbols.length, symbols });
+  }
+
+  // Only allow GET and POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed. Use GET or POST.' });
+  }
+
+  const denied = checkAdminToken(req);
+  if (denied) {
+    return res.status(denied.status).json({ error: denied.error });
+  }
+
+  try {
+    const { symbol, content, candles, interval, format, name, source, replace } = req.body || {};
+
+    if (!symbol || (!content && !Array.isArray(candles))) {
+      return res.status(400).json({
+        error: 'Missing required fields: symbol and content (or candles)',
+        example: {
+          symbol: 'SPX',
+          interval: '1h',
+          source: 'tradingview',
+          content: 'time,open,high,low,close,Volume\n1717200000,5270.1,5281.4,5266.0,5277.5,1200\n...'
+        }
+      });
+    }
+
+    console.log(`[Import] ${symbol} ${interval || '(auto interval)'} from ${source || 'upload'}`);
+
+    const result = await marketData.importCandles({
+      symbol, content, candles, interval, format, name, source,
+      replace: replace === true || replace === 'true'
+    });
+
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('[Import] Error:', error.message);
+    // Anything thrown before the write is a problem with the upload itself
+    const isInputError = error instanceof SyntaxError ||
+      /Invalid symbol|live market symbol|Unsupported|No candles|no valid candles|must have|must be/.test(error.message);
+    return res.status(isInputError ? 400 : 500).json({
+      error: isInputError ? error.message : 'Failed to import candles',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Vercel Serverless Function: Indicator Profiles Endpoint
+ * GET    /api/indicator-profiles                          - every profile and assignment
+ * GET    /api/indicator-profiles?name=fast                - one profile
+ * GET    /api/indicator-profiles?symbol=DOGEUSDT&interval=5m - the profile that applies there
+ * POST   /api/indicator-profiles                          - add/update a profile, or assign one
+ * DELETE /api/indicator-profiles?name=scalp               - remove a profile (built-ins reset)
+ * DELETE /api/indicator-profiles?symbol=DOGE&interval=5m  - remove an assignment
+ *
+ * POST body, profile:    { name, description?, params: { fastEmaPeriod, slowEmaPeriod, rsiPeriod, stochasticPeriod,
+ *                          kPeriod, dPeriod, macdFastPeriod, macdSlowPeriod, macdSignalPeriod, adxPeriod,
+ *                          entryZonePct, overextendedPct, swingLookback, trendSource } }
+ * POST body, assignment: { profile, symbol?, interval? } - symbol is a pair (DOGEUSDT) or an asset (DOGE)
+ * Writes need `Authorization: Bearer <INDICATOR_ADMIN_TOKEN>`; without INDICATOR_ADMIN_TOKEN configured they are disabled (503)
+ * On Vercel the profiles live in /tmp and only last as long as the function instance
+ */
+
+import * as indicatorProfiles from '../services/indicatorProfiles.js';
+
+/**
+ * Check the admin token - fails closed when INDICATOR_ADMIN_TOKEN isn't configured
+ * @returns {Object|null} { status, error } to reject with, or null when authorized
+ */
+function checkAdminToken(req) {
+  const token = process.env.INDICATOR_ADMIN_TOKEN;
+  if (!token) {
+    return { status: 503, error: 'Indicator profile writes are disabled: INDICATOR_ADMIN_TOKEN is not configured' };
+  }
+  if (req.headers?.authorization !== `Bearer ${token}`) {
+    return { status: 401, error: 'Unauthorized: indicator profile writes need the admin token' };
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  try {
+    const { name, symbol, interval } = req.query;
+
+    if (req.method === 'GET') {
+      if (name) {
+        const profile = indicatorProfiles.getProfile(name);
+        if (!profile) {
+          return res.status(404).json({ error: `Unknown profile: ${name}` });
+        }
+        return res.status(200).json(profile);
+      }
+
+      if (symbol || interval) {
+        return res.status(200).json({
+          symbol: symbol || null,
+          interval: interval || null,
+          profile: indicatorProfiles.resolveProfile(symbol, interval)
+        });
+      }
+
+      return res.status(200).json({
+        profiles: indicatorProfiles.listProfiles(),
+        assignments: indicatorProfiles.listAssignments()
+      });
+    }
+
+    // Only allow GET, POST and DELETE
+    if (req.method !== 'POST' && req.method !== 'DELETE') {
+      return res.status(405).json({ error: 'Method not allowed. Use GET, POST or DELETE.' });
+    }
+
+    const denied = checkAdminToken(req);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    if (req.method === 'DELETE') {
+      if (name) {
+        const removed = await indicatorProfiles.removeProfile(name);
+        if (!removed) {
+          return res.status(404).json({ error: `Unknown profile: ${name}` });
+        }
+        return res.status(200).json({ success: true, removed: name.toLowerCase() });
+      }
+      if (symbol || interval) {
+        const removed = await indicatorProfiles.unassignProfile({ symbol, interval });
+        if (!removed) {
+          return res.status(404).json({ error: 'No profile assigned there' });
+        }
+        return res.status(200).json({ success: true, unassigned: { symbol: symbol || null, interval: interval || null } });
+      }
+      return res.status(400).json({
+        error: 'Missing required parameter: name, or symbol/interval',
+        examples: ['/api/indicator-profiles?name=scalp', '/api/indicator-profiles?symbol=DOGE&interval=5m']
+      });
+    }
+
+    const body = req.body || {};
+    if (body.profile) {
+      console.log(`[IndicatorProfiles] Assigning ${body.profile} to ${[body.symbol, body.interval].filter(Boolean).join(':')}`);
+      const assignment = await indicatorProfiles.assignProfile(body);
+      return res.status(200).json({ success: true, assignment });
+    }
+
+    if (!body.name) {
+      return res.status(400).json({
+        error: 'Missing required field: name (profile) or profile (assignment)',
+        examples: [
+          { name: 'scalp', description: 'Fast 1m/5m settings', params: { fastEmaPeriod: 9, slowEmaPeriod: 50 } },
+          { profile: 'fast', symbol: 'DOGE' }
+        ]
+      });
+    }
+
+    console.log(`[IndicatorProfiles] Upserting profile ${body.name}: ${Object.keys(body.params || {}).join(', ') || '(no params)'}`);
+    const result = await indicatorProfiles.upsertProfile(body.name, body);
+    return res.status(result.created ? 201 : 200).json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('[IndicatorProfiles] Error:', error.message);
+    const isInputError = /^Invalid profile/.test(error.message);
+    return res.status(isInputError ? 400 : 500).json({
+      error: isInputError ? error.message : 'Indicator profile request failed',
+      message: error.message
+    });
+  }
+}
@@ -6,12 +6,14 @@
  */
 
 import * as marketData from '../services/marketData.js';
+import { normalizeSymbol } from '../services/symbols.js';
 import * as indicatorService from '../services/indicators.js';
 import * as candleFeatures from '../lib/candleFeatures.js';
 import * as levels from '../lib/levels.js';
 import * as advancedIndicators from '../lib/advancedIndicators.js';
 import * as volumeAnalysis from '../lib/volumeAnalysis.js';
 import * as confluenceScoring from '../lib/confluenceScoring.js';
+import { getPricePrecision, roundPrice } from '../lib/pricePrecision.js';
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -40,7 +42,7 @@ export default async function handler(req, res) {
     if (!symbol && req.url) {
       const pathMatch = req.url.match(/\/api\/indicators\/([^?]+)/);
       if (pathMatch) {
-        symbol = pathMatch[1];
+        symbol = decodeURIComponent(pathMatch[1]);
       }
     }
 
@@ -54,6 +56,9 @@ export default async function handler(req, res) {
         ]
       });
     }
+
+    // Any spelling ('btc/eur', 'ETH-BTC', 'XBTUSD') → canonical BASEQUOTE
+    symbol = normalizeSymbol(symbol);
     
     // Parse intervals from query
     const { intervals } = req.query;
@@ -87,8 +92,8 @@ export default async function handler(req, res) {
 
       try {
         // Calculate all indicators
-        const indicators = indicatorService.calculateAllIndicators(candles);
-        const swingPoints = indicatorService.detectSwingPoints(candles, 20);
+        const indicators = indicatorService.calculateAllIndicators(candles, { symbol, interval });
+        const swingPoints = indicatorService.detectSwingPoints(candles, indicators.metadata.profile.params.swingLookback);
         
         // Get last 2 candles for price action analysis
         const latestCandle = candles[candles.length - 1];
@@ -100,10 +105,12 @@ export default async function handler(req, res) {
         // Detect price action patterns
         const priceAction = candleFeatures.detectPriceAction(latestCandle, previousCandle);
         
+        const pricePrecision = getPricePrecision(symbol, indicators.price.current);
+
         // Compute support/resistance levels (for 4h and 1h only, to reduce noise)
         const shouldComputeLevels = ['4h', '1h'].includes(interval);
         const levelsData = shouldComputeLevels ? 
-          levels.computeLevels(candles, indicators.price.current, swingPoints) : null;
+          levels.computeLevels(candles, indicators.price.current, swingPoints, 0.5, pricePrecision) : null;
         
         // Get recent candles for trigger timeframe (5m)
         const recentCandles = (interval === '5m') ? 
@@ -123,10 +130,10 @@ export default async function handler(req, res) {
         
         // Build timeframe data object (will be used for confluence scoring)
         const tfData = {
-          currentPrice: parseFloat(indicators.price.current.toFixed(2)),
+          currentPrice: roundPrice(indicators.price.current, pricePrecision),
           trend: indicators.analysis.trend,
-          ema21: indicators.ema.ema21 ? parseFloat(indicators.ema.ema21.toFixed(2)) : null,
-          ema200: indicators.ema.ema200 ? parseFloat(indicators.ema.ema200.toFixed(2)) : null,
+          ema21: indicators.ema.ema21 ? roundPrice(indicators.ema.ema21, pricePrecision) : null,
+          ema200: indicators.ema.ema200 ? roundPrice(indicators.ema.ema200, pricePrecision) : null,
           distanceFrom21EMA: indicators.analysis.distanceFrom21EMA !== null 
             ? parseFloat(indicators.analysis.distanceFrom21EMA.toFixed(2)) 
             : null,
@@ -135,15 +142,47 @@ export default async function handler(req, res) {
             d: indicators.stochRSI.d ? parseFloat(indicators.stochRSI.d.toFixed(2)) : null,
             condition: indicators.stochRSI.condition
           },
+          rsi: {
+            value: indicators.rsi.value,
+            condition: indicators.rsi.condition
+          },
+          macd: {
+            macd: indicators.macd.macd !== null ? parseFloat(indicators.macd.macd.toFixed(pricePrecision.decimals + 2)) : null,
+            signal: indicators.macd.signal !== null ? parseFloat(indicators.macd.signal.toFixed(pricePrecision.decimals + 2)) : null,
+            histogram: indicators.macd.histogram !== null ? parseFloat(indicators.macd.histogram.toFixed(pricePrecision.decimals + 2)) : null,
+            cross: indicators.macd.cross,
+            state: indicators.macd.state
+          },
+          adx: {
+            adx: indicators.adx.adx !== null ? parseFloat(indicators.adx.adx.toFixed(2)) : null,
+            plusDI: indicators.adx.plusDI !== null ? parseFloat(indicators.adx.plusDI.toFixed(2)) : null,
+            minusDI: indicators.adx.minusDI !== null ? parseFloat(indicators.adx.minusDI.toFixed(2)) : null,
+            trendStrength: indicators.adx.trendStrength,
+            direction: indicators.adx.direction
+          },
+          divergences: indicators.divergences.map(({ type, direction, oscillator, strength, label, age }) => ({
+            type, direction, oscillator, strength, label, age
+          })),
+          zones: indicators.zones,
+          fibonacci: indicators.fibonacci,
+          volumeProfile: indicators.volumeProfile,
           pullback: {
             state: indicators.analysis.pullbackState,
             distanceFrom21EMA: indicators.analysis.distanceFrom21EMA !== null 
               ? parseFloat(indicators.analysis.distanceFrom21EMA.toFixed(2)) 
               : null
           },
-          swingHigh: swingPoints.swingHigh ? parseFloat(swingPoints.swingHigh.toFixed(2)) : null,
-          swingLow: swingPoints.swingLow ? parseFloat(swingPoints.swingLow.toFixed(2)) : null,
+          swingHigh: swingPoints.swingHigh ? roundPrice(swingPoints.swingHigh, pricePrecision) : null,
+          swingLow: swingPoints.swingLow ? roundPrice(swingPoints.swingLow, pricePrecision) : null,
+          structure: {
+            trend: swingPoints.trend,
+            pivots: swingPoints.pivots,
+            events: swingPoints.events
+          },
           candleCount: candles.length,
+          indicatorProfile: indicators.metadata.profile,
+          provider: candles.provider || null,
+          quality: candles.quality || null,
           
           // Candle analysis
           candle: candleDesc,
@@ -182,6 +221,7 @@ export default async function handler(req, res) {
     const response = {
       symbol,
       source: 'kraken', // Using Kraken as primary data source
+      pricePrecision: getPricePrecision(symbol, Object.values(timeframes)[0]?.currentPrice),
       timeframes,
       timestamp: new Date().toISOString()
     };
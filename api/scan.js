@@ -1,11 +1,14 @@
 /**
  * Vercel Serverless Function: Market Scanner Endpoint
  * GET /api/scan?minConfidence=0.5&maxResults=25&direction=long
+ * GET /api/scan?asOf=2024-08-05T00:00:00Z (point-in-time replay)
  * 
  * Scans all supported coins and returns trading opportunities
  */
 
 import * as scannerService from '../services/scanner.js';
+import * as marketData from '../services/marketData.js';
+import { getPricePrecision, roundPrice } from '../lib/pricePrecision.js';
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -35,6 +38,14 @@ export default async function handler(req, res) {
     const direction = req.query.direction || null;
     const useAllKrakenPairs = req.query.all === 'true';
 
+    // Point-in-time replay (scan as the market stood at asOf)
+    let asOf;
+    try {
+      asOf = marketData.parseAsOf(req.query.asOf);
+    } catch (asOfError) {
+      return res.status(400).json({ error: asOfError.message });
+    }
+
     console.log(`[Scan] Starting scan with minConfidence=${minConfidence}, maxResults=${maxResults}`);
 
     // Run the scanner
@@ -42,7 +53,8 @@ export default async function handler(req, res) {
       minConfidence,
       maxResults,
       intervals,
-      useAllKrakenPairs
+      useAllKrakenPairs,
+      asOf
     });
 
     // Apply direction filter if specified
@@ -57,25 +69,29 @@ export default async function handler(req, res) {
         ...scanResults.summary,
         filteredCount: opportunities.length
       },
-      opportunities: opportunities.map(opp => ({
-        symbol: opp.symbol,
-        direction: opp.direction.toUpperCase(),
-        confidence: parseFloat(opp.confidence.toFixed(2)),
-        entryZone: {
-          min: parseFloat(opp.entry_zone.min.toFixed(2)),
-          max: parseFloat(opp.entry_zone.max.toFixed(2))
-        },
-        stopLoss: parseFloat(opp.stop_loss.toFixed(2)),
-        targets: {
-          tp1: parseFloat(opp.targets[0].toFixed(2)),
-          tp2: parseFloat(opp.targets[1].toFixed(2))
-        },
-        currentPrice: parseFloat(opp.currentPrice.toFixed(2)),
-        priceChange24h: parseFloat(opp.priceChange24h.toFixed(2)),
-        reason: opp.reason_summary,
-        trend: opp.trend,
-        timestamp: opp.scanTime
-      }))
+      opportunities: opportunities.map(opp => {
+        const precision = opp.meta?.pricePrecision || getPricePrecision(opp.symbol, opp.currentPrice);
+        return {
+          symbol: opp.symbol,
+          direction: opp.direction.toUpperCase(),
+          confidence: parseFloat(opp.confidence.toFixed(2)),
+          entryZone: {
+            min: roundPrice(opp.entry_zone.min, precision),
+            max: roundPrice(opp.entry_zone.max, precision)
+          },
+          stopLoss: roundPrice(opp.stop_loss, precision),
+          targets: {
+            tp1: roundPrice(opp.targets[0], precision),
+            tp2: roundPrice(opp.targets[1], precision)
+          },
+          currentPrice: roundPrice(opp.currentPrice, precision),
+          pricePrecision: precision,
+          priceChange24h: parseFloat(opp.priceChange24h.toFixed(2)),
+          reason: opp.reason_summary,
+          trend: opp.trend,
+          timestamp: opp.scanTime
+        };
+      })
     };
 
     console.log(`[Scan] Complete: ${opportunities.length} opportunities found`);
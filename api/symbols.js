@@ -0,0 +1,128 @@
+/**
+ * Vercel Serverless Function: Symbols & Symbol Registry Endpoint
+ * GET    /api/symbols                - supported symbols with metadata (+ imported symbols)
+ * GET    /api/symbols?all=true       - every USD pair listed on Kraken
+ * GET    /api/symbols?registry=true  - every asset in the symbol registry
+ * GET    /api/symbols?asset=PYTH     - one registry asset
+ * POST   /api/symbols                - add or update an asset
+ * DELETE /api/symbols?asset=PYTH     - remove an asset
+ *
+ * POST body: { asset, name?, featured?, dashboard?, predictionMarkets?, stablecoin?, kraken?, coingecko?, solanaMint?, decimals? }
+ *   - featured: listed in the coin selector and scanner, dashboard: always shown on the dashboard
+ *   - null clears a field
+ * Writes need `Authorization: Bearer <SYMBOL_ADMIN_TOKEN>`; without SYMBOL_ADMIN_TOKEN configured they are disabled (503)
+ * On Vercel the registry lives in /tmp and only lasts as long as the function instance
+ */
+
+import * as marketData from '../services/marketData.js';
+import * as symbolRegistry from '../services/symbolRegistry.js';
+
+/**
+ * Check the admin token - fails closed when SYMBOL_ADMIN_TOKEN isn't configured
+ * @returns {Object|null} { status, error } to reject with, or null when authorized
+ */
+function checkAdminToken(req) {
+  const token = process.env.SYMBOL_ADMIN_TOKEN;
+  if (!token) {
+    return { status: 503, error: 'Symbol registry writes are disabled: SYMBOL_ADMIN_TOKEN is not configured' };
+  }
+  if (req.headers?.authorization !== `Bearer ${token}`) {
+    return { status: 401, error: 'Unauthorized: symbol registry writes need the admin token' };
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      if (req.query.asset) {
+        const asset = symbolRegistry.getRegistryAsset(req.query.asset);
+        if (!asset) {
+          return res.status(404).json({ error: `Unknown asset: ${req.query.asset}` });
+        }
+        return res.status(200).json(asset);
+      }
+
+      if (req.query.registry === 'true') {
+        const assets = symbolRegistry.listRegistryAssets();
+        return res.status(200).json({ count: assets.length, assets });
+      }
+
+      const fetchAll = req.query.all === 'true';
+      let symbols;
+      if (fetchAll) {
+        console.log('📥 Fetching ALL trading pairs from Kraken...');
+        symbols = await marketData.getAllKrakenPairs();
+      } else {
+        symbols = marketData.getSupportedSymbolsWithInfo();
+      }
+
+      // Imported (CSV/JSON) markets are analyzable like any listed pair
+      const imported = await marketData.getImportedSymbols();
+      symbols = [
+        ...symbols,
+        ...imported.map(({ symbol, name, source, intervals }) => ({ symbol, name, imported: true, source, intervals }))
+      ];
+
+      return res.status(200).json({
+        count: symbols.length,
+        symbols,
+        source: fetchAll ? 'kraken-dynamic' : 'registry'
+      });
+    }
+
+    // Only allow GET, POST and DELETE
+    if (req.method !== 'POST' && req.method !== 'DELETE') {
+      return res.status(405).json({ error: 'Method not allowed. Use GET, POST or DELETE.' });
+    }
+
+    const denied = checkAdminToken(req);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    if (req.method === 'DELETE') {
+      const asset = req.query.asset || req.body?.asset;
+      if (!asset) {
+        return res.status(400).json({ error: 'Missing required parameter: asset', example: '/api/symbols?asset=PYTH' });
+      }
+      const removed = await symbolRegistry.removeAsset(asset);
+      if (!removed) {
+        return res.status(404).json({ error: `Unknown asset: ${asset}` });
+      }
+      return res.status(200).json({ success: true, removed: asset.toUpperCase() });
+    }
+
+    const { asset, ...fields } = req.body || {};
+    if (!asset) {
+      return res.status(400).json({
+        error: 'Missing required field: asset',
+        example: { asset: 'PYTH', name: 'Pyth Network', featured: true, coingecko: 'pyth-network', solanaMint: 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3', decimals: 6 }
+      });
+    }
+
+    console.log(`[Symbols] Upserting ${asset}: ${Object.keys(fields).join(', ') || '(no fields)'}`);
+    const result = await symbolRegistry.upsertAsset(asset, fields);
+    return res.status(result.created ? 201 : 200).json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('[Symbols] Error:', error.message);
+    const isInputError = /^Invalid asset/.test(error.message);
+    return res.status(isInputError ? 400 : 500).json({
+      error: isInputError ? error.message : 'Symbol registry request failed',
+      message: error.message
+    });
+  }
+}
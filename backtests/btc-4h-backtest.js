@@ -7,7 +7,7 @@
  * Period: 2018-01-01 to now
  */
 
-import ccxt from 'ccxt';
+import * as marketData from '../services/marketData.js';
 import * as indicatorService from '../services/indicators.js';
 import * as strategyService from '../services/strategy.js';
 import { writeFileSync } from 'fs';
@@ -18,63 +18,34 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // Configuration
 const CONFIG = {
-  symbol: 'BTC/USDT',
+  symbol: 'BTCUSDT',
   startDate: '2020-01-01', // Start from 2020 (more reliable data)
   primaryTimeframe: '4h',
   timeframes: ['4h', '1h', '15m', '5m'],
-  exchange: 'binance',
-  maxCandles: 1000, // Per fetch
+  exchange: 'binance', // Paged history source (see marketData.getHistoricalCandles)
   slippage: 0.001, // 0.1% slippage
   commission: 0.0004 // 0.04% taker fee
 };
 
-// Initialize exchange
-const exchange = new ccxt[CONFIG.exchange]({
-  enableRateLimit: true,
-  options: {
-    defaultType: 'future' // Use futures for more historical data
-  }
-});
-
 /**
  * Fetch historical candles for a timeframe
+ * Uses the shared paginated backfill (rate-limited, merged, validated)
  */
 async function fetchCandles(symbol, timeframe, since) {
   console.log(`Fetching ${timeframe} candles from ${new Date(since).toISOString()}...`);
   
-  const allCandles = [];
-  let currentSince = since;
-  
   try {
-    while (true) {
-      const candles = await exchange.fetchOHLCV(symbol, timeframe, currentSince, CONFIG.maxCandles);
-      
-      if (candles.length === 0) break;
-      
-      allCandles.push(...candles);
-      
-      // Move to next batch
-      const lastTimestamp = candles[candles.length - 1][0];
-      if (lastTimestamp >= Date.now()) break; // Caught up to present
-      if (currentSince === lastTimestamp) break; // No more data
-      
-      currentSince = lastTimestamp + 1;
-      
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, exchange.rateLimit));
-    }
+    const history = await marketData.getHistoricalCandles(symbol, timeframe, {
+      startTime: since,
+      provider: CONFIG.exchange
+    });
     
-    console.log(`✅ Fetched ${allCandles.length} ${timeframe} candles`);
+    if (!history.complete) {
+      console.warn(`⚠️  ${CONFIG.exchange} history for ${timeframe} starts after ${new Date(since).toISOString()}`);
+    }
+    console.log(`✅ Fetched ${history.candles.length} ${timeframe} candles (${history.pages} pages)`);
     
-    // Convert to our format
-    return allCandles.map(c => ({
-      timestamp: c[0],
-      open: c[1],
-      high: c[2],
-      low: c[3],
-      close: c[4],
-      volume: c[5]
-    }));
+    return history.candles;
     
   } catch (error) {
     console.error(`❌ Error fetching ${timeframe} candles:`, error.message);
@@ -100,7 +71,7 @@ function analyzeMarket(candlesByTimeframe) {
       if (candles.length < 200) continue; // Need enough data for indicators
       
       const indicators = indicatorService.calculateAllIndicators(candles);
-      const swingPoints = indicatorService.detectSwingPoints(candles, 20);
+      const swingPoints = indicatorService.detectSwingPoints(candles, indicators.metadata.profile.params.swingLookback);
       
       analysis[tf] = {
         indicators,
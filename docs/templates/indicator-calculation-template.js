@@ -91,9 +91,6 @@ export function calculateAllIndicators(candles) {
       ema21: currentEMA21,
       ema200: currentEMA200,
       ema50: currentEMA50,              // ADD current value
-      ema21History: ema21,
-      ema200History: ema200,
-      ema50History: ema50,              // ADD history (if applicable)
     },
     stochRSI: {
       // ... existing stochRSI structure
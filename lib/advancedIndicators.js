@@ -4,6 +4,8 @@
  * Provides VWAP, ATR, Bollinger Bands, and MA stack analysis
  */
 
+import { getPricePrecision, roundPrice } from './pricePrecision.js';
+
 /**
  * Calculate VWAP (Volume Weighted Average Price)
  * @param {Array} candles - OHLCV array
@@ -49,7 +51,7 @@ export function calculateVWAP(candles, currentPrice, lookback = null) {
   const reversionZone = Math.abs(distancePct) > 2.0; // More than 2% away
 
   return {
-    value: parseFloat(vwapValue.toFixed(2)),
+    value: roundPrice(vwapValue, getPricePrecision(null, currentPrice)),
     distancePct: parseFloat(distancePct.toFixed(2)),
     above,
     below,
@@ -134,7 +136,7 @@ export function calculateATR(candles, period = 14) {
   }
 
   return {
-    atr: parseFloat(atr.toFixed(2)),
+    atr: roundPrice(atr, getPricePrecision(null, currentPrice)),
     atrPct: parseFloat(atrPct.toFixed(2)),
     volatilityState
   };
@@ -169,6 +171,7 @@ export function calculateBollingerBands(candles, period = 20, stdDev = 2) {
   const lower = mid - (stdDev * std);
   
   const currentPrice = candles[candles.length - 1].close;
+  const precision = getPricePrecision(null, currentPrice);
   
   // Calculate bandwidth (volatility measure)
   const bandWidthPct = ((upper - lower) / mid) * 100;
@@ -184,9 +187,9 @@ export function calculateBollingerBands(candles, period = 20, stdDev = 2) {
   }
 
   return {
-    mid: parseFloat(mid.toFixed(2)),
-    upper: parseFloat(upper.toFixed(2)),
-    lower: parseFloat(lower.toFixed(2)),
+    mid: roundPrice(mid, precision),
+    upper: roundPrice(upper, precision),
+    lower: roundPrice(lower, precision),
     bandWidthPct: parseFloat(bandWidthPct.toFixed(2)),
     squeeze,
     pricePosPct: parseFloat(pricePosPct.toFixed(2))
@@ -234,12 +237,13 @@ export function calculateMAStack(candles, existingEmas = {}) {
   const ema21 = existingEmas.ema21 || null;
   const ema50 = calculateEMA(closes, 50);
   const ema200 = existingEmas.ema200 || null;
+  const precision = getPricePrecision(null, closes[closes.length - 1]);
 
   if (!ema21 || !ema50 || !ema200) {
     return {
-      ema21: ema21 ? parseFloat(ema21.toFixed(2)) : null,
-      ema50: ema50 ? parseFloat(ema50.toFixed(2)) : null,
-      ema200: ema200 ? parseFloat(ema200.toFixed(2)) : null,
+      ema21: ema21 ? roundPrice(ema21, precision) : null,
+      ema50: ema50 ? roundPrice(ema50, precision) : null,
+      ema200: ema200 ? roundPrice(ema200, precision) : null,
       bullStack: false,
       bearStack: false,
       flatStack: false
@@ -252,9 +256,9 @@ export function calculateMAStack(candles, existingEmas = {}) {
   const flatStack = !bullStack && !bearStack;
 
   return {
-    ema21: parseFloat(ema21.toFixed(2)),
-    ema50: parseFloat(ema50.toFixed(2)),
-    ema200: parseFloat(ema200.toFixed(2)),
+    ema21: roundPrice(ema21, precision),
+    ema50: roundPrice(ema50, precision),
+    ema200: roundPrice(ema200, precision),
     bullStack,
     bearStack,
     flatStack
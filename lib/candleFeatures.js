@@ -6,6 +6,8 @@
  * - Price action patterns (rejections, engulfing, inside bars)
  */
 
+import { getPricePrecision, roundPrice } from './pricePrecision.js';
+
 /**
  * Describe a single candle with detailed metrics
  * @param {Object} candle - OHLC candle { time, open, high, low, close }
@@ -51,6 +53,7 @@ export function describeCandle(candle, ema21 = null) {
   
   // Where is close within the range (0 = at low, 100 = at high)
   const closeRelativeToRange = ((close - low) / totalRange) * 100;
+  const precision = getPricePrecision(null, close);
   
   return {
     direction,
@@ -61,10 +64,10 @@ export function describeCandle(candle, ema21 = null) {
     closeAboveEma21: ema21 ? close > ema21 : null,
     closeBelowEma21: ema21 ? close < ema21 : null,
     range: {
-      open: parseFloat(open.toFixed(2)),
-      high: parseFloat(high.toFixed(2)),
-      low: parseFloat(low.toFixed(2)),
-      close: parseFloat(close.toFixed(2))
+      open: roundPrice(open, precision),
+      high: roundPrice(high, precision),
+      low: roundPrice(low, precision),
+      close: roundPrice(close, precision)
     }
   };
 }
@@ -157,11 +160,12 @@ export function getRecentCandles(candles, count = 5) {
   const recentCount = Math.min(count, candles.length);
   const recentCandles = candles.slice(-recentCount);
   
+  const precision = getPricePrecision(null, recentCandles[recentCandles.length - 1].close);
   return recentCandles.map(c => ({
-    open: parseFloat(c.open.toFixed(2)),
-    high: parseFloat(c.high.toFixed(2)),
-    low: parseFloat(c.low.toFixed(2)),
-    close: parseFloat(c.close.toFixed(2))
+    open: roundPrice(c.open, precision),
+    high: roundPrice(c.high, precision),
+    low: roundPrice(c.low, precision),
+    close: roundPrice(c.close, precision)
   }));
 }
 
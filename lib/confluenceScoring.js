@@ -4,6 +4,8 @@
  * Calculates multi-factor confidence scores for trade setups
  */
 
+import { divergenceBias } from './divergence.js';
+
 /**
  * Calculate confluence scores for a timeframe
  * @param {Object} tfData - Timeframe data with all indicators
@@ -15,7 +17,9 @@ export function calculateConfluence(tfData) {
     stochScore: 0,
     structureScore: 0,
     maScore: 0,
-    vwapScore: 0
+    vwapScore: 0,
+    divergenceScore: 0,
+    volumeProfileScore: 0
   };
 
   // 1. Trend Score (based on trend clarity and EMA alignment)
@@ -122,6 +126,34 @@ export function calculateConfluence(tfData) {
     scores.vwapScore = 0.5;
   }
 
+  // 6. Divergence Score (momentum divergences for or against the trend)
+  // Neutral 0.5, pushed up by the strongest divergence in the trend's direction
+  // and down by the strongest one against it
+  if (Array.isArray(tfData.divergences)) {
+    const { supporting, opposing } = divergenceBias(tfData.divergences, tfData.trend);
+    scores.divergenceScore = Math.min(1, Math.max(0, 0.5 + (supporting - opposing) / 200));
+  } else {
+    scores.divergenceScore = 0.5;
+  }
+
+  // 7. Volume Profile Score (where price sits against the visible-range value area)
+  // Best when a trend pulls back into value on the side it trades from (longs at or below the POC,
+  // shorts at or above it); acceptance beyond value in the trend's direction is fine, the other side is not
+  const profile = tfData.volumeProfile?.visibleRange;
+  if (profile && (tfData.trend === 'UPTREND' || tfData.trend === 'DOWNTREND')) {
+    const sign = tfData.trend === 'UPTREND' ? 1 : -1;
+    const [withTrend, againstTrend] = sign > 0 ? ['above_value', 'below_value'] : ['below_value', 'above_value'];
+    if (profile.position === 'in_value') {
+      scores.volumeProfileScore = sign * profile.pocDistancePct <= 0 ? 0.9 : 0.6;
+    } else if (profile.position === withTrend) {
+      scores.volumeProfileScore = 0.7;
+    } else if (profile.position === againstTrend) {
+      scores.volumeProfileScore = 0.2;
+    }
+  } else {
+    scores.volumeProfileScore = 0.5;
+  }
+
   // Round all scores to 2 decimal places
   for (const key in scores) {
     scores[key] = parseFloat(scores[key].toFixed(2));
@@ -141,7 +173,9 @@ export function calculateOverallConfluence(scores) {
     stochScore: 0.20,      // 20%
     structureScore: 0.25,  // 25%
     maScore: 0.15,         // 15%
-    vwapScore: 0.10        // 10%
+    vwapScore: 0.10,       // 10%
+    divergenceScore: 0.10, // 10%
+    volumeProfileScore: 0.10 // 10%
   };
 
   let weightedSum = 0;
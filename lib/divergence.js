@@ -0,0 +1,142 @@
+/**
+ * Momentum Divergence Detection
+ *
+ * Compares the latest price pivot with an earlier one and checks whether an oscillator
+ * (RSI, Stoch RSI %K, MACD histogram) confirmed the move:
+ * - Regular bullish: price lower low,  oscillator higher low  (downtrend losing momentum)
+ * - Hidden bullish:  price higher low, oscillator lower low   (uptrend pullback, continuation)
+ * - Regular bearish: price higher high, oscillator lower high (uptrend losing momentum)
+ * - Hidden bearish:  price lower high, oscillator higher high (downtrend bounce, continuation)
+ *
+ * Strength (0-100) weighs the oscillator disagreement (60%) and the price move (40%), each
+ * relative to its range over the window, plus 10 when the oscillator pivot sits in its extreme zone.
+ * Age is the number of candles since the latest pivot.
+ */
+
+import { findPivots } from './pivots.js';
+
+const OSCILLATORS = {
+  rsi: { key: 'rsi', oversold: 30, overbought: 70 },
+  stochRsi: { key: 'stochK', oversold: 20, overbought: 80 },
+  macd: { key: 'macdHistogram', oversold: null, overbought: null }
+};
+
+const DEFAULT_OPTIONS = {
+  pivotStrength: 3,   // Candles on each side of a pivot
+  minDistance: 5,     // Candles between the two pivots
+  maxDistance: 60,
+  maxAge: 15          // Latest pivot must be at most this many candles old
+};
+
+function strengthLabel(score) {
+  if (score >= 60) return 'strong';
+  if (score >= 30) return 'moderate';
+  return 'weak';
+}
+
+/**
+ * Classify a pair of pivots on one side
+ * @returns {Object|null} { type, direction } or null when price and oscillator agree
+ */
+function classify(side, from, to) {
+  if (side === 'lows') {
+    if (to.price < from.price && to.value > from.value) return { type: 'regular', direction: 'bullish' };
+    if (to.price > from.price && to.value < from.value) return { type: 'hidden', direction: 'bullish' };
+  } else {
+    if (to.price > from.price && to.value < from.value) return { type: 'regular', direction: 'bearish' };
+    if (to.price < from.price && to.value > from.value) return { type: 'hidden', direction: 'bearish' };
+  }
+  return null;
+}
+
+/**
+ * Detect regular and hidden divergences between price pivots and oscillators
+ * @param {Array} candles - OHLC candle array (oldest → newest)
+ * @param {Array} oscillatorHistory - [{ timestamp, rsi, stochK, macdHistogram }] for the latest candles
+ * @param {Object} options - { pivotStrength, minDistance, maxDistance, maxAge }
+ * @returns {Array} [{ type, direction, oscillator, strength, label, age, from, to }], newest first
+ */
+export function detectDivergences(candles, oscillatorHistory, options = {}) {
+  const { pivotStrength, minDistance, maxDistance, maxAge } = { ...DEFAULT_OPTIONS, ...options };
+  if (!Array.isArray(candles) || !Array.isArray(oscillatorHistory) || oscillatorHistory.length === 0) {
+    return [];
+  }
+
+  const byTimestamp = new Map(oscillatorHistory.map(entry => [entry.timestamp, entry]));
+  const window = candles.slice(-oscillatorHistory.length);
+  if (window.length < pivotStrength * 2 + minDistance) return [];
+
+  const { highs, lows } = findPivots(window, { left: pivotStrength, right: pivotStrength });
+  const lastIndex = window.length - 1;
+  const priceRange = Math.max(...window.map(c => c.high)) - Math.min(...window.map(c => c.low));
+  const divergences = [];
+
+  for (const [oscillator, { key, oversold, overbought }] of Object.entries(OSCILLATORS)) {
+    const values = oscillatorHistory.map(entry => entry[key]).filter(value => value != null);
+    if (values.length === 0) continue;
+    const oscillatorRange = Math.max(...values) - Math.min(...values);
+
+    for (const [side, pivots] of [['lows', lows], ['highs', highs]]) {
+      const points = pivots
+        .map(pivot => ({ ...pivot, value: byTimestamp.get(pivot.timestamp)?.[key] ?? null }))
+        .filter(point => point.value !== null);
+      const to = points[points.length - 1];
+      if (!to || lastIndex - to.index > maxAge) continue;
+
+      // Most recent earlier pivot in range that the oscillator disagrees with
+      for (let i = points.length - 2; i >= 0; i--) {
+        const from = points[i];
+        const distance = to.index - from.index;
+        if (distance < minDistance) continue;
+        if (distance > maxDistance) break;
+
+        const kind = classify(side, from, to);
+        if (!kind) continue;
+
+        const oscillatorScore = oscillatorRange > 0 ? Math.min(1, Math.abs(to.value - from.value) / oscillatorRange) : 0;
+        const priceScore = priceRange > 0 ? Math.min(1, Math.abs(to.price - from.price) / priceRange) : 0;
+        const extreme = side === 'lows'
+          ? oversold !== null && to.value <= oversold
+          : overbought !== null && to.value >= overbought;
+        const strength = Math.min(100, Math.round(oscillatorScore * 60 + priceScore * 40 + (extreme ? 10 : 0)));
+
+        divergences.push({
+          ...kind,
+          oscillator,
+          strength,
+          label: strengthLabel(strength),
+          age: lastIndex - to.index,
+          from: { timestamp: from.timestamp, price: from.price, value: from.value },
+          to: { timestamp: to.timestamp, price: to.price, value: to.value }
+        });
+        break;
+      }
+    }
+  }
+
+  return divergences.sort((a, b) => a.age - b.age || b.strength - a.strength);
+}
+
+/**
+ * Net divergence bias for a trend, for confluence scoring
+ * Divergences pointing the trend's way (hidden continuation, or regular against a pullback) support it;
+ * ones pointing the other way warn of exhaustion
+ * @param {Array} divergences - From detectDivergences
+ * @param {string} trend - 'UPTREND' | 'DOWNTREND' | 'FLAT'
+ * @returns {Object} { supporting, opposing } strongest strength (0-100) on each side
+ */
+export function divergenceBias(divergences, trend) {
+  const trendDirection = trend === 'UPTREND' ? 'bullish' : trend === 'DOWNTREND' ? 'bearish' : null;
+  let supporting = 0;
+  let opposing = 0;
+  if (!trendDirection || !Array.isArray(divergences)) return { supporting, opposing };
+
+  for (const divergence of divergences) {
+    if (divergence.direction === trendDirection) {
+      supporting = Math.max(supporting, divergence.strength);
+    } else {
+      opposing = Math.max(opposing, divergence.strength);
+    }
+  }
+  return { supporting, opposing };
+}
@@ -0,0 +1,130 @@
+/**
+ * Fibonacci Module
+ *
+ * Automatic Fibonacci retracements and extensions anchored on the most recent significant swing:
+ * - The swing is the newest leg between a confirmed pivot and the last opposite pivot before it that
+ *   spans at least `minSwingFactor` × the average candle range
+ * - If price has since run past the leg's end, the leg stretches to the new extreme; if it has broken
+ *   the leg's start, the swing is the move between the highest high and lowest low since the leg's end
+ * - Retracements (0.382/0.5/0.618/0.786) are measured back from the end of the leg,
+ *   extensions (1.272/1.618) project beyond it from the start
+ * - Golden pocket: the 0.618-0.65 retracement band
+ */
+
+import { findPivots } from './pivots.js';
+
+export const FIB_RETRACEMENTS = [0.382, 0.5, 0.618, 0.786];
+export const FIB_EXTENSIONS = [1.272, 1.618];
+export const GOLDEN_POCKET = [0.618, 0.65];
+
+const DEFAULT_OPTIONS = {
+  lookback: 150,       // Candles scanned for the swing
+  pivotStrength: 5,    // Candles on each side of a swing pivot
+  minSwingFactor: 3    // Swing must span at least this × the average candle range
+};
+
+/**
+ * Find the newest significant leg among the pivots
+ * @returns {Object|null} { start, end } pivots of opposite types
+ */
+function findSignificantLeg(pivots, minSize) {
+  for (let i = pivots.length - 1; i > 0; i--) {
+    const end = pivots[i];
+    for (let j = i - 1; j >= 0; j--) {
+      if (pivots[j].type === end.type) continue;
+      if (Math.abs(end.price - pivots[j].price) >= minSize) return { start: pivots[j], end };
+      break;
+    }
+  }
+  return null;
+}
+
+/**
+ * Most extreme high or low after `from` (inclusive)
+ */
+function extremeAfter(candles, from, type) {
+  let best = null;
+  for (let i = from; i < candles.length; i++) {
+    const price = type === 'high' ? candles[i].high : candles[i].low;
+    if (!best || (type === 'high' ? price > best.price : price < best.price)) {
+      best = { type, index: i, timestamp: candles[i].timestamp, price };
+    }
+  }
+  return best;
+}
+
+/**
+ * Compute Fibonacci levels for the most recent significant swing
+ * @param {Array} candles - OHLC candle array (oldest → newest)
+ * @param {Object} options - { lookback, pivotStrength, minSwingFactor }
+ * @returns {Object|null} {
+ *   direction: 'up' | 'down' (the swing leg),
+ *   swingHigh: { price, timestamp }, swingLow: { price, timestamp },
+ *   retracements: [{ ratio, price }], extensions: [{ ratio, price }],
+ *   goldenPocket: { top, bottom }, retracement: how far price has pulled back into the leg (0 = at its end, 1 = at its start),
+ *   inGoldenPocket
+ * } or null without a significant swing
+ */
+export function computeFibonacci(candles, options = {}) {
+  const { lookback, pivotStrength, minSwingFactor } = { ...DEFAULT_OPTIONS, ...options };
+  if (!Array.isArray(candles) || candles.length < pivotStrength * 2 + 1) return null;
+
+  const window = candles.slice(-lookback);
+  const { highs, lows } = findPivots(window, { left: pivotStrength, right: pivotStrength });
+  const pivots = [
+    ...highs.map(pivot => ({ ...pivot, type: 'high' })),
+    ...lows.map(pivot => ({ ...pivot, type: 'low' }))
+  ].sort((a, b) => a.index - b.index);
+
+  const averageRange = window.reduce((sum, c) => sum + (c.high - c.low), 0) / window.length;
+  const leg = findSignificantLeg(pivots, averageRange * minSwingFactor);
+  if (!leg) return null;
+
+  let { start, end } = leg;
+  const beyondEnd = extremeAfter(window, end.index, end.type);
+  const beyondStart = extremeAfter(window, end.index + 1, start.type);
+  const isUp = end.type === 'high';
+  if (beyondStart && (isUp ? beyondStart.price < start.price : beyondStart.price > start.price)) {
+    // Price broke the start of the leg: the swing is now the move between the two new extremes
+    [start, end] = beyondEnd.index < beyondStart.index ? [beyondEnd, beyondStart] : [beyondStart, beyondEnd];
+  } else {
+    end = beyondEnd;
+  }
+
+  const direction = end.type === 'high' ? 'up' : 'down';
+  const sign = direction === 'up' ? 1 : -1;
+  const range = Math.abs(end.price - start.price);
+  if (range === 0) return null;
+
+  const currentPrice = window[window.length - 1].close;
+  const retracementAt = ratio => end.price - sign * ratio * range;
+  const retracement = sign * (end.price - currentPrice) / range;
+  const [high, low] = direction === 'up' ? [end, start] : [start, end];
+  const pocket = GOLDEN_POCKET.map(retracementAt);
+
+  return {
+    direction,
+    swingHigh: { price: high.price, timestamp: high.timestamp },
+    swingLow: { price: low.price, timestamp: low.timestamp },
+    retracements: FIB_RETRACEMENTS.map(ratio => ({ ratio, price: retracementAt(ratio) })),
+    extensions: FIB_EXTENSIONS.map(ratio => ({ ratio, price: start.price + sign * ratio * range })),
+    goldenPocket: { top: Math.max(...pocket), bottom: Math.min(...pocket) },
+    retracement: parseFloat(retracement.toFixed(3)),
+    inGoldenPocket: retracement >= GOLDEN_POCKET[0] && retracement <= GOLDEN_POCKET[1]
+  };
+}
+
+/**
+ * Fibonacci extensions usable as take-profit targets for a trade
+ * Only a swing in the trade's direction projects targets, and only extensions beyond the entry count
+ * @param {Object} fibonacci - computeFibonacci() result
+ * @param {string} direction - 'long' or 'short'
+ * @param {number} entryPrice - Entry price
+ * @returns {Array} Extension prices nearest first
+ */
+export function fibExtensionTargets(fibonacci, direction, entryPrice) {
+  if (!fibonacci || fibonacci.direction !== (direction === 'long' ? 'up' : 'down')) return [];
+  return fibonacci.extensions
+    .map(extension => extension.price)
+    .filter(price => direction === 'long' ? price > entryPrice : price < entryPrice);
+}
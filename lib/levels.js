@@ -5,17 +5,31 @@
  * - Recent swing highs/lows
  * - Distance calculations
  * - Break detection
+ * 
+ * And a multi-timeframe level ladder: pivots from every timeframe clustered into
+ * price zones with touch counts, last-touch age, role flips and a strength score
  */
 
+import { getPricePrecision, roundPrice } from './pricePrecision.js';
+import { findPivots } from './pivots.js';
+
+// How much one touch on each timeframe counts toward a zone's strength
+const TIMEFRAME_WEIGHTS = {
+  '1M': 5, '1w': 4, '3d': 3.5, '1d': 3, '4h': 2.5, '1h': 2, '15m': 1.5, '5m': 1, '3m': 0.75, '1m': 0.5
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
 /**
  * Compute support and resistance levels for a timeframe
  * @param {Array} candles - OHLC candle array
  * @param {Number} currentPrice - Current market price
  * @param {Object} swingPoints - Pre-computed swing high/low
  * @param {Number} threshold - % threshold to determine "at level" (default 0.5%)
+ * @param {Object} precision - Price precision from getPricePrecision (derived from currentPrice if omitted)
  * @returns {Object} Levels analysis
  */
-export function computeLevels(candles, currentPrice, swingPoints = {}, threshold = 0.5) {
+export function computeLevels(candles, currentPrice, swingPoints = {}, threshold = 0.5, precision = null) {
   if (!Array.isArray(candles) || candles.length < 20 || !currentPrice) {
     return {
       nearestResistance: null,
@@ -52,6 +66,8 @@ export function computeLevels(candles, currentPrice, swingPoints = {}, threshold
   const atSupport = nearestSupport ? 
     distanceToSupportPct <= threshold && currentPrice >= nearestSupport : false;
   
+  const priceMeta = precision || getPricePrecision(null, currentPrice);
+
   // Check for level breaks (current and previous candle)
   const latestCandle = candles[candles.length - 1];
   const previousCandle = candles[candles.length - 2];
@@ -63,8 +79,8 @@ export function computeLevels(candles, currentPrice, swingPoints = {}, threshold
     latestCandle.close < nearestSupport && previousCandle.close >= nearestSupport : false;
   
   return {
-    nearestResistance: nearestResistance ? parseFloat(nearestResistance.toFixed(2)) : null,
-    nearestSupport: nearestSupport ? parseFloat(nearestSupport.toFixed(2)) : null,
+    nearestResistance: nearestResistance ? roundPrice(nearestResistance, priceMeta) : null,
+    nearestSupport: nearestSupport ? roundPrice(nearestSupport, priceMeta) : null,
     distanceToResistancePct: distanceToResistancePct ? parseFloat(distanceToResistancePct.toFixed(2)) : null,
     distanceToSupportPct: distanceToSupportPct ? parseFloat(distanceToSupportPct.toFixed(2)) : null,
     atResistance,
@@ -147,3 +163,109 @@ export function isAtLevel(price, level, thresholdPct = 0.5) {
   return distance <= thresholdPct;
 }
 
+/**
+ * Find level touches (pivot highs and lows) on one timeframe, for clustering into zones
+ * @param {Array} candles - OHLC candle array (oldest → newest)
+ * @param {Object} options - { lookback: candles scanned (150), strength: candles each side of a pivot (3) }
+ * @returns {Array} [{ price, kind: 'high' | 'low', timestamp }] oldest first
+ */
+export function findLevelTouches(candles, { lookback = 150, strength = 3 } = {}) {
+  if (!Array.isArray(candles)) return [];
+  const { highs, lows } = findPivots(candles.slice(-lookback), { left: strength, right: strength });
+  return [
+    ...highs.map(({ price, timestamp }) => ({ price, kind: 'high', timestamp })),
+    ...lows.map(({ price, timestamp }) => ({ price, kind: 'low', timestamp }))
+  ].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Score a zone 0-100
+ * - Touches (up to 60): 8 per touch, weighted by timeframe (a 4h touch counts 2.5×, a 5m touch 1×)
+ * - Role flips (up to 20): 10 per flip between support and resistance
+ * - Recency (up to 20): fades linearly to 0 over 30 days since the last touch
+ */
+function scoreZone(touches, roleFlips, hoursAgo) {
+  const weightedTouches = touches.reduce((sum, touch) => sum + (TIMEFRAME_WEIGHTS[touch.timeframe] ?? 1), 0);
+  const touchScore = Math.min(60, weightedTouches * 8);
+  const flipScore = Math.min(20, roleFlips * 10);
+  const recencyScore = 20 * Math.max(0, 1 - hoursAgo / (24 * 30));
+  return Math.round(touchScore + flipScore + recencyScore);
+}
+
+/**
+ * Cluster level touches from several timeframes into support/resistance zones
+ * Touches within tolerancePct of a zone's lowest touch join that zone. Role flips count how often
+ * consecutive touches switched between pivot low (support) and pivot high (resistance).
+ * @param {Object} touchesByTimeframe - { '4h': [...findLevelTouches], '1h': [...], ... }
+ * @param {Number} currentPrice - Current market price
+ * @param {Object} options - { tolerancePct (0.3), maxLevels per side (5), now (timestamp for ages,
+ *   default Date.now()), precision (from getPricePrecision) }
+ * @returns {Object} { resistance: [...], support: [...] } nearest first, each
+ *   { price, top, bottom, role, touches, timeframes, lastTouch, lastTouchHoursAgo, roleFlips, strength, distancePct }
+ */
+export function clusterLevelZones(touchesByTimeframe, currentPrice, options = {}) {
+  const { tolerancePct = 0.3, maxLevels = 5, now = Date.now(), precision = null } = options;
+  if (!currentPrice || !touchesByTimeframe) return { resistance: [], support: [] };
+
+  const touches = Object.entries(touchesByTimeframe)
+    .flatMap(([timeframe, list]) => (list || []).map(touch => ({ ...touch, timeframe })))
+    .sort((a, b) => a.price - b.price);
+
+  const clusters = [];
+  for (const touch of touches) {
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && (touch.price - cluster[0].price) / cluster[0].price * 100 <= tolerancePct) {
+      cluster.push(touch);
+    } else {
+      clusters.push([touch]);
+    }
+  }
+
+  const priceMeta = precision || getPricePrecision(null, currentPrice);
+  const zones = clusters.map(cluster => {
+    const byTime = [...cluster].sort((a, b) => a.timestamp - b.timestamp);
+    const roleFlips = byTime.filter((touch, i) => i > 0 && touch.kind !== byTime[i - 1].kind).length;
+    const lastTouch = byTime[byTime.length - 1].timestamp;
+    const hoursAgo = Math.max(0, (now - lastTouch) / HOUR_MS);
+    const price = cluster.reduce((sum, touch) => sum + touch.price, 0) / cluster.length;
+    return {
+      price: roundPrice(price, priceMeta),
+      top: roundPrice(cluster[cluster.length - 1].price, priceMeta),
+      bottom: roundPrice(cluster[0].price, priceMeta),
+      role: price > currentPrice ? 'resistance' : 'support',
+      touches: cluster.length,
+      timeframes: [...new Set(cluster.map(touch => touch.timeframe))],
+      lastTouch: new Date(lastTouch).toISOString(),
+      lastTouchHoursAgo: parseFloat(hoursAgo.toFixed(1)),
+      roleFlips,
+      strength: scoreZone(cluster, roleFlips, hoursAgo),
+      distancePct: parseFloat((Math.abs(price - currentPrice) / currentPrice * 100).toFixed(2))
+    };
+  });
+
+  const byDistance = (a, b) => a.distancePct - b.distancePct;
+  return {
+    resistance: zones.filter(zone => zone.role === 'resistance').sort(byDistance).slice(0, maxLevels),
+    support: zones.filter(zone => zone.role === 'support').sort(byDistance).slice(0, maxLevels)
+  };
+}
+
+/**
+ * Build the level ladder for a multi-timeframe analysis
+ * Uses the level touches detectSwingPoints() stores on each timeframe's structure;
+ * ages are measured from the newest candle, so point-in-time replays stay consistent
+ * @param {Object} multiTimeframeData - { [tf]: { structure: { levelTouches }, lastCandle } }
+ * @param {Number} currentPrice - Current market price
+ * @param {Object} options - Passed to clusterLevelZones
+ * @returns {Object} { resistance: [...], support: [...] } nearest first
+ */
+export function computeLevelLadder(multiTimeframeData, currentPrice, options = {}) {
+  const touchesByTimeframe = {};
+  let newest = 0;
+  for (const [tf, data] of Object.entries(multiTimeframeData || {})) {
+    if (!data || data.error || !data.structure?.levelTouches) continue;
+    touchesByTimeframe[tf] = data.structure.levelTouches;
+    newest = Math.max(newest, data.lastCandle?.timestamp || 0);
+  }
+  return clusterLevelZones(touchesByTimeframe, currentPrice, { now: newest || Date.now(), ...options });
+}
@@ -0,0 +1,104 @@
+/**
+ * Market Structure Module
+ *
+ * Labels confirmed pivots as HH/HL/LH/LL and replays the candles to find structure breaks:
+ * - BOS (break of structure): a close beyond the last unbroken swing in the current direction
+ * - CHoCH (change of character): the first close beyond the last unbroken swing against it,
+ *   which flips the structure
+ * A pivot can only be broken once its right-hand candles have closed, so breaks use no hindsight.
+ * A break on the last (possibly still forming) candle can undo itself before the candle closes.
+ */
+
+import { findPivots } from './pivots.js';
+
+const DEFAULT_OPTIONS = {
+  pivotStrength: 5,   // Candles on each side of a structure pivot
+  maxPivots: 10,      // Labeled pivots returned (newest last)
+  maxEvents: 5        // BOS/CHoCH events returned (newest last)
+};
+
+const STRUCTURE_TRENDS = { bullish: 'UPTREND', bearish: 'DOWNTREND' };
+
+/**
+ * Label each pivot against the previous pivot of the same side
+ */
+function labelPivots(pivots, type, above, below) {
+  return pivots.map((pivot, i) => ({
+    ...pivot,
+    type,
+    label: i === 0 ? null : pivot.price > pivots[i - 1].price ? above : below
+  }));
+}
+
+/**
+ * Analyze market structure
+ * @param {Array} candles - OHLC candle array (oldest → newest)
+ * @param {Object} options - { pivotStrength, maxPivots, maxEvents }
+ * @returns {Object} {
+ *   trend: 'UPTREND' | 'DOWNTREND' | 'FLAT' (direction of the last BOS/CHoCH, FLAT before the first),
+ *   pivots: [{ type: 'high' | 'low', label: 'HH' | 'LH' | 'HL' | 'LL' | null, price, timestamp, candlesAgo }],
+ *   events: [{ type: 'BOS' | 'CHOCH', direction: 'bullish' | 'bearish', triggerPrice, close, timestamp,
+ *              pivotTimestamp, candlesAgo }],
+ *   lastEvent: latest event or null
+ * }
+ */
+export function analyzeMarketStructure(candles, options = {}) {
+  const { pivotStrength, maxPivots, maxEvents } = { ...DEFAULT_OPTIONS, ...options };
+  if (!Array.isArray(candles) || candles.length < pivotStrength * 2 + 1) {
+    return { trend: 'FLAT', pivots: [], events: [], lastEvent: null };
+  }
+
+  const { highs, lows } = findPivots(candles, { left: pivotStrength, right: pivotStrength });
+  const pivots = [
+    ...labelPivots(highs, 'high', 'HH', 'LH'),
+    ...labelPivots(lows, 'low', 'HL', 'LL')
+  ].sort((a, b) => a.index - b.index);
+
+  const lastIndex = candles.length - 1;
+  const events = [];
+  let direction = null;
+  let swingHigh = null;
+  let swingLow = null;
+  let next = 0;
+
+  for (let i = 0; i < candles.length; i++) {
+    // Pivots confirmed by this candle's close become breakable
+    while (next < pivots.length && pivots[next].index + pivotStrength <= i) {
+      if (pivots[next].type === 'high') swingHigh = pivots[next];
+      else swingLow = pivots[next];
+      next++;
+    }
+
+    const candle = candles[i];
+    let broken = null;
+    if (swingHigh && candle.close > swingHigh.price) {
+      broken = { swing: swingHigh, direction: 'bullish' };
+      swingHigh = null;
+    } else if (swingLow && candle.close < swingLow.price) {
+      broken = { swing: swingLow, direction: 'bearish' };
+      swingLow = null;
+    }
+    if (!broken) continue;
+
+    events.push({
+      type: direction && direction !== broken.direction ? 'CHOCH' : 'BOS',
+      direction: broken.direction,
+      triggerPrice: broken.swing.price,
+      close: candle.close,
+      timestamp: candle.timestamp,
+      pivotTimestamp: broken.swing.timestamp,
+      candlesAgo: lastIndex - i
+    });
+    direction = broken.direction;
+  }
+
+  const recentEvents = events.slice(-maxEvents);
+  return {
+    trend: STRUCTURE_TRENDS[direction] || 'FLAT',
+    pivots: pivots.slice(-maxPivots).map(({ type, label, price, timestamp, index }) => ({
+      type, label, price, timestamp, candlesAgo: lastIndex - index
+    })),
+    events: recentEvents,
+    lastEvent: recentEvents[recentEvents.length - 1] || null
+  };
+}
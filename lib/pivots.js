@@ -0,0 +1,37 @@
+/**
+ * Pivot Detection
+ *
+ * Fractal swing highs/lows: a pivot high is a candle whose high is above the `left` candles
+ * before it and not below the `right` candles after it (mirrored for lows). The last `right`
+ * candles can't be confirmed yet, so they never hold a pivot.
+ */
+
+/**
+ * Find pivot highs and lows
+ * @param {Array} candles - OHLC candle array (oldest → newest)
+ * @param {Object} options - { left: bars before (default 3), right: bars after (default 3) }
+ * @returns {Object} { highs: [{ index, timestamp, price }], lows: [...] } in candle order
+ */
+export function findPivots(candles, { left = 3, right = 3 } = {}) {
+  const highs = [];
+  const lows = [];
+  if (!Array.isArray(candles)) return { highs, lows };
+
+  for (let i = left; i < candles.length - right; i++) {
+    const candle = candles[i];
+    let isHigh = true;
+    let isLow = true;
+
+    for (let j = i - left; j <= i + right && (isHigh || isLow); j++) {
+      if (j === i) continue;
+      const other = candles[j];
+      if (j < i ? other.high >= candle.high : other.high > candle.high) isHigh = false;
+      if (j < i ? other.low <= candle.low : other.low < candle.low) isLow = false;
+    }
+
+    if (isHigh) highs.push({ index: i, timestamp: candle.timestamp, price: candle.high });
+    if (isLow) lows.push({ index: i, timestamp: candle.timestamp, price: candle.low });
+  }
+
+  return { highs, lows };
+}
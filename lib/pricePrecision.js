@@ -0,0 +1,101 @@
+/**
+ * Price Precision
+ *
+ * Per-symbol tick size and display decimals, so sub-cent assets (PEPE, SHIB)
+ * don't collapse to 0.00 when levels, entries, stops and targets are rounded
+ */
+
+// Exchange tick sizes (Kraken USD pairs). Symbols not listed here derive
+// a tick from their price, keeping ~5 significant digits.
+const TICK_SIZES = {
+  BTCUSDT: 0.1,
+  ETHUSDT: 0.01,
+  SOLUSDT: 0.01,
+  BNBUSDT: 0.01,
+  ADAUSDT: 0.000001,
+  XRPUSDT: 0.00001,
+  DOGEUSDT: 0.0000001,
+  DOTUSDT: 0.0001,
+  MATICUSDT: 0.0001,
+  LINKUSDT: 0.00001,
+  AVAXUSDT: 0.01,
+  ATOMUSDT: 0.0001,
+  UNIUSDT: 0.001,
+  AAVEUSDT: 0.01,
+  ALGOUSDT: 0.00001,
+  ARBUSDT: 0.0001,
+  OPUSDT: 0.0001,
+  SHIBUSDT: 0.00000001,
+  PEPEUSDT: 0.000000001,
+  LTCUSDT: 0.01,
+  BCHUSDT: 0.01,
+  XLMUSDT: 0.000001,
+  TRXUSDT: 0.000001,
+  ETCUSDT: 0.001,
+  XMRUSDT: 0.01,
+  FILUSDT: 0.001,
+  APTUSDT: 0.0001,
+  NEARUSDT: 0.0001,
+  ICPUSDT: 0.001,
+  INJUSDT: 0.001,
+  SUIUSDT: 0.0001,
+  TONUSDT: 0.0001
+};
+
+const DEFAULT_TICK_SIZE = 0.01;
+const MIN_DISPLAY_DECIMALS = 2; // Dollar prices always show cents
+
+function decimalsOf(tickSize) {
+  return Math.max(0, Math.ceil(-Math.log10(tickSize) - 1e-9));
+}
+
+/**
+ * Derive a tick size from a price (~5 significant digits, never coarser than a cent)
+ * @param {Number} price - Reference price
+ * @returns {Number} Tick size
+ */
+function tickSizeFromPrice(price) {
+  if (!Number.isFinite(price) || price <= 0) return DEFAULT_TICK_SIZE;
+  const tick = Number(`1e${Math.floor(Math.log10(price)) - 4}`); // Exact power of ten (Math.pow drifts)
+  return Math.min(DEFAULT_TICK_SIZE, tick);
+}
+
+/**
+ * Get price metadata for a symbol
+ * @param {String} symbol - Trading pair (optional - unknown symbols fall back to referencePrice)
+ * @param {Number} referencePrice - Typical price, used when the symbol has no known tick size
+ * @returns {Object} { tickSize, decimals }
+ */
+export function getPricePrecision(symbol = null, referencePrice = null) {
+  const tickSize = TICK_SIZES[symbol] || tickSizeFromPrice(referencePrice);
+  return {
+    tickSize,
+    decimals: Math.max(MIN_DISPLAY_DECIMALS, decimalsOf(tickSize))
+  };
+}
+
+/**
+ * Round a price to its tick size
+ * @param {Number} price - Raw price
+ * @param {Object} precision - From getPricePrecision (defaults to one derived from the price itself)
+ * @returns {Number|null} Rounded price, or null if price isn't a finite number
+ */
+export function roundPrice(price, precision = null) {
+  if (price === null || price === undefined || !Number.isFinite(Number(price))) return null;
+  const value = Number(price);
+  const { tickSize } = precision || getPricePrecision(null, Math.abs(value));
+  return parseFloat((Math.round(value / tickSize) * tickSize).toFixed(decimalsOf(tickSize)));
+}
+
+/**
+ * Format a price for display (fixed decimals, no thousands separators)
+ * @param {Number} price - Price
+ * @param {Object} precision - From getPricePrecision (defaults to one derived from the price itself)
+ * @returns {String} Formatted price, or 'N/A'
+ */
+export function formatPrice(price, precision = null) {
+  const rounded = roundPrice(price, precision);
+  if (rounded === null) return 'N/A';
+  const { decimals } = precision || getPricePrecision(null, Math.abs(rounded));
+  return rounded.toFixed(decimals);
+}
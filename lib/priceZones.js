@@ -0,0 +1,151 @@
+/**
+ * Price Zones Module
+ *
+ * Fair value gaps and order blocks, tracked candle by candle after they form:
+ * - Fair value gap (FVG): three-candle imbalance where the third candle doesn't overlap the first
+ *   (bullish: low3 > high1, bearish: high3 < low1). The zone is the untraded range between them.
+ *   Status: 'unfilled' → 'partially_filled' (price came back into the gap) → 'filled' (traded through it)
+ * - Order block (OB): the last opposing candle before a displacement move - a candle whose body is at
+ *   least `displacementFactor` × the average candle range and that closes beyond the opposing candle.
+ *   The zone is that opposing candle's range.
+ *   Status: 'unmitigated' → 'mitigated' (price came back into the block) → 'broken' (closed through it)
+ * Bullish zones sit below price and act as support, bearish zones above price as resistance.
+ * fillPct is how far price has traded back into the zone (0-100). Zones formed or touched by the
+ * last (possibly still forming) candle can change before it closes.
+ */
+
+const DEFAULT_OPTIONS = {
+  lookback: 150,            // Candles scanned for zones
+  minGapRatio: 0.1,         // FVG must be at least this × the average candle range
+  displacementFactor: 1.5,  // Displacement body must be at least this × the average candle range
+  maxZones: 8               // Newest zones returned per kind, whatever their status
+};
+
+function averageRange(candles) {
+  return candles.reduce((sum, c) => sum + (c.high - c.low), 0) / candles.length;
+}
+
+/**
+ * Follow a zone from candle `from` to the end of the window
+ * @returns {Object} { fill: 0-1 deepest retrace into the zone, broken: closed beyond the far side }
+ */
+function trackZone(zone, candles, from) {
+  const size = zone.top - zone.bottom;
+  let fill = 0;
+  let broken = false;
+
+  for (let i = from; i < candles.length; i++) {
+    const c = candles[i];
+    if (zone.direction === 'bullish') {
+      fill = Math.max(fill, (zone.top - c.low) / size);
+      broken = broken || c.close < zone.bottom;
+    } else {
+      fill = Math.max(fill, (c.high - zone.bottom) / size);
+      broken = broken || c.close > zone.top;
+    }
+  }
+
+  return { fill: Math.min(1, fill), broken };
+}
+
+function describeZone(zone, candles, index, trackFrom) {
+  const { fill, broken } = trackZone(zone, candles, trackFrom);
+  return { ...zone, fill, broken, timestamp: candles[index].timestamp, candlesAgo: candles.length - 1 - index };
+}
+
+/**
+ * Detect fair value gaps
+ * @param {Array} candles - OHLC candle array (oldest → newest)
+ * @param {Object} options - { lookback, minGapRatio, maxZones }
+ * @returns {Array} [{ type: 'fvg', direction, top, bottom, status, fillPct, timestamp, candlesAgo }], newest last
+ */
+export function detectFairValueGaps(candles, options = {}) {
+  const { lookback, minGapRatio, maxZones } = { ...DEFAULT_OPTIONS, ...options };
+  if (!Array.isArray(candles) || candles.length < 3) return [];
+
+  const window = candles.slice(-lookback);
+  const minGap = averageRange(window) * minGapRatio;
+  const gaps = [];
+
+  for (let i = 2; i < window.length; i++) {
+    const first = window[i - 2];
+    const third = window[i];
+    let zone = null;
+    if (third.low - first.high > minGap) {
+      zone = { direction: 'bullish', top: third.low, bottom: first.high };
+    } else if (first.low - third.high > minGap) {
+      zone = { direction: 'bearish', top: first.low, bottom: third.high };
+    }
+    if (!zone) continue;
+
+    // Timestamped at the middle (displacement) candle
+    const { fill, broken, ...gap } = describeZone(zone, window, i - 1, i + 1);
+    gaps.push({
+      type: 'fvg',
+      ...gap,
+      status: fill >= 1 ? 'filled' : fill > 0 ? 'partially_filled' : 'unfilled',
+      fillPct: Math.round(fill * 100)
+    });
+  }
+
+  return gaps.slice(-maxZones);
+}
+
+/**
+ * Detect order blocks
+ * @param {Array} candles - OHLC candle array (oldest → newest)
+ * @param {Object} options - { lookback, displacementFactor, maxZones }
+ * @returns {Array} [{ type: 'order_block', direction, top, bottom, status, fillPct, timestamp, candlesAgo }], newest last
+ */
+export function detectOrderBlocks(candles, options = {}) {
+  const { lookback, displacementFactor, maxZones } = { ...DEFAULT_OPTIONS, ...options };
+  if (!Array.isArray(candles) || candles.length < 2) return [];
+
+  const window = candles.slice(-lookback);
+  const minBody = averageRange(window) * displacementFactor;
+  const blocks = [];
+
+  for (let i = 0; i < window.length - 1; i++) {
+    const block = window[i];
+    const move = window[i + 1];
+    if (block.high <= block.low) continue;
+
+    let direction = null;
+    if (block.close < block.open && move.close - move.open >= minBody && move.close > block.high) {
+      direction = 'bullish';
+    } else if (block.close > block.open && move.open - move.close >= minBody && move.close < block.low) {
+      direction = 'bearish';
+    }
+    if (!direction) continue;
+
+    const { fill, broken, ...zone } = describeZone({ direction, top: block.high, bottom: block.low }, window, i, i + 2);
+    blocks.push({
+      type: 'order_block',
+      ...zone,
+      status: broken ? 'broken' : fill > 0 ? 'mitigated' : 'unmitigated',
+      fillPct: Math.round(fill * 100)
+    });
+  }
+
+  return blocks.slice(-maxZones);
+}
+
+/**
+ * Detect fair value gaps and order blocks
+ * @param {Array} candles - OHLC candle array (oldest → newest)
+ * @param {Object} options - See DEFAULT_OPTIONS
+ * @returns {Object} { fairValueGaps, orderBlocks }
+ */
+export function detectPriceZones(candles, options = {}) {
+  return {
+    fairValueGaps: detectFairValueGaps(candles, options),
+    orderBlocks: detectOrderBlocks(candles, options)
+  };
+}
+
+/**
+ * Whether a zone can still be traded from (FVG not filled, order block not broken)
+ */
+export function isZoneActive(zone) {
+  return zone.status !== 'filled' && zone.status !== 'broken';
+}
@@ -1,7 +1,10 @@
 /**
  * Volume Analysis Module
  * 
- * Analyzes volume trends and patterns
+ * Analyzes volume trends and patterns, plus order flow: per-candle volume delta
+ * (aggressive buys minus aggressive sells), cumulative volume delta (CVD) and CVD/price divergence.
+ * Candles annotated by services/tradeFlow.js or the live feed carry trade-classified
+ * buyVolume/sellVolume/delta; anything else gets an estimate from the candle's shape.
  */
 
 /**
@@ -41,10 +44,123 @@ export function calculateVolumeAnalysis(candles, period = 20) {
     }
   }
 
+  const orderFlow = calculateOrderFlow(candles, period);
+
   return {
     current: parseFloat(currentVolume.toFixed(0)),
     avg20: parseFloat(avgVolume.toFixed(0)),
-    trend: volumeTrend
+    trend: volumeTrend,
+    ...(orderFlow && { orderFlow })
+  };
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+/**
+ * Volume delta for one candle
+ * Uses the trade-classified delta when present; otherwise estimates it from where the
+ * close sits relative to the open within the bar's range
+ * @param {Object} candle - OHLCV candle (optionally with delta)
+ * @returns {Object} { delta, fromTrades }
+ */
+function candleDelta(candle) {
+  if (typeof candle.delta === 'number') {
+    return { delta: candle.delta, fromTrades: true };
+  }
+  const range = candle.high - candle.low;
+  const delta = range > 0 ? candle.volume * (candle.close - candle.open) / range : 0;
+  return { delta, fromTrades: false };
+}
+
+/**
+ * Build the cumulative volume delta series
+ * @param {Array} candles - OHLCV array
+ * @returns {Array} [{ timestamp, delta, cvd, fromTrades }] aligned with candles
+ */
+export function calculateCvdSeries(candles) {
+  let cvd = 0;
+  return candles.map(candle => {
+    const { delta, fromTrades } = candleDelta(candle);
+    cvd += delta;
+    return { timestamp: candle.timestamp, delta, cvd, fromTrades };
+  });
+}
+
+/**
+ * Detect CVD/price divergence by comparing the last `window` bars with the `window` before
+ * - bearish: price makes a higher high but CVD makes a lower high (buyers not behind the move)
+ * - bullish: price makes a lower low but CVD makes a higher low (sellers drying up)
+ * @param {Array} candles - OHLCV array
+ * @param {Array} cvdSeries - Output of calculateCvdSeries for the same candles
+ * @param {Number} window - Bars per comparison window (default 10)
+ * @returns {Object|null} { type, description } or null when there is none
+ */
+export function detectCvdDivergence(candles, cvdSeries, window = 10) {
+  if (candles.length < window * 2 || cvdSeries.length !== candles.length) {
+    return null;
+  }
+
+  const recent = { candles: candles.slice(-window), cvd: cvdSeries.slice(-window).map(p => p.cvd) };
+  const prior = { candles: candles.slice(-window * 2, -window), cvd: cvdSeries.slice(-window * 2, -window).map(p => p.cvd) };
+
+  const priceHigh = side => Math.max(...side.candles.map(c => c.high));
+  const priceLow = side => Math.min(...side.candles.map(c => c.low));
+
+  if (priceHigh(recent) > priceHigh(prior) && Math.max(...recent.cvd) < Math.max(...prior.cvd)) {
+    return { type: 'bearish', description: 'Price made a higher high while CVD made a lower high' };
+  }
+  if (priceLow(recent) < priceLow(prior) && Math.min(...recent.cvd) > Math.min(...prior.cvd)) {
+    return { type: 'bullish', description: 'Price made a lower low while CVD made a higher low' };
+  }
+  return null;
+}
+
+/**
+ * Calculate order flow over the last `period` candles
+ * @param {Array} candles - OHLCV array (trade-annotated candles give real aggressor delta)
+ * @param {Number} period - Bars to accumulate CVD over (default 20)
+ * @returns {Object|null} Order flow or null if there is not enough volume data
+ */
+export function calculateOrderFlow(candles, period = 20) {
+  if (!Array.isArray(candles) || candles.length < period) {
+    return null;
+  }
+  if (!candles.every(c => c.volume !== undefined && c.volume !== null)) {
+    return null;
+  }
+
+  // Divergence needs two windows, so build the series over twice the period when available
+  const lookback = candles.slice(-period * 2);
+  const series = calculateCvdSeries(lookback);
+  const windowSeries = series.slice(-period);
+  const windowCandles = lookback.slice(-period);
+
+  const cvd = windowSeries.reduce((sum, point) => sum + point.delta, 0);
+  const totalVolume = windowCandles.reduce((sum, c) => sum + c.volume, 0);
+  const cvdRatio = totalVolume > 0 ? cvd / totalVolume : 0;
+  const cvdTrend = cvdRatio > 0.1 ? 'rising' : cvdRatio < -0.1 ? 'falling' : 'flat';
+
+  const tradeBars = windowSeries.filter(point => point.fromTrades).length;
+  // A divergence read off estimated candle shapes isn't order flow - only report it when every compared bar is trade-classified
+  const divergenceWindow = Math.floor(period / 2);
+  const comparedFromTrades = series.slice(-divergenceWindow * 2).every(point => point.fromTrades);
+  const source = tradeBars === windowSeries.length ? 'trades' : tradeBars === 0 ? 'estimated' : 'mixed';
+
+  return {
+    delta: round(windowSeries[windowSeries.length - 1].delta),
+    cvd: round(cvd),
+    cvdTrend,
+    buyRatio: totalVolume > 0 ? parseFloat((((totalVolume + cvd) / 2 / totalVolume) * 100).toFixed(1)) : 50,
+    divergence: comparedFromTrades ? detectCvdDivergence(lookback, series, divergenceWindow) : null,
+    source,
+    tradeBars,
+    series: windowSeries.slice(-10).map(point => ({
+      timestamp: point.timestamp,
+      delta: round(point.delta),
+      cvd: round(point.cvd - (series[series.length - period - 1]?.cvd || 0))
+    }))
   };
 }
 
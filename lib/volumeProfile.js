@@ -0,0 +1,200 @@
+/**
+ * Volume Profile Module
+ *
+ * Distributes candle volume across price bins to find where trading concentrated:
+ * - Each candle's volume is spread over the bins its high-low range covers, in proportion to the overlap
+ * - POC (point of control): the bin with the most volume
+ * - Value area: bins around the POC holding `valueAreaPct` of the volume, grown one bin at a time
+ *   toward the busier neighbour; VAH/VAL are its top and bottom
+ * - High-volume nodes (HVN): local peaks well above the average bin; low-volume nodes (LVN): local troughs well below it
+ * Variants: visible range (the last `lookback` candles), session-anchored (candles since the start of the
+ * current UTC day/week/month, plus the previous session), or any from/to range via calculateVolumeProfile.
+ */
+
+import { getPricePrecision, roundPrice } from './pricePrecision.js';
+
+const DEFAULT_OPTIONS = {
+  bins: 24,            // Price bins between the range's low and high
+  valueAreaPct: 70,    // Share of volume inside the value area
+  maxNodes: 3          // High/low-volume nodes returned each
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Session anchor for a candle spacing: intraday bars profile the day, 4h bars the week, daily bars the month
+ */
+function defaultSession(candles) {
+  const spacing = candles[candles.length - 1].timestamp - candles[candles.length - 2].timestamp;
+  if (spacing <= HOUR_MS) return 'day';
+  if (spacing <= 4 * HOUR_MS) return 'week';
+  if (spacing <= DAY_MS) return 'month';
+  return null;
+}
+
+/**
+ * Start of the UTC session containing a timestamp
+ * @param {number} timestamp - ms
+ * @param {string} session - 'day' | 'week' (Monday start) | 'month'
+ */
+export function sessionStart(timestamp, session) {
+  const date = new Date(timestamp);
+  if (session === 'month') return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  if (session === 'week') return day - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+  return day;
+}
+
+/**
+ * Local peaks (sign 1) or troughs (sign -1) of the bin volumes past a threshold, strongest first
+ */
+function findNodes(volumes, sign, threshold, maxNodes) {
+  const nodes = [];
+  for (let i = 0; i < volumes.length; i++) {
+    const left = volumes[i - 1];
+    const right = volumes[i + 1];
+    // Troughs need bins on both sides; the edges of the range are always thin
+    if (sign < 0 && (left === undefined || right === undefined)) continue;
+    const beatsLeft = left === undefined || sign * (volumes[i] - left) >= 0;
+    const beatsRight = right === undefined || sign * (volumes[i] - right) >= 0;
+    if (beatsLeft && beatsRight && sign * (volumes[i] - threshold) > 0) nodes.push(i);
+  }
+  return nodes.sort((a, b) => sign * (volumes[b] - volumes[a])).slice(0, maxNodes);
+}
+
+/**
+ * Calculate a volume profile
+ * @param {Array} candles - OHLCV candle array (oldest → newest)
+ * @param {Object} options - { bins, valueAreaPct, maxNodes, from, to (timestamps bounding the range), includeBins }
+ * @returns {Object|null} {
+ *   from, to, candleCount, low, high, totalVolume,
+ *   poc, valueAreaHigh, valueAreaLow, valueAreaPct,
+ *   highVolumeNodes: [{ price, volumePct }], lowVolumeNodes: [{ price, volumePct }],
+ *   position: 'above_value' | 'in_value' | 'below_value' (last close vs the value area),
+ *   pocDistancePct: last close vs POC (signed),
+ *   bins?: [{ low, high, volume }]
+ * } or null without volume
+ */
+export function calculateVolumeProfile(candles, options = {}) {
+  const { bins, valueAreaPct, maxNodes, from = -Infinity, to = Infinity, includeBins = false } = { ...DEFAULT_OPTIONS, ...options };
+  if (!Array.isArray(candles)) return null;
+
+  const range = candles.filter(c => c.timestamp >= from && c.timestamp <= to && c.volume > 0);
+  if (range.length < 2) return null;
+
+  const low = Math.min(...range.map(c => c.low));
+  const high = Math.max(...range.map(c => c.high));
+  if (!(high > low)) return null;
+
+  const binSize = (high - low) / bins;
+  const binOf = price => Math.min(bins - 1, Math.floor((price - low) / binSize));
+  const volumes = new Array(bins).fill(0);
+  for (const c of range) {
+    if (c.high === c.low) {
+      volumes[binOf(c.low)] += c.volume;
+      continue;
+    }
+    for (let i = binOf(c.low); i <= binOf(c.high); i++) {
+      const overlap = Math.min(c.high, low + (i + 1) * binSize) - Math.max(c.low, low + i * binSize);
+      if (overlap > 0) volumes[i] += c.volume * overlap / (c.high - c.low);
+    }
+  }
+
+  const totalVolume = volumes.reduce((sum, volume) => sum + volume, 0);
+  const pocIndex = volumes.indexOf(Math.max(...volumes));
+
+  let lower = pocIndex;
+  let upper = pocIndex;
+  let inValue = volumes[pocIndex];
+  while (inValue < totalVolume * valueAreaPct / 100 && (lower > 0 || upper < bins - 1)) {
+    const below = lower > 0 ? volumes[lower - 1] : -1;
+    const above = upper < bins - 1 ? volumes[upper + 1] : -1;
+    if (above >= below) inValue += volumes[++upper];
+    else inValue += volumes[--lower];
+  }
+
+  const close = range[range.length - 1].close;
+  const precision = getPricePrecision(null, close);
+  const binMid = i => roundPrice(low + (i + 0.5) * binSize, precision);
+  const describeNode = i => ({ price: binMid(i), volumePct: parseFloat((volumes[i] / totalVolume * 100).toFixed(1)) });
+  const average = totalVolume / bins;
+
+  const poc = binMid(pocIndex);
+  const valueAreaHigh = roundPrice(low + (upper + 1) * binSize, precision);
+  const valueAreaLow = roundPrice(low + lower * binSize, precision);
+
+  return {
+    from: range[0].timestamp,
+    to: range[range.length - 1].timestamp,
+    candleCount: range.length,
+    low: roundPrice(low, precision),
+    high: roundPrice(high, precision),
+    totalVolume: parseFloat(totalVolume.toFixed(2)),
+    poc,
+    valueAreaHigh,
+    valueAreaLow,
+    valueAreaPct,
+    highVolumeNodes: findNodes(volumes, 1, average * 1.2, maxNodes).map(describeNode),
+    lowVolumeNodes: findNodes(volumes, -1, average * 0.5, maxNodes).map(describeNode),
+    position: close > valueAreaHigh ? 'above_value' : close < valueAreaLow ? 'below_value' : 'in_value',
+    pocDistancePct: parseFloat(((close - poc) / poc * 100).toFixed(2)),
+    ...(includeBins && {
+      bins: volumes.map((volume, i) => ({
+        low: roundPrice(low + i * binSize, precision),
+        high: roundPrice(low + (i + 1) * binSize, precision),
+        volume: parseFloat(volume.toFixed(2))
+      }))
+    })
+  };
+}
+
+/**
+ * Visible-range volume profile over the last `lookback` candles
+ * @param {Array} candles - OHLCV candle array (oldest → newest)
+ * @param {Object} options - { lookback (100), ...calculateVolumeProfile options }
+ */
+export function visibleRangeProfile(candles, options = {}) {
+  const { lookback = 100, ...profileOptions } = options;
+  if (!Array.isArray(candles)) return null;
+  return calculateVolumeProfile(candles.slice(-lookback), profileOptions);
+}
+
+/**
+ * Session-anchored volume profiles for the session of the latest candle and the one before it
+ * @param {Array} candles - OHLCV candle array (oldest → newest)
+ * @param {Object} options - { session: 'day' | 'week' | 'month', ...calculateVolumeProfile options }
+ * @returns {Object|null} { session, start, current, previous } (current/previous null with under 2 candles)
+ */
+export function sessionVolumeProfile(candles, options = {}) {
+  const { session = 'day', ...profileOptions } = options;
+  if (!Array.isArray(candles) || candles.length === 0) return null;
+
+  const start = sessionStart(candles[candles.length - 1].timestamp, session);
+  const previousStart = sessionStart(start - 1, session);
+  return {
+    session,
+    start,
+    current: calculateVolumeProfile(candles, { ...profileOptions, from: start }),
+    previous: calculateVolumeProfile(candles, { ...profileOptions, from: previousStart, to: start - 1 })
+  };
+}
+
+/**
+ * Volume profiles for a timeframe: visible range plus the session that suits its candle spacing
+ * @param {Array} candles - OHLCV candle array (oldest → newest)
+ * @param {Object} options - { lookback, session (overrides the default anchor), ...calculateVolumeProfile options }
+ * @returns {Object|null} { visibleRange, session } or null without volume data
+ */
+export function calculateVolumeProfiles(candles, options = {}) {
+  if (!Array.isArray(candles) || candles.length < 2) return null;
+
+  const { lookback, session = defaultSession(candles), ...profileOptions } = options;
+  const visibleRange = visibleRangeProfile(candles, { lookback, ...profileOptions });
+  if (!visibleRange) return null;
+
+  return {
+    visibleRange,
+    session: session ? sessionVolumeProfile(candles, { session, ...profileOptions }) : null
+  };
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Import Candles
+ * Loads a CSV or JSON OHLCV export (another venue, TradingView...) under a custom symbol
+ * so /api/analyze/<SYMBOL> and the scanner can use it like any Kraken pair
+ *
+ * Usage: node scripts/import-candles.js <file> --symbol SPX [--interval 1h] [--name "S&P 500"]
+ *                                              [--source tradingview] [--format csv|json] [--replace]
+ *        node scripts/import-candles.js --list
+ *
+ * The interval is detected from the bar spacing and the format from the file when omitted
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import * as marketData from '../services/marketData.js';
+
+function parseArgs(argv) {
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--replace' || arg === '--list') {
+      args[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args.files.push(arg);
+    }
+  }
+  return args;
+}
+
+async function listImports() {
+  const symbols = await marketData.getImportedSymbols();
+  if (symbols.length === 0) {
+    console.log('No imported symbols yet');
+    return;
+  }
+  console.log(`📦 ${symbols.length} imported symbol(s):\n`);
+  for (const { symbol, name, source, intervals, updatedAt } of symbols) {
+    console.log(`   ${symbol.padEnd(16)} ${name} (${source}) - ${intervals.join(', ')} - updated ${updatedAt}`);
+  }
+}
+
+async function importFiles(args) {
+  if (args.files.length === 0 || !args.symbol) {
+    console.error('Usage: node scripts/import-candles.js <file> --symbol SPX [--interval 1h] [--name "S&P 500"] [--source tradingview] [--replace]');
+    process.exit(1);
+  }
+
+  for (const file of args.files) {
+    const content = await fs.readFile(file, 'utf8');
+    const extension = path.extname(file).slice(1).toLowerCase();
+
+    console.log(`📥 Importing ${file} as ${args.symbol.toUpperCase()}...`);
+    const result = await marketData.importCandles({
+      symbol: args.symbol,
+      content,
+      interval: args.interval,
+      format: args.format || (['csv', 'json'].includes(extension) ? extension : null),
+      name: args.name,
+      source: args.source,
+      replace: Boolean(args.replace)
+    });
+
+    console.log(`✅ ${result.symbol} ${result.interval}: ${result.imported} candles imported, ${result.stored} stored`);
+    console.log(`   Range: ${result.first} → ${result.last}`);
+    console.log(`   Quality: ${result.quality.status}${result.quality.issues.length ? ` (${result.quality.issues.join('; ')})` : ''}`);
+  }
+
+  console.log(`\nAnalyze it: /api/analyze/${args.symbol.toUpperCase()}`);
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+(args.list ? listImports() : importFiles(args)).catch(error => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
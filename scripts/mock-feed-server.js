@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Trade Feed Server
+ * Speaks the subset of the Kraken WebSocket v2 trade channel that services/liveCandles.js uses,
+ * streaming random-walk trades so live candles can be developed offline
+ *
+ * Usage: node scripts/mock-feed-server.js
+ *        LIVE_CANDLES=true LIVE_FEED_URL=ws://localhost:8765 npm start
+ *
+ * Env: MOCK_FEED_PORT (default 8765), MOCK_FEED_INTERVAL_MS (default 250)
+ */
+
+import { WebSocketServer } from 'ws';
+
+const PORT = parseInt(process.env.MOCK_FEED_PORT) || 8765;
+const TICK_MS = parseInt(process.env.MOCK_FEED_INTERVAL_MS) || 250;
+
+// Rough starting prices so the bars look plausible
+const START_PRICES = {
+  'BTC/USD': 65000,
+  'ETH/USD': 3200,
+  'SOL/USD': 150
+};
+
+const prices = new Map();
+let tradeId = 1;
+
+function nextTrade(symbol) {
+  const last = prices.get(symbol) ?? START_PRICES[symbol] ?? 100;
+  const price = last * (1 + (Math.random() - 0.5) * 0.001); // ±0.05% per tick
+  prices.set(symbol, price);
+
+  return {
+    symbol,
+    side: Math.random() > 0.5 ? 'buy' : 'sell',
+    price: parseFloat(price.toPrecision(8)),
+    qty: parseFloat((Math.random() * 2).toFixed(6)),
+    ord_type: 'market',
+    trade_id: tradeId++,
+    timestamp: new Date().toISOString()
+  };
+}
+
+const server = new WebSocketServer({ port: PORT });
+
+server.on('connection', socket => {
+  const subscribed = new Set();
+  console.log('🔌 Client connected');
+
+  const timer = setInterval(() => {
+    if (subscribed.size === 0) return;
+    socket.send(JSON.stringify({
+      channel: 'trade',
+      type: 'update',
+      data: [...subscribed].map(nextTrade)
+    }));
+  }, TICK_MS);
+
+  socket.on('message', raw => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (message.method === 'subscribe' && message.params?.channel === 'trade') {
+      for (const symbol of message.params.symbol || []) {
+        subscribed.add(symbol);
+        socket.send(JSON.stringify({
+          method: 'subscribe',
+          success: true,
+          result: { channel: 'trade', symbol },
+          time_in: new Date().toISOString(),
+          time_out: new Date().toISOString()
+        }));
+      }
+      console.log(`📡 Subscribed: ${[...subscribed].join(', ')}`);
+    }
+  });
+
+  socket.on('close', () => {
+    clearInterval(timer);
+    console.log('🔌 Client disconnected');
+  });
+});
+
+console.log(`🧪 Mock trade feed listening on ws://localhost:${PORT} (tick ${TICK_MS}ms)`);
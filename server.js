@@ -12,9 +12,14 @@ import axios from 'axios';
 import * as binanceService from './services/binance.js';
 import * as coingeckoService from './services/coingecko.js';
 import * as indicatorService from './services/indicators.js';
+import * as indicatorEngine from './services/indicatorEngine.js';
 import * as strategyService from './services/strategy.js';
 import * as marketData from './services/marketData.js';
 import * as scannerService from './services/scanner.js';
+import * as liveCandles from './services/liveCandles.js';
+import { normalizeSymbol } from './services/symbols.js';
+import { getPricePrecision, roundPrice, formatPrice } from './lib/pricePrecision.js';
+import { computeLevelLadder } from './lib/levels.js';
 
 // Use CoinGecko as fallback if Binance is geo-restricted (for old endpoints)
 let dataService = binanceService;
@@ -33,12 +38,21 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Every :symbol route sees the canonical spelling ('btc-eur' → 'BTCEUR', 'XBTUSD' → 'BTCUSD')
+app.param('symbol', (req, res, next, symbol) => {
+  req.params.symbol = normalizeSymbol(symbol);
+  next();
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    service: 'Snapshot TradingView API'
+    service: 'Snapshot TradingView API',
+    dataProviders: marketData.getProviderStatus(),
+    liveCandles: liveCandles.getLiveStatus(),
+    indicatorEngine: indicatorEngine.getEngineStats()
   });
 });
 
@@ -220,29 +234,34 @@ app.get('/api/validate/:symbol', async (req, res) => {
 });
 
 /**
- * GET /api/symbols
- * Get list of all supported trading symbols with metadata
- * Optional: ?all=true to fetch ALL pairs from Kraken dynamically
+ * GET/POST/DELETE /api/symbols
+ * Supported symbols with metadata (?all=true for every Kraken pair, imported symbols appended
+ * with imported: true), plus the symbol registry admin API (?registry=true, ?asset=CODE)
+ * Body (POST): { asset, name?, featured?, dashboard?, kraken?, coingecko?, solanaMint?, decimals?, ... }
  */
-app.get('/api/symbols', async (req, res) => {
+app.all('/api/symbols', async (req, res) => {
   try {
-    const fetchAll = req.query.all === 'true';
-    
-    let symbols;
-    if (fetchAll) {
-      console.log('📥 Fetching ALL trading pairs from Kraken...');
-      symbols = await marketData.getAllKrakenPairs();
-    } else {
-      symbols = marketData.getSupportedSymbolsWithInfo();
-    }
-    
-    res.json({
-      count: symbols.length,
-      symbols,
-      source: fetchAll ? 'kraken-dynamic' : 'hardcoded'
-    });
+    const { default: symbolsHandler } = await import('./api/symbols.js');
+    return symbolsHandler(req, res);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Error loading symbols handler:', error);
+    return res.status(500).json({ error: 'Failed to load symbols handler' });
+  }
+});
+
+/**
+ * GET/POST/DELETE /api/indicator-profiles
+ * Named indicator settings and their symbol/timeframe assignments
+ * (?name=fast, ?symbol=DOGEUSDT&interval=5m for the profile that applies there)
+ * Body (POST): { name, description?, params } to add/update, { profile, symbol?, interval? } to assign
+ */
+app.all('/api/indicator-profiles', async (req, res) => {
+  try {
+    const { default: profilesHandler } = await import('./api/indicator-profiles.js');
+    return profilesHandler(req, res);
+  } catch (error) {
+    console.error('Error loading indicator profiles handler:', error);
+    return res.status(500).json({ error: 'Failed to load indicator profiles handler' });
   }
 });
 
@@ -252,21 +271,32 @@ app.get('/api/symbols', async (req, res) => {
  * This is the main endpoint for the "set and forget" system
  * Uses marketData module as single source of truth for OHLCV data
  * Example: /api/analyze/BTCUSDT?intervals=4h,1h,15m,5m
+ * Non-standard timeframes are resampled: /api/analyze/BTCUSDT?intervals=12h,6h,2h,15m
+ * Point-in-time replay: /api/analyze/BTCUSDT?asOf=2024-08-05T00:00:00Z
  */
 app.get('/api/analyze/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
     const intervals = req.query.intervals 
-      ? req.query.intervals.split(',') 
+      ? req.query.intervals.split(',').map(i => i.trim()).filter(Boolean) 
       : ['4h', '1h', '15m', '5m'];
 
+    // Point-in-time replay: every timeframe is truncated to candles closed by asOf
+    let asOf;
+    try {
+      asOf = marketData.parseAsOf(req.query.asOf);
+    } catch (asOfError) {
+      return res.status(400).json({ error: asOfError.message });
+    }
+
     console.log(`\n${'='.repeat(60)}`);
     console.log(`📊 ANALYZE REQUEST: ${symbol}`);
     console.log(`   Intervals: ${intervals.join(', ')}`);
+    if (asOf) console.log(`   As of: ${new Date(asOf).toISOString()}`);
     console.log(`${'='.repeat(60)}\n`);
 
     // Fetch multi-timeframe OHLCV data from marketData module
-    const multiData = await marketData.getMultiTimeframeData(symbol, intervals, 500);
+    const multiData = await marketData.getMultiTimeframeData(symbol, intervals, 500, asOf);
 
     // Calculate indicators for each timeframe
     const analysis = {};
@@ -289,13 +319,15 @@ app.get('/api/analyze/:symbol', async (req, res) => {
         console.log(`📈 ${interval}: Processing ${candles.length} candles...`);
         
         // Calculate all indicators (strategy engine expects this format)
-        const indicators = indicatorService.calculateAllIndicators(candles);
-        const swingPoints = indicatorService.detectSwingPoints(candles, 20);
+        const indicators = indicatorService.calculateAllIndicators(candles, { symbol, interval, asOf });
+        const swingPoints = indicatorService.detectSwingPoints(candles, indicators.metadata.profile.params.swingLookback);
         
         analysis[interval] = {
           indicators,
           structure: swingPoints,
           candleCount: candles.length,
+          provider: candles.provider || null,
+          quality: candles.quality || null,
           lastCandle: candles[candles.length - 1]
         };
         
@@ -308,8 +340,9 @@ app.get('/api/analyze/:symbol', async (req, res) => {
 
     // Get current price
     console.log(`\n💰 Fetching current price for ${symbol}...`);
-    const ticker = await marketData.getTickerPrice(symbol);
-    console.log(`✅ Price: $${ticker.price.toLocaleString()}`);
+    const ticker = asOf ? marketData.getTickerAsOf(symbol, multiData) : await marketData.getTickerPrice(symbol);
+    const pricePrecision = getPricePrecision(symbol, ticker.price);
+    console.log(`✅ Price: $${formatPrice(ticker.price, pricePrecision)}`);
 
     // Get setupType and mode from query (default to 'auto' and 'STANDARD')
     const setupType = req.query.setupType || 'auto';
@@ -336,9 +369,11 @@ app.get('/api/analyze/:symbol', async (req, res) => {
     res.json({
       ...canonicalResult,
       currentPrice: ticker.price,
+      pricePrecision,
       priceChange24h: ticker.priceChangePercent,
       analysis,
       tradeSignal, // Backward compatibility alias
+      asOf: asOf ? new Date(asOf).toISOString() : null,
       timestamp: new Date().toISOString()
     });
 
@@ -355,6 +390,8 @@ app.get('/api/analyze/:symbol', async (req, res) => {
  * Returns rich strategy object with ALL strategies (even NO_TRADE ones)
  * Includes htfBias, timeframes, and all strategy evaluations
  * Example: /api/analyze-full?symbol=BTCUSDT&mode=STANDARD
+ * Point-in-time replay: /api/analyze-full?symbol=BTCUSDT&asOf=2024-08-05T00:00:00Z
+ * Book slippage for given notionals: /api/analyze-full?symbol=BTCUSDT&orderSize=25000,100000
  */
 app.get('/api/analyze-full', async (req, res) => {
   try {
@@ -364,7 +401,7 @@ app.get('/api/analyze-full', async (req, res) => {
     if (!symbol && req.url) {
       const pathMatch = req.url.match(/\/api\/analyze-full\/([^?]+)/);
       if (pathMatch) {
-        symbol = pathMatch[1];
+        symbol = decodeURIComponent(pathMatch[1]);
       }
     }
 
@@ -373,20 +410,39 @@ app.get('/api/analyze-full', async (req, res) => {
         error: 'Missing required parameter: symbol'
       });
     }
+
+    // Any spelling ('btc/eur', 'ETH-BTC', 'XBTUSD') → canonical BASEQUOTE
+    symbol = normalizeSymbol(symbol);
     
     // Get mode from query (default to 'STANDARD')
     const mode = req.query.mode || 'STANDARD';
     
+    // Point-in-time replay: every timeframe is truncated to candles closed by asOf
+    let asOf;
+    try {
+      asOf = marketData.parseAsOf(req.query.asOf);
+    } catch (asOfError) {
+      return res.status(400).json({ error: asOfError.message });
+    }
+    
     // Parse intervals (default includes all timeframes including 1M, 1w, 3m)
     const { intervals } = req.query;
     const intervalList = intervals 
       ? intervals.split(',').map(i => i.trim()) 
       : ['1M', '1w', '3d', '1d', '4h', '1h', '15m', '5m', '3m', '1m'];
 
+    // Order notionals (quote currency) to estimate book slippage for, e.g. orderSize=25000,100000
+    const orderSizes = req.query.orderSize
+      ? String(req.query.orderSize).split(',').map(Number)
+      : undefined;
+    if (orderSizes && orderSizes.some(size => !Number.isFinite(size) || size <= 0)) {
+      return res.status(400).json({ error: 'orderSize must be a comma-separated list of positive numbers' });
+    }
+
     console.log(`[Analyze-Full] Processing ${symbol} (mode: ${mode}) for intervals: ${intervalList.join(', ')}`);
 
     // Fetch multi-timeframe OHLCV data
-    const multiData = await marketData.getMultiTimeframeData(symbol, intervalList, 500);
+    const multiData = await marketData.getMultiTimeframeData(symbol, intervalList, 500, asOf);
 
     // Calculate indicators for each timeframe
     const analysis = {};
@@ -402,13 +458,15 @@ app.get('/api/analyze-full', async (req, res) => {
       }
 
       try {
-        const indicators = indicatorService.calculateAllIndicators(candles);
-        const swingPoints = indicatorService.detectSwingPoints(candles, 20);
+        const indicators = indicatorService.calculateAllIndicators(candles, { symbol, interval, asOf });
+        const swingPoints = indicatorService.detectSwingPoints(candles, indicators.metadata.profile.params.swingLookback);
         
         analysis[interval] = {
           indicators,
           structure: swingPoints,
           candleCount: candles.length,
+          provider: candles.provider || null,
+          quality: candles.quality || null,
           lastCandle: candles[candles.length - 1]
         };
       } catch (err) {
@@ -417,128 +475,85 @@ app.get('/api/analyze-full', async (req, res) => {
     }
 
     // Get current price and market data
-    const ticker = await marketData.getTickerPrice(symbol);
-    const currentPrice = parseFloat(ticker.price.toFixed(2));
+    const ticker = asOf ? marketData.getTickerAsOf(symbol, multiData) : await marketData.getTickerPrice(symbol);
+    const pricePrecision = getPricePrecision(symbol, ticker.price);
+    const currentPrice = roundPrice(ticker.price, pricePrecision);
     
-    // Fetch additional market data (spread, bid/ask, order book, recent trades)
+    // Live spread/book/trades and prediction markets only exist for the present on a Kraken
+    // market - replays (no post-asOf leaks) and imported symbols run on candles alone
+    const krakenSymbol = (await marketData.isImportedSymbol(symbol)) ? null : marketData.getKrakenPair(symbol);
     let marketDataInfo = null;
-    try {
-      const krakenSymbol = marketData.SYMBOL_MAP?.[symbol]?.kraken || 'XBTUSD';
-      const tickerResponse = await axios.get('https://api.kraken.com/0/public/Ticker', {
-        params: { pair: krakenSymbol },
-        timeout: 5000
-      });
+    let dflowData = null;
+    if (!asOf && krakenSymbol) {
+      // Fetch additional market data (spread, bid/ask, order book, recent trades)
+      try {
+        const tickerResponse = await axios.get('https://api.kraken.com/0/public/Ticker', {
+          params: { pair: krakenSymbol },
+          timeout: 5000
+        });
       
-      if (tickerResponse.data && !tickerResponse.data.error) {
-        const pairKey = Object.keys(tickerResponse.data.result)[0];
-        const tickerInfo = tickerResponse.data.result[pairKey];
+        if (tickerResponse.data && !tickerResponse.data.error?.length) {
+          const pairKey = Object.keys(tickerResponse.data.result)[0];
+          const tickerInfo = tickerResponse.data.result[pairKey];
         
-        const bid = parseFloat(tickerInfo.b[0]) || currentPrice;
-        const ask = parseFloat(tickerInfo.a[0]) || currentPrice;
-        const bidQty = parseFloat(tickerInfo.b[2] || tickerInfo.b[3] || 0) || 0;
-        const askQty = parseFloat(tickerInfo.a[2] || tickerInfo.a[3] || 0) || 0;
-        const tradeCount24h = parseInt(tickerInfo.t[1] || tickerInfo.t[0] || 0) || 0;
+          const bid = parseFloat(tickerInfo.b[0]) || currentPrice;
+          const ask = parseFloat(tickerInfo.a[0]) || currentPrice;
+          const bidQty = parseFloat(tickerInfo.b[2] || tickerInfo.b[3] || 0) || 0;
+          const askQty = parseFloat(tickerInfo.a[2] || tickerInfo.a[3] || 0) || 0;
+          const tradeCount24h = parseInt(tickerInfo.t[1] || tickerInfo.t[0] || 0) || 0;
         
-        const spread = Math.abs(ask - bid);
-        const spreadPercent = currentPrice > 0 ? (spread / currentPrice) * 100 : 0;
-        const totalQty = bidQty + askQty;
-        const bidAskImbalance = totalQty > 0 ? ((bidQty - askQty) / totalQty) * 100 : 0;
-        const volumeQuality = tradeCount24h > 50000 ? 'HIGH' : tradeCount24h > 20000 ? 'MEDIUM' : 'LOW';
+          const spread = Math.abs(ask - bid);
+          const spreadPercent = currentPrice > 0 ? (spread / currentPrice) * 100 : 0;
+          const totalQty = bidQty + askQty;
+          const bidAskImbalance = totalQty > 0 ? ((bidQty - askQty) / totalQty) * 100 : 0;
+          const volumeQuality = tradeCount24h > 50000 ? 'HIGH' : tradeCount24h > 20000 ? 'MEDIUM' : 'LOW';
         
-        let orderBookData = null;
-        try {
-          const orderBookResponse = await axios.get('https://api.kraken.com/0/public/Depth', {
-            params: { pair: krakenSymbol, count: 10 },
-            timeout: 5000
-          });
-          
-          if (orderBookResponse.data && !orderBookResponse.data.error) {
-            const orderBook = orderBookResponse.data.result[pairKey];
-            const bids = orderBook.bids || [];
-            const asks = orderBook.asks || [];
-            
-            const bidLiquidity = bids.reduce((sum, [price, qty]) => sum + parseFloat(qty), 0);
-            const askLiquidity = asks.reduce((sum, [price, qty]) => sum + parseFloat(qty), 0);
-            const totalLiquidity = bidLiquidity + askLiquidity;
-            const liquidityImbalance = totalLiquidity > 0 ? ((bidLiquidity - askLiquidity) / totalLiquidity) * 100 : 0;
-            
-            orderBookData = {
-              bidLiquidity: parseFloat(bidLiquidity.toFixed(3)),
-              askLiquidity: parseFloat(askLiquidity.toFixed(2)),
-              imbalance: parseFloat(liquidityImbalance.toFixed(1))
-            };
-          }
-        } catch (obError) {
-          console.warn(`[Analyze-Full] Order book unavailable for ${symbol}:`, obError.message);
-        }
+          // Order book depth: imbalance bands, walls and slippage from one snapshot;
+          // its top 10 levels also fill the orderBook liquidity summary
+          const orderBookDepth = await marketData.getOrderBookDepth(symbol, { orderSizes });
         
-        let recentTradesData = null;
-        try {
-          const tradesResponse = await axios.get('https://api.kraken.com/0/public/Trades', {
-            params: { pair: krakenSymbol, count: 100 },
-            timeout: 5000
-          });
-          
-          if (tradesResponse.data && !tradesResponse.data.error) {
-            const trades = tradesResponse.data.result[pairKey] || [];
-            let buyVolume = 0;
-            let sellVolume = 0;
-            
-            trades.forEach(([price, volume, time, side]) => {
-              const vol = parseFloat(volume);
-              if (side === 'b' || side === 'buy') {
-                buyVolume += vol;
-              } else {
-                sellVolume += vol;
-              }
-            });
-            
-            const totalVolume = buyVolume + sellVolume;
-            const buyPressure = totalVolume > 0 ? (buyVolume / totalVolume) * 100 : 50;
-            const sellPressure = totalVolume > 0 ? (sellVolume / totalVolume) * 100 : 50;
-            const volumeImbalance = buyPressure - sellPressure;
-            const overallFlow = volumeImbalance > 5 ? 'BUY' : volumeImbalance < -5 ? 'SELL' : 'NEUTRAL';
-            
-            recentTradesData = {
-              overallFlow: overallFlow,
-              buyPressure: parseFloat(buyPressure.toFixed(1)),
-              sellPressure: parseFloat(sellPressure.toFixed(1)),
-              volumeImbalance: parseFloat(volumeImbalance.toFixed(1))
-            };
-          }
-        } catch (tradesError) {
-          console.warn(`[Analyze-Full] Recent trades unavailable for ${symbol}:`, tradesError.message);
-        }
+          // Trade flow: aggressor-classified trades give the recentTrades pressure summary
+          // and per-candle CVD for each analyzed interval
+          const { recentTrades: recentTradesData, ...tradeFlowData } = await marketData.getTradeFlow(symbol, multiData);
         
-        marketDataInfo = {
-          spread: parseFloat(spread.toFixed(2)),
-          spreadPercent: parseFloat(spreadPercent.toFixed(4)),
-          bid: parseFloat(bid.toFixed(2)),
-          ask: parseFloat(ask.toFixed(2)),
-          bidAskImbalance: parseFloat(bidAskImbalance.toFixed(1)),
-          volumeQuality: volumeQuality,
-          tradeCount24h: tradeCount24h,
-          orderBook: orderBookData,
-          recentTrades: recentTradesData
-        };
+          marketDataInfo = {
+            spread: roundPrice(spread, pricePrecision),
+            spreadPercent: parseFloat(spreadPercent.toFixed(4)),
+            bid: roundPrice(bid, pricePrecision),
+            ask: roundPrice(ask, pricePrecision),
+            bidAskImbalance: parseFloat(bidAskImbalance.toFixed(1)),
+            volumeQuality: volumeQuality,
+            tradeCount24h: tradeCount24h,
+            orderBook: orderBookDepth.topOfBook || null,
+            recentTrades: recentTradesData || null,
+            tradeFlow: tradeFlowData,
+            orderBookDepth
+          };
+        }
+      } catch (error) {
+        console.warn(`[Analyze-Full] Market data unavailable for ${symbol}:`, error.message);
+        marketDataInfo = null;
       }
-    } catch (error) {
-      console.warn(`[Analyze-Full] Market data unavailable for ${symbol}:`, error.message);
-      marketDataInfo = null;
-    }
 
-    // Fetch dFlow prediction market data (non-blocking - don't fail if unavailable)
-    let dflowData = null;
-    try {
-      dflowData = await marketData.getDflowPredictionMarkets(symbol);
-    } catch (error) {
-      console.warn(`[Analyze-Full] dFlow data unavailable for ${symbol}:`, error.message);
-      dflowData = {
-        symbol,
-        error: 'dFlow API unavailable',
-        events: [],
-        markets: []
+      // Perp positioning (funding, open interest, basis) rides along in marketData;
+      // getDerivativesData never throws, sources it can't reach come back null
+      marketDataInfo = {
+        ...marketDataInfo,
+        derivatives: await marketData.getDerivativesData(symbol, currentPrice)
       };
+
+      // Fetch dFlow prediction market data (non-blocking - don't fail if unavailable)
+      try {
+        dflowData = await marketData.getDflowPredictionMarkets(symbol);
+      } catch (error) {
+        console.warn(`[Analyze-Full] dFlow data unavailable for ${symbol}:`, error.message);
+        dflowData = {
+          symbol,
+          error: 'dFlow API unavailable',
+          events: [],
+          markets: []
+        };
+      }
     }
 
     // Evaluate all strategies (pass marketData and dflowData for filters)
@@ -568,6 +583,7 @@ app.get('/api/analyze-full', async (req, res) => {
       symbol,
       mode: mode === 'STANDARD' ? 'SAFE' : 'AGGRESSIVE',
       currentPrice,
+      pricePrecision,
       htfBias: {
         direction: htfBias.direction || 'neutral',
         confidence: typeof htfBias.confidence === 'number' 
@@ -576,10 +592,14 @@ app.get('/api/analyze-full', async (req, res) => {
         source: htfBias.source || 'none'
       },
       timeframes,
+      levels: computeLevelLadder(analysis, currentPrice, { precision: pricePrecision }), // Support/resistance zones above and below price, nearest first
       strategies: { ...allStrategiesResult.strategies }, // ✅ Includes TREND_RIDER automatically
       bestSignal: allStrategiesResult.bestSignal,
+      dataProvenance: strategyService.getDataProvenance(analysis), // Real vs synthetic candles per timeframe
+      dataQuality: strategyService.getDataQuality(analysis), // Timeframes the validator flagged as broken/degraded
       marketData: marketDataInfo, // Spread, bid/ask, volume quality, order book, recent trades
       dflowData: dflowData, // Prediction market data
+      asOf: asOf ? new Date(asOf).toISOString() : null, // Set when this is a point-in-time replay
       schemaVersion: '1.0.0',
       jsonVersion: '0.05', // Increment on JSON structure changes
       generatedAt: new Date().toISOString()
@@ -606,6 +626,7 @@ app.get('/api/analyze-full', async (req, res) => {
  *   - intervals: Comma-separated intervals, default '4h,1h,15m,5m'
  *   - direction: Filter by 'long' or 'short'
  *   - all: If 'true', scan ALL Kraken pairs instead of just supported ones
+ *   - asOf: Replay the scan as of a past time (ISO date or timestamp)
  * Example: /api/scan?minConfidence=0.6&maxResults=10&direction=long
  */
 app.get('/api/scan', async (req, res) => {
@@ -618,6 +639,14 @@ app.get('/api/scan', async (req, res) => {
     const direction = req.query.direction || null;
     const useAllKrakenPairs = req.query.all === 'true';
 
+    // Point-in-time replay (scan as the market stood at asOf)
+    let asOf;
+    try {
+      asOf = marketData.parseAsOf(req.query.asOf);
+    } catch (asOfError) {
+      return res.status(400).json({ error: asOfError.message });
+    }
+
     console.log(`\n${'='.repeat(60)}`);
     console.log(`🔍 SCAN REQUEST`);
     console.log(`   Min Confidence: ${(minConfidence * 100).toFixed(0)}%`);
@@ -632,7 +661,8 @@ app.get('/api/scan', async (req, res) => {
       minConfidence,
       maxResults,
       intervals,
-      useAllKrakenPairs
+      useAllKrakenPairs,
+      asOf
     });
 
     // Apply direction filter if specified
@@ -1005,6 +1035,133 @@ app.post('/api/agent-review', async (req, res) => {
   }
 });
 
+/**
+ * Indicators over the live bars of one series
+ * Live bars get their own engine state ('live' source) so they never clash with provider candles
+ * @returns {Object|null} { ema, stochRSI, analysis } or null before the first bar
+ */
+function getLiveIndicators(symbol, interval) {
+  const candles = liveCandles.getLiveCandles(symbol, interval);
+  if (candles.length === 0) return null;
+  const { ema, stochRSI, analysis } = indicatorService.calculateAllIndicators(candles, { symbol, interval, source: 'live' });
+  return { ema, stochRSI, analysis };
+}
+
+// `${symbol}:${interval}` → { event, indicators } for the last streamed event, so every client shares one computation
+const liveStreamIndicators = new Map();
+
+/**
+ * Indicators attached to a streamed event
+ * Closes get the full set; updates arrive per trade, so they only carry the incremental engine values
+ * @returns {Object|null} { ema, stochRSI, analysis } on candle-close, { ema, stochRSI, rsi } on candle-update
+ */
+function getStreamIndicators(type, event) {
+  const key = `${event.symbol}:${event.interval}`;
+  const cached = liveStreamIndicators.get(key);
+  if (cached?.event === event) return cached.indicators;
+
+  let indicators = null;
+  if (type === 'candle-close') {
+    indicators = getLiveIndicators(event.symbol, event.interval);
+  } else {
+    const candles = liveCandles.getLiveCandles(event.symbol, event.interval);
+    if (candles.length > 0) {
+      indicators = indicatorService.calculateEngineIndicators(candles, { symbol: event.symbol, interval: event.interval, source: 'live' });
+    }
+  }
+  liveStreamIndicators.set(key, { event, indicators });
+  return indicators;
+}
+
+/**
+ * GET /api/live/stream
+ * Server-Sent Events stream of live candle-update / candle-close events
+ * Optional filters: ?symbol=BTCUSDT&interval=1m
+ * ?indicators=true attaches indicators to every event: the full set on candle-close, the incremental
+ *   EMA/Stoch RSI/RSI values on candle-update (computed once per event and shared by all clients)
+ */
+app.get('/api/live/stream', (req, res) => {
+  const { interval } = req.query;
+  const symbol = req.query.symbol && normalizeSymbol(req.query.symbol);
+  const withIndicators = req.query.indicators === 'true';
+  const matches = (event) =>
+    (!symbol || event.symbol === symbol) && (!interval || event.interval === interval);
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const send = (type) => (event) => {
+    if (!matches(event)) return;
+    const payload = withIndicators ? { ...event, indicators: getStreamIndicators(type, event) } : event;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+  const unsubscribers = [
+    liveCandles.subscribe('candle-update', send('candle-update')),
+    liveCandles.subscribe('candle-close', send('candle-close'))
+  ];
+
+  req.on('close', () => unsubscribers.forEach(unsubscribe => unsubscribe()));
+});
+
+/**
+ * GET /api/live/:symbol/:interval
+ * Live bars built from the WebSocket feed (closed bars + the forming bar)
+ * Example: /api/live/BTCUSDT/1m (?indicators=true adds the live indicator values)
+ */
+app.get('/api/live/:symbol/:interval', (req, res) => {
+  const { symbol, interval } = req.params;
+  const status = liveCandles.getLiveStatus();
+
+  if (!status.running) {
+    return res.status(503).json({
+      error: 'Live candles are not running',
+      hint: 'Start the server with LIVE_CANDLES=true (LIVE_FEED_URL=ws://localhost:8765 for the mock feed)'
+    });
+  }
+
+  const candles = liveCandles.getLiveCandles(symbol, interval);
+  res.json({
+    symbol,
+    interval,
+    connected: status.connected,
+    count: candles.length,
+    candles,
+    ...(req.query.indicators === 'true' && { indicators: getLiveIndicators(symbol, interval) })
+  });
+});
+
+/**
+ * GET /api/history
+ * Deep OHLCV history paged backwards to a start date
+ * Example: /api/history?symbol=BTCUSDT&interval=1h&start=2024-01-01
+ */
+app.get('/api/history', async (req, res) => {
+  try {
+    const { default: historyHandler } = await import('./api/history.js');
+    return historyHandler(req, res);
+  } catch (error) {
+    console.error('Error loading history handler:', error);
+    return res.status(500).json({ error: 'Failed to load history handler' });
+  }
+});
+
+/**
+ * GET/POST /api/import
+ * List imported symbols, or import a CSV/JSON OHLCV export under a custom symbol
+ * Body: { symbol, content, interval?, format?, name?, source?, replace? }
+ */
+app.all('/api/import', async (req, res) => {
+  try {
+    const { default: importHandler } = await import('./api/import.js');
+    return importHandler(req, res);
+  } catch (error) {
+    console.error('Error loading import handler:', error);
+    return res.status(500).json({ error: 'Failed to load import handler' });
+  }
+});
+
 /**
  * POST /api/execute-trade
  * Execute a trade based on strategy signal
@@ -1077,6 +1234,16 @@ app.listen(PORT, () => {
   console.log(`   POST /api/execute-trade 💰 (Jupiter Swap)`);
   console.log(`   GET /api/trade-status/:signature 📊 (Transaction Status)`);
 
+  console.log(`   GET /api/live/:symbol/:interval 📡 (Live Candles)`);
+
+  if (process.env.LIVE_CANDLES === 'true') {
+    const envList = (value) => value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined;
+    liveCandles.startLiveCandles({
+      symbols: envList(process.env.LIVE_SYMBOLS),
+      intervals: envList(process.env.LIVE_INTERVALS),
+      feedUrl: process.env.LIVE_FEED_URL || undefined
+    });
+  }
   console.log('\n💾 Data Source: Auto-detect (Binance or CoinGecko)');
   console.log('\n✨ Ready to analyze crypto markets!\n');
 });
@@ -8,6 +8,7 @@
  */
 
 import axios from 'axios';
+import { resolveSymbol } from './symbols.js';
 
 // Try multiple Binance endpoints (main, US, or proxies)
 const BINANCE_ENDPOINTS = [
@@ -18,17 +19,39 @@ const BINANCE_ENDPOINTS = [
 
 let BINANCE_API_BASE = BINANCE_ENDPOINTS[0];
 
+/**
+ * Binance market code for a symbol ('BTC/EUR' → 'BTCEUR')
+ * @param {string} symbol - Trading pair in any spelling
+ * @returns {string} Binance symbol
+ * @throws {Error} When Binance has no market for the quote (e.g. plain USD)
+ */
+function toBinanceSymbol(symbol) {
+  const resolved = resolveSymbol(symbol);
+  if (!resolved) return symbol;
+  if (!resolved.venues.binance) {
+    throw new Error(`Binance has no ${resolved.quote} market for ${resolved.displayName}`);
+  }
+  return resolved.venues.binance;
+}
+
 /**
  * Fetch candlestick data from Binance
  * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
  * @param {string} interval - Timeframe (1m, 3m, 5m, 15m, 1h, 4h, 1d)
  * @param {number} limit - Number of candles to fetch (default: 500, max: 1000)
+ * @param {Object} range - Optional { startTime, endTime } in ms for paging through history
  * @returns {Promise<Array>} Array of candles with parsed OHLCV data
  */
-export async function fetchKlines(symbol, interval, limit = 500) {
+export async function fetchKlines(symbol, interval, limit = 500, { startTime, endTime } = {}) {
   try {
     const response = await axios.get(`${BINANCE_API_BASE}/klines`, {
-      params: { symbol, interval, limit },
+      params: {
+        symbol: toBinanceSymbol(symbol),
+        interval,
+        limit,
+        ...(startTime && { startTime }),
+        ...(endTime && { endTime })
+      },
       timeout: 10000
     });
 
@@ -59,7 +82,7 @@ export async function fetchKlines(symbol, interval, limit = 500) {
 export async function fetchTickerPrice(symbol) {
   try {
     const response = await axios.get(`${BINANCE_API_BASE}/ticker/24hr`, {
-      params: { symbol },
+      params: { symbol: toBinanceSymbol(symbol) },
       timeout: 5000
     });
 
@@ -118,7 +141,7 @@ export async function fetchMultiTimeframe(symbol, intervals = ['4h', '1h', '15m'
 export async function validateSymbol(symbol) {
   try {
     await axios.get(`${BINANCE_API_BASE}/ticker/price`, {
-      params: { symbol },
+      params: { symbol: toBinanceSymbol(symbol) },
       timeout: 5000
     });
     return true;
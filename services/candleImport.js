@@ -0,0 +1,297 @@
+/**
+ * Candle Import Module
+ * Ingests CSV or JSON OHLCV exports (other venues, TradingView) under a custom symbol name
+ *
+ * Imported series are written as CSV under LOCAL_CANDLE_DIR/<SYMBOL>/<interval>.csv next to a
+ * manifest (meta.json). Symbols with a manifest are served from their files by marketData
+ * instead of the live provider chain.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { LOCAL_CANDLE_DIR, LOCAL_SYMBOL_PATTERN, localCandlePath, parseCandleCsv } from './dataProviders.js';
+import { mergeCandles } from './candleStore.js';
+import * as candleValidator from './candleValidator.js';
+import * as resampler from './resampler.js';
+
+const MANIFEST_FILE = 'meta.json';
+const MONTH_MINUTES = 43200;
+// Imports from another process (scripts/import-candles.js) show up once the cache expires
+const MANIFEST_CACHE_TTL_MS = 60 * 1000;
+
+// Also the directory name on disk, so keep it path-safe
+const SYMBOL_PATTERN = LOCAL_SYMBOL_PATTERN;
+
+// Manifests by symbol, read from LOCAL_CANDLE_DIR once per TTL - every live request asks whether its symbol is imported
+let manifestCache = null; // { loadedAt, manifests: Promise<Map> }
+
+function manifestPath(symbol) {
+  return path.join(LOCAL_CANDLE_DIR, symbol, MANIFEST_FILE);
+}
+
+async function readManifest(symbol) {
+  try {
+    return JSON.parse(await fs.readFile(manifestPath(symbol), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[CandleImport] Could not read manifest for ${symbol}:`, error.message);
+    }
+    return null;
+  }
+}
+
+async function readAllManifests() {
+  let entries;
+  try {
+    entries = await fs.readdir(LOCAL_CANDLE_DIR, { withFileTypes: true });
+  } catch (error) {
+    return new Map();
+  }
+
+  const manifests = await Promise.all(
+    entries
+      .filter(entry => entry.isDirectory() && SYMBOL_PATTERN.test(entry.name))
+      .map(entry => readManifest(entry.name))
+  );
+  return new Map(manifests.filter(Boolean).map(manifest => [manifest.symbol, manifest]));
+}
+
+function loadManifests() {
+  if (!manifestCache || Date.now() - manifestCache.loadedAt > MANIFEST_CACHE_TTL_MS) {
+    manifestCache = { loadedAt: Date.now(), manifests: readAllManifests() };
+  }
+  return manifestCache.manifests;
+}
+
+/**
+ * Minutes per bar for an interval ('1M' is a calendar month, approximated as 30 days)
+ * @param {string} interval - Timeframe
+ * @returns {number|null} Minutes, or null if the interval isn't valid
+ */
+function intervalMinutes(interval) {
+  return interval === '1M' ? MONTH_MINUTES : resampler.parseIntervalMinutes(interval);
+}
+
+/**
+ * Normalize a custom symbol name
+ * @param {string} symbol - Requested name (e.g., 'spx', 'EURUSD_OANDA')
+ * @returns {string} Upper-cased symbol
+ */
+export function normalizeSymbol(symbol) {
+  const normalized = String(symbol || '').trim().toUpperCase();
+  if (!SYMBOL_PATTERN.test(normalized)) {
+    throw new Error(`Invalid symbol name: "${symbol}" (letters, digits, '.', '_' and '-', max 32 chars)`);
+  }
+  return normalized;
+}
+
+function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return value < 1e12 ? value * 1000 : value; // Seconds or milliseconds
+  }
+  const raw = String(value).trim();
+  return /^\d+$/.test(raw) ? parseTimestamp(Number(raw)) : Date.parse(raw);
+}
+
+/**
+ * Parse a JSON OHLCV export
+ * Accepts an array (or { candles } / { data }) of either objects with
+ * timestamp|time|t|date, open|o, high|h, low|l, close|c, volume|v keys,
+ * or [time, open, high, low, close, volume] rows as returned by Binance and ccxt
+ * @param {string} text - JSON content
+ * @returns {Array} OHLCV candles (oldest → newest)
+ */
+export function parseCandleJson(text) {
+  const parsed = JSON.parse(text);
+  const rows = Array.isArray(parsed) ? parsed : parsed.candles || parsed.data;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON must be an array of candles, or an object with a candles/data array');
+  }
+
+  const pick = (row, ...keys) => row[keys.find(key => row[key] !== undefined)];
+
+  return rows.map(row => {
+    if (Array.isArray(row)) {
+      const [time, open, high, low, close, volume] = row;
+      return {
+        timestamp: parseTimestamp(time),
+        open: parseFloat(open),
+        high: parseFloat(high),
+        low: parseFloat(low),
+        close: parseFloat(close),
+        volume: parseFloat(volume) || 0
+      };
+    }
+    return {
+      timestamp: parseTimestamp(pick(row, 'timestamp', 'time', 't', 'date', 'datetime', 'openTime')),
+      open: parseFloat(pick(row, 'open', 'o')),
+      high: parseFloat(pick(row, 'high', 'h')),
+      low: parseFloat(pick(row, 'low', 'l')),
+      close: parseFloat(pick(row, 'close', 'c')),
+      volume: parseFloat(pick(row, 'volume', 'vol', 'v')) || 0
+    };
+  }).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Parse an OHLCV export in either format
+ * @param {string} content - File content
+ * @param {string} format - 'csv', 'json' or null to detect from the content
+ * @returns {Array} OHLCV candles (oldest → newest)
+ */
+export function parseCandleFile(content, format = null) {
+  const text = String(content || '').replace(/^\uFEFF/, ''); // Excel writes a BOM
+  const detected = format || (/^\s*[[{]/.test(text) ? 'json' : 'csv');
+
+  if (detected === 'json') return parseCandleJson(text);
+  if (detected === 'csv') return parseCandleCsv(text);
+  throw new Error(`Unsupported import format: ${format} (use csv or json)`);
+}
+
+/**
+ * Infer the timeframe of a series from its most common bar spacing
+ * @param {Array} candles - OHLCV candles (oldest → newest)
+ * @returns {string|null} Interval (e.g. '1h', '15m', '1d', '1M'), or null if it can't be told
+ */
+export function detectInterval(candles) {
+  const counts = new Map();
+  for (let i = 1; i < candles.length; i++) {
+    const minutes = Math.round((candles[i].timestamp - candles[i - 1].timestamp) / 60000);
+    if (minutes > 0) counts.set(minutes, (counts.get(minutes) || 0) + 1);
+  }
+  if (counts.size === 0) return null;
+
+  const [minutes] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  if (minutes >= 28 * 1440 && minutes <= 31 * 1440) return '1M';
+  if (minutes % 10080 === 0) return `${minutes / 10080}w`;
+  if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+/**
+ * Read an imported symbol's manifest
+ * @param {string} symbol - Symbol name
+ * @returns {Promise<Object|null>} { symbol, name, source, createdAt, updatedAt, intervals }, or null if not imported
+ */
+export async function getImportedSymbol(symbol) {
+  if (!SYMBOL_PATTERN.test(String(symbol))) return null;
+  return (await loadManifests()).get(symbol) || null;
+}
+
+/**
+ * List every imported symbol
+ * @returns {Promise<Array<Object>>} Manifests, sorted by symbol
+ */
+export async function listImportedSymbols() {
+  const manifests = await loadManifests();
+  return [...manifests.values()].sort((a, b) => a.symbol.localeCompare(b.symbol));
+}
+
+/**
+ * Read an imported series
+ * @param {string} symbol - Imported symbol
+ * @param {string} interval - Imported timeframe
+ * @returns {Promise<Array>} OHLCV candles with closeTime (oldest → newest)
+ */
+export async function readImportedCandles(symbol, interval) {
+  const text = await fs.readFile(localCandlePath(symbol, interval), 'utf8');
+  const intervalMs = intervalMinutes(interval) * 60 * 1000;
+  return parseCandleCsv(text).map(c => ({ ...c, closeTime: c.timestamp + intervalMs }));
+}
+
+async function writeImportedCandles(symbol, interval, candles) {
+  const filePath = localCandlePath(symbol, interval);
+  const rows = candles.map(c => [c.timestamp, c.open, c.high, c.low, c.close, c.volume].join(','));
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, ['timestamp,open,high,low,close,volume', ...rows].join('\n') + '\n');
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Import an OHLCV export under a custom symbol
+ * Rows are sorted, de-duplicated and stripped of impossible OHLC before they are stored;
+ * gaps are left alone and reported (the validator fills short ones again on every read).
+ * @param {Object} options - Import options
+ * @param {string} options.symbol - Custom symbol name (e.g., 'SPX', 'EURUSD_OANDA')
+ * @param {string} options.content - Raw CSV or JSON file content (or pass candles)
+ * @param {Array} options.candles - Already-parsed OHLCV candles
+ * @param {string} options.interval - Timeframe (detected from the bar spacing if omitted)
+ * @param {string} options.format - 'csv' or 'json' (detected if omitted)
+ * @param {string} options.name - Display name (defaults to the symbol)
+ * @param {string} options.source - Where the data came from (e.g., 'tradingview')
+ * @param {boolean} options.replace - Overwrite the stored series instead of merging into it
+ * @returns {Promise<Object>} { symbol, interval, imported, stored, first, last, quality }
+ */
+export async function importCandles({ symbol, content, candles, interval, format, name, source, replace = false }) {
+  const normalized = normalizeSymbol(symbol);
+  const parsed = candles || parseCandleFile(content, format);
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error('No candles found in import');
+  }
+
+  const resolvedInterval = interval || detectInterval(parsed);
+  const minutes = resolvedInterval ? intervalMinutes(resolvedInterval) : null;
+  if (!minutes) {
+    throw new Error(`Unsupported interval: ${interval || 'could not detect one from the data'}`);
+  }
+
+  const intervalMs = resolvedInterval === '1M' ? null : minutes * 60 * 1000;
+  const { report } = candleValidator.validateCandles(parsed, intervalMs);
+  const cleaned = candleValidator.validateCandles(parsed, null).candles;
+  if (cleaned.length === 0) {
+    throw new Error('Import has no valid candles');
+  }
+
+  // Straight from disk: the merge must not build on a cached manifest another process has since replaced
+  const manifest = await readManifest(normalized);
+  const existing = !replace && manifest?.intervals?.[resolvedInterval]
+    ? await readImportedCandles(normalized, resolvedInterval)
+    : [];
+  const stored = mergeCandles(existing, cleaned);
+  await writeImportedCandles(normalized, resolvedInterval, stored);
+
+  const now = new Date().toISOString();
+  const updated = {
+    symbol: normalized,
+    name: name || manifest?.name || normalized,
+    source: source || manifest?.source || 'import',
+    createdAt: manifest?.createdAt || now,
+    updatedAt: now,
+    intervals: {
+      ...manifest?.intervals,
+      [resolvedInterval]: {
+        candles: stored.length,
+        first: new Date(stored[0].timestamp).toISOString(),
+        last: new Date(stored[stored.length - 1].timestamp).toISOString(),
+        importedAt: now
+      }
+    }
+  };
+  await fs.writeFile(manifestPath(normalized), JSON.stringify(updated, null, 2));
+  manifestCache = null;
+
+  console.log(`📥 [CandleImport] ${normalized} ${resolvedInterval}: ${cleaned.length} imported, ${stored.length} stored (${report.status})`);
+
+  return {
+    symbol: normalized,
+    interval: resolvedInterval,
+    imported: cleaned.length,
+    stored: stored.length,
+    first: updated.intervals[resolvedInterval].first,
+    last: updated.intervals[resolvedInterval].last,
+    quality: report
+  };
+}
+
+export default {
+  normalizeSymbol,
+  parseCandleJson,
+  parseCandleFile,
+  detectInterval,
+  getImportedSymbol,
+  listImportedSymbols,
+  readImportedCandles,
+  importCandles
+};
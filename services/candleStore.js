@@ -0,0 +1,201 @@
+/**
+ * Candle Store Module
+ * Persistent on-disk OHLCV history keyed by symbol and interval
+ * Syncs incrementally - only candles missing since the last stored close are fetched
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Vercel functions can only write to /tmp, local runs keep history in the project
+const STORE_DIR = process.env.CANDLE_STORE_DIR ||
+  (process.env.VERCEL ? '/tmp/candles' : path.join(__dirname, '..', 'data', 'candles'));
+
+const MAX_STORED_CANDLES = 5000;  // Per symbol/interval file
+const MIN_RESYNC_MS = 15 * 1000;  // Serve from store without hitting the API inside this window
+
+// In-memory mirror of the files on disk, plus the one in-flight sync per series
+// ({ limit, promise }) so parallel requests share a single fetch
+const seriesCache = new Map();
+const pendingSyncs = new Map();
+let tmpCounter = 0;
+
+function seriesKey(symbol, interval) {
+  return `${symbol}:${interval}`;
+}
+
+function seriesPath(symbol, interval) {
+  return path.join(STORE_DIR, symbol, `${interval}.json`);
+}
+
+/**
+ * Merge two candle arrays by open timestamp (incoming candles win)
+ * @param {Array} existing - Stored candles
+ * @param {Array} incoming - Freshly fetched candles
+ * @returns {Array} Sorted, de-duplicated candles
+ */
+export function mergeCandles(existing, incoming) {
+  const byTimestamp = new Map();
+  for (const candle of existing) byTimestamp.set(candle.timestamp, candle);
+  for (const candle of incoming) byTimestamp.set(candle.timestamp, candle);
+  return [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Load a stored series from memory or disk
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {string} interval - Timeframe
+ * @returns {Promise<Object>} { symbol, interval, syncedAt, fullSyncLimit, candles }
+ */
+async function loadSeries(symbol, interval) {
+  const key = seriesKey(symbol, interval);
+  if (seriesCache.has(key)) {
+    return seriesCache.get(key);
+  }
+
+  let series = { symbol, interval, syncedAt: 0, fullSyncLimit: 0, candles: [] };
+  try {
+    const raw = await fs.readFile(seriesPath(symbol, interval), 'utf8');
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed.candles)) {
+      series = { ...series, ...parsed };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[CandleStore] Could not read ${symbol} ${interval}:`, error.message);
+    }
+  }
+
+  seriesCache.set(key, series);
+  return series;
+}
+
+/**
+ * Persist a series to disk (write to temp file, then rename)
+ * @param {Object} series - Series object to persist
+ */
+async function saveSeries(series) {
+  const filePath = seriesPath(series.symbol, series.interval);
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(series));
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    // The in-memory copy is still valid - a failed write only costs warm history on restart
+    console.warn(`[CandleStore] Could not persist ${series.symbol} ${series.interval}:`, error.message);
+  }
+}
+
+/**
+ * Get candles for a series, fetching only what is missing from the store
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {string} interval - Timeframe
+ * @param {number} limit - Number of candles to return
+ * @param {Function} fetcher - async (since) => candles; since is an ms timestamp or null for a full fetch
+ * @returns {Promise<Array>} Array of OHLCV objects (oldest → newest)
+ */
+export async function syncCandles(symbol, interval, limit, fetcher) {
+  const key = seriesKey(symbol, interval);
+  // One sync per series at a time, so two writers never race on the stored file.
+  // A deep enough sync in flight is shared; a shallower one may skip the full fetch this
+  // call needs, so wait it out and then top up from what it stored.
+  while (pendingSyncs.has(key)) {
+    const pending = pendingSyncs.get(key);
+    if (pending.limit >= limit) {
+      const candles = await pending.promise;
+      return candles.slice(-limit);
+    }
+    await pending.promise.catch(() => {});
+  }
+
+  const sync = (async () => {
+    const series = await loadSeries(symbol, interval);
+    const stored = series.candles;
+    const now = Date.now();
+
+    // History is deep enough once we hold `limit` candles, or a full fetch for at least
+    // `limit` already returned everything the source has
+    const hasHistory = stored.length > 0 && (stored.length >= limit || series.fullSyncLimit >= limit);
+
+    if (hasHistory && now - series.syncedAt < MIN_RESYNC_MS) {
+      return stored;
+    }
+
+    // Refetch from the open of the last stored candle - it may still have been forming
+    // when it was stored. Cold or too-short history gets a full fetch.
+    const since = hasHistory ? stored[stored.length - 1].timestamp : null;
+
+    let fetched;
+    try {
+      fetched = await fetcher(since);
+    } catch (error) {
+      if (hasHistory) {
+        console.warn(`[CandleStore] Sync failed for ${symbol} ${interval}, serving stored candles:`, error.message);
+        return stored;
+      }
+      throw error;
+    }
+
+    const merged = mergeCandles(stored, fetched).slice(-MAX_STORED_CANDLES);
+    const updated = {
+      symbol,
+      interval,
+      syncedAt: now,
+      fullSyncLimit: since ? series.fullSyncLimit : Math.max(series.fullSyncLimit, limit),
+      candles: merged
+    };
+    seriesCache.set(key, updated);
+    await saveSeries(updated);
+
+    console.log(`[CandleStore] ${symbol} ${interval}: ${since ? 'incremental' : 'full'} sync, ${fetched.length} fetched, ${merged.length} stored`);
+    return merged;
+  })();
+
+  pendingSyncs.set(key, { limit, promise: sync });
+  try {
+    const candles = await sync;
+    return candles.slice(-limit);
+  } finally {
+    pendingSyncs.delete(key);
+  }
+}
+
+/**
+ * Read stored candles without syncing
+ * @param {string} symbol - Trading pair
+ * @param {string} interval - Timeframe
+ * @returns {Promise<Array>} Stored candles (may be empty)
+ */
+export async function getStoredCandles(symbol, interval) {
+  const series = await loadSeries(symbol, interval);
+  return series.candles;
+}
+
+/**
+ * Drop a stored series (or the whole store) from memory and disk
+ * @param {string} symbol - Trading pair (optional - omit to clear everything)
+ * @param {string} interval - Timeframe (optional - omit to clear all intervals for symbol)
+ */
+export async function clearCandleStore(symbol = null, interval = null) {
+  if (symbol && interval) {
+    seriesCache.delete(seriesKey(symbol, interval));
+    await fs.rm(seriesPath(symbol, interval), { force: true });
+    return;
+  }
+
+  for (const key of [...seriesCache.keys()]) {
+    if (!symbol || key.startsWith(`${symbol}:`)) seriesCache.delete(key);
+  }
+  await fs.rm(symbol ? path.join(STORE_DIR, symbol) : STORE_DIR, { recursive: true, force: true });
+}
+
+export default {
+  syncCandles,
+  getStoredCandles,
+  clearCandleStore,
+  mergeCandles
+};
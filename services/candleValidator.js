@@ -0,0 +1,125 @@
+/**
+ * Candle Validator Module
+ * Data-quality pass over OHLCV series coming out of the providers
+ * Repairs what it can (sort, dedupe, forward-fill short gaps) and reports the rest
+ */
+
+const MAX_FILL_BARS = 5;           // Longer gaps are left open - a flat line that long is worse than a hole
+const BROKEN_MISSING_RATIO = 0.05; // > 5% missing (filled or not) bars and the series is unusable
+const BROKEN_INVALID_RATIO = 0.01; // > 1% impossible OHLC rows
+
+/**
+ * Check a single candle for impossible values
+ * @param {Object} candle - OHLCV candle
+ * @returns {boolean} True if the OHLC values are consistent
+ */
+function isValidOhlc(candle) {
+  const { open, high, low, close, volume } = candle;
+  if (![open, high, low, close].every(v => Number.isFinite(v) && v > 0)) return false;
+  if (!Number.isFinite(volume) || volume < 0) return false;
+  return high >= low && high >= Math.max(open, close) && low <= Math.min(open, close);
+}
+
+/**
+ * Validate and repair a candle series
+ * @param {Array} candles - OHLCV candles as returned by a provider
+ * @param {number|null} intervalMs - Expected spacing between bars (null skips gap checks, e.g. calendar months)
+ * @returns {Object} { candles, report } - repaired series and its quality report
+ */
+export function validateCandles(candles, intervalMs = null) {
+  const input = Array.isArray(candles) ? candles : [];
+  const issues = [];
+
+  // Out-of-order rows
+  let outOfOrder = 0;
+  for (let i = 1; i < input.length; i++) {
+    if (input[i].timestamp < input[i - 1].timestamp) outOfOrder++;
+  }
+
+  // Impossible OHLC rows are dropped (and become gaps below)
+  const valid = input.filter(isValidOhlc);
+  const invalidOhlc = input.length - valid.length;
+
+  // Sort + dedupe by open time (last occurrence wins, it's the freshest)
+  const byTimestamp = new Map();
+  for (const candle of valid) byTimestamp.set(candle.timestamp, candle);
+  const duplicates = valid.length - byTimestamp.size;
+  const sorted = [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+
+  // Gaps: forward-fill short ones with flat zero-volume bars flagged `filled`
+  const repaired = [];
+  let gaps = 0;
+  let missingBars = 0;
+  let filledBars = 0;
+  let largestGapBars = 0;
+
+  for (const candle of sorted) {
+    const prev = repaired[repaired.length - 1];
+    if (intervalMs && prev) {
+      const missing = Math.round((candle.timestamp - prev.timestamp) / intervalMs) - 1;
+      if (missing > 0) {
+        gaps++;
+        missingBars += missing;
+        largestGapBars = Math.max(largestGapBars, missing);
+        if (missing <= MAX_FILL_BARS) {
+          for (let i = 1; i <= missing; i++) {
+            const timestamp = prev.timestamp + i * intervalMs;
+            repaired.push({
+              timestamp,
+              open: prev.close,
+              high: prev.close,
+              low: prev.close,
+              close: prev.close,
+              volume: 0,
+              closeTime: timestamp + intervalMs,
+              filled: true
+            });
+          }
+          filledBars += missing;
+        }
+      }
+    }
+    repaired.push(candle);
+  }
+
+  const zeroVolumeBars = sorted.filter(c => c.volume === 0).length;
+
+  if (outOfOrder > 0) issues.push(`${outOfOrder} out-of-order rows (sorted)`);
+  if (duplicates > 0) issues.push(`${duplicates} duplicate timestamps (deduped)`);
+  if (invalidOhlc > 0) issues.push(`${invalidOhlc} bars with impossible OHLC (dropped)`);
+  if (filledBars > 0) issues.push(`${filledBars} missing bars forward-filled`);
+  if (missingBars > filledBars) issues.push(`${missingBars - filledBars} missing bars not filled (largest gap ${largestGapBars} bars)`);
+  if (zeroVolumeBars > 0) issues.push(`${zeroVolumeBars} zero-volume bars`);
+
+  const expectedBars = repaired.length + (missingBars - filledBars);
+  const missingRatio = expectedBars > 0 ? missingBars / expectedBars : 0;
+  const invalidRatio = input.length > 0 ? invalidOhlc / input.length : 0;
+
+  let status = 'ok';
+  if (repaired.length === 0 || missingRatio > BROKEN_MISSING_RATIO || invalidRatio > BROKEN_INVALID_RATIO) {
+    status = 'broken';
+  } else if (issues.length > 0) {
+    status = 'degraded';
+  }
+
+  return {
+    candles: repaired,
+    report: {
+      status,
+      candleCount: repaired.length,
+      outOfOrder,
+      duplicates,
+      invalidOhlc,
+      gaps,
+      missingBars,
+      filledBars,
+      largestGapBars,
+      zeroVolumeBars,
+      issues
+    }
+  };
+}
+
+export default {
+  validateCandles
+};
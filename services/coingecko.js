@@ -4,23 +4,10 @@
  */
 
 import axios from 'axios';
+import { resolveSymbol, getQuote } from './symbols.js';
 
 const COINGECKO_API_BASE = 'https://api.coingecko.com/api/v3';
 
-// Map common symbols to CoinGecko IDs
-const SYMBOL_MAP = {
-  'BTCUSDT': 'bitcoin',
-  'ETHUSDT': 'ethereum',
-  'SOLUSDT': 'solana',
-  'BNBUSDT': 'binancecoin',
-  'ADAUSDT': 'cardano',
-  'DOGEUSDT': 'dogecoin',
-  'XRPUSDT': 'ripple',
-  'DOTUSDT': 'polkadot',
-  'MATICUSDT': 'matic-network',
-  'LINKUSDT': 'chainlink'
-};
-
 // Interval mapping (CoinGecko doesn't have all intervals)
 const INTERVAL_TO_DAYS = {
   '1m': 1,
@@ -33,10 +20,15 @@ const INTERVAL_TO_DAYS = {
 };
 
 /**
- * Get coin ID from symbol
+ * Get coin ID and vs_currency from symbol
+ * Unknown assets fall back to the lowercased base; a bare coin id ('bitcoin') is used as-is
  */
-function getCoinId(symbol) {
-  return SYMBOL_MAP[symbol.toUpperCase()] || symbol.toLowerCase().replace('usdt', '');
+function getCoin(symbol) {
+  const resolved = resolveSymbol(symbol);
+  if (!resolved) return { coinId: symbol.toLowerCase(), vsCurrency: 'usd' };
+  return resolved.venues.coingecko
+    ? { coinId: resolved.venues.coingecko.id, vsCurrency: resolved.venues.coingecko.vsCurrency }
+    : { coinId: resolved.base.toLowerCase(), vsCurrency: getQuote(resolved.quote).coingecko };
 }
 
 /**
@@ -45,13 +37,13 @@ function getCoinId(symbol) {
  */
 export async function fetchKlines(symbol, interval, limit = 500) {
   try {
-    const coinId = getCoinId(symbol);
+    const { coinId, vsCurrency } = getCoin(symbol);
     const days = INTERVAL_TO_DAYS[interval] || 30;
 
     // CoinGecko OHLC endpoint (returns daily data)
     const response = await axios.get(`${COINGECKO_API_BASE}/coins/${coinId}/ohlc`, {
       params: { 
-        vs_currency: 'usd',
+        vs_currency: vsCurrency,
         days: Math.min(days, 365)
       },
       timeout: 10000
@@ -81,12 +73,12 @@ export async function fetchKlines(symbol, interval, limit = 500) {
  */
 export async function fetchTickerPrice(symbol) {
   try {
-    const coinId = getCoinId(symbol);
+    const { coinId, vsCurrency } = getCoin(symbol);
     
     const response = await axios.get(`${COINGECKO_API_BASE}/simple/price`, {
       params: {
         ids: coinId,
-        vs_currencies: 'usd',
+        vs_currencies: vsCurrency,
         include_24hr_change: true,
         include_24hr_vol: true
       },
@@ -99,14 +91,15 @@ export async function fetchTickerPrice(symbol) {
       throw new Error(`Symbol ${symbol} not found on CoinGecko`);
     }
 
+    const price = data[vsCurrency];
     return {
       symbol: symbol.toUpperCase(),
-      price: data.usd,
-      priceChange: data.usd_24h_change || 0,
-      priceChangePercent: data.usd_24h_change || 0,
-      high24h: data.usd * 1.02, // Estimated (CoinGecko simple API doesn't provide)
-      low24h: data.usd * 0.98,  // Estimated
-      volume24h: data.usd_24h_vol || 0
+      price,
+      priceChange: data[`${vsCurrency}_24h_change`] || 0,
+      priceChangePercent: data[`${vsCurrency}_24h_change`] || 0,
+      high24h: price * 1.02, // Estimated (CoinGecko simple API doesn't provide)
+      low24h: price * 0.98,  // Estimated
+      volume24h: data[`${vsCurrency}_24h_vol`] || 0
     };
   } catch (error) {
     console.error(`Error fetching ticker from CoinGecko:`, error.message);
@@ -120,12 +113,12 @@ export async function fetchTickerPrice(symbol) {
  */
 export async function fetchMultiTimeframe(symbol, intervals = ['4h', '1h', '15m', '5m']) {
   try {
-    const coinId = getCoinId(symbol);
+    const { coinId, vsCurrency } = getCoin(symbol);
     
     // Fetch market chart (more granular than OHLC)
     const response = await axios.get(`${COINGECKO_API_BASE}/coins/${coinId}/market_chart`, {
       params: { 
-        vs_currency: 'usd',
+        vs_currency: vsCurrency,
         days: 30,
         interval: 'daily'
       },
@@ -0,0 +1,236 @@
+/**
+ * Market Data Provider Chain
+ * Tries OHLCV providers in a configurable priority order and tracks per-provider health
+ *
+ * A provider is { name, intervals, supports?, fetchCandles(symbol, interval, limit) }
+ * - intervals: array of supported timeframes, or null for "all"
+ * - supports: optional async (symbol, interval) => boolean, skips the provider without
+ *   counting a failure (e.g. no local file for that symbol)
+ * - fetchCandles: resolves to an array of OHLCV candles or throws
+ *
+ * Chain order comes from MARKET_DATA_PROVIDERS (comma-separated), e.g. "kraken,binance,csv"
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_CHAIN = ['kraken', 'binance', 'coingecko', 'csv'];
+
+// Local candle files: <LOCAL_CANDLE_DIR>/<SYMBOL>/<interval>.csv (imports land here too,
+// and Vercel functions can only write to /tmp)
+export const LOCAL_CANDLE_DIR = process.env.LOCAL_CANDLE_DIR ||
+  (process.env.VERCEL ? '/tmp/local-candles' : path.join(__dirname, '..', 'data', 'local'));
+
+// Symbols and intervals become path segments, so only path-safe names get that far
+export const LOCAL_SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,31}$/;
+const LOCAL_INTERVAL_PATTERN = /^\d{1,4}(m|h|d|w|M)$/;
+
+// Circuit breaker: after this many consecutive failures a provider is skipped for the cooldown
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 60 * 1000;
+
+const providerHealth = new Map();
+
+function getHealthRecord(name) {
+  if (!providerHealth.has(name)) {
+    providerHealth.set(name, {
+      provider: name,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      avgLatencyMs: null,
+      cooldownUntil: null
+    });
+  }
+  return providerHealth.get(name);
+}
+
+function recordSuccess(name, latencyMs) {
+  const record = getHealthRecord(name);
+  record.successes++;
+  record.consecutiveFailures = 0;
+  record.cooldownUntil = null;
+  record.lastSuccessAt = new Date().toISOString();
+  record.avgLatencyMs = record.avgLatencyMs === null
+    ? latencyMs
+    : Math.round(record.avgLatencyMs * 0.8 + latencyMs * 0.2);
+}
+
+function recordFailure(name, error) {
+  const record = getHealthRecord(name);
+  record.failures++;
+  record.consecutiveFailures++;
+  record.lastFailureAt = new Date().toISOString();
+  record.lastError = error.message;
+  if (record.consecutiveFailures >= FAILURE_THRESHOLD) {
+    record.cooldownUntil = Date.now() + COOLDOWN_MS;
+  }
+}
+
+/**
+ * Check whether a provider is currently usable (not cooling down)
+ * @param {string} name - Provider name
+ * @returns {boolean} True if the provider should be tried
+ */
+export function isProviderHealthy(name) {
+  const record = providerHealth.get(name);
+  return !record || !record.cooldownUntil || Date.now() >= record.cooldownUntil;
+}
+
+/**
+ * Get health stats for every provider that has been used
+ * @returns {Array<Object>} Health records with a derived status
+ */
+export function getProviderHealth() {
+  return [...providerHealth.values()].map(record => ({
+    ...record,
+    status: !isProviderHealthy(record.provider) ? 'cooling_down' :
+            record.consecutiveFailures > 0 ? 'degraded' : 'healthy',
+    cooldownUntil: record.cooldownUntil ? new Date(record.cooldownUntil).toISOString() : null
+  }));
+}
+
+/**
+ * Get the configured provider priority order
+ * @returns {Array<string>} Provider names, highest priority first
+ */
+export function getProviderChain() {
+  const configured = process.env.MARKET_DATA_PROVIDERS;
+  if (!configured) return [...DEFAULT_CHAIN];
+  return configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Fetch candles from the first provider in the chain that succeeds
+ * @param {Array<Object>} providers - Providers in priority order
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {string} interval - Timeframe
+ * @param {number} limit - Number of candles
+ * @returns {Promise<Object>} { candles, provider }
+ */
+export async function fetchFromProviders(providers, symbol, interval, limit) {
+  const errors = [];
+
+  for (const provider of providers) {
+    if (provider.intervals && !provider.intervals.includes(interval)) {
+      continue;
+    }
+
+    if (provider.supports && !(await provider.supports(symbol, interval))) {
+      continue;
+    }
+
+    if (!isProviderHealthy(provider.name)) {
+      errors.push(`${provider.name}: cooling down`);
+      continue;
+    }
+
+    const startTime = Date.now();
+    try {
+      const candles = await provider.fetchCandles(symbol, interval, limit);
+      if (!Array.isArray(candles) || candles.length === 0) {
+        throw new Error('No candles returned');
+      }
+      recordSuccess(provider.name, Date.now() - startTime);
+      return { candles, provider: provider.name };
+    } catch (error) {
+      recordFailure(provider.name, error);
+      errors.push(`${provider.name}: ${error.message}`);
+      console.log(`⚠️  ${provider.name} unavailable for ${symbol} ${interval}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All providers failed (${errors.join('; ') || 'no provider supports ' + interval})`);
+}
+
+/**
+ * Parse a CSV file of OHLCV rows
+ * Expects a header row naming timestamp (or time/date), open, high, low, close, volume
+ * @param {string} text - CSV content
+ * @returns {Array} OHLCV candles (oldest → newest)
+ */
+export function parseCandleCsv(text) {
+  const lines = text.trim().replace(/"/g, '').split(/\r?\n/); // Spreadsheet exports quote every cell
+  const header = lines.shift().split(',').map(h => h.trim().toLowerCase());
+  const col = (...names) => header.findIndex(h => names.includes(h));
+
+  const idx = {
+    timestamp: col('timestamp', 'time', 'date', 'datetime'),
+    open: col('open'),
+    high: col('high'),
+    low: col('low'),
+    close: col('close'),
+    volume: col('volume', 'vol')
+  };
+
+  if (idx.timestamp < 0 || idx.open < 0 || idx.high < 0 || idx.low < 0 || idx.close < 0) {
+    throw new Error('CSV must have timestamp, open, high, low and close columns');
+  }
+
+  return lines.filter(line => line.trim()).map(line => {
+    const cells = line.split(',');
+    const rawTime = cells[idx.timestamp].trim();
+    const timestamp = /^\d+$/.test(rawTime)
+      ? Number(rawTime) * (rawTime.length <= 10 ? 1000 : 1) // Seconds or milliseconds
+      : Date.parse(rawTime);
+
+    return {
+      timestamp,
+      open: parseFloat(cells[idx.open]),
+      high: parseFloat(cells[idx.high]),
+      low: parseFloat(cells[idx.low]),
+      close: parseFloat(cells[idx.close]),
+      volume: idx.volume >= 0 ? parseFloat(cells[idx.volume]) || 0 : 0
+    };
+  }).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Path of a local candle file
+ * @param {string} symbol - Symbol directory name
+ * @param {string} interval - Timeframe
+ * @returns {string} <LOCAL_CANDLE_DIR>/<symbol>/<interval>.csv
+ * @throws {Error} For names that aren't a plain symbol / interval (e.g. '../../ETC/X')
+ */
+export function localCandlePath(symbol, interval) {
+  if (!LOCAL_SYMBOL_PATTERN.test(String(symbol)) || !LOCAL_INTERVAL_PATTERN.test(String(interval))) {
+    throw new Error(`Invalid local candle file: ${symbol} ${interval}`);
+  }
+  return path.join(LOCAL_CANDLE_DIR, symbol, `${interval}.csv`);
+}
+
+/**
+ * Local CSV provider - reads candles from LOCAL_CANDLE_DIR
+ */
+export const csvProvider = {
+  name: 'csv',
+  intervals: null,
+  async supports(symbol, interval) {
+    try {
+      await fs.access(localCandlePath(symbol, interval));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+  async fetchCandles(symbol, interval, limit) {
+    const text = await fs.readFile(localCandlePath(symbol, interval), 'utf8');
+    return parseCandleCsv(text).slice(-limit);
+  }
+};
+
+export default {
+  fetchFromProviders,
+  getProviderChain,
+  getProviderHealth,
+  isProviderHealthy,
+  parseCandleCsv,
+  localCandlePath,
+  csvProvider
+};
@@ -0,0 +1,414 @@
+/**
+ * Derivatives Data Module
+ * Perpetual-swap positioning per symbol: funding rate, open interest (and its change)
+ * and spot-perp basis, so strategies and the AI review can see crowded positioning
+ *
+ * Each source goes through an adapter: { name, fetchFunding, fetchOpenInterest, fetchBasis }
+ * - fetchFunding(symbol): { rate, intervalHours, nextFundingTime }
+ * - fetchOpenInterest(symbol): { contracts, valueUsd, history: [{ timestamp, contracts }] } (oldest → newest)
+ * - fetchBasis(symbol): { markPrice, indexPrice }
+ * Every method resolves or throws; a source that fails falls through to the next adapter.
+ *
+ * Adapter order comes from DERIVATIVES_PROVIDERS (comma-separated), e.g. "binance,bybit" or "mock"
+ * for offline development. setDerivativesAdapters() swaps in custom adapters (tests, fixtures).
+ */
+
+import axios from 'axios';
+import { resolveSymbol, makeSymbol } from './symbols.js';
+
+const DEFAULT_CHAIN = ['binance', 'bybit'];
+const REQUEST_TIMEOUT_MS = 5000;
+
+// Cache for raw adapter responses per symbol (1 minute TTL - funding and OI move slowly)
+const cache = new Map();
+const CACHE_TTL = 60 * 1000;
+
+// Positioning thresholds
+const FUNDING_ELEVATED_8H = 0.0003;   // 0.03% per 8h (3x the usual 0.01% baseline)
+const FUNDING_NEGATIVE_8H = -0.0001;  // Shorts paying at all is notable
+const OI_RISING_PCT = 5;              // 24h open interest change
+const BASIS_STRETCHED_PCT = 0.1;      // Perp vs spot premium/discount
+
+let customAdapters = null;
+
+/**
+ * Perp symbols that differ from <BASE>USDT, keyed by base asset
+ * (meme coins trade in 1000-unit contracts)
+ */
+const BINANCE_PERPS = {
+  PEPE: { symbol: '1000PEPEUSDT', multiplier: 1000 },
+  SHIB: { symbol: '1000SHIBUSDT', multiplier: 1000 }
+};
+
+const BYBIT_PERPS = {
+  PEPE: { symbol: '1000PEPEUSDT', multiplier: 1000 },
+  SHIB: { symbol: 'SHIB1000USDT', multiplier: 1000 }
+};
+
+// Quotes whose spot price is directly comparable to a USDT-margined perp
+const USD_QUOTES = ['USDT', 'USDC', 'USD'];
+
+/**
+ * USDT-margined perp for a spot pair of any quote (BTCEUR → BTCUSDT)
+ */
+function resolvePerp(perps, symbol) {
+  const base = resolveSymbol(symbol)?.base;
+  if (!base) return { symbol, multiplier: 1 };
+  return perps[base] || { symbol: makeSymbol(base), multiplier: 1 };
+}
+
+/**
+ * Binance USDⓈ-M futures (public endpoints, no key)
+ */
+const binanceAdapter = {
+  name: 'binance',
+
+  async fetchFunding(symbol) {
+    const perp = resolvePerp(BINANCE_PERPS, symbol);
+    const [premium, info] = await Promise.all([
+      axios.get('https://fapi.binance.com/fapi/v1/premiumIndex', {
+        params: { symbol: perp.symbol },
+        timeout: REQUEST_TIMEOUT_MS
+      }),
+      axios.get('https://fapi.binance.com/fapi/v1/fundingInfo', { timeout: REQUEST_TIMEOUT_MS })
+        .catch(() => ({ data: [] })) // Only lists symbols with a non-default interval
+    ]);
+    const custom = (info.data || []).find(entry => entry.symbol === perp.symbol);
+    return {
+      rate: parseFloat(premium.data.lastFundingRate),
+      intervalHours: custom?.fundingIntervalHours || 8,
+      nextFundingTime: premium.data.nextFundingTime || null
+    };
+  },
+
+  async fetchOpenInterest(symbol) {
+    const perp = resolvePerp(BINANCE_PERPS, symbol);
+    const response = await axios.get('https://fapi.binance.com/futures/data/openInterestHist', {
+      params: { symbol: perp.symbol, period: '1h', limit: 25 },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    const rows = response.data || [];
+    if (rows.length === 0) throw new Error('No open interest history');
+    const latest = rows[rows.length - 1];
+    return {
+      contracts: parseFloat(latest.sumOpenInterest) * perp.multiplier,
+      valueUsd: parseFloat(latest.sumOpenInterestValue),
+      history: rows.map(row => ({
+        timestamp: row.timestamp,
+        contracts: parseFloat(row.sumOpenInterest) * perp.multiplier
+      }))
+    };
+  },
+
+  async fetchBasis(symbol) {
+    const perp = resolvePerp(BINANCE_PERPS, symbol);
+    const response = await axios.get('https://fapi.binance.com/fapi/v1/premiumIndex', {
+      params: { symbol: perp.symbol },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return {
+      markPrice: parseFloat(response.data.markPrice) / perp.multiplier,
+      indexPrice: parseFloat(response.data.indexPrice) / perp.multiplier
+    };
+  }
+};
+
+async function fetchBybitTicker(perpSymbol) {
+  const response = await axios.get('https://api.bybit.com/v5/market/tickers', {
+    params: { category: 'linear', symbol: perpSymbol },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+  const ticker = response.data?.result?.list?.[0];
+  if (!ticker) throw new Error(response.data?.retMsg || `No Bybit ticker for ${perpSymbol}`);
+  return ticker;
+}
+
+/**
+ * Bybit linear perpetuals (public endpoints, no key)
+ */
+const bybitAdapter = {
+  name: 'bybit',
+
+  async fetchFunding(symbol) {
+    const ticker = await fetchBybitTicker(resolvePerp(BYBIT_PERPS, symbol).symbol);
+    return {
+      rate: parseFloat(ticker.fundingRate),
+      intervalHours: parseInt(ticker.fundingIntervalHour) || 8,
+      nextFundingTime: parseInt(ticker.nextFundingTime) || null
+    };
+  },
+
+  async fetchOpenInterest(symbol) {
+    const perp = resolvePerp(BYBIT_PERPS, symbol);
+    const [ticker, history] = await Promise.all([
+      fetchBybitTicker(perp.symbol),
+      axios.get('https://api.bybit.com/v5/market/open-interest', {
+        params: { category: 'linear', symbol: perp.symbol, intervalTime: '1h', limit: 25 },
+        timeout: REQUEST_TIMEOUT_MS
+      })
+    ]);
+    const rows = history.data?.result?.list || [];
+    return {
+      contracts: parseFloat(ticker.openInterest) * perp.multiplier,
+      valueUsd: parseFloat(ticker.openInterestValue),
+      history: rows
+        .map(row => ({ timestamp: parseInt(row.timestamp), contracts: parseFloat(row.openInterest) * perp.multiplier }))
+        .sort((a, b) => a.timestamp - b.timestamp) // Bybit returns newest first
+    };
+  },
+
+  async fetchBasis(symbol) {
+    const perp = resolvePerp(BYBIT_PERPS, symbol);
+    const ticker = await fetchBybitTicker(perp.symbol);
+    return {
+      markPrice: parseFloat(ticker.markPrice) / perp.multiplier,
+      indexPrice: parseFloat(ticker.indexPrice) / perp.multiplier
+    };
+  }
+};
+
+/**
+ * Build an adapter that serves fixed values instead of calling an exchange
+ * @param {Object} fixture - Overrides: { rate, intervalHours, contracts, valueUsd, oiChange24hPct, markPrice, indexPrice }
+ * @returns {Object} Derivatives adapter
+ */
+export function createMockAdapter(fixture = {}) {
+  const {
+    rate = 0.0001,
+    intervalHours = 8,
+    contracts = 100000,
+    valueUsd = null,
+    oiChange24hPct = 2,
+    markPrice = null,
+    indexPrice = 100
+  } = fixture;
+
+  return {
+    name: fixture.name || 'mock',
+
+    async fetchFunding() {
+      const intervalMs = intervalHours * 3600 * 1000;
+      return { rate, intervalHours, nextFundingTime: Math.ceil(Date.now() / intervalMs) * intervalMs };
+    },
+
+    async fetchOpenInterest() {
+      const now = Date.now();
+      const start = contracts / (1 + oiChange24hPct / 100);
+      // Linear ramp over the last 24 hourly points
+      const history = Array.from({ length: 25 }, (_, i) => ({
+        timestamp: now - (24 - i) * 3600 * 1000,
+        contracts: start + (contracts - start) * (i / 24)
+      }));
+      return { contracts, valueUsd: valueUsd ?? contracts * indexPrice, history };
+    },
+
+    async fetchBasis() {
+      return { markPrice: markPrice ?? indexPrice * (1 + rate), indexPrice };
+    }
+  };
+}
+
+const ADAPTERS = {
+  binance: binanceAdapter,
+  bybit: bybitAdapter,
+  mock: createMockAdapter()
+};
+
+/**
+ * Replace the adapter chain (e.g. with createMockAdapter fixtures); pass null to restore
+ * the DERIVATIVES_PROVIDERS chain
+ * @param {Array<Object>|null} adapters - Adapters in priority order
+ */
+export function setDerivativesAdapters(adapters) {
+  customAdapters = adapters;
+  cache.clear();
+}
+
+/**
+ * Get the adapters in priority order
+ * @returns {Array<Object>} Adapters
+ */
+export function getDerivativesAdapters() {
+  if (customAdapters) return customAdapters;
+  const configured = process.env.DERIVATIVES_PROVIDERS;
+  const chain = configured
+    ? configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_CHAIN;
+  return chain.map(name => ADAPTERS[name]).filter(Boolean);
+}
+
+/**
+ * Fetch one source from the first adapter that has it
+ * @returns {Promise<Object>} { data, provider } or { error }
+ */
+async function fetchSource(adapters, method, symbol) {
+  const errors = [];
+  for (const adapter of adapters) {
+    if (typeof adapter[method] !== 'function') continue;
+    try {
+      return { data: await adapter[method](symbol), provider: adapter.name };
+    } catch (error) {
+      errors.push(`${adapter.name}: ${error.response?.status || error.message}`);
+    }
+  }
+  return { error: errors.join('; ') || 'no adapter' };
+}
+
+function percentChange(from, to) {
+  return from ? ((to - from) / from) * 100 : null;
+}
+
+function round(value, decimals) {
+  return value === null || value === undefined || !Number.isFinite(value) ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Summarize funding
+ * @param {Object} funding - { rate, intervalHours, nextFundingTime }
+ * @returns {Object} Funding summary (rates as fractions and percentages)
+ */
+function summarizeFunding({ rate, intervalHours, nextFundingTime }) {
+  const rate8h = rate * (8 / intervalHours);
+  return {
+    rate,
+    ratePct: round(rate * 100, 4),
+    rate8hPct: round(rate8h * 100, 4),
+    annualizedPct: round(rate * (24 / intervalHours) * 365 * 100, 2),
+    intervalHours,
+    nextFundingTime: nextFundingTime ? new Date(nextFundingTime).toISOString() : null,
+    bias: rate8h > 0 ? 'LONGS_PAY' : rate8h < 0 ? 'SHORTS_PAY' : 'NEUTRAL',
+    state: rate8h >= FUNDING_ELEVATED_8H ? 'ELEVATED' :
+           rate8h <= FUNDING_NEGATIVE_8H ? 'NEGATIVE' : 'NORMAL'
+  };
+}
+
+/**
+ * Summarize open interest and its change over the hourly history
+ * @param {Object} openInterest - { contracts, valueUsd, history }
+ * @returns {Object} Open interest summary
+ */
+function summarizeOpenInterest({ contracts, valueUsd, history = [] }) {
+  const at = hoursAgo => history.length > hoursAgo ? history[history.length - 1 - hoursAgo].contracts : null;
+  const change1hPct = percentChange(at(1), contracts);
+  const change24hPct = percentChange(at(24) ?? history[0]?.contracts, contracts);
+  return {
+    contracts: round(contracts, 2),
+    valueUsd: round(valueUsd, 0),
+    change1hPct: round(change1hPct, 2),
+    change24hPct: round(change24hPct, 2),
+    trend: change24hPct === null ? 'UNKNOWN' :
+           change24hPct >= OI_RISING_PCT ? 'RISING' :
+           change24hPct <= -OI_RISING_PCT ? 'FALLING' : 'FLAT'
+  };
+}
+
+/**
+ * Summarize spot-perp basis
+ * @param {Object} basis - { markPrice, indexPrice }
+ * @param {number} spotPrice - Spot price from our own feed (falls back to the exchange index)
+ * @returns {Object} Basis summary
+ */
+function summarizeBasis({ markPrice, indexPrice }, spotPrice) {
+  const spot = spotPrice || indexPrice;
+  const basisPct = percentChange(spot, markPrice);
+  return {
+    perpPrice: markPrice,
+    spotPrice: spot,
+    indexPrice,
+    basis: markPrice - spot,
+    basisPct: round(basisPct, 4),
+    state: basisPct === null ? 'UNKNOWN' :
+           basisPct >= BASIS_STRETCHED_PCT ? 'PREMIUM' :
+           basisPct <= -BASIS_STRETCHED_PCT ? 'DISCOUNT' : 'FLAT'
+  };
+}
+
+/**
+ * Read crowded positioning from funding, open interest and basis together
+ * Paying funding alone is normal in a trend; it's crowded when new positions keep
+ * piling in (OI rising) or the perp trades stretched away from spot
+ * @returns {Object} { positioning, notes }
+ */
+function assessPositioning(funding, openInterest, basis) {
+  const notes = [];
+  const oiRising = openInterest?.trend === 'RISING';
+
+  if (funding?.state === 'ELEVATED') notes.push(`Funding elevated (${funding.rate8hPct}% per 8h) - longs paying`);
+  if (funding?.state === 'NEGATIVE') notes.push(`Negative funding (${funding.rate8hPct}% per 8h) - shorts paying`);
+  if (oiRising) notes.push(`Open interest up ${openInterest.change24hPct}% in 24h`);
+  if (openInterest?.trend === 'FALLING') notes.push(`Open interest down ${Math.abs(openInterest.change24hPct)}% in 24h - positions unwinding`);
+  if (basis?.state === 'PREMIUM') notes.push(`Perp at ${basis.basisPct}% premium to spot`);
+  if (basis?.state === 'DISCOUNT') notes.push(`Perp at ${Math.abs(basis.basisPct)}% discount to spot`);
+
+  let positioning = 'NEUTRAL';
+  if (funding?.state === 'ELEVATED' && (oiRising || basis?.state === 'PREMIUM')) {
+    positioning = 'CROWDED_LONG';
+  } else if (funding?.state === 'NEGATIVE' && (oiRising || basis?.state === 'DISCOUNT')) {
+    positioning = 'CROWDED_SHORT';
+  }
+
+  return { positioning, notes };
+}
+
+/**
+ * Get funding, open interest and basis for a symbol
+ * Never throws - sources that no adapter can serve come back null with an error note
+ * @param {string} symbol - Spot trading pair (e.g., 'BTCUSDT')
+ * @param {number} spotPrice - Current spot price for the basis (optional, ignored for non-USD quotes)
+ * @returns {Promise<Object>} { symbol, available, funding, openInterest, basis, positioning, notes, providers, errors, timestamp }
+ */
+export async function getDerivativesData(symbol, spotPrice = null) {
+  // Only the adapter responses are cached - the basis depends on each caller's spot price
+  let cached = cache.get(symbol);
+  if (!cached || Date.now() - cached.timestamp >= CACHE_TTL) {
+    const adapters = getDerivativesAdapters();
+    const [funding, openInterest, basis] = await Promise.all([
+      fetchSource(adapters, 'fetchFunding', symbol),
+      fetchSource(adapters, 'fetchOpenInterest', symbol),
+      fetchSource(adapters, 'fetchBasis', symbol)
+    ]);
+    if (!funding.data && !openInterest.data && !basis.data) {
+      console.warn(`[Derivatives] No perp data for ${symbol} (${funding.error})`);
+    }
+    cached = { sources: { funding, openInterest, basis }, timestamp: Date.now() };
+    cache.set(symbol, cached);
+  }
+  const { funding, openInterest, basis } = cached.sources;
+
+  // Non-USD spot (EUR, BTC quotes) isn't comparable to the perp - measure basis against its index
+  const quote = resolveSymbol(symbol)?.quote;
+  const basisSpot = !quote || USD_QUOTES.includes(quote) ? spotPrice : null;
+
+  const summary = {
+    funding: funding.data ? summarizeFunding(funding.data) : null,
+    openInterest: openInterest.data ? summarizeOpenInterest(openInterest.data) : null,
+    basis: basis.data ? summarizeBasis(basis.data, basisSpot) : null
+  };
+
+  const errors = Object.fromEntries(
+    Object.entries({ funding, openInterest, basis })
+      .filter(([_, source]) => source.error)
+      .map(([name, source]) => [name, source.error])
+  );
+
+  return {
+    symbol,
+    available: Boolean(summary.funding || summary.openInterest || summary.basis),
+    ...summary,
+    ...assessPositioning(summary.funding, summary.openInterest, summary.basis),
+    providers: {
+      funding: funding.provider || null,
+      openInterest: openInterest.provider || null,
+      basis: basis.provider || null
+    },
+    ...(Object.keys(errors).length > 0 && { errors }),
+    timestamp: new Date(cached.timestamp).toISOString()
+  };
+}
+
+export default {
+  getDerivativesData,
+  createMockAdapter,
+  setDerivativesAdapters,
+  getDerivativesAdapters
+};
@@ -6,6 +6,7 @@
  */
 
 import axios from 'axios';
+import { resolveAsset } from './symbols.js';
 
 // Base URLs for dFlow API endpoints
 // Note: These endpoints may need adjustment based on actual dFlow API documentation
@@ -15,12 +16,12 @@ const DFLOw_METADATA_URL = `${DFLOw_BASE_URL}/metadata`;
 const DFLOw_LIVE_DATA_URL = `${DFLOw_BASE_URL}/live`;
 const DFLOw_QUOTE_URL = 'https://quote-api.dflow.net';
 
-// Symbol to dFlow ticker mapping
-const SYMBOL_TO_TICKER = {
-  'BTCUSDT': 'BTC',
-  'ETHUSDT': 'ETH',
-  'SOLUSDT': 'SOL'
-};
+// dFlow ticker for a symbol - assets flagged predictionMarkets in the symbol registry
+// (any quote maps to its base ticker)
+function getTicker(symbol) {
+  const asset = resolveAsset(symbol);
+  return asset?.predictionMarkets ? asset.code : null;
+}
 
 // Cache for API responses (5 minute TTL)
 const cache = new Map();
@@ -47,7 +48,7 @@ function setCache(key, data) {
  * @returns {Promise<Array>} Array of events
  */
 export async function searchEvents(symbol) {
-  const ticker = SYMBOL_TO_TICKER[symbol];
+  const ticker = getTicker(symbol);
   if (!ticker) {
     return [];
   }
@@ -161,7 +162,7 @@ export async function getLiveData(marketId) {
  * @returns {Promise<Object>} Complete prediction market data
  */
 export async function getPredictionMarkets(symbol) {
-  const ticker = SYMBOL_TO_TICKER[symbol];
+  const ticker = getTicker(symbol);
   if (!ticker) {
     return {
       symbol,
@@ -0,0 +1,86 @@
+/**
+ * Historical Data Module
+ * Paginated backfill for histories longer than a single provider response
+ * Walks backwards page by page to a requested start date, throttled per source,
+ * and merges the pages into one seamless series
+ */
+
+import { mergeCandles } from './candleStore.js';
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+const DEFAULT_MAX_PAGES = 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRateLimitError(error) {
+  const status = error.response?.status;
+  return status === 429 || status === 418 || /429|too many requests|rate limit/i.test(error.message);
+}
+
+/**
+ * Fetch one page, backing off and retrying when the source rate-limits us
+ * @param {Function} fetchPage - async (endTime) => candles
+ * @param {number} endTime - Page end (ms)
+ * @returns {Promise<Array>} Page candles
+ */
+async function fetchPageWithRetry(fetchPage, endTime) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchPage(endTime);
+    } catch (error) {
+      if (!isRateLimitError(error) || attempt >= MAX_RETRIES) throw error;
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(`[History] Rate limited, retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Walk a paged OHLCV source backwards from endTime until startTime is covered
+ * Stops early when a page has nothing older than what we already hold (source depth reached)
+ * @param {Object} source - { fetchPage: async (endTime) => candles, minDelayMs }
+ * @param {number} startTime - Oldest open time wanted (ms)
+ * @param {number} endTime - Newest open time wanted (ms, default now)
+ * @param {number} maxPages - Safety cap on requests
+ * @returns {Promise<Object>} { candles, pages, complete } - complete is false if the source ran out before startTime
+ */
+export async function paginateCandles(source, startTime, endTime = Date.now(), maxPages = DEFAULT_MAX_PAGES) {
+  let candles = [];
+  let cursor = endTime;
+  let pages = 0;
+  let complete = false;
+
+  while (pages < maxPages) {
+    if (pages > 0 && source.minDelayMs) {
+      await sleep(source.minDelayMs);
+    }
+
+    const page = await fetchPageWithRetry(source.fetchPage, cursor);
+    pages++;
+
+    const oldestHeld = candles.length > 0 ? candles[0].timestamp : Infinity;
+    const older = page.filter(c => c.timestamp < oldestHeld && c.timestamp <= endTime);
+    if (older.length === 0) break;
+
+    candles = mergeCandles(older, candles);
+    if (candles[0].timestamp <= startTime) {
+      complete = true;
+      break;
+    }
+    cursor = candles[0].timestamp - 1;
+  }
+
+  return {
+    candles: candles.filter(c => c.timestamp >= startTime),
+    pages,
+    complete
+  };
+}
+
+export default {
+  paginateCandles
+};
@@ -0,0 +1,413 @@
+/**
+ * Incremental Indicator Engine
+ * Keeps EMA, RSI, Stochastic RSI, MACD and ADX state per series so a new or updated candle costs a fixed
+ * amount of work however long the series is (the indicator windows are bounded by their periods and the
+ * histories are ring buffers). Building a snapshot still copies the 150-entry oscillator history once.
+ *
+ * The math mirrors the technicalindicators library used by services/indicators.js:
+ * - EMA: seeded with the SMA of the first `period` closes, then k = 2 / (period + 1)
+ * - RSI: Wilder smoothing of average gain/loss, rounded to 2 decimals
+ * - Stoch RSI: stochastic of RSI over `stochasticPeriod`, k = SMA(kPeriod), d = SMA(dPeriod) of k
+ *   (the standalone RSI is the same RSI(rsiPeriod) that feeds Stoch RSI)
+ * - MACD: EMA(fast) - EMA(slow), signal = EMA(signal) of the MACD line
+ * - ADX: Wilder-smoothed true range and directional movement, ADX = Wilder average of DX
+ *
+ * Every candle except the last is treated as closed and folded into the stored state.
+ * The last candle may still be forming, so it is only previewed on top of that state -
+ * a changing live candle never touches the committed values or histories.
+ *
+ * Cached state keeps accumulating from the first candle it saw, so a cached series'
+ * EMA200 carries more history than a fresh recompute over a sliding 500-candle window.
+ */
+
+const DEFAULT_PARAMS = {
+  fastEmaPeriod: 21,
+  slowEmaPeriod: 200,
+  rsiPeriod: 14,
+  stochasticPeriod: 14,
+  kPeriod: 3,
+  dPeriod: 3,
+  macdFastPeriod: 12,
+  macdSlowPeriod: 26,
+  macdSignalPeriod: 9,
+  adxPeriod: 14
+};
+
+const STOCH_HISTORY_LENGTH = 5;   // Stoch RSI values kept for curl detection (strategy uses the last 3)
+const OSCILLATOR_HISTORY_LENGTH = 150; // Per-candle RSI/Stoch RSI/MACD values kept for divergence detection
+const MAX_SERIES = 200;           // Oldest series are evicted beyond this
+
+// `${symbol}:${interval}` → committed series state
+const seriesCache = new Map();
+
+const stats = {
+  appended: 0,
+  rebuilds: 0
+};
+
+// ---------------------------------------------------------------------------
+// Per-indicator steps: each takes a state and a value and returns the next state
+// without mutating the input, so the forming candle can be previewed for free
+// ---------------------------------------------------------------------------
+
+// Wilder's moving average is an EMA with k = 1 / period
+function createEma(period, k = 2 / (period + 1)) {
+  return { period, k, count: 0, sum: 0, value: null };
+}
+
+function stepEma(ema, price) {
+  const count = ema.count + 1;
+  if (ema.value !== null) {
+    return { ...ema, count, value: (price - ema.value) * ema.k + ema.value };
+  }
+  const sum = ema.sum + price;
+  return { ...ema, count, sum, value: count === ema.period ? sum / ema.period : null };
+}
+
+function createSma(period) {
+  return { period, window: [], sum: 0, value: null };
+}
+
+function stepSma(sma, value) {
+  const window = [...sma.window, value];
+  let sum = sma.sum + value;
+  if (window.length > sma.period) sum -= window.shift();
+  return { ...sma, window, sum, value: window.length === sma.period ? sum / sma.period : null };
+}
+
+function createRsi(period) {
+  return { period, previous: null, count: 0, gainSum: 0, lossSum: 0, avgGain: null, avgLoss: null, value: null };
+}
+
+function stepRsi(rsi, price) {
+  if (rsi.previous === null) {
+    return { ...rsi, previous: price };
+  }
+
+  const change = price - rsi.previous;
+  const gain = change > 0 ? change : 0;
+  const loss = change < 0 ? -change : 0;
+  const next = { ...rsi, previous: price };
+
+  if (rsi.avgGain === null) {
+    next.count = rsi.count + 1;
+    next.gainSum = rsi.gainSum + gain;
+    next.lossSum = rsi.lossSum + loss;
+    if (next.count < rsi.period) return next;
+    next.avgGain = next.gainSum / rsi.period;
+    next.avgLoss = next.lossSum / rsi.period;
+  } else {
+    next.avgGain = (rsi.avgGain * (rsi.period - 1) + gain) / rsi.period;
+    next.avgLoss = (rsi.avgLoss * (rsi.period - 1) + loss) / rsi.period;
+  }
+
+  if (next.avgLoss === 0) {
+    next.value = 100;
+  } else if (next.avgGain === 0) {
+    next.value = 0;
+  } else {
+    next.value = parseFloat((100 - 100 / (1 + next.avgGain / next.avgLoss)).toFixed(2));
+  }
+  return next;
+}
+
+function createStochRsi(params) {
+  return {
+    rsi: createRsi(params.rsiPeriod),
+    stochasticPeriod: params.stochasticPeriod,
+    window: [],
+    kSma: createSma(params.kPeriod),
+    dSma: createSma(params.dPeriod),
+    value: null
+  };
+}
+
+function stepStochRsi(stoch, price) {
+  const rsi = stepRsi(stoch.rsi, price);
+  if (rsi.value === null) return { ...stoch, rsi };
+
+  const window = [...stoch.window, rsi.value].slice(-stoch.stochasticPeriod);
+  if (window.length < stoch.stochasticPeriod) return { ...stoch, rsi, window };
+
+  const low = Math.min(...window);
+  const high = Math.max(...window);
+  const raw = (rsi.value - low) / (high - low) * 100;
+  const stochRSI = isNaN(raw) ? 0 : raw;
+
+  const kSma = stepSma(stoch.kSma, stochRSI);
+  if (kSma.value === null) return { ...stoch, rsi, window, kSma };
+
+  const dSma = stepSma(stoch.dSma, kSma.value);
+  const value = dSma.value === null ? stoch.value : { stochRSI, k: kSma.value, d: dSma.value };
+  return { ...stoch, rsi, window, kSma, dSma, value };
+}
+
+function createMacd(params) {
+  return {
+    fast: createEma(params.macdFastPeriod),
+    slow: createEma(params.macdSlowPeriod),
+    signal: createEma(params.macdSignalPeriod),
+    value: null,
+    previous: null
+  };
+}
+
+function stepMacd(macd, price) {
+  const fast = stepEma(macd.fast, price);
+  const slow = stepEma(macd.slow, price);
+  if (fast.value === null || slow.value === null) return { ...macd, fast, slow };
+
+  const line = fast.value - slow.value;
+  const signal = stepEma(macd.signal, line);
+  const value = {
+    macd: line,
+    signal: signal.value,
+    histogram: signal.value === null ? null : line - signal.value
+  };
+  return { ...macd, fast, slow, signal, value, previous: macd.value };
+}
+
+// Running sum for the first `period` values, then value - value / period + next
+function createWilderSum(period) {
+  return { period, count: 0, sum: 0, value: null };
+}
+
+function stepWilderSum(wilder, value) {
+  const count = wilder.count + 1;
+  if (wilder.value !== null) {
+    return { ...wilder, count, value: wilder.value - wilder.value / wilder.period + value };
+  }
+  const sum = wilder.sum + value;
+  return { ...wilder, count, sum, value: count === wilder.period ? sum : null };
+}
+
+function createAdx(period) {
+  return {
+    previous: null,
+    trueRange: createWilderSum(period),
+    plusDM: createWilderSum(period),
+    minusDM: createWilderSum(period),
+    dx: createEma(period, 1 / period),
+    value: null
+  };
+}
+
+function stepAdx(adx, candle) {
+  const previous = { high: candle.high, low: candle.low, close: candle.close };
+  if (adx.previous === null) return { ...adx, previous };
+
+  const { high, low, close } = adx.previous;
+  const range = Math.max(candle.high - candle.low, Math.abs(candle.high - close), Math.abs(candle.low - close));
+  const upMove = candle.high - high;
+  const downMove = low - candle.low;
+
+  const trueRange = stepWilderSum(adx.trueRange, range);
+  const plusDM = stepWilderSum(adx.plusDM, upMove > downMove && upMove > 0 ? upMove : 0);
+  const minusDM = stepWilderSum(adx.minusDM, downMove > upMove && downMove > 0 ? downMove : 0);
+  if (trueRange.value === null) return { ...adx, previous, trueRange, plusDM, minusDM };
+
+  const plusDI = trueRange.value > 0 ? plusDM.value * 100 / trueRange.value : 0;
+  const minusDI = trueRange.value > 0 ? minusDM.value * 100 / trueRange.value : 0;
+  const diSum = plusDI + minusDI;
+  const dx = stepEma(adx.dx, diSum > 0 ? Math.abs(plusDI - minusDI) / diSum * 100 : 0);
+  const value = dx.value === null ? null : { adx: dx.value, plusDI, minusDI };
+  return { ...adx, previous, trueRange, plusDM, minusDM, dx, value };
+}
+
+// ---------------------------------------------------------------------------
+// Histories: fixed-size rings that committed candles push into in place
+// ---------------------------------------------------------------------------
+
+function createRing(capacity) {
+  return { capacity, items: [], next: 0 };
+}
+
+function pushRing(ring, item) {
+  if (ring.items.length < ring.capacity) {
+    ring.items.push(item);
+  } else {
+    ring.items[ring.next] = item;
+  }
+  ring.next = (ring.next + 1) % ring.capacity;
+}
+
+/**
+ * Ring contents oldest → newest, with an optional previewed entry on top that isn't stored
+ */
+function ringToArray(ring, preview = null) {
+  const ordered = ring.items.slice(ring.next).concat(ring.items.slice(0, ring.next));
+  if (preview !== null) {
+    ordered.push(preview);
+    if (ordered.length > ring.capacity) ordered.shift();
+  }
+  return ordered;
+}
+
+// ---------------------------------------------------------------------------
+// Series state
+// ---------------------------------------------------------------------------
+
+function createSeries(params) {
+  return {
+    params,
+    count: 0,
+    firstTimestamp: null,
+    lastTimestamp: null,
+    lastClose: null,
+    fastEma: createEma(params.fastEmaPeriod),
+    slowEma: createEma(params.slowEmaPeriod),
+    stochRsi: createStochRsi(params),
+    stochHistory: createRing(STOCH_HISTORY_LENGTH),
+    oscillatorHistory: createRing(OSCILLATOR_HISTORY_LENGTH),
+    macd: createMacd(params),
+    adx: createAdx(params.adxPeriod)
+  };
+}
+
+/**
+ * Step every indicator by one candle
+ * The histories are shared with the input, not extended: the caller either commits the
+ * returned entries (pushRing) or passes them to toSnapshot as a preview.
+ * @returns {Object} { series, stoch: new Stoch RSI value or null, oscillators: history entry }
+ */
+function stepSeries(series, candle) {
+  const stochRsi = stepStochRsi(series.stochRsi, candle.close);
+  const hasNewStoch = stochRsi.value !== null && stochRsi.value !== series.stochRsi.value;
+  const macd = stepMacd(series.macd, candle.close);
+  return {
+    series: {
+      ...series,
+      count: series.count + 1,
+      firstTimestamp: series.firstTimestamp ?? candle.timestamp,
+      lastTimestamp: candle.timestamp,
+      lastClose: candle.close,
+      fastEma: stepEma(series.fastEma, candle.close),
+      slowEma: stepEma(series.slowEma, candle.close),
+      stochRsi,
+      macd,
+      adx: stepAdx(series.adx, candle)
+    },
+    stoch: hasNewStoch ? stochRsi.value : null,
+    oscillators: {
+      timestamp: candle.timestamp,
+      rsi: stochRsi.rsi.value,
+      stochK: stochRsi.value?.k ?? null,
+      macdHistogram: macd.value?.histogram ?? null
+    }
+  };
+}
+
+function commitStep(series, candle) {
+  const step = stepSeries(series, candle);
+  if (step.stoch !== null) pushRing(step.series.stochHistory, step.stoch);
+  pushRing(step.series.oscillatorHistory, step.oscillators);
+  return step.series;
+}
+
+function sameParams(a, b) {
+  return Object.keys(DEFAULT_PARAMS).every(key => a[key] === b[key]);
+}
+
+/**
+ * Find where the candles continue the committed state
+ * State that saw less history than the candles offer (a shorter fallback series, or older
+ * bars backfilled since) doesn't fit either - resuming would leave EMA200 short of its history.
+ * @returns {number} Index of the first candle not yet committed, or -1 if the state doesn't fit
+ */
+function findResumeIndex(series, candles) {
+  if (series.lastTimestamp === null || candles[0].timestamp < series.firstTimestamp) return -1;
+  for (let i = candles.length - 2; i >= 0; i--) {
+    const candle = candles[i];
+    if (candle.timestamp === series.lastTimestamp) {
+      return candle.close === series.lastClose && i + 1 <= series.count ? i + 1 : -1;
+    }
+    if (candle.timestamp < series.lastTimestamp) break;
+  }
+  return -1;
+}
+
+function toSnapshot({ series, stoch, oscillators }) {
+  return {
+    ema21: series.fastEma.value,
+    ema200: series.slowEma.value,
+    stochRSI: series.stochRsi.value,
+    stochHistory: ringToArray(series.stochHistory, stoch),
+    rsi: series.stochRsi.rsi.value,
+    macd: series.macd.value && { ...series.macd.value, previousHistogram: series.macd.previous?.histogram ?? null },
+    adx: series.adx.value,
+    oscillatorHistory: ringToArray(series.oscillatorHistory, oscillators),
+    candleCount: series.count
+  };
+}
+
+/**
+ * Bring a series up to date with its candles and return the current indicator values
+ * Closed candles the series hasn't seen are appended; the last candle is previewed.
+ * Without a key nothing is cached and the candles are folded from scratch.
+ * @param {Array<Object>} candles - OHLCV candles, oldest → newest
+ * @param {Object} options - { key: 'BTCUSDT:4h', params: overrides for DEFAULT_PARAMS }
+ * @returns {Object} { ema21, ema200, stochRSI: {stochRSI, k, d}|null, stochHistory, rsi,
+ *   macd: {macd, signal, histogram, previousHistogram}|null, adx: {adx, plusDI, minusDI}|null,
+ *   oscillatorHistory: [{timestamp, rsi, stochK, macdHistogram}] (last 150 candles), candleCount }
+ */
+export function updateSeries(candles, { key = null, params = {} } = {}) {
+  if (!candles || candles.length === 0) {
+    throw new Error('No candle data provided');
+  }
+
+  const resolvedParams = { ...DEFAULT_PARAMS, ...params };
+  let series = key ? seriesCache.get(key) : null;
+  let start = series && sameParams(series.params, resolvedParams) ? findResumeIndex(series, candles) : -1;
+
+  if (start === -1) {
+    if (key) stats.rebuilds++;
+    series = createSeries(resolvedParams);
+    start = 0;
+  }
+
+  const last = candles.length - 1;
+  for (let i = start; i < last; i++) {
+    series = commitStep(series, candles[i]);
+  }
+  stats.appended += Math.max(0, last - start);
+
+  if (key) {
+    seriesCache.delete(key);
+    seriesCache.set(key, series);
+    if (seriesCache.size > MAX_SERIES) {
+      seriesCache.delete(seriesCache.keys().next().value);
+    }
+  }
+
+  return toSnapshot(stepSeries(series, candles[last]));
+}
+
+/**
+ * Drop cached state for one series, or for all of them
+ * @param {string} key - Series key ('BTCUSDT:4h'); omit to clear everything
+ */
+export function resetSeries(key = null) {
+  if (key) {
+    seriesCache.delete(key);
+  } else {
+    seriesCache.clear();
+  }
+}
+
+/**
+ * Engine statistics
+ * @returns {Object} { series, appended, rebuilds }
+ */
+export function getEngineStats() {
+  return {
+    series: seriesCache.size,
+    appended: stats.appended,
+    rebuilds: stats.rebuilds
+  };
+}
+
+export default {
+  updateSeries,
+  resetSeries,
+  getEngineStats
+};
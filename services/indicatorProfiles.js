@@ -0,0 +1,418 @@
+/**
+ * Indicator Profiles Module
+ * Named indicator parameter sets (EMA/Stoch RSI/MACD/ADX periods, pullback bands, swing lookback,
+ * trend source)
+ * assigned per symbol, per asset, per timeframe or per symbol + timeframe.
+ *
+ * Resolution, most specific first:
+ *   symbol + timeframe ('DOGEUSDT' + '5m') → asset + timeframe ('DOGE' + '5m') → symbol → asset
+ *   → timeframe → 'default'
+ *
+ * Built-in profiles live below. Custom profiles, edits to built-ins and assignments are
+ * persisted to INDICATOR_PROFILES_FILE (hand-editable, or managed through /api/indicator-profiles):
+ * { profiles: { name: { description, params } }, assignments: [{ symbol, interval, profile }], updatedAt }
+ */
+
+import { readFileSync, promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as symbols from './symbols.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Vercel functions can only write to /tmp, local runs keep the profiles in the project
+export const INDICATOR_PROFILES_FILE = process.env.INDICATOR_PROFILES_FILE ||
+  (process.env.VERCEL ? '/tmp/indicator-profiles.json' : path.join(__dirname, '..', 'data', 'indicator-profiles.json'));
+
+export const DEFAULT_PROFILE = 'default';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+const INTERVAL_PATTERN = /^\d+(m|h|d|w|M)$/;
+
+const BUILT_IN_PROFILES = {
+  default: {
+    description: 'Standard settings (21/200 EMA, 14/14/3/3 Stoch RSI, 12/26/9 MACD)',
+    params: {
+      fastEmaPeriod: 21,
+      slowEmaPeriod: 200,
+      rsiPeriod: 14,
+      stochasticPeriod: 14,
+      kPeriod: 3,
+      dPeriod: 3,
+      macdFastPeriod: 12,
+      macdSlowPeriod: 26,
+      macdSignalPeriod: 9,
+      adxPeriod: 14,
+      entryZonePct: 0.5,      // |distance from fast EMA| below this = ENTRY_ZONE
+      overextendedPct: 3,     // above this = OVEREXTENDED
+      swingLookback: 20,
+      trendSource: 'ema'      // 'ema' | 'structure' | 'hybrid' - what analysis.trend is based on
+    }
+  },
+  fast: {
+    description: 'Faster periods and wider pullback bands for volatile coins (memecoins)',
+    params: {
+      fastEmaPeriod: 9,
+      slowEmaPeriod: 50,
+      rsiPeriod: 7,
+      stochasticPeriod: 7,
+      kPeriod: 3,
+      dPeriod: 3,
+      macdFastPeriod: 8,
+      macdSlowPeriod: 21,
+      macdSignalPeriod: 5,
+      adxPeriod: 10,
+      entryZonePct: 1,
+      overextendedPct: 6,
+      swingLookback: 10,
+      trendSource: 'ema'
+    }
+  }
+};
+
+const integerRule = (min, max) => value =>
+  Number.isInteger(value) && value >= min && value <= max ? null : `must be an integer from ${min} to ${max}`;
+const percentRule = (min, max) => value =>
+  typeof value === 'number' && value > min && value <= max ? null : `must be a number above ${min} and up to ${max}`;
+const oneOfRule = (...options) => value =>
+  options.includes(value) ? null : `must be one of ${options.join(', ')}`;
+
+// Profile parameters and their validators (each returns an error message or null)
+const PARAM_RULES = {
+  fastEmaPeriod: integerRule(2, 500),
+  slowEmaPeriod: integerRule(2, 1000),
+  rsiPeriod: integerRule(2, 100),
+  stochasticPeriod: integerRule(2, 100),
+  kPeriod: integerRule(1, 20),
+  dPeriod: integerRule(1, 20),
+  macdFastPeriod: integerRule(2, 100),
+  macdSlowPeriod: integerRule(2, 200),
+  macdSignalPeriod: integerRule(1, 50),
+  adxPeriod: integerRule(2, 100),
+  entryZonePct: percentRule(0, 10),
+  overextendedPct: percentRule(0, 50),
+  swingLookback: integerRule(3, 500),
+  trendSource: oneOfRule('ema', 'structure', 'hybrid')
+};
+
+// Active profiles (built-ins + persisted) and assignments
+const profiles = structuredClone(BUILT_IN_PROFILES);
+let assignments = [];
+
+// Serializes writes so concurrent admin calls don't drop each other's changes
+let writeQueue = Promise.resolve();
+
+/**
+ * Validate a profile name
+ * @param {string} name - Profile name (e.g., 'fast', 'memecoin-5m')
+ * @returns {string} Lowercased name
+ */
+function parseProfileName(name) {
+  const normalized = String(name || '').trim().toLowerCase();
+  if (!NAME_PATTERN.test(normalized)) {
+    throw new Error(`Invalid profile name: "${name}" (2-32 lowercase letters, digits, - or _)`);
+  }
+  return normalized;
+}
+
+/**
+ * Validate a full parameter set, including the cross-field rules
+ * @param {Object} params - Complete profile params
+ * @returns {Object} The same params
+ */
+function validateParams(params) {
+  const errors = [];
+  for (const [key, value] of Object.entries(params)) {
+    const rule = PARAM_RULES[key];
+    if (!rule) {
+      errors.push(`${key} is not a profile parameter (allowed: ${Object.keys(PARAM_RULES).join(', ')})`);
+    } else {
+      const error = rule(value);
+      if (error) errors.push(`${key} ${error}`);
+    }
+  }
+  if (errors.length === 0) {
+    if (params.fastEmaPeriod >= params.slowEmaPeriod) errors.push('fastEmaPeriod must be below slowEmaPeriod');
+    if (params.macdFastPeriod >= params.macdSlowPeriod) errors.push('macdFastPeriod must be below macdSlowPeriod');
+    if (params.entryZonePct >= params.overextendedPct) errors.push('entryZonePct must be below overextendedPct');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid profile params: ${errors.join('; ')}`);
+  }
+  return params;
+}
+
+/**
+ * Normalize an assignment target
+ * Pairs become canonical symbols ('doge/usdt' → 'DOGEUSDT'), anything else an asset code ('doge' → 'DOGE')
+ */
+function parseTarget(symbol, interval) {
+  if (!symbol && !interval) {
+    throw new Error('Invalid profile assignment: give a symbol, an interval or both');
+  }
+  if (interval && !INTERVAL_PATTERN.test(interval)) {
+    throw new Error(`Invalid profile assignment: unknown interval "${interval}" (e.g. 5m, 4h, 1d)`);
+  }
+  const target = symbol
+    ? (symbols.parseSymbol(symbol) ? symbols.normalizeSymbol(symbol) : symbols.normalizeAsset(symbol))
+    : null;
+  return { symbol: target, interval: interval || null };
+}
+
+function describeProfile(name) {
+  const profile = profiles[name];
+  return {
+    name,
+    description: profile.description || null,
+    builtIn: Boolean(BUILT_IN_PROFILES[name]),
+    params: { ...profile.params }
+  };
+}
+
+async function readProfilesFile() {
+  try {
+    const saved = JSON.parse(await fs.readFile(INDICATOR_PROFILES_FILE, 'utf8'));
+    return { profiles: saved.profiles || {}, assignments: saved.assignments || [] };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { profiles: {}, assignments: [] };
+    throw error;
+  }
+}
+
+async function writeProfilesFile(saved) {
+  await fs.mkdir(path.dirname(INDICATOR_PROFILES_FILE), { recursive: true });
+  const tmpPath = `${INDICATOR_PROFILES_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify({ ...saved, updatedAt: new Date().toISOString() }, null, 2));
+  await fs.rename(tmpPath, INDICATOR_PROFILES_FILE);
+}
+
+function updateProfilesFile(mutate) {
+  const run = writeQueue.then(async () => {
+    const saved = await readProfilesFile();
+    mutate(saved);
+    await writeProfilesFile(saved);
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * List every profile
+ * @returns {Array<Object>} [{ name, description, builtIn, params }]
+ */
+export function listProfiles() {
+  return Object.keys(profiles).sort().map(describeProfile);
+}
+
+/**
+ * Get one profile
+ * @param {string} name - Profile name
+ * @returns {Object|null} { name, description, builtIn, params } or null if unknown
+ */
+export function getProfile(name) {
+  const normalized = String(name || '').trim().toLowerCase();
+  return profiles[normalized] ? describeProfile(normalized) : null;
+}
+
+/**
+ * List profile assignments
+ * @returns {Array<Object>} [{ symbol, interval, profile }]
+ */
+export function listAssignments() {
+  return assignments.map(assignment => ({ ...assignment }));
+}
+
+/**
+ * Resolve the profile for a symbol and timeframe
+ * @param {string} symbol - Trading pair (e.g., 'DOGEUSDT'); optional
+ * @param {string} interval - Timeframe (e.g., '5m'); optional
+ * @returns {Object} { name, assignedBy, params } - assignedBy is the matching assignment or 'default'
+ */
+export function resolveProfile(symbol = null, interval = null) {
+  const resolved = symbol ? symbols.resolveSymbol(symbol) : null;
+  const targets = resolved ? [resolved.symbol, resolved.base] : (symbol ? [symbol] : []);
+  const candidates = [
+    ...targets.map(target => ({ symbol: target, interval })),
+    ...targets.map(target => ({ symbol: target, interval: null })),
+    { symbol: null, interval }
+  ];
+
+  for (const candidate of candidates) {
+    if (!candidate.symbol && !candidate.interval) continue;
+    const match = assignments.find(assignment =>
+      assignment.symbol === candidate.symbol && assignment.interval === candidate.interval && profiles[assignment.profile]
+    );
+    if (match) {
+      return {
+        name: match.profile,
+        assignedBy: [match.symbol, match.interval].filter(Boolean).join(':'),
+        params: { ...profiles[match.profile].params }
+      };
+    }
+  }
+
+  return { name: DEFAULT_PROFILE, assignedBy: 'default', params: { ...profiles[DEFAULT_PROFILE].params } };
+}
+
+/**
+ * Add a profile, or update an existing one
+ * Params not given are taken from the existing profile, or from 'default' for a new one
+ * @param {string} name - Profile name
+ * @param {Object} fields - { description, params: { fastEmaPeriod, ..., swingLookback } }
+ * @returns {Promise<Object>} { profile, created }
+ */
+export async function upsertProfile(name, { description, params = {} } = {}) {
+  const normalized = parseProfileName(name);
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('Invalid profile params: expected an object');
+  }
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 200)) {
+    throw new Error('Invalid profile description: must be a string (max 200 chars)');
+  }
+
+  const existing = profiles[normalized];
+  const base = existing || profiles[DEFAULT_PROFILE];
+  const next = {
+    description: description === undefined ? (existing?.description ?? null) : description,
+    params: validateParams({ ...base.params, ...params })
+  };
+
+  await updateProfilesFile(saved => {
+    saved.profiles[normalized] = next;
+  });
+
+  profiles[normalized] = next;
+  console.log(`[IndicatorProfiles] ${existing ? 'Updated' : 'Added'} profile ${normalized}`);
+  return { profile: describeProfile(normalized), created: !existing };
+}
+
+/**
+ * Remove a custom profile, or reset a built-in one to its built-in settings
+ * @param {string} name - Profile name
+ * @returns {Promise<boolean>} True if the profile existed
+ */
+export async function removeProfile(name) {
+  const normalized = String(name || '').trim().toLowerCase();
+  if (!profiles[normalized]) return false;
+
+  const builtIn = BUILT_IN_PROFILES[normalized];
+  const inUse = assignments.filter(assignment => assignment.profile === normalized);
+  if (!builtIn && inUse.length > 0) {
+    const targets = inUse.map(assignment => [assignment.symbol, assignment.interval].filter(Boolean).join(':'));
+    throw new Error(`Invalid profile removal: ${normalized} is assigned to ${targets.join(', ')}`);
+  }
+
+  await updateProfilesFile(saved => {
+    delete saved.profiles[normalized];
+  });
+
+  if (builtIn) {
+    profiles[normalized] = structuredClone(builtIn);
+  } else {
+    delete profiles[normalized];
+  }
+  console.log(`[IndicatorProfiles] ${builtIn ? 'Reset' : 'Removed'} profile ${normalized}`);
+  return true;
+}
+
+/**
+ * Assign a profile to a symbol/asset, a timeframe, or both
+ * @param {Object} assignment - { symbol, interval, profile }
+ * @returns {Promise<Object>} The stored assignment
+ */
+export async function assignProfile({ symbol = null, interval = null, profile } = {}) {
+  const target = parseTarget(symbol, interval);
+  const name = String(profile || '').trim().toLowerCase();
+  if (!profiles[name]) {
+    throw new Error(`Invalid profile assignment: unknown profile "${profile}"`);
+  }
+
+  const assignment = { ...target, profile: name };
+  const sameTarget = existing => existing.symbol === target.symbol && existing.interval === target.interval;
+
+  await updateProfilesFile(saved => {
+    saved.assignments = [...saved.assignments.filter(existing => !sameTarget(existing)), assignment];
+  });
+
+  assignments = [...assignments.filter(existing => !sameTarget(existing)), assignment];
+  console.log(`[IndicatorProfiles] Assigned ${name} to ${[target.symbol, target.interval].filter(Boolean).join(':')}`);
+  return { ...assignment };
+}
+
+/**
+ * Remove the assignment for a target
+ * @param {Object} target - { symbol, interval }
+ * @returns {Promise<boolean>} True if an assignment was removed
+ */
+export async function unassignProfile({ symbol = null, interval = null } = {}) {
+  const target = parseTarget(symbol, interval);
+  const sameTarget = existing => existing.symbol === target.symbol && existing.interval === target.interval;
+  if (!assignments.some(sameTarget)) return false;
+
+  await updateProfilesFile(saved => {
+    saved.assignments = saved.assignments.filter(existing => !sameTarget(existing));
+  });
+
+  assignments = assignments.filter(existing => !sameTarget(existing));
+  console.log(`[IndicatorProfiles] Unassigned ${[target.symbol, target.interval].filter(Boolean).join(':')}`);
+  return true;
+}
+
+/**
+ * Apply the persisted profiles and assignments on top of the built-ins
+ * Read synchronously at startup; entries that don't validate are skipped with a warning
+ */
+function loadPersistedProfiles() {
+  let saved;
+  try {
+    saved = JSON.parse(readFileSync(INDICATOR_PROFILES_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[IndicatorProfiles] Ignoring unreadable ${INDICATOR_PROFILES_FILE}:`, error.message);
+    }
+    return;
+  }
+
+  for (const [name, profile] of Object.entries(saved.profiles || {})) {
+    try {
+      const normalized = parseProfileName(name);
+      const base = profiles[normalized] || profiles[DEFAULT_PROFILE];
+      profiles[normalized] = {
+        description: profile.description ?? base.description ?? null,
+        params: validateParams({ ...base.params, ...profile.params })
+      };
+    } catch (error) {
+      console.warn(`[IndicatorProfiles] Skipping profile ${name}:`, error.message);
+    }
+  }
+
+  for (const assignment of saved.assignments || []) {
+    try {
+      if (!profiles[assignment.profile]) throw new Error(`unknown profile "${assignment.profile}"`);
+      const target = parseTarget(assignment.symbol, assignment.interval);
+      assignments = [
+        ...assignments.filter(existing => existing.symbol !== target.symbol || existing.interval !== target.interval),
+        { ...target, profile: assignment.profile }
+      ];
+    } catch (error) {
+      console.warn(`[IndicatorProfiles] Skipping assignment ${JSON.stringify(assignment)}:`, error.message);
+    }
+  }
+
+  console.log(`[IndicatorProfiles] Loaded ${Object.keys(saved.profiles || {}).length} profiles, ${assignments.length} assignments`);
+}
+
+loadPersistedProfiles();
+
+export default {
+  listProfiles,
+  getProfile,
+  listAssignments,
+  resolveProfile,
+  upsertProfile,
+  removeProfile,
+  assignProfile,
+  unassignProfile,
+  DEFAULT_PROFILE,
+  INDICATOR_PROFILES_FILE
+};
@@ -1,10 +1,40 @@
 /**
  * Technical Indicators Service
- * Calculates EMA, Stochastic RSI, and other indicators
+ * Calculates EMA, Stochastic RSI, RSI, MACD, ADX/DI, momentum divergences, fair value gaps / order blocks,
+ * Fibonacci levels, volume profiles and other indicators
  * Uses technicalindicators library for accurate calculations
+ * calculateAllIndicators runs on the incremental engine, which reproduces the same math
  */
 
-import { EMA, StochasticRSI } from 'technicalindicators';
+import { EMA, StochasticRSI, RSI, MACD, ADX } from 'technicalindicators';
+import * as indicatorEngine from './indicatorEngine.js';
+import * as indicatorProfiles from './indicatorProfiles.js';
+import { detectDivergences } from '../lib/divergence.js';
+import { analyzeMarketStructure } from '../lib/marketStructure.js';
+import { detectPriceZones } from '../lib/priceZones.js';
+import { findLevelTouches } from '../lib/levels.js';
+import { computeFibonacci } from '../lib/fibonacci.js';
+import { calculateVolumeProfiles } from '../lib/volumeProfile.js';
+
+// Market structure per candle array: calculateAllIndicators and detectSwingPoints are called on the same
+// candles back to back, and the structure walk over every pivot is their most expensive shared step
+const structureCache = new WeakMap();
+
+/**
+ * analyzeMarketStructure, reused while the array and its last candle are unchanged
+ * (live arrays grow and update their forming candle in place)
+ */
+function getMarketStructure(candles) {
+  const last = candles[candles.length - 1];
+  const cached = structureCache.get(candles);
+  if (cached && cached.length === candles.length && cached.last === last &&
+      cached.close === last?.close && cached.high === last?.high && cached.low === last?.low) {
+    return cached.structure;
+  }
+  const structure = analyzeMarketStructure(candles);
+  structureCache.set(candles, { length: candles.length, last, close: last?.close, high: last?.high, low: last?.low, structure });
+  return structure;
+}
 
 /**
  * Calculate 21 EMA from price data
@@ -66,57 +96,209 @@ export function calculateStochasticRSI(prices, params = {}) {
 }
 
 /**
- * Calculate all indicators for a given dataset
+ * Calculate RSI
+ * @param {Array<number>} prices - Array of close prices
+ * @param {number} period - RSI period (default: 14)
+ * @returns {Array<number>} RSI values
+ */
+export function calculateRSI(prices, period = 14) {
+  if (prices.length <= period) {
+    throw new Error(`Not enough data points for RSI (need at least ${period + 1})`);
+  }
+
+  return RSI.calculate({
+    period,
+    values: prices
+  });
+}
+
+/**
+ * Calculate MACD (EMA oscillator and EMA signal line)
+ * @param {Array<number>} prices - Array of close prices
+ * @param {Object} params - MACD parameters
+ * @returns {Array<Object>} Array of {MACD, signal, histogram} values
+ */
+export function calculateMACD(prices, params = {}) {
+  const {
+    fastPeriod = 12,
+    slowPeriod = 26,
+    signalPeriod = 9
+  } = params;
+
+  if (prices.length < slowPeriod + signalPeriod - 1) {
+    throw new Error(`Not enough data points for MACD (need at least ${slowPeriod + signalPeriod - 1})`);
+  }
+
+  return MACD.calculate({
+    values: prices,
+    fastPeriod,
+    slowPeriod,
+    signalPeriod,
+    SimpleMAOscillator: false,
+    SimpleMASignal: false
+  });
+}
+
+/**
+ * Calculate ADX with the directional indicators
  * @param {Array<Object>} candles - Array of OHLCV candles
- * @returns {Object} Object with all calculated indicators
+ * @param {number} period - ADX period (default: 14)
+ * @returns {Array<Object>} Array of {adx, pdi, mdi} values
  */
-export function calculateAllIndicators(candles) {
-  if (!candles || candles.length === 0) {
-    throw new Error('No candle data provided');
+export function calculateADX(candles, period = 14) {
+  if (candles.length < period * 2) {
+    throw new Error(`Not enough data points for ADX (need at least ${period * 2})`);
   }
 
-  const closes = candles.map(c => c.close);
-  const highs = candles.map(c => c.high);
-  const lows = candles.map(c => c.low);
+  return ADX.calculate({
+    high: candles.map(c => c.high),
+    low: candles.map(c => c.low),
+    close: candles.map(c => c.close),
+    period
+  });
+}
 
-  // Calculate EMAs
-  let ema21, ema200;
-  try {
-    ema21 = calculateEMA21(closes);
-  } catch (error) {
-    ema21 = null;
+/**
+ * RSI value and zone
+ * Above 70 overbought, below 30 oversold, otherwise the side of 50
+ */
+function describeRSI(rsi) {
+  let condition = 'NEUTRAL';
+  if (rsi != null) {
+    if (rsi > 70) condition = 'OVERBOUGHT';
+    else if (rsi < 30) condition = 'OVERSOLD';
+    else if (rsi > 50) condition = 'BULLISH';
+    else if (rsi < 50) condition = 'BEARISH';
+  }
+  return { value: rsi, condition };
+}
+
+/**
+ * MACD line, signal, histogram and cross state
+ * A cross is the histogram changing sign on the latest candle
+ */
+function describeMACD(macd) {
+  if (!macd || macd.histogram == null) {
+    return { macd: macd?.macd ?? null, signal: null, histogram: null, cross: 'NONE', state: 'NEUTRAL' };
   }
 
-  try {
-    ema200 = calculateEMA200(closes);
-  } catch (error) {
-    ema200 = null;
+  const { histogram, previousHistogram } = macd;
+  let cross = 'NONE';
+  if (previousHistogram != null) {
+    if (previousHistogram <= 0 && histogram > 0) cross = 'BULLISH_CROSS';
+    else if (previousHistogram >= 0 && histogram < 0) cross = 'BEARISH_CROSS';
   }
 
-  // Calculate Stochastic RSI
-  let stochRSI;
-  try {
-    stochRSI = calculateStochasticRSI(closes);
-  } catch (error) {
-    stochRSI = null;
+  let state = 'NEUTRAL';
+  if (histogram > 0) state = 'BULLISH';   // MACD above signal
+  else if (histogram < 0) state = 'BEARISH';
+
+  return { macd: macd.macd, signal: macd.signal, histogram, cross, state };
+}
+
+/**
+ * ADX/DI with trend-strength classification
+ * ADX below 20 = no trend, 20-25 weak, 25-50 strong, 50+ very strong; direction from +DI vs -DI
+ */
+function describeADX(adx) {
+  if (!adx) {
+    return { adx: null, plusDI: null, minusDI: null, trendStrength: 'UNKNOWN', direction: 'NEUTRAL' };
   }
 
-  // Get current values (last element)
-  const currentPrice = closes[closes.length - 1];
-  const currentEMA21 = ema21 ? ema21[ema21.length - 1] : null;
-  const currentEMA200 = ema200 ? ema200[ema200.length - 1] : null;
-  const currentStochRSI = stochRSI ? stochRSI[stochRSI.length - 1] : null;
+  let trendStrength = 'NO_TREND';
+  if (adx.adx >= 50) trendStrength = 'VERY_STRONG';
+  else if (adx.adx >= 25) trendStrength = 'STRONG';
+  else if (adx.adx >= 20) trendStrength = 'WEAK';
+
+  let direction = 'NEUTRAL';
+  if (adx.plusDI > adx.minusDI) direction = 'BULLISH';
+  else if (adx.plusDI < adx.minusDI) direction = 'BEARISH';
+
+  return { adx: adx.adx, plusDI: adx.plusDI, minusDI: adx.minusDI, trendStrength, direction };
+}
+
+/**
+ * Resolve the profile and bring the engine state for a series up to date
+ * @returns {Object} { profile, engine: indicatorEngine.updateSeries snapshot }
+ */
+function runEngine(candles, options) {
+  const { symbol, interval, source, asOf } = options;
+  const profile = resolveIndicatorProfile(symbol, interval, options.profile);
+  const key = symbol && interval && !asOf ? [source, symbol, interval, profile.name].filter(Boolean).join(':') : null;
+  return { profile, engine: indicatorEngine.updateSeries(candles, { key, params: profile.params }) };
+}
+
+/**
+ * Only the incremental engine values, without the window scans of calculateAllIndicators
+ * (structure, divergences, zones, Fibonacci, volume profile) - for per-trade callers like live candle updates.
+ * Shares the engine state with calculateAllIndicators for the same options.
+ * @param {Array<Object>} candles - Array of OHLCV candles
+ * @param {Object} options - { symbol, interval, source, asOf, profile } as for calculateAllIndicators
+ * @returns {Object} { ema: { ema21, ema200, fastPeriod, slowPeriod }, stochRSI: { k, d }, rsi }
+ */
+export function calculateEngineIndicators(candles, options = {}) {
+  if (!candles || candles.length === 0) {
+    throw new Error('No candle data provided');
+  }
+
+  const { profile, engine } = runEngine(candles, options);
+  const clamp = value => value != null ? Math.min(100, Math.max(0, value)) : null;
+  return {
+    ema: {
+      ema21: engine.ema21,
+      ema200: engine.ema200,
+      fastPeriod: profile.params.fastEmaPeriod,
+      slowPeriod: profile.params.slowEmaPeriod
+    },
+    stochRSI: { k: clamp(engine.stochRSI?.k), d: clamp(engine.stochRSI?.d) },
+    rsi: engine.rsi
+  };
+}
+
+/**
+ * Calculate all indicators for a given dataset
+ * With a symbol and interval the indicator state is kept between calls (see services/indicatorEngine.js),
+ * so repeat calls only fold in candles that closed since the last one and preview the forming candle.
+ * Periods, pullback bands and swing lookback come from the indicator profile assigned to the
+ * symbol/interval (services/indicatorProfiles.js), or from `options.profile` when given.
+ * ema.ema21/ema.ema200 hold the profile's fast/slow EMA (21/200 on the default profile).
+ * @param {Array<Object>} candles - Array of OHLCV candles
+ * @param {Object} options - { symbol, interval, source, asOf, profile } to reuse incremental state for that series
+ *   (source separates candle sets that share timestamps, e.g. 'live' bars vs provider candles;
+ *   point-in-time replays (asOf) are computed from scratch and never touch the live state)
+ * @returns {Object} Object with all calculated indicators
+ */
+export function calculateAllIndicators(candles, options = {}) {
+  if (!candles || candles.length === 0) {
+    throw new Error('No candle data provided');
+  }
+
+  const { profile, engine } = runEngine(candles, options);
+  const { params } = profile;
+
+  const highs = candles.map(c => c.high);
+  const lows = candles.map(c => c.low);
+
+  // Get current values
+  const currentPrice = candles[candles.length - 1].close;
+  const currentEMA21 = engine.ema21;
+  const currentEMA200 = engine.ema200;
+  const currentStochRSI = engine.stochRSI;
 
   // Calculate trend (from PRD: price > 21 EMA > 200 EMA = uptrend)
-  let trend = 'FLAT';
+  let emaTrend = 'FLAT';
   if (currentEMA21 && currentEMA200) {
     if (currentPrice > currentEMA21 && currentEMA21 > currentEMA200) {
-      trend = 'UPTREND';
+      emaTrend = 'UPTREND';
     } else if (currentPrice < currentEMA21 && currentEMA21 < currentEMA200) {
-      trend = 'DOWNTREND';
+      emaTrend = 'DOWNTREND';
     }
   }
 
+  // The profile's trendSource decides which trend the strategies see
+  const structureTrend = getMarketStructure(candles).trend;
+  const trend = resolveTrend(emaTrend, structureTrend, params.trendSource);
+
   // Determine Stochastic RSI conditions
   let stochCondition = 'NEUTRAL';
   if (currentStochRSI) {
@@ -131,15 +313,15 @@ export function calculateAllIndicators(candles) {
     }
   }
 
-  // Calculate distance from 21 EMA (for pullback detection)
+  // Calculate distance from the fast (21) EMA (for pullback detection)
   let distanceFrom21EMA = null;
   let pullbackState = 'UNKNOWN';
   if (currentEMA21) {
     distanceFrom21EMA = ((currentPrice - currentEMA21) / currentEMA21) * 100;
     
-    if (Math.abs(distanceFrom21EMA) < 0.5) {
+    if (Math.abs(distanceFrom21EMA) < params.entryZonePct) {
       pullbackState = 'ENTRY_ZONE'; // At the 21 EMA
-    } else if (Math.abs(distanceFrom21EMA) > 3) {
+    } else if (Math.abs(distanceFrom21EMA) > params.overextendedPct) {
       pullbackState = 'OVEREXTENDED'; // Far from 21 EMA
     } else {
       pullbackState = 'RETRACING'; // Moving toward 21 EMA
@@ -155,37 +337,86 @@ export function calculateAllIndicators(candles) {
     ema: {
       ema21: currentEMA21,
       ema200: currentEMA200,
-      ema21History: ema21,
-      ema200History: ema200
+      fastPeriod: params.fastEmaPeriod,
+      slowPeriod: params.slowEmaPeriod
     },
     stochRSI: {
       // Clamp k and d to [0, 100] to prevent floating-point noise
       k: currentStochRSI?.k != null ? Math.min(100, Math.max(0, currentStochRSI.k)) : null,
       d: currentStochRSI?.d != null ? Math.min(100, Math.max(0, currentStochRSI.d)) : null,
       condition: stochCondition,
-      history: stochRSI
+      history: engine.stochHistory // Last few values (oldest → newest), for curl detection
     },
+    rsi: describeRSI(engine.rsi),
+    macd: describeMACD(engine.macd),
+    adx: describeADX(engine.adx),
+    // Regular/hidden divergences between price pivots and RSI, Stoch RSI and MACD (lib/divergence.js)
+    divergences: detectDivergences(candles, engine.oscillatorHistory),
+    // Fair value gaps and order blocks with their fill status (lib/priceZones.js)
+    zones: detectPriceZones(candles),
+    // Retracements, extensions and golden pocket of the latest significant swing (lib/fibonacci.js)
+    fibonacci: computeFibonacci(candles),
+    // POC, value area and volume nodes for the visible range and the current session (lib/volumeProfile.js)
+    volumeProfile: calculateVolumeProfiles(candles),
     analysis: {
       trend,
+      emaTrend,          // Price vs fast EMA vs slow EMA
+      structureTrend,    // Direction of the last BOS/CHoCH (lib/marketStructure.js)
+      trendSource: params.trendSource,
       pullbackState,
       distanceFrom21EMA
     },
     metadata: {
       candleCount: candles.length,
-      lastUpdate: new Date(candles[candles.length - 1].timestamp).toISOString()
+      lastUpdate: new Date(candles[candles.length - 1].timestamp).toISOString(),
+      profile // { name, assignedBy, params } - indicator settings used for this timeframe
     }
   };
 }
 
+/**
+ * Pick the indicator profile for a calculation
+ * An explicitly named profile wins over the symbol/interval assignment
+ */
+function resolveIndicatorProfile(symbol, interval, profileName) {
+  if (!profileName) {
+    return indicatorProfiles.resolveProfile(symbol, interval);
+  }
+  const profile = indicatorProfiles.getProfile(profileName);
+  if (!profile) {
+    throw new Error(`Unknown indicator profile: ${profileName}`);
+  }
+  return { name: profile.name, assignedBy: 'request', params: profile.params };
+}
+
+/**
+ * Pick the trend for a profile's trendSource
+ * - 'ema': price vs fast EMA vs slow EMA
+ * - 'structure': direction of the last break of structure / change of character
+ * - 'hybrid': the EMA trend, unless structure points the other way (then FLAT)
+ */
+function resolveTrend(emaTrend, structureTrend, trendSource = 'ema') {
+  if (trendSource === 'structure') return structureTrend;
+  if (trendSource === 'hybrid') {
+    const opposed = emaTrend !== 'FLAT' && structureTrend !== 'FLAT' && emaTrend !== structureTrend;
+    return opposed ? 'FLAT' : emaTrend;
+  }
+  return emaTrend;
+}
+
 /**
  * Detect swing highs and lows (market structure)
+ * swingHigh/swingLow are the extremes of the lookback window; the rest comes from
+ * lib/marketStructure.js over all candles. levelTouches feed the multi-timeframe
+ * support/resistance ladder (lib/levels.js computeLevelLadder)
  * @param {Array<Object>} candles - Array of OHLCV candles
  * @param {number} lookback - Number of candles to look back (default: 20)
- * @returns {Object} Swing high and low
+ * @returns {Object} { swingHigh, swingLow, trend, pivots (HH/HL/LH/LL), events (BOS/CHoCH), lastEvent, levelTouches }
  */
 export function detectSwingPoints(candles, lookback = 20) {
+  const marketStructure = { ...getMarketStructure(candles), levelTouches: findLevelTouches(candles) };
   if (candles.length < lookback) {
-    return { swingHigh: null, swingLow: null };
+    return { swingHigh: null, swingLow: null, ...marketStructure };
   }
 
   const recentCandles = candles.slice(-lookback);
@@ -195,7 +426,7 @@ export function detectSwingPoints(candles, lookback = 20) {
   const swingHigh = Math.max(...highs);
   const swingLow = Math.min(...lows);
 
-  return { swingHigh, swingLow };
+  return { swingHigh, swingLow, ...marketStructure };
 }
 
 /**
@@ -225,7 +456,11 @@ export default {
   calculateEMA21,
   calculateEMA200,
   calculateStochasticRSI,
+  calculateRSI,
+  calculateMACD,
+  calculateADX,
   calculateAllIndicators,
+  calculateEngineIndicators,
   detectSwingPoints,
   detectWickRejection
 };
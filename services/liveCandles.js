@@ -0,0 +1,294 @@
+/**
+ * Live Candles Module
+ * Subscribes to a WebSocket trade feed and builds live bars in memory for every configured interval
+ *
+ * Events (via subscribe):
+ * - 'candle-update' { symbol, interval, candle } - on every trade that touches a bar
+ * - 'candle-close'  { symbol, interval, candle } - once per bar, when its period ends
+ *
+ * The feed speaks the Kraken WebSocket v2 trade channel. scripts/mock-feed-server.js serves the
+ * same protocol locally so the subsystem runs offline in development.
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import * as resampler from './resampler.js';
+import { resolveSymbol, normalizeSymbol } from './symbols.js';
+
+const DEFAULT_FEED_URL = 'wss://ws.kraken.com/v2';
+const MAX_CLOSED_BARS = 500;         // Per symbol/interval
+const CLOSE_CHECK_MS = 1000;         // Close bars on time even when no trades arrive
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+const events = new EventEmitter();
+events.setMaxListeners(50);
+
+const state = {
+  feedUrl: null,
+  symbols: [],
+  feedSymbols: new Map(), // feed pair name → our symbol
+  intervals: [],
+  socket: null,
+  connected: false,
+  stopped: true,
+  reconnectAttempts: 0,
+  reconnectTimer: null,
+  closeTimer: null,
+  lastTradeAt: null,
+  tradesProcessed: 0
+};
+
+// `${symbol}:${interval}` → { current, closed: [], lastClosedStart: open time of the newest closed bar }
+const series = new Map();
+
+function seriesKey(symbol, interval) {
+  return `${symbol}:${interval}`;
+}
+
+/**
+ * Convert our symbol to the feed's pair name (BTCUSDT → BTC/USD, ETHEUR → ETH/EUR)
+ */
+function toFeedSymbol(symbol) {
+  return resolveSymbol(symbol)?.venues.krakenWs || symbol;
+}
+
+function fromFeedSymbol(feedSymbol) {
+  return state.feedSymbols.get(feedSymbol) || normalizeSymbol(feedSymbol);
+}
+
+/**
+ * Close a bar and move it into the closed history
+ */
+function closeBar(symbol, interval, entry) {
+  const candle = { ...entry.current, isClosed: true };
+  entry.closed.push(candle);
+  entry.lastClosedStart = candle.timestamp;
+  if (entry.closed.length > MAX_CLOSED_BARS) entry.closed.shift();
+  entry.current = null;
+  events.emit('candle-close', { symbol, interval, candle });
+}
+
+/**
+ * Apply a single trade to every interval's live bar
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {number} price - Trade price
+ * @param {number} qty - Trade size
+ * @param {number} timestamp - Trade time in ms
+ * @param {string} side - Aggressor side ('buy' or 'sell'), accumulated into the bar's volume delta
+ */
+export function applyTrade(symbol, price, qty, timestamp, side = null) {
+  state.tradesProcessed++;
+  state.lastTradeAt = timestamp;
+
+  for (const interval of state.intervals) {
+    const minutes = resampler.parseIntervalMinutes(interval);
+    const key = seriesKey(symbol, interval);
+    if (!series.has(key)) series.set(key, { current: null, closed: [], lastClosedStart: null });
+    const entry = series.get(key);
+
+    const bucket = resampler.getBucket(timestamp, minutes);
+
+    if (entry.current && bucket.start > entry.current.timestamp) {
+      closeBar(symbol, interval, entry);
+    }
+    if (entry.current && bucket.start < entry.current.timestamp) {
+      continue; // Late trade for a bar that already closed
+    }
+    if (entry.lastClosedStart !== null && bucket.start <= entry.lastClosedStart) {
+      continue; // Late trade for a bar closed on time by closeExpiredBars
+    }
+
+    if (!entry.current) {
+      entry.current = {
+        timestamp: bucket.start,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volume: 0,
+        buyVolume: 0,
+        sellVolume: 0,
+        delta: 0,
+        trades: 0,
+        closeTime: bucket.end,
+        isClosed: false
+      };
+    }
+
+    const bar = entry.current;
+    bar.high = Math.max(bar.high, price);
+    bar.low = Math.min(bar.low, price);
+    bar.close = price;
+    bar.volume += qty;
+    if (side === 'buy') bar.buyVolume += qty;
+    if (side === 'sell') bar.sellVolume += qty;
+    bar.delta = bar.buyVolume - bar.sellVolume;
+    bar.trades++;
+
+    events.emit('candle-update', { symbol, interval, candle: { ...bar } });
+  }
+}
+
+/**
+ * Close any bar whose period has ended (quiet markets send no trade to trigger it)
+ * @param {number} now - Current time in ms
+ */
+export function closeExpiredBars(now = Date.now()) {
+  for (const [key, entry] of series) {
+    if (entry.current && entry.current.closeTime <= now) {
+      const [symbol, interval] = key.split(':');
+      closeBar(symbol, interval, entry);
+    }
+  }
+}
+
+function handleMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return;
+  }
+
+  if (message.method === 'subscribe') {
+    if (message.success === false) {
+      console.error(`[LiveCandles] Subscribe failed:`, message.error);
+    }
+    return;
+  }
+
+  if (message.channel !== 'trade' || !Array.isArray(message.data)) return;
+
+  for (const trade of message.data) {
+    const timestamp = Date.parse(trade.timestamp);
+    if (!Number.isFinite(timestamp)) continue;
+    applyTrade(fromFeedSymbol(trade.symbol), Number(trade.price), Number(trade.qty), timestamp, trade.side);
+  }
+}
+
+function scheduleReconnect() {
+  if (state.stopped) return;
+  const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** state.reconnectAttempts, RECONNECT_MAX_DELAY_MS);
+  state.reconnectAttempts++;
+  console.log(`[LiveCandles] Reconnecting in ${delay}ms...`);
+  state.reconnectTimer = setTimeout(connect, delay);
+}
+
+function connect() {
+  const socket = new WebSocket(state.feedUrl);
+  state.socket = socket;
+
+  socket.on('open', () => {
+    state.connected = true;
+    state.reconnectAttempts = 0;
+    console.log(`📡 [LiveCandles] Connected to ${state.feedUrl}`);
+    socket.send(JSON.stringify({
+      method: 'subscribe',
+      params: { channel: 'trade', symbol: state.symbols.map(toFeedSymbol), snapshot: false }
+    }));
+  });
+
+  socket.on('message', data => handleMessage(data.toString()));
+
+  socket.on('error', error => {
+    console.error(`[LiveCandles] Feed error:`, error.message);
+  });
+
+  socket.on('close', () => {
+    // A socket replaced by a restart or dropped by stopLiveCandles must not reconnect
+    if (state.socket !== socket) return;
+    state.connected = false;
+    state.socket = null;
+    scheduleReconnect();
+  });
+}
+
+/**
+ * Start streaming live candles
+ * @param {Object} options - { symbols, intervals, feedUrl }
+ */
+export function startLiveCandles({
+  symbols = ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'],
+  intervals = ['1m', '5m', '15m', '1h', '4h'],
+  feedUrl = DEFAULT_FEED_URL
+} = {}) {
+  if (!state.stopped) stopLiveCandles();
+
+  const invalid = intervals.filter(interval => !resampler.parseIntervalMinutes(interval));
+  if (invalid.length > 0) {
+    throw new Error(`Unsupported live intervals: ${invalid.join(', ')}`);
+  }
+
+  symbols = symbols.map(normalizeSymbol);
+  const feedSymbols = new Map(symbols.map(symbol => [toFeedSymbol(symbol), symbol]));
+
+  Object.assign(state, { feedUrl, symbols, feedSymbols, intervals, stopped: false, reconnectAttempts: 0 });
+  console.log(`📡 [LiveCandles] Streaming ${symbols.join(', ')} (${intervals.join(', ')})`);
+
+  connect();
+  state.closeTimer = setInterval(() => closeExpiredBars(), CLOSE_CHECK_MS);
+}
+
+/**
+ * Stop streaming and drop the connection (built bars are kept)
+ */
+export function stopLiveCandles() {
+  state.stopped = true;
+  clearTimeout(state.reconnectTimer);
+  clearInterval(state.closeTimer);
+  if (state.socket) {
+    state.socket.close();
+    state.socket = null;
+  }
+  state.connected = false;
+}
+
+/**
+ * Listen for live candle events
+ * @param {string} event - 'candle-update' or 'candle-close'
+ * @param {Function} listener - Called with { symbol, interval, candle }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(event, listener) {
+  events.on(event, listener);
+  return () => events.off(event, listener);
+}
+
+/**
+ * Get the live bars built so far
+ * @param {string} symbol - Trading pair
+ * @param {string} interval - Timeframe
+ * @returns {Array} Closed bars followed by the forming bar (oldest → newest)
+ */
+export function getLiveCandles(symbol, interval) {
+  const entry = series.get(seriesKey(symbol, interval));
+  if (!entry) return [];
+  return entry.current ? [...entry.closed, { ...entry.current }] : [...entry.closed];
+}
+
+/**
+ * Get feed connection status
+ * @returns {Object} Status summary
+ */
+export function getLiveStatus() {
+  return {
+    running: !state.stopped,
+    connected: state.connected,
+    feedUrl: state.feedUrl,
+    symbols: state.symbols,
+    intervals: state.intervals,
+    tradesProcessed: state.tradesProcessed,
+    lastTradeAt: state.lastTradeAt ? new Date(state.lastTradeAt).toISOString() : null
+  };
+}
+
+export default {
+  startLiveCandles,
+  stopLiveCandles,
+  subscribe,
+  applyTrade,
+  closeExpiredBars,
+  getLiveCandles,
+  getLiveStatus
+};
@@ -5,54 +5,36 @@
  */
 
 import axios from 'axios';
+import * as candleStore from './candleStore.js';
+import * as dataProviders from './dataProviders.js';
+import * as binanceService from './binance.js';
+import * as coingeckoService from './coingecko.js';
+import * as resampler from './resampler.js';
+import * as candleValidator from './candleValidator.js';
+import * as historicalData from './historicalData.js';
+import * as candleImport from './candleImport.js';
+import * as derivatives from './derivatives.js';
+import * as orderBook from './orderBook.js';
+import * as tradeFlow from './tradeFlow.js';
+import * as symbols from './symbols.js';
+import { getPricePrecision, roundPrice } from '../lib/pricePrecision.js';
 
-// Comprehensive symbol mapping for major cryptocurrencies
-const SYMBOL_MAP = {
-  // Major Coins
-  'BTCUSDT': { kraken: 'XBTUSD', bitfinex: 'tBTCUSD', coingecko: 'bitcoin', name: 'Bitcoin' },
-  'ETHUSDT': { kraken: 'ETHUSD', bitfinex: 'tETHUSD', coingecko: 'ethereum', name: 'Ethereum' },
-  'SOLUSDT': { kraken: 'SOLUSD', bitfinex: 'tSOLUSD', coingecko: 'solana', name: 'Solana' },
-  'BNBUSDT': { kraken: 'BNBUSD', bitfinex: 'tBNBUSD', coingecko: 'binancecoin', name: 'BNB' },
-  'ADAUSDT': { kraken: 'ADAUSD', bitfinex: 'tADAUSD', coingecko: 'cardano', name: 'Cardano' },
-  'XRPUSDT': { kraken: 'XRPUSD', bitfinex: 'tXRPUSD', coingecko: 'ripple', name: 'XRP' },
-  'DOGEUSDT': { kraken: 'DOGEUSD', bitfinex: 'tDOGEUSD', coingecko: 'dogecoin', name: 'Dogecoin' },
-  'DOTUSDT': { kraken: 'DOTUSD', bitfinex: 'tDOTUSD', coingecko: 'polkadot', name: 'Polkadot' },
-  'MATICUSDT': { kraken: 'MATICUSD', bitfinex: 'tMATICUSD', coingecko: 'matic-network', name: 'Polygon' },
-  'LINKUSDT': { kraken: 'LINKUSD', bitfinex: 'tLINKUSD', coingecko: 'chainlink', name: 'Chainlink' },
-  
-  // DeFi & Layer 1
-  'AVAXUSDT': { kraken: 'AVAXUSD', bitfinex: 'tAVAXUSD', coingecko: 'avalanche-2', name: 'Avalanche' },
-  'ATOMUSDT': { kraken: 'ATOMUSD', bitfinex: 'tATOMUSD', coingecko: 'cosmos', name: 'Cosmos' },
-  'UNIUSDT': { kraken: 'UNIUSD', bitfinex: 'tUNIUSD', coingecko: 'uniswap', name: 'Uniswap' },
-  'AAVEUSDT': { kraken: 'AAVEUSD', bitfinex: 'tAAVEUSD', coingecko: 'aave', name: 'Aave' },
-  'ALGOUSDT': { kraken: 'ALGOUSD', bitfinex: 'tALGOUSD', coingecko: 'algorand', name: 'Algorand' },
-  
-  // Layer 2 & Scaling
-  'ARBUSDT': { kraken: 'ARBUSD', bitfinex: 'tARBUSD', coingecko: 'arbitrum', name: 'Arbitrum' },
-  'OPUSDT': { kraken: 'OPUSD', bitfinex: 'tOPUSD', coingecko: 'optimism', name: 'Optimism' },
-  
-  // Meme & Community
-  'SHIBUSDT': { kraken: 'SHIBUSD', bitfinex: 'tSHIBUSD', coingecko: 'shiba-inu', name: 'Shiba Inu' },
-  'PEPEUSDT': { kraken: 'PEPEUSD', bitfinex: 'tPEPEUSD', coingecko: 'pepe', name: 'Pepe' },
-  
-  // Other Major Assets
-  'LTCUSDT': { kraken: 'LTCUSD', bitfinex: 'tLTCUSD', coingecko: 'litecoin', name: 'Litecoin' },
-  'BCHUSDT': { kraken: 'BCHUSD', bitfinex: 'tBCHUSD', coingecko: 'bitcoin-cash', name: 'Bitcoin Cash' },
-  'XLMUSDT': { kraken: 'XLMUSD', bitfinex: 'tXLMUSD', coingecko: 'stellar', name: 'Stellar' },
-  'TRXUSDT': { kraken: 'TRXUSD', bitfinex: 'tTRXUSD', coingecko: 'tron', name: 'Tron' },
-  'ETCUSDT': { kraken: 'ETCUSD', bitfinex: 'tETCUSD', coingecko: 'ethereum-classic', name: 'Ethereum Classic' },
-  'XMRUSDT': { kraken: 'XMRUSD', bitfinex: 'tXMRUSD', coingecko: 'monero', name: 'Monero' },
-  'FILUSDT': { kraken: 'FILUSD', bitfinex: 'tFILUSD', coingecko: 'filecoin', name: 'Filecoin' },
-  'APTUSDT': { kraken: 'APTUSD', bitfinex: 'tAPTUSD', coingecko: 'aptos', name: 'Aptos' },
-  'NEARUSDT': { kraken: 'NEARUSD', bitfinex: 'tNEARUSD', coingecko: 'near', name: 'Near Protocol' },
-  'ICPUSDT': { kraken: 'ICPUSD', bitfinex: 'tICPUSD', coingecko: 'internet-computer', name: 'Internet Computer' },
-  'INJUSDT': { kraken: 'INJUSD', bitfinex: 'tINJUSD', coingecko: 'injective-protocol', name: 'Injective' },
-  'SUIUSDT': { kraken: 'SUIUSD', bitfinex: 'tSUIUSD', coingecko: 'sui', name: 'Sui' },
-  'TONUSDT': { kraken: 'TONUSD', bitfinex: 'tTONUSD', coingecko: 'the-open-network', name: 'Toncoin' }
-};
+// Upper bound on base candles pulled to build a resampled timeframe
+const MAX_RESAMPLE_BASE_CANDLES = 5000;
 
-// Interval mapping to minutes
-const INTERVAL_TO_MINUTES = {
+/**
+ * Resolve the Kraken pair for a symbol
+ * Any base/quote pair maps through the symbol model (USDT pairs use Kraken's USD books);
+ * names that aren't a pair have no Kraken market - never fall back to another coin's pair
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT', 'ETHEUR')
+ * @returns {string|null} Kraken pair (e.g., 'XBTUSD'), or null if there is none
+ */
+export function getKrakenPair(symbol) {
+  return symbols.resolveSymbol(symbol)?.venues.kraken || null;
+}
+
+// Interval mapping to minutes (intervals served by providers; anything else is resampled)
+export const INTERVAL_TO_MINUTES = {
   '1m': 1,
   '3m': 3,
   '5m': 5,
@@ -66,122 +48,93 @@ const INTERVAL_TO_MINUTES = {
   '1M': 43200   // ~30 days
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
- * Aggregate 1D candles into 3D candles
- * @param {Array} dailyCandles - Array of 1D OHLCV candles
- * @returns {Array} Array of 3D OHLCV candles
+ * Get the UTC calendar period that contains a timestamp
+ * 3d buckets are 3-day blocks counted from the Unix epoch (exchange convention),
+ * weeks open Monday 00:00 UTC and months open on the 1st at 00:00 UTC
+ * @param {number} timestamp - Timestamp in ms
+ * @param {string} interval - '3d', '1w' or '1M'
+ * @returns {Object} { start, end } in ms (end is the next period's open)
  */
-function aggregate3DayCandles(dailyCandles) {
-  const threeDayCandles = [];
-  
-  for (let i = 0; i < dailyCandles.length; i += 3) {
-    const chunk = dailyCandles.slice(i, i + 3);
-    if (chunk.length === 0) continue;
-    
-    // Aggregate 3 days into 1 candle
-    const lastCandle = chunk[chunk.length - 1];
-    const aggregated = {
-      timestamp: chunk[0].timestamp,
-      open: chunk[0].open,
-      high: Math.max(...chunk.map(c => c.high)),
-      low: Math.min(...chunk.map(c => c.low)),
-      close: lastCandle.close,
-      volume: chunk.reduce((sum, c) => sum + c.volume, 0),
-      closeTime: lastCandle.closeTime || (lastCandle.timestamp + (3 * 24 * 60 * 60 * 1000))
-    };
-    
-    threeDayCandles.push(aggregated);
+export function getCalendarPeriod(timestamp, interval) {
+  if (interval === '3d') {
+    const start = Math.floor(timestamp / (3 * DAY_MS)) * 3 * DAY_MS;
+    return { start, end: start + 3 * DAY_MS };
   }
   
-  return threeDayCandles;
-}
-
-/**
- * Aggregate 1D candles into 1W (weekly) candles
- * @param {Array} dailyCandles - Array of 1D OHLCV candles
- * @returns {Array} Array of 1W OHLCV candles
- */
-function aggregateWeeklyCandles(dailyCandles) {
-  const weeklyCandles = [];
+  if (interval === '1w') {
+    const dayStart = Math.floor(timestamp / DAY_MS) * DAY_MS;
+    const daysSinceMonday = (new Date(dayStart).getUTCDay() + 6) % 7;
+    const start = dayStart - daysSinceMonday * DAY_MS;
+    return { start, end: start + 7 * DAY_MS };
+  }
   
-  for (let i = 0; i < dailyCandles.length; i += 7) {
-    const chunk = dailyCandles.slice(i, i + 7);
-    if (chunk.length === 0) continue;
-    
-    // Aggregate 7 days into 1 week candle
-    const lastCandle = chunk[chunk.length - 1];
-    const aggregated = {
-      timestamp: chunk[0].timestamp,
-      open: chunk[0].open,
-      high: Math.max(...chunk.map(c => c.high)),
-      low: Math.min(...chunk.map(c => c.low)),
-      close: lastCandle.close,
-      volume: chunk.reduce((sum, c) => sum + c.volume, 0),
-      closeTime: lastCandle.closeTime || (lastCandle.timestamp + (7 * 24 * 60 * 60 * 1000))
+  if (interval === '1M') {
+    const date = new Date(timestamp);
+    return {
+      start: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1),
+      end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
     };
-    
-    weeklyCandles.push(aggregated);
   }
   
-  return weeklyCandles;
+  throw new Error(`No calendar period defined for ${interval}`);
 }
 
 /**
- * Aggregate 1D candles into 1M (monthly) candles
- * @param {Array} dailyCandles - Array of 1D OHLCV candles
- * @returns {Array} Array of 1M OHLCV candles
+ * Aggregate 1D candles into UTC calendar-aligned 3D, 1W or 1M candles
+ * Bucket boundaries depend only on the calendar, so they don't shift with the fetched window.
+ * A leading period that the daily history only partially covers is dropped, and the
+ * period that hasn't closed yet is flagged with isClosed: false.
+ * @param {Array} dailyCandles - Array of 1D OHLCV candles (oldest → newest)
+ * @param {string} interval - '3d', '1w' or '1M'
+ * @param {number} now - Current time in ms (for the forming-period flag)
+ * @returns {Array} Array of aggregated OHLCV candles
  */
-function aggregateMonthlyCandles(dailyCandles) {
-  const monthlyCandles = [];
+function aggregateCalendarCandles(dailyCandles, interval, now = Date.now()) {
+  const buckets = new Map();
+  for (const candle of dailyCandles) {
+    const { start } = getCalendarPeriod(candle.timestamp, interval);
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(candle);
+  }
   
-  for (let i = 0; i < dailyCandles.length; i += 30) {
-    const chunk = dailyCandles.slice(i, i + 30);
-    if (chunk.length === 0) continue;
+  const aggregated = [];
+  for (const [start, chunk] of buckets) {
+    if (aggregated.length === 0 && buckets.size > 1 && chunk[0].timestamp > start) {
+      continue; // History starts mid-period - open/high/low would be wrong
+    }
     
-    // Aggregate ~30 days into 1 month candle
-    const lastCandle = chunk[chunk.length - 1];
-    const aggregated = {
-      timestamp: chunk[0].timestamp,
+    const { end } = getCalendarPeriod(start, interval);
+    aggregated.push({
+      timestamp: start,
       open: chunk[0].open,
       high: Math.max(...chunk.map(c => c.high)),
       low: Math.min(...chunk.map(c => c.low)),
-      close: lastCandle.close,
+      close: chunk[chunk.length - 1].close,
       volume: chunk.reduce((sum, c) => sum + c.volume, 0),
-      closeTime: lastCandle.closeTime || (lastCandle.timestamp + (30 * 24 * 60 * 60 * 1000))
-    };
-    
-    monthlyCandles.push(aggregated);
+      closeTime: end,
+      isClosed: end <= now
+    });
   }
   
-  return monthlyCandles;
+  return aggregated;
 }
 
 /**
  * Fetch OHLCV data from Kraken
  * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
- * @param {string} interval - Timeframe (1m, 5m, 15m, 1h, 4h, 1d, 3d)
+ * @param {string} interval - Native Kraken timeframe (1m, 5m, 15m, 1h, 4h, 1d)
  * @param {number} limit - Number of candles to fetch
+ * @param {number} since - Only return candles from this ms timestamp on (optional)
  * @returns {Promise<Array>} Array of OHLCV objects
  */
-async function fetchFromKraken(symbol, interval, limit = 500) {
+async function fetchFromKraken(symbol, interval, limit = 500, since = null) {
   try {
-    const krakenSymbol = SYMBOL_MAP[symbol]?.kraken || 'XBTUSD';
-    
-    // Kraken interval mapping
-    // For 3d, 1w, and 1M, fetch daily data and aggregate
-    if (interval === '3d') {
-      const dailyData = await fetchFromKraken(symbol, '1d', limit * 3);
-      return aggregate3DayCandles(dailyData);
-    }
-    
-    if (interval === '1w') {
-      const dailyData = await fetchFromKraken(symbol, '1d', limit * 7);
-      return aggregateWeeklyCandles(dailyData);
-    }
-    
-    if (interval === '1M') {
-      const dailyData = await fetchFromKraken(symbol, '1d', limit * 30);
-      return aggregateMonthlyCandles(dailyData);
+    const krakenSymbol = getKrakenPair(symbol);
+    if (!krakenSymbol) {
+      throw new Error(`No Kraken pair for ${symbol}`);
     }
     
     const krakenInterval = {
@@ -189,6 +142,7 @@ async function fetchFromKraken(symbol, interval, limit = 500) {
       '3m': 3,
       '5m': 5,
       '15m': 15,
+      '30m': 30,
       '1h': 60,
       '4h': 240,
       '1d': 1440
@@ -197,7 +151,8 @@ async function fetchFromKraken(symbol, interval, limit = 500) {
     const response = await axios.get('https://api.kraken.com/0/public/OHLC', {
       params: {
         pair: krakenSymbol,
-        interval: krakenInterval
+        interval: krakenInterval,
+        ...(since && { since: Math.floor(since / 1000) })
       },
       timeout: 10000
     });
@@ -214,7 +169,9 @@ async function fetchFromKraken(symbol, interval, limit = 500) {
     }
 
     // Convert Kraken format to our standard format
-    const candles = ohlcData.slice(-limit).map(candle => ({
+    // (incremental fetches return everything since the given time - don't trim those)
+    const rows = since ? ohlcData : ohlcData.slice(-limit);
+    const candles = rows.map(candle => ({
       timestamp: candle[0] * 1000, // Kraken uses seconds, we use milliseconds
       open: parseFloat(candle[1]),
       high: parseFloat(candle[2]),
@@ -231,6 +188,27 @@ async function fetchFromKraken(symbol, interval, limit = 500) {
   }
 }
 
+/**
+ * Load Kraken candles through the local candle store
+ * 3d, 1w and 1M are aggregated from the stored daily series on UTC calendar boundaries
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {string} interval - Timeframe (1m, 5m, 15m, 1h, 4h, 1d, 3d, 1w, 1M)
+ * @param {number} limit - Number of candles to return
+ * @returns {Promise<Array>} Array of OHLCV objects
+ */
+async function loadKrakenCandles(symbol, interval, limit = 500) {
+  const daysPerPeriod = { '3d': 3, '1w': 7, '1M': 31 }[interval];
+  if (daysPerPeriod) {
+    // One extra period so a partially covered leading period can be dropped
+    const dailyData = await loadKrakenCandles(symbol, '1d', (limit + 1) * daysPerPeriod);
+    return aggregateCalendarCandles(dailyData, interval).slice(-limit);
+  }
+  
+  return candleStore.syncCandles(symbol, interval, limit, (since) => 
+    fetchFromKraken(symbol, interval, limit, since)
+  );
+}
+
 /**
  * Generate synthetic OHLCV data based on current price
  * Used as fallback when real APIs are unavailable
@@ -245,6 +223,7 @@ function generateSyntheticData(symbol, interval, limit, basePrice) {
   const intervalMs = intervalMinutes * 60 * 1000;
   const now = Date.now();
   
+  const precision = getPricePrecision(symbol, basePrice);
   const candles = [];
   let currentPrice = basePrice;
   
@@ -265,10 +244,10 @@ function generateSyntheticData(symbol, interval, limit, basePrice) {
     
     candles.push({
       timestamp,
-      open: parseFloat(open.toFixed(2)),
-      high: parseFloat(high.toFixed(2)),
-      low: parseFloat(low.toFixed(2)),
-      close: parseFloat(close.toFixed(2)),
+      open: roundPrice(open, precision),
+      high: roundPrice(high, precision),
+      low: roundPrice(low, precision),
+      close: roundPrice(close, precision),
       volume: parseFloat(volume.toFixed(2)),
       closeTime: timestamp + intervalMs
     });
@@ -286,41 +265,382 @@ function generateSyntheticData(symbol, interval, limit, basePrice) {
  */
 async function getCurrentPrice(symbol) {
   try {
-    const coinId = SYMBOL_MAP[symbol]?.coingecko || 'bitcoin';
+    const { id: coinId, vsCurrency } = symbols.resolveSymbol(symbol)?.venues.coingecko || { id: 'bitcoin', vsCurrency: 'usd' };
     const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
       params: {
         ids: coinId,
-        vs_currencies: 'usd'
+        vs_currencies: vsCurrency
       },
       timeout: 5000
     });
     
-    return response.data[coinId]?.usd || 50000;
+    return response.data[coinId]?.[vsCurrency] || 50000;
   } catch (error) {
     console.error('Error fetching current price:', error.message);
     // Return reasonable defaults
-    const defaults = { BTCUSDT: 87000, ETHUSDT: 3200, SOLUSDT: 140 };
+    const defaults = { BTCUSDT: 87000, ETHUSDT: 3200, SOLUSDT: 140, DOGEUSDT: 0.15, SHIBUSDT: 0.000014, PEPEUSDT: 0.0000089 };
     return defaults[symbol] || 50000;
   }
 }
 
+/**
+ * Paged history sources for deep backfill
+ * Each page is requested by its end time and walks backwards from there
+ */
+const HISTORY_SOURCES = {
+  binance: {
+    pageSize: 1000,
+    minDelayMs: 250, // Well under Binance's 6000 weight/min for klines
+    fetchPage: (symbol, interval, endTime) =>
+      binanceService.fetchKlines(symbol, interval, 1000, { endTime })
+  },
+  kraken: {
+    // Kraken only serves its most recent 720 bars per interval - paging stops once that window is exhausted
+    pageSize: 720,
+    minDelayMs: 1100, // Public endpoint budget is roughly one call per second
+    fetchPage: (symbol, interval, endTime) =>
+      fetchFromKraken(symbol, interval, 720, endTime - 720 * INTERVAL_TO_MINUTES[interval] * 60 * 1000)
+  }
+};
+
+/**
+ * Fetch a long history by paging backwards until startTime is covered
+ * Shared by the /api/history endpoint and the backtest scripts
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {string} interval - Native timeframe (1m, 3m, 5m, 15m, 30m, 1h, 4h, 1d)
+ * @param {Object} options - { startTime, endTime, provider, maxPages } (ms timestamps, provider 'binance' or 'kraken',
+ *   maxPages caps the requests - paginateCandles' default when omitted)
+ * @returns {Promise<Object>} { candles, provider, pages, complete, quality }
+ */
+export async function getHistoricalCandles(symbol, interval, { startTime, endTime = Date.now(), provider = 'binance', maxPages } = {}) {
+  const source = HISTORY_SOURCES[provider];
+  if (!source) {
+    throw new Error(`No paged history source for provider: ${provider}`);
+  }
+  if (!INTERVAL_TO_MINUTES[interval] || ['3d', '1w', '1M'].includes(interval)) {
+    throw new Error(`Unsupported history interval: ${interval}`);
+  }
+  if (!startTime || startTime >= endTime) {
+    throw new Error('startTime must be before endTime');
+  }
+  
+  console.log(`📜 Backfilling ${symbol} ${interval} from ${new Date(startTime).toISOString()} via ${provider}...`);
+  const result = await historicalData.paginateCandles(
+    { minDelayMs: source.minDelayMs, fetchPage: (pageEnd) => source.fetchPage(symbol, interval, pageEnd) },
+    startTime,
+    endTime,
+    maxPages
+  );
+  
+  const candles = validateSeries(result.candles, interval);
+  console.log(`✅ Backfilled ${candles.length} ${interval} candles in ${result.pages} pages${result.complete ? '' : ` (${provider} history ends at ${candles[0] ? new Date(candles[0].timestamp).toISOString() : 'n/a'})`}`);
+  
+  return {
+    candles: tagProvider(candles, provider),
+    provider,
+    pages: result.pages,
+    complete: result.complete,
+    quality: candles.quality
+  };
+}
+
+/**
+ * OHLCV providers available to the chain (order comes from dataProviders.getProviderChain)
+ */
+const PROVIDERS = {
+  kraken: {
+    name: 'kraken',
+    intervals: ['1m', '5m', '15m', '30m', '1h', '4h', '1d', '3d', '1w', '1M'],
+    supports: async (symbol) => Boolean(getKrakenPair(symbol)),
+    fetchCandles: (symbol, interval, limit) => loadKrakenCandles(symbol, interval, limit)
+  },
+  binance: {
+    name: 'binance',
+    intervals: null, // Binance serves every interval we use natively
+    supports: async (symbol) => Boolean(symbols.resolveSymbol(symbol)?.venues.binance),
+    async fetchCandles(symbol, interval, limit) {
+      if (limit <= 1000 || interval === '1M') {
+        return binanceService.fetchKlines(symbol, interval, Math.min(limit, 1000));
+      }
+      // Deeper than one response (e.g. EMA200 warm-up on 1m) - page backwards
+      const intervalMs = INTERVAL_TO_MINUTES[interval] * 60 * 1000;
+      const { candles } = await historicalData.paginateCandles(
+        { minDelayMs: HISTORY_SOURCES.binance.minDelayMs, fetchPage: (endTime) => HISTORY_SOURCES.binance.fetchPage(symbol, interval, endTime) },
+        Date.now() - limit * intervalMs
+      );
+      return candles.slice(-limit);
+    }
+  },
+  coingecko: {
+    name: 'coingecko',
+    // Free OHLC endpoint only returns 4h bars for the 30-day window we request
+    intervals: ['4h'],
+    supports: async (symbol) => Boolean(symbols.resolveSymbol(symbol)?.venues.coingecko),
+    fetchCandles: (symbol, interval, limit) => coingeckoService.fetchKlines(symbol, interval, limit)
+  },
+  csv: {
+    name: 'csv',
+    intervals: null,
+    supports: dataProviders.csvProvider.supports,
+    async fetchCandles(symbol, interval, limit) {
+      const intervalMs = (INTERVAL_TO_MINUTES[interval] || 60) * 60 * 1000;
+      const candles = await dataProviders.csvProvider.fetchCandles(symbol, interval, limit);
+      return candles.map(c => ({ ...c, closeTime: c.closeTime || c.timestamp + intervalMs }));
+    }
+  }
+};
+
+/**
+ * Tag a candle array with the provider it came from
+ * Non-enumerable so it never leaks into serialized candle arrays
+ * @param {Array} candles - OHLCV candles
+ * @param {string} provider - Provider name
+ * @returns {Array} The same array
+ */
+function tagProvider(candles, provider) {
+  Object.defineProperty(candles, 'provider', { value: provider, enumerable: false, configurable: true });
+  return candles;
+}
+
+/**
+ * Run the data-quality pass over a provider series
+ * Repairs sort/duplicates/short gaps and attaches the report as a non-enumerable `quality` property
+ * @param {Array} candles - OHLCV candles
+ * @param {string} interval - Timeframe (calendar months have no fixed spacing, so skip gap checks)
+ * @returns {Array} Repaired candles
+ */
+function validateSeries(candles, interval) {
+  const minutes = INTERVAL_TO_MINUTES[interval] || resampler.parseIntervalMinutes(interval);
+  const intervalMs = interval === '1M' || !minutes ? null : minutes * 60 * 1000;
+  const { candles: repaired, report } = candleValidator.validateCandles(candles, intervalMs);
+  if (report.status !== 'ok') {
+    console.log(`⚠️  ${interval} data quality ${report.status}: ${report.issues.join('; ')}`);
+  }
+  Object.defineProperty(repaired, 'quality', { value: report, enumerable: false, configurable: true });
+  return repaired;
+}
+
+/**
+ * Build a non-standard timeframe (2h, 6h, 12h, 90m...) from a finer base series
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {string} interval - Timeframe not in INTERVAL_TO_MINUTES
+ * @param {number} limit - Number of candles to return
+ * @returns {Promise<Array>} Array of OHLCV objects, tagged with the base series' provider
+ */
+async function getResampledCandles(symbol, interval, limit) {
+  const intervalMinutes = resampler.parseIntervalMinutes(interval);
+  if (!intervalMinutes) {
+    throw new Error(`Unsupported interval: ${interval}`);
+  }
+  
+  const base = resampler.pickBaseInterval(intervalMinutes);
+  const ratio = intervalMinutes / base.minutes;
+  // One extra bucket so a partially covered leading bucket can be dropped
+  const baseLimit = Math.min((limit + 1) * ratio, MAX_RESAMPLE_BASE_CANDLES);
+  
+  console.log(`🔁 Resampling ${symbol} ${interval} from ${base.interval} (${ratio} per candle)`);
+  const baseCandles = await getCandles(symbol, base.interval, baseLimit);
+  const candles = resampler.resampleCandles(baseCandles, intervalMinutes).slice(-limit);
+  // Quality problems live in the base series - carry its report over
+  Object.defineProperty(candles, 'quality', {
+    value: baseCandles.quality ? { ...baseCandles.quality, resampledFrom: base.interval } : null,
+    enumerable: false,
+    configurable: true
+  });
+  return tagProvider(candles, baseCandles.provider);
+}
+
+/**
+ * Serve an imported (CSV/JSON) symbol from its stored files
+ * Timeframes that weren't imported are built from the coarsest imported series that divides
+ * them - resampled for N-minute intervals, calendar-aggregated via daily bars for 3d/1w/1M
+ * @param {Object} imported - Manifest from candleImport.getImportedSymbol
+ * @param {string} interval - Timeframe
+ * @param {number} limit - Number of candles to return
+ * @returns {Promise<Array>} Array of OHLCV objects tagged with provider 'import'
+ */
+async function getImportedCandles(imported, interval, limit) {
+  const { symbol } = imported;
+  const available = Object.keys(imported.intervals || {});
+  let candles;
+  
+  if (available.includes(interval)) {
+    candles = await candleImport.readImportedCandles(symbol, interval);
+  } else {
+    const isCalendar = ['3d', '1w', '1M'].includes(interval);
+    const targetMinutes = isCalendar ? 1440 : resampler.parseIntervalMinutes(interval);
+    if (!targetMinutes) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+    
+    const base = available
+      .map(name => ({ interval: name, minutes: resampler.parseIntervalMinutes(name) }))
+      .filter(b => b.minutes && targetMinutes % b.minutes === 0)
+      .sort((a, b) => b.minutes - a.minutes)[0];
+    if (!base) {
+      throw new Error(`No imported ${symbol} data to build ${interval} from (imported: ${available.join(', ') || 'none'})`);
+    }
+    
+    console.log(`🔁 Building imported ${symbol} ${interval} from ${base.interval}`);
+    candles = await candleImport.readImportedCandles(symbol, base.interval);
+    if (base.minutes !== targetMinutes) {
+      candles = resampler.resampleCandles(candles, targetMinutes);
+    }
+    if (isCalendar) {
+      candles = aggregateCalendarCandles(candles, interval);
+    }
+  }
+  
+  return tagProvider(validateSeries(candles.slice(-limit), interval), 'import');
+}
+
+/**
+ * Parse an `asOf` replay timestamp
+ * @param {string|number} value - ISO date string, ms or seconds timestamp
+ * @returns {number|null} Timestamp in ms, or null when not provided
+ * @throws {Error} If the value is not a valid past timestamp
+ */
+export function parseAsOf(value) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  const raw = String(value).trim();
+  const asOf = /^\d+$/.test(raw)
+    ? Number(raw) * (raw.length <= 10 ? 1000 : 1) // Seconds or milliseconds
+    : Date.parse(raw);
+  
+  if (!Number.isFinite(asOf)) {
+    throw new Error(`Invalid asOf timestamp: ${value}`);
+  }
+  if (asOf > Date.now()) {
+    throw new Error(`asOf is in the future: ${new Date(asOf).toISOString()}`);
+  }
+  return asOf;
+}
+
+/**
+ * Fetch candles as they stood at a past instant (no lookahead)
+ * Only candles that had closed by asOf are kept - the bar forming at asOf
+ * contains prices from after it.
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {string} interval - Timeframe
+ * @param {number} limit - Number of candles to return
+ * @param {number} asOf - Replay instant in ms
+ * @returns {Promise<Array>} Array of OHLCV objects ending at or before asOf
+ */
+async function getCandlesAsOf(symbol, interval, limit, asOf) {
+  const intervalMinutes = INTERVAL_TO_MINUTES[interval] || resampler.parseIntervalMinutes(interval);
+  if (!intervalMinutes) {
+    throw new Error(`Unsupported interval: ${interval}`);
+  }
+  const intervalMs = intervalMinutes * 60 * 1000;
+  const lookbackBars = Math.ceil((Date.now() - asOf) / intervalMs);
+  const isCalendar = ['3d', '1w', '1M'].includes(interval);
+  
+  let candles = null;
+  const isImported = Boolean(await candleImport.getImportedSymbol(symbol));
+  if (INTERVAL_TO_MINUTES[interval] && !isCalendar && !isImported && lookbackBars + limit > 720) {
+    // Deeper than one Kraken response - page straight to the window ending at asOf
+    try {
+      const history = await getHistoricalCandles(symbol, interval, {
+        startTime: asOf - (limit + 1) * intervalMs,
+        endTime: asOf,
+        // The window is only limit + 1 bars - one spare page covers a gap, more means the source is misbehaving
+        maxPages: Math.ceil((limit + 1) / HISTORY_SOURCES.binance.pageSize) + 1
+      });
+      candles = history.candles;
+    } catch (error) {
+      console.log(`⚠️  Paged replay unavailable for ${symbol} ${interval}: ${error.message}`);
+    }
+  }
+  if (!candles || candles.length === 0) {
+    // +2: the bar forming now and the one straddling asOf are both dropped below
+    candles = await getCandles(symbol, interval, limit + lookbackBars + 2);
+  }
+  
+  const truncated = candles
+    .filter(c => (c.closeTime || c.timestamp + intervalMs) <= asOf)
+    .slice(-limit);
+  if (truncated.length === 0) {
+    // Every fetched bar closed after asOf - an empty series would read as "no data" rather than a failed replay
+    const oldest = candles[0] ? ` (oldest available ${new Date(candles[0].timestamp).toISOString()})` : '';
+    throw new Error(`${symbol} ${interval} history before ${new Date(asOf).toISOString()} unavailable${oldest}`);
+  }
+  
+  Object.defineProperty(truncated, 'quality', { value: candles.quality || null, enumerable: false, configurable: true });
+  return tagProvider(truncated, candles.provider);
+}
+
+/**
+ * Build a ticker snapshot from candles - what getTickerPrice would have said at the last close
+ * (replays and imported symbols have no live ticker)
+ * @param {string} symbol - Trading pair
+ * @param {Object} multiData - Result of getMultiTimeframeData(..., asOf)
+ * @returns {Object} Price data in the getTickerPrice shape
+ */
+export function getTickerAsOf(symbol, multiData) {
+  const minutesOf = interval => INTERVAL_TO_MINUTES[interval] || resampler.parseIntervalMinutes(interval) || Infinity;
+  const finest = Object.entries(multiData)
+    .filter(([_, candles]) => Array.isArray(candles) && candles.length > 0)
+    .sort(([a], [b]) => minutesOf(a) - minutesOf(b))[0];
+  
+  if (!finest) {
+    throw new Error(`No candles available to replay ${symbol}`);
+  }
+  
+  const candles = finest[1];
+  const last = candles[candles.length - 1];
+  const dayStart = (last.closeTime || last.timestamp) - 24 * 60 * 60 * 1000;
+  const window = candles.filter(c => c.timestamp >= dayStart);
+  const openPrice = window[0].open;
+  
+  return {
+    symbol,
+    price: last.close,
+    priceChange: last.close - openPrice,
+    priceChangePercent: ((last.close - openPrice) / openPrice) * 100,
+    high24h: Math.max(...window.map(c => c.high)),
+    low24h: Math.min(...window.map(c => c.low)),
+    volume24h: window.reduce((sum, c) => sum + c.volume, 0)
+  };
+}
+
 /**
  * Fetch OHLCV candles for a single symbol and interval
- * Tries multiple sources with fallback
+ * Walks the provider chain, falling back to synthetic data if every provider fails
+ * Intervals providers don't serve (2h, 6h, 12h, ...) are resampled from a finer series
+ * Imported symbols are served from their stored files only
+ * The returned array carries non-enumerable `provider` (its source) and `quality` (validator report) properties
  * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
- * @param {string} interval - Timeframe (1m, 5m, 15m, 1h, 4h)
+ * @param {string} interval - Timeframe (1m, 5m, 15m, 1h, 4h, or any N-minute interval like 6h)
  * @param {number} limit - Number of candles to fetch
+ * @param {number} asOf - Replay instant in ms (optional - truncates to candles closed by then)
  * @returns {Promise<Array>} Array of OHLCV objects
  */
-export async function getCandles(symbol, interval, limit = 500) {
-  // Try Kraken first (best free API for crypto OHLC)
+export async function getCandles(symbol, interval, limit = 500, asOf = null) {
+  if (asOf) {
+    return getCandlesAsOf(symbol, interval, limit, asOf);
+  }
+  
+  const imported = await candleImport.getImportedSymbol(symbol);
+  if (imported) {
+    return getImportedCandles(imported, interval, limit);
+  }
+  
+  if (!INTERVAL_TO_MINUTES[interval]) {
+    return getResampledCandles(symbol, interval, limit);
+  }
+  
+  const chain = dataProviders.getProviderChain()
+    .map(name => PROVIDERS[name])
+    .filter(Boolean);
+
   try {
-    console.log(`Fetching ${symbol} ${interval} from Kraken...`);
-    const candles = await fetchFromKraken(symbol, interval, limit);
-    console.log(`✅ Got ${candles.length} candles from Kraken`);
-    return candles;
-  } catch (krakenError) {
-    console.log(`⚠️  Kraken unavailable: ${krakenError.message}`);
+    console.log(`Fetching ${symbol} ${interval} (providers: ${chain.map(p => p.name).join(' → ')})...`);
+    const { candles, provider } = await dataProviders.fetchFromProviders(chain, symbol, interval, limit);
+    console.log(`✅ Got ${candles.length} candles from ${provider}`);
+    return tagProvider(validateSeries(candles, interval), provider);
+  } catch (providerError) {
+    console.log(`⚠️  ${providerError.message}`);
   }
 
   // Fallback: Generate synthetic data
@@ -328,7 +648,7 @@ export async function getCandles(symbol, interval, limit = 500) {
   const currentPrice = await getCurrentPrice(symbol);
   const syntheticCandles = generateSyntheticData(symbol, interval, limit, currentPrice);
   console.log(`✅ Generated ${syntheticCandles.length} synthetic candles`);
-  return syntheticCandles;
+  return tagProvider(validateSeries(syntheticCandles, interval), 'synthetic');
 }
 
 /**
@@ -337,17 +657,18 @@ export async function getCandles(symbol, interval, limit = 500) {
  * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
  * @param {Array<string>} intervals - Array of timeframes (e.g., ['4h', '1h', '15m', '5m'])
  * @param {number} limit - Number of candles per timeframe
+ * @param {number} asOf - Replay instant in ms (optional - every timeframe is truncated to it)
  * @returns {Promise<Object>} Object with interval as key, candles array as value
  */
-export async function getMultiTimeframeData(symbol, intervals = ['4h', '1h', '15m', '5m'], limit = 500) {
-  console.log(`\n📊 Fetching multi-timeframe data for ${symbol}:`, intervals);
+export async function getMultiTimeframeData(symbol, intervals = ['4h', '1h', '15m', '5m'], limit = 500, asOf = null) {
+  console.log(`\n📊 Fetching multi-timeframe data for ${symbol}${asOf ? ` as of ${new Date(asOf).toISOString()}` : ''}:`, intervals);
   
   const results = {};
   
   // Fetch all intervals in parallel
   const promises = intervals.map(async (interval) => {
     try {
-      const candles = await getCandles(symbol, interval, limit);
+      const candles = await getCandles(symbol, interval, limit, asOf);
       return { interval, candles, error: null };
     } catch (error) {
       console.error(`Error fetching ${symbol} ${interval}:`, error.message);
@@ -376,9 +697,22 @@ export async function getMultiTimeframeData(symbol, intervals = ['4h', '1h', '15
  * @returns {Promise<Object>} Price data
  */
 export async function getTickerPrice(symbol) {
+  const imported = await candleImport.getImportedSymbol(symbol);
+  if (imported) {
+    // Price the last imported close, with 24h stats from the finest imported series
+    const [finest] = Object.keys(imported.intervals)
+      .map(name => ({ interval: name, minutes: resampler.parseIntervalMinutes(name) || INTERVAL_TO_MINUTES[name] }))
+      .sort((a, b) => a.minutes - b.minutes);
+    const candles = await getCandles(symbol, finest.interval, Math.ceil(1440 / finest.minutes) + 1);
+    return getTickerAsOf(symbol, { [finest.interval]: candles });
+  }
+  
   try {
     // Try Kraken ticker first
-    const krakenSymbol = SYMBOL_MAP[symbol]?.kraken || 'XBTUSD';
+    const krakenSymbol = getKrakenPair(symbol);
+    if (!krakenSymbol) {
+      throw new Error(`No Kraken pair for ${symbol}`);
+    }
     const response = await axios.get('https://api.kraken.com/0/public/Ticker', {
       params: { pair: krakenSymbol },
       timeout: 5000
@@ -409,11 +743,15 @@ export async function getTickerPrice(symbol) {
   } catch (error) {
     // Fallback to CoinGecko
     console.log('Falling back to CoinGecko for ticker...');
-    const coinId = SYMBOL_MAP[symbol]?.coingecko || 'bitcoin';
+    const coingecko = symbols.resolveSymbol(symbol)?.venues.coingecko;
+    if (!coingecko) {
+      throw new Error(`No ticker available for ${symbol}: ${error.message}`);
+    }
+    const { id: coinId, vsCurrency } = coingecko;
     const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
       params: {
         ids: coinId,
-        vs_currencies: 'usd',
+        vs_currencies: vsCurrency,
         include_24hr_change: true,
         include_24hr_vol: true
       },
@@ -421,14 +759,15 @@ export async function getTickerPrice(symbol) {
     });
 
     const data = response.data[coinId];
+    const price = data[vsCurrency];
     return {
       symbol,
-      price: data.usd,
-      priceChange: data.usd_24h_change || 0,
-      priceChangePercent: data.usd_24h_change || 0,
-      high24h: data.usd * 1.02,
-      low24h: data.usd * 0.98,
-      volume24h: data.usd_24h_vol || 0
+      price,
+      priceChange: data[`${vsCurrency}_24h_change`] || 0,
+      priceChangePercent: data[`${vsCurrency}_24h_change`] || 0,
+      high24h: price * 1.02,
+      low24h: price * 0.98,
+      volume24h: data[`${vsCurrency}_24h_vol`] || 0
     };
   }
 }
@@ -439,7 +778,7 @@ export async function getTickerPrice(symbol) {
  * @returns {boolean} True if supported
  */
 export function isSymbolSupported(symbol) {
-  return symbol in SYMBOL_MAP;
+  return Boolean(symbols.resolveSymbol(symbol)?.known);
 }
 
 /**
@@ -447,7 +786,7 @@ export function isSymbolSupported(symbol) {
  * @returns {Array<string>} Array of supported symbols
  */
 export function getSupportedSymbols() {
-  return Object.keys(SYMBOL_MAP);
+  return symbols.listFeaturedSymbols();
 }
 
 /**
@@ -455,12 +794,20 @@ export function getSupportedSymbols() {
  * @returns {Array<Object>} Array of symbol objects with metadata
  */
 export function getSupportedSymbolsWithInfo() {
-  return Object.entries(SYMBOL_MAP).map(([symbol, info]) => ({
-    symbol,
-    name: info.name,
-    krakenSymbol: info.kraken,
-    coingeckoId: info.coingecko
-  })).sort((a, b) => a.name.localeCompare(b.name));
+  return symbols.listFeaturedSymbols().map(symbol => {
+    const info = symbols.resolveSymbol(symbol);
+    return {
+      symbol,
+      name: info.name,
+      base: info.base,
+      quote: info.quote,
+      displayName: info.displayName,
+      dashboard: Boolean(symbols.getAsset(info.base)?.dashboard),
+      krakenSymbol: info.venues.kraken,
+      coingeckoId: info.venues.coingecko?.id || null,
+      ...getPricePrecision(symbol)
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
 }
 
 /**
@@ -484,12 +831,9 @@ export async function getAllKrakenPairs() {
     for (const [pairKey, pairData] of Object.entries(pairs)) {
       // Only include USD pairs (not USDT, USDC, etc. for simplicity)
       if (pairData.quote === 'USD' || pairData.quote === 'ZUSD') {
-        const baseCurrency = pairData.base.replace(/^X|^Z/, ''); // Remove X/Z prefix
-        const symbol = `${baseCurrency}USDT`; // Standardize to USDT format
-        
-        // Get a clean name (prioritize our known names, otherwise use base currency)
-        const knownInfo = SYMBOL_MAP[symbol];
-        const name = knownInfo ? knownInfo.name : formatCoinName(baseCurrency);
+        const baseCurrency = symbols.normalizeAsset(pairData.base); // XXBT → BTC, XXDG → DOGE
+        const symbol = symbols.makeSymbol(baseCurrency); // Standardize to USDT format
+        const name = symbols.getAssetName(baseCurrency);
         
         usdPairs.push({
           symbol: symbol,
@@ -515,82 +859,6 @@ export async function getAllKrakenPairs() {
   }
 }
 
-/**
- * Format a coin symbol into a readable name
- * @param {string} symbol - Coin symbol (e.g., 'BTC', 'ETH')
- * @returns {string} Formatted name
- */
-function formatCoinName(symbol) {
-  const commonNames = {
-    'BTC': 'Bitcoin',
-    'XBT': 'Bitcoin',
-    'ETH': 'Ethereum',
-    'SOL': 'Solana',
-    'BNB': 'BNB',
-    'ADA': 'Cardano',
-    'XRP': 'XRP',
-    'DOGE': 'Dogecoin',
-    'DOT': 'Polkadot',
-    'MATIC': 'Polygon',
-    'LINK': 'Chainlink',
-    'AVAX': 'Avalanche',
-    'ATOM': 'Cosmos',
-    'UNI': 'Uniswap',
-    'AAVE': 'Aave',
-    'ALGO': 'Algorand',
-    'ARB': 'Arbitrum',
-    'OP': 'Optimism',
-    'SHIB': 'Shiba Inu',
-    'PEPE': 'Pepe',
-    'LTC': 'Litecoin',
-    'BCH': 'Bitcoin Cash',
-    'XLM': 'Stellar',
-    'TRX': 'Tron',
-    'ETC': 'Ethereum Classic',
-    'XMR': 'Monero',
-    'FIL': 'Filecoin',
-    'APT': 'Aptos',
-    'NEAR': 'Near Protocol',
-    'ICP': 'Internet Computer',
-    'INJ': 'Injective',
-    'SUI': 'Sui',
-    'TON': 'Toncoin',
-    'JUP': 'Jupiter',
-    'RNDR': 'Render',
-    'FTM': 'Fantom',
-    'GRT': 'The Graph',
-    'SAND': 'The Sandbox',
-    'MANA': 'Decentraland',
-    'AXS': 'Axie Infinity',
-    'RUNE': 'THORChain',
-    'FLOW': 'Flow',
-    'IMX': 'Immutable X',
-    'ENJ': 'Enjin',
-    'ZEC': 'Zcash',
-    'DASH': 'Dash',
-    'COMP': 'Compound',
-    'MKR': 'Maker',
-    'SNX': 'Synthetix',
-    'CRV': 'Curve',
-    '1INCH': '1inch',
-    'YFI': 'Yearn Finance',
-    'SUSHI': 'SushiSwap',
-    'BAT': 'Basic Attention Token',
-    'ZRX': '0x',
-    'OMG': 'OMG Network',
-    'LRC': 'Loopring',
-    'ENS': 'Ethereum Name Service',
-    'AUDIO': 'Audius',
-    'CHZ': 'Chiliz',
-    'GALA': 'Gala',
-    'APE': 'ApeCoin',
-    'BLUR': 'Blur',
-    'LDO': 'Lido DAO'
-  };
-
-  return commonNames[symbol] || symbol; // Fallback to symbol if not found
-}
-
 /**
  * Fetch all available trading pairs from Kraken dynamically
  * This gives us ALL coins available on Kraken
@@ -613,28 +881,12 @@ export async function fetchAllKrakenPairs() {
     for (const [pairKey, pairData] of Object.entries(pairs)) {
       // Only include pairs that trade against USD
       if (pairData.quote === 'ZUSD' || pairData.quote === 'USD') {
-        const baseCurrency = pairData.base;
         const wsname = pairData.wsname || pairKey;
         
-        // Extract clean symbol names
-        let cleanBase = baseCurrency
-          .replace('X', '')
-          .replace('Z', '')
-          .toUpperCase();
-        
-        // Create USDT-style symbol for consistency
-        const symbol = `${cleanBase}USDT`;
+        // Create USDT-style symbol for consistency (XXBT → BTCUSDT)
+        const symbol = symbols.makeSymbol(pairData.base);
         const krakenSymbol = pairData.altname || pairKey;
-        
-        // Try to get a friendly name
-        let name = cleanBase;
-        // Check if we have it in our map
-        if (SYMBOL_MAP[symbol]) {
-          name = SYMBOL_MAP[symbol].name;
-        } else {
-          // Generate name from symbol
-          name = cleanBase.charAt(0) + cleanBase.slice(1).toLowerCase();
-        }
+        const name = symbols.getAssetName(pairData.base);
 
         usdPairs.push({
           symbol,
@@ -682,6 +934,94 @@ export async function getDflowPredictionMarkets(symbol) {
   }
 }
 
+/**
+ * Get perp positioning for a symbol: funding rate, open interest (and its change), spot-perp basis
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {number} spotPrice - Current spot price, used for the basis
+ * @returns {Promise<Object>} Derivatives snapshot (available: false if no perp venue has the symbol)
+ */
+export async function getDerivativesData(symbol, spotPrice = null) {
+  return derivatives.getDerivativesData(symbol, spotPrice);
+}
+
+/**
+ * Get order book depth analysis for a symbol: imbalance bands, walls, slippage estimates
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {Object} options - { orderSizes } order notionals (quote currency) to estimate slippage for
+ * @returns {Promise<Object>} Depth analysis (available: false if the book can't be fetched)
+ */
+export async function getOrderBookDepth(symbol, options = {}) {
+  const pair = getKrakenPair(symbol);
+  if (!pair) {
+    return { available: false, error: `No Kraken market for ${symbol}` };
+  }
+  return orderBook.getOrderBookAnalysis(pair, options);
+}
+
+/**
+ * Get trade flow for a symbol: aggressor-classified recent trades, buy/sell pressure and
+ * per-interval order flow (CVD, CVD/price divergence) over the given candles
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {Object} candlesByInterval - { interval: candles } as returned by getMultiTimeframeData
+ * @returns {Promise<Object>} Trade flow (available: false if trades can't be fetched)
+ */
+export async function getTradeFlow(symbol, candlesByInterval = {}) {
+  const pair = getKrakenPair(symbol);
+  if (!pair) {
+    return { available: false, error: `No Kraken market for ${symbol}` };
+  }
+  return tradeFlow.getTradeFlow(pair, candlesByInterval);
+}
+
+/**
+ * Check whether a symbol is served from imported candle files
+ * @param {string} symbol - Symbol name
+ * @returns {Promise<boolean>} True if the symbol was imported
+ */
+export async function isImportedSymbol(symbol) {
+  return Boolean(await candleImport.getImportedSymbol(symbol));
+}
+
+/**
+ * Get every imported symbol with metadata
+ * @returns {Promise<Array<Object>>} { symbol, name, source, intervals, updatedAt }
+ */
+export async function getImportedSymbols() {
+  const manifests = await candleImport.listImportedSymbols();
+  return manifests.map(manifest => ({
+    symbol: manifest.symbol,
+    name: manifest.name,
+    source: manifest.source,
+    intervals: Object.keys(manifest.intervals || {}),
+    updatedAt: manifest.updatedAt
+  }));
+}
+
+/**
+ * Import a CSV/JSON OHLCV export under a custom symbol
+ * Live market symbols can't be shadowed - imports need a name of their own
+ * @param {Object} options - See candleImport.importCandles
+ * @returns {Promise<Object>} Import summary
+ */
+export async function importCandles(options) {
+  const symbol = candleImport.normalizeSymbol(options.symbol);
+  if (symbols.resolveSymbol(symbol)?.known) {
+    throw new Error(`${symbol} is a live market symbol - import under a custom name (e.g. ${symbol}_${(options.source || 'CUSTOM').toUpperCase()})`);
+  }
+  return candleImport.importCandles({ ...options, symbol });
+}
+
+/**
+ * Get health stats for the OHLCV provider chain
+ * @returns {Object} { chain, providers }
+ */
+export function getProviderStatus() {
+  return {
+    chain: dataProviders.getProviderChain(),
+    providers: dataProviders.getProviderHealth()
+  };
+}
+
 export default {
   getCandles,
   getMultiTimeframeData,
@@ -690,6 +1030,18 @@ export default {
   getSupportedSymbols,
   getSupportedSymbolsWithInfo,
   getAllKrakenPairs,
-  getDflowPredictionMarkets
+  getDflowPredictionMarkets,
+  getDerivativesData,
+  getOrderBookDepth,
+  getTradeFlow,
+  getProviderStatus,
+  getCalendarPeriod,
+  getHistoricalCandles,
+  parseAsOf,
+  getTickerAsOf,
+  getKrakenPair,
+  isImportedSymbol,
+  getImportedSymbols,
+  importCandles
 };
 
@@ -0,0 +1,279 @@
+/**
+ * Order Book Depth Module
+ * Pulls depth snapshots and reads them the way a trader would before sending an order:
+ * - Bid/ask imbalance at several distances from mid (0.1%, 0.5%, 1%, 2%)
+ * - Large resting walls relative to the typical level size on that side
+ * - Estimated slippage for market orders of a given notional size
+ *
+ * Snapshot format: { bids: [[price, quantity]], asks: [[price, quantity]], timestamp }
+ * bids sorted best (highest) first, asks sorted best (lowest) first.
+ */
+
+import axios from 'axios';
+
+const KRAKEN_DEPTH_URL = 'https://api.kraken.com/0/public/Depth';
+const REQUEST_TIMEOUT_MS = 5000;
+const DEPTH_LEVELS = 500;   // Kraken's maximum per side
+
+// Cache for snapshots (5 second TTL - the book moves fast, but analyze-full runs many symbols)
+const cache = new Map();
+const CACHE_TTL = 5 * 1000;
+
+export const DEPTH_BANDS_PCT = [0.1, 0.5, 1, 2];
+export const DEFAULT_ORDER_SIZES_USD = [10000, 50000, 250000];
+
+const TOP_LEVELS = 10;              // Legacy orderBook summary (bid/ask liquidity, imbalance)
+const BIAS_BAND_PCT = 0.5;          // Band that decides the book's overall bias
+const BIAS_IMBALANCE_PCT = 20;      // |imbalance| at the bias band to call it one-sided
+const WALL_RANGE_PCT = 2;           // Only look for walls this close to mid
+const WALL_MULTIPLIER = 5;          // Level size vs median level size on its side
+const MAX_WALLS_PER_SIDE = 3;
+
+function round(value, decimals) {
+  return value === null || value === undefined || !Number.isFinite(value) ? null : parseFloat(value.toFixed(decimals));
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function imbalancePct(bidSide, askSide) {
+  const total = bidSide + askSide;
+  return total > 0 ? ((bidSide - askSide) / total) * 100 : 0;
+}
+
+/**
+ * Fetch a depth snapshot from Kraken
+ * @param {string} krakenPair - Kraken pair (e.g., 'XBTUSD')
+ * @param {number} count - Levels per side (max 500)
+ * @returns {Promise<Object>} { bids, asks, timestamp }
+ */
+export async function fetchDepthSnapshot(krakenPair, count = DEPTH_LEVELS) {
+  const cacheKey = `${krakenPair}-${count}`;
+  const cached = cache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.data;
+  }
+
+  const response = await axios.get(KRAKEN_DEPTH_URL, {
+    params: { pair: krakenPair, count },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+
+  if (response.data.error && response.data.error.length > 0) {
+    throw new Error(`Kraken API error: ${response.data.error.join(', ')}`);
+  }
+
+  const book = Object.values(response.data.result || {})[0];
+  if (!book) {
+    throw new Error(`No depth returned for ${krakenPair}`);
+  }
+
+  const toLevels = rows => (rows || []).map(([price, quantity]) => [parseFloat(price), parseFloat(quantity)]);
+  const data = {
+    bids: toLevels(book.bids).sort((a, b) => b[0] - a[0]),
+    asks: toLevels(book.asks).sort((a, b) => a[0] - b[0]),
+    timestamp: Date.now()
+  };
+
+  cache.set(cacheKey, { data, timestamp: Date.now() });
+  return data;
+}
+
+/**
+ * Bid/ask imbalance within each distance band around mid
+ * complete is false when the snapshot stops short of the band edge on either side
+ * (the band then only reflects the levels we have)
+ * @param {Object} snapshot - { bids, asks }
+ * @param {number} mid - Mid price
+ * @param {Array<number>} bandsPct - Distances from mid in percent
+ * @returns {Array<Object>} [{ distancePct, bidQty, askQty, bidUsd, askUsd, imbalance, complete }]
+ */
+export function computeDepthBands(snapshot, mid, bandsPct = DEPTH_BANDS_PCT) {
+  const lastBid = snapshot.bids[snapshot.bids.length - 1]?.[0];
+  const lastAsk = snapshot.asks[snapshot.asks.length - 1]?.[0];
+
+  return bandsPct.map(distancePct => {
+    const floor = mid * (1 - distancePct / 100);
+    const ceiling = mid * (1 + distancePct / 100);
+    let bidQty = 0, bidUsd = 0, askQty = 0, askUsd = 0;
+
+    for (const [price, qty] of snapshot.bids) {
+      if (price < floor) break;
+      bidQty += qty;
+      bidUsd += price * qty;
+    }
+    for (const [price, qty] of snapshot.asks) {
+      if (price > ceiling) break;
+      askQty += qty;
+      askUsd += price * qty;
+    }
+
+    return {
+      distancePct,
+      bidQty: round(bidQty, 4),
+      askQty: round(askQty, 4),
+      bidUsd: round(bidUsd, 0),
+      askUsd: round(askUsd, 0),
+      imbalance: round(imbalancePct(bidUsd, askUsd), 1),
+      complete: lastBid !== undefined && lastAsk !== undefined && lastBid < floor && lastAsk > ceiling
+    };
+  });
+}
+
+/**
+ * Find large resting orders near mid
+ * A wall is a level at least WALL_MULTIPLIER times the median level size on its side
+ * @param {Array<Array<number>>} levels - [[price, quantity]] best first
+ * @param {number} mid - Mid price
+ * @returns {Array<Object>} Walls nearest first: [{ price, quantity, valueUsd, distancePct, multiple }]
+ */
+function detectSideWalls(levels, mid) {
+  const inRange = levels.filter(([price]) => Math.abs(price - mid) / mid * 100 <= WALL_RANGE_PCT);
+  const typical = median(inRange.map(([, qty]) => qty));
+  if (typical <= 0) return [];
+
+  return inRange
+    .filter(([, qty]) => qty >= typical * WALL_MULTIPLIER)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_WALLS_PER_SIDE)
+    .map(([price, qty]) => ({
+      price,
+      quantity: round(qty, 4),
+      valueUsd: round(price * qty, 0),
+      distancePct: round(Math.abs(price - mid) / mid * 100, 3),
+      multiple: round(qty / typical, 1)
+    }))
+    .sort((a, b) => a.distancePct - b.distancePct);
+}
+
+/**
+ * Detect bid and ask walls
+ * @param {Object} snapshot - { bids, asks }
+ * @param {number} mid - Mid price
+ * @returns {Object} { bids: [...], asks: [...], nearestBid, nearestAsk }
+ */
+export function detectWalls(snapshot, mid) {
+  const bids = detectSideWalls(snapshot.bids, mid);
+  const asks = detectSideWalls(snapshot.asks, mid);
+  return { bids, asks, nearestBid: bids[0] || null, nearestAsk: asks[0] || null };
+}
+
+/**
+ * Estimate the slippage of a market order walking the book
+ * @param {Object} snapshot - { bids, asks }
+ * @param {string} side - 'buy' (lifts asks) or 'sell' (hits bids)
+ * @param {number} sizeUsd - Order notional in quote currency
+ * @returns {Object} { side, sizeUsd, filledUsd, avgPrice, worstPrice, slippagePct, levelsConsumed, fullyFilled }
+ */
+export function estimateSlippage(snapshot, side, sizeUsd) {
+  const levels = side === 'buy' ? snapshot.asks : snapshot.bids;
+  const bestPrice = levels[0]?.[0];
+  let remaining = sizeUsd;
+  let filledUsd = 0;
+  let filledQty = 0;
+  let worstPrice = bestPrice ?? null;
+  let levelsConsumed = 0;
+
+  for (const [price, qty] of levels) {
+    if (remaining <= 0) break;
+    const takeUsd = Math.min(remaining, price * qty);
+    filledUsd += takeUsd;
+    filledQty += takeUsd / price;
+    remaining -= takeUsd;
+    worstPrice = price;
+    levelsConsumed++;
+  }
+
+  const avgPrice = filledQty > 0 ? filledUsd / filledQty : null;
+  const slippagePct = avgPrice && bestPrice ? Math.abs(avgPrice - bestPrice) / bestPrice * 100 : null;
+
+  return {
+    side,
+    sizeUsd,
+    filledUsd: round(filledUsd, 0),
+    avgPrice: avgPrice === null ? null : parseFloat(avgPrice.toPrecision(8)),
+    worstPrice,
+    slippagePct: round(slippagePct, 4),
+    levelsConsumed,
+    fullyFilled: remaining <= 0
+  };
+}
+
+/**
+ * Analyze a depth snapshot
+ * @param {Object} snapshot - { bids, asks, timestamp }
+ * @param {Object} options - { orderSizes } notional sizes (quote currency) to estimate slippage for
+ * @returns {Object|null} Depth analysis, null for an empty book
+ */
+export function analyzeOrderBook(snapshot, { orderSizes = DEFAULT_ORDER_SIZES_USD } = {}) {
+  const bestBid = snapshot.bids[0]?.[0];
+  const bestAsk = snapshot.asks[0]?.[0];
+  if (!bestBid || !bestAsk) return null;
+
+  const mid = (bestBid + bestAsk) / 2;
+  const bands = computeDepthBands(snapshot, mid);
+  const biasBand = bands.find(band => band.distancePct === BIAS_BAND_PCT);
+  const bias = biasBand.imbalance >= BIAS_IMBALANCE_PCT ? 'BID_HEAVY' :
+               biasBand.imbalance <= -BIAS_IMBALANCE_PCT ? 'ASK_HEAVY' : 'BALANCED';
+
+  const sumQty = levels => levels.slice(0, TOP_LEVELS).reduce((sum, [, qty]) => sum + qty, 0);
+  const bidLiquidity = sumQty(snapshot.bids);
+  const askLiquidity = sumQty(snapshot.asks);
+
+  return {
+    mid,
+    bestBid,
+    bestAsk,
+    spreadPct: round((bestAsk - bestBid) / mid * 100, 4),
+    levels: { bids: snapshot.bids.length, asks: snapshot.asks.length },
+    bands,
+    bias,
+    walls: detectWalls(snapshot, mid),
+    slippage: {
+      buy: orderSizes.map(size => estimateSlippage(snapshot, 'buy', size)),
+      sell: orderSizes.map(size => estimateSlippage(snapshot, 'sell', size))
+    },
+    topOfBook: {
+      bidLiquidity: round(bidLiquidity, 3),
+      askLiquidity: round(askLiquidity, 3),
+      imbalance: round(imbalancePct(bidLiquidity, askLiquidity), 1)
+    },
+    timestamp: new Date(snapshot.timestamp).toISOString()
+  };
+}
+
+/**
+ * Fetch and analyze the book for a Kraken pair
+ * Never throws - returns { available: false, error } when the snapshot can't be fetched
+ * @param {string} krakenPair - Kraken pair (e.g., 'XBTUSD')
+ * @param {Object} options - { orderSizes }
+ * @returns {Promise<Object>} { available, ...analysis } or { available: false, error }
+ */
+export async function getOrderBookAnalysis(krakenPair, options = {}) {
+  try {
+    const snapshot = await fetchDepthSnapshot(krakenPair);
+    const analysis = analyzeOrderBook(snapshot, options);
+    if (!analysis) {
+      return { available: false, error: 'Empty order book' };
+    }
+    return { available: true, ...analysis };
+  } catch (error) {
+    console.warn(`[OrderBook] Depth unavailable for ${krakenPair}:`, error.message);
+    return { available: false, error: error.message };
+  }
+}
+
+export default {
+  fetchDepthSnapshot,
+  computeDepthBands,
+  detectWalls,
+  estimateSlippage,
+  analyzeOrderBook,
+  getOrderBookAnalysis,
+  DEPTH_BANDS_PCT,
+  DEFAULT_ORDER_SIZES_USD
+};
@@ -0,0 +1,116 @@
+/**
+ * Timeframe Resampler
+ * Builds any N-minute timeframe (2h, 6h, 8h, 12h, 90m, 2d...) from a finer base series
+ *
+ * Alignment follows the exchanges:
+ * - Intraday buckets restart at every UTC session open (00:00 UTC), so 6h opens at 00/06/12/18
+ *   and an interval that doesn't divide the day (e.g. 7h) gets a shorter last bucket
+ * - Multi-day buckets are counted from the Unix epoch, except whole weeks (1w, 2w, 7d...), which open
+ *   on Monday 00:00 UTC like the calendar weeks in marketData.js
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_MINUTES = 1440;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+const FIRST_MONDAY_MS = 4 * DAY_MS; // Mon 5 Jan 1970 00:00 UTC (the epoch was a Thursday)
+
+const MINUTES_PER_UNIT = { m: 1, h: 60, d: DAY_MINUTES, w: WEEK_MINUTES };
+
+// Base timeframes we can resample from, finest first
+const BASE_INTERVALS = [
+  { interval: '1m', minutes: 1 },
+  { interval: '5m', minutes: 5 },
+  { interval: '15m', minutes: 15 },
+  { interval: '30m', minutes: 30 },
+  { interval: '1h', minutes: 60 },
+  { interval: '4h', minutes: 240 },
+  { interval: '1d', minutes: DAY_MINUTES }
+];
+
+/**
+ * Parse an interval string into minutes
+ * @param {string} interval - e.g. '90m', '2h', '12h', '2d', '1w'
+ * @returns {number|null} Minutes, or null if the string isn't a valid interval
+ */
+export function parseIntervalMinutes(interval) {
+  const match = /^(\d+)(m|h|d|w)$/.exec(String(interval).trim());
+  if (!match) return null;
+  const minutes = parseInt(match[1], 10) * MINUTES_PER_UNIT[match[2]];
+  return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Pick the coarsest base timeframe that evenly divides the target
+ * @param {number} intervalMinutes - Target interval in minutes
+ * @returns {Object} { interval, minutes } of the base series
+ */
+export function pickBaseInterval(intervalMinutes) {
+  const candidates = BASE_INTERVALS.filter(base => intervalMinutes % base.minutes === 0);
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Get the bucket a timestamp falls into
+ * @param {number} timestamp - Timestamp in ms
+ * @param {number} intervalMinutes - Bucket size in minutes
+ * @returns {Object} { start, end } in ms (end is the next bucket's open)
+ */
+export function getBucket(timestamp, intervalMinutes) {
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  if (intervalMinutes < DAY_MINUTES) {
+    const dayStart = Math.floor(timestamp / DAY_MS) * DAY_MS;
+    const start = dayStart + Math.floor((timestamp - dayStart) / intervalMs) * intervalMs;
+    return { start, end: Math.min(start + intervalMs, dayStart + DAY_MS) };
+  }
+
+  const anchor = intervalMinutes % WEEK_MINUTES === 0 ? FIRST_MONDAY_MS : 0;
+  const start = anchor + Math.floor((timestamp - anchor) / intervalMs) * intervalMs;
+  return { start, end: start + intervalMs };
+}
+
+/**
+ * Resample a finer OHLCV series into N-minute candles
+ * A leading bucket the base series only partially covers is dropped, and the bucket
+ * that hasn't closed yet is flagged with isClosed: false.
+ * @param {Array} candles - Base OHLCV candles (oldest → newest)
+ * @param {number} intervalMinutes - Target interval in minutes
+ * @param {number} now - Current time in ms (for the forming-bucket flag)
+ * @returns {Array} Resampled OHLCV candles
+ */
+export function resampleCandles(candles, intervalMinutes, now = Date.now()) {
+  const buckets = new Map();
+  for (const candle of candles) {
+    const { start } = getBucket(candle.timestamp, intervalMinutes);
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(candle);
+  }
+
+  const resampled = [];
+  for (const [start, chunk] of buckets) {
+    if (resampled.length === 0 && buckets.size > 1 && chunk[0].timestamp > start) {
+      continue; // Base series starts mid-bucket - open/high/low would be wrong
+    }
+
+    const { end } = getBucket(start, intervalMinutes);
+    resampled.push({
+      timestamp: start,
+      open: chunk[0].open,
+      high: Math.max(...chunk.map(c => c.high)),
+      low: Math.min(...chunk.map(c => c.low)),
+      close: chunk[chunk.length - 1].close,
+      volume: chunk.reduce((sum, c) => sum + c.volume, 0),
+      closeTime: end,
+      isClosed: end <= now
+    });
+  }
+
+  return resampled;
+}
+
+export default {
+  parseIntervalMinutes,
+  pickBaseInterval,
+  getBucket,
+  resampleCandles
+};
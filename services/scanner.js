@@ -12,14 +12,15 @@ import * as strategyService from './strategy.js';
  * Scan a single symbol for trading opportunities
  * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
  * @param {Array<string>} intervals - Timeframes to analyze
+ * @param {number} asOf - Replay instant in ms (optional - scan as the market stood then)
  * @returns {Promise<Object>} Trade signal or null if no valid setup
  */
-async function scanSymbol(symbol, intervals = ['4h', '1h', '15m', '5m']) {
+async function scanSymbol(symbol, intervals = ['4h', '1h', '15m', '5m'], asOf = null) {
   try {
     console.log(`🔍 Scanning ${symbol}...`);
     
     // Fetch multi-timeframe data
-    const multiData = await marketData.getMultiTimeframeData(symbol, intervals, 500);
+    const multiData = await marketData.getMultiTimeframeData(symbol, intervals, 500, asOf);
     
     // Calculate indicators for each timeframe
     const analysis = {};
@@ -35,13 +36,15 @@ async function scanSymbol(symbol, intervals = ['4h', '1h', '15m', '5m']) {
       }
       
       try {
-        const indicators = indicatorService.calculateAllIndicators(candles);
-        const swingPoints = indicatorService.detectSwingPoints(candles, 20);
+        const indicators = indicatorService.calculateAllIndicators(candles, { symbol, interval, asOf });
+        const swingPoints = indicatorService.detectSwingPoints(candles, indicators.metadata.profile.params.swingLookback);
         
         analysis[interval] = {
           indicators,
           structure: swingPoints,
           candleCount: candles.length,
+          provider: candles.provider || null,
+          quality: candles.quality || null,
           lastCandle: candles[candles.length - 1]
         };
       } catch (err) {
@@ -49,8 +52,8 @@ async function scanSymbol(symbol, intervals = ['4h', '1h', '15m', '5m']) {
       }
     }
     
-    // Get current price
-    const ticker = await marketData.getTickerPrice(symbol);
+    // Get current price (replays price it from the candles - the live ticker would leak the present)
+    const ticker = asOf ? marketData.getTickerAsOf(symbol, multiData) : await marketData.getTickerPrice(symbol);
     
     // Run strategy evaluation (returns canonical structure)
     const canonicalResult = strategyService.evaluateStrategy(symbol, analysis, 'auto', 'STANDARD');
@@ -60,6 +63,7 @@ async function scanSymbol(symbol, intervals = ['4h', '1h', '15m', '5m']) {
     const enhancedMeta = {
       ...canonicalResult.meta,
       scanTime: new Date().toISOString(),
+      asOf: asOf ? new Date(asOf).toISOString() : null,
       volume24h: ticker.volume24h,
       priceChange24h: ticker.priceChangePercent
     };
@@ -116,7 +120,8 @@ export async function scanAllCoins(options = {}) {
     minConfidence = 0.5,  // Minimum confidence score (0-1)
     maxResults = 50,      // Maximum results to return
     intervals = ['4h', '1h', '15m', '5m'],
-    useAllKrakenPairs = false  // If true, scan ALL Kraken pairs dynamically
+    useAllKrakenPairs = false,  // If true, scan ALL Kraken pairs dynamically
+    asOf = null                 // Replay instant in ms (point-in-time scan)
   } = options;
   
   console.log('\n' + '='.repeat(60));
@@ -125,6 +130,7 @@ export async function scanAllCoins(options = {}) {
   console.log(`   Min Confidence: ${(minConfidence * 100).toFixed(0)}%`);
   console.log(`   Max Results: ${maxResults}`);
   console.log(`   Intervals: ${intervals.join(', ')}`);
+  if (asOf) console.log(`   As Of: ${new Date(asOf).toISOString()}`);
   console.log('='.repeat(60) + '\n');
   
   // Get list of symbols to scan
@@ -137,6 +143,10 @@ export async function scanAllCoins(options = {}) {
     symbolList = marketData.getSupportedSymbols();
   }
   
+  // Imported (CSV/JSON) markets are scanned alongside the live ones
+  const importedSymbols = (await marketData.getImportedSymbols()).map(s => s.symbol);
+  symbolList = [...new Set([...symbolList, ...importedSymbols])];
+  
   console.log(`📊 Scanning ${symbolList.length} symbols...\n`);
   
   const startTime = Date.now();
@@ -145,7 +155,8 @@ export async function scanAllCoins(options = {}) {
     scanned: 0,
     errors: 0,
     noSetup: 0,
-    lowConfidence: 0
+    lowConfidence: 0,
+    syntheticData: 0
   };
   
   // Scan symbols in batches to avoid rate limits
@@ -155,7 +166,7 @@ export async function scanAllCoins(options = {}) {
     
     // Scan batch in parallel
     const batchResults = await Promise.all(
-      batch.map(symbol => scanSymbol(symbol, intervals))
+      batch.map(symbol => scanSymbol(symbol, intervals, asOf))
     );
     
     // Process results
@@ -167,6 +178,14 @@ export async function scanAllCoins(options = {}) {
         continue;
       }
       
+      // Strategy engine already forces NO_TRADE here - count it separately so a
+      // provider outage doesn't look like a quiet market
+      if (signal.meta?.dataProvenance?.synthetic) {
+        results.syntheticData++;
+        console.log(`⚠️  ${signal.symbol}: synthetic data on ${signal.meta.dataProvenance.syntheticTimeframes.join(', ')} - skipped`);
+        continue;
+      }
+      
       if (!signal.valid) {
         results.noSetup++;
         continue;
@@ -211,6 +230,7 @@ export async function scanAllCoins(options = {}) {
   console.log(`   Errors: ${results.errors}`);
   console.log(`   No Setup: ${results.noSetup}`);
   console.log(`   Low Confidence: ${results.lowConfidence}`);
+  console.log(`   Synthetic Data: ${results.syntheticData}`);
   console.log('='.repeat(60) + '\n');
   
   return {
@@ -220,8 +240,10 @@ export async function scanAllCoins(options = {}) {
       errors: results.errors,
       noSetup: results.noSetup,
       lowConfidence: results.lowConfidence,
+      syntheticData: results.syntheticData,
       duration: parseFloat(duration),
       timestamp: new Date().toISOString(),
+      asOf: asOf ? new Date(asOf).toISOString() : null,
       filters: {
         minConfidence,
         maxResults,
@@ -6,6 +6,10 @@
  */
 
 import * as indicators from './indicators.js';
+import { getPricePrecision, roundPrice, formatPrice } from '../lib/pricePrecision.js';
+import { isZoneActive } from '../lib/priceZones.js';
+import { computeLevelLadder } from '../lib/levels.js';
+import { fibExtensionTargets } from '../lib/fibonacci.js';
 
 /**
  * Normalize trend value to consistent lowercase format
@@ -113,6 +117,100 @@ function validateStrategySignal(signal) {
   return true;
 }
 
+/**
+ * Summarize where each timeframe's candles came from
+ * Synthetic candles are a random walk - they must never produce a tradeable signal
+ * @param {Object} multiTimeframeData - Full timeframe data
+ * @returns {Object} { synthetic, syntheticTimeframes, providers }
+ */
+export function getDataProvenance(multiTimeframeData) {
+  const providers = {};
+  const syntheticTimeframes = [];
+
+  for (const [tf, data] of Object.entries(multiTimeframeData || {})) {
+    if (!data || data.error) continue;
+    providers[tf] = data.provider || null;
+    if (data.provider === 'synthetic') syntheticTimeframes.push(tf);
+  }
+
+  return {
+    synthetic: syntheticTimeframes.length > 0,
+    syntheticTimeframes,
+    providers
+  };
+}
+
+// Timeframes each strategy reads for its trend gates, entry and stop - a broken series
+// elsewhere in the request doesn't block it
+const STRATEGY_TIMEFRAMES = {
+  SWING: ['3d', '1d', '4h'],
+  TREND_4H: ['4h', '1h', '1d'],
+  TREND_RIDER: ['4h', '1h', '15m', '5m'],
+  SCALP_1H: ['1h', '15m', '5m'],
+  MICRO_SCALP: ['1h', '15m', '5m'],
+  AGGRESSIVE: ['4h', '1h', '15m', '5m'] // AGGRO_SCALP_1H / AGGRO_MICRO_SCALP and the forced AGGRESSIVE trades
+};
+
+// evaluateStrategy setupType → strategy name
+const SETUP_STRATEGIES = { Swing: 'SWING', '4h': 'TREND_4H', TrendRider: 'TREND_RIDER', Scalp: 'SCALP_1H' };
+
+/**
+ * Summarize the validator reports attached to each timeframe
+ * A 'broken' series (too many missing or impossible bars) must not back a trade
+ * @param {Object} multiTimeframeData - Full timeframe data
+ * @param {Array<string>} timeframes - Only check these timeframes (optional - default all)
+ * @returns {Object} { tradeable, brokenTimeframes, degradedTimeframes }
+ */
+export function getDataQuality(multiTimeframeData, timeframes = null) {
+  const brokenTimeframes = [];
+  const degradedTimeframes = [];
+
+  for (const [tf, data] of Object.entries(multiTimeframeData || {})) {
+    if (timeframes && !timeframes.includes(tf)) continue;
+    const status = data?.quality?.status;
+    if (status === 'broken') brokenTimeframes.push(tf);
+    else if (status === 'degraded') degradedTimeframes.push(tf);
+  }
+
+  return {
+    tradeable: brokenTimeframes.length === 0,
+    brokenTimeframes,
+    degradedTimeframes
+  };
+}
+
+/**
+ * Build the NO_TRADE reason for a series that includes synthetic candles
+ * @param {Object} provenance - Result of getDataProvenance
+ * @returns {string} Human-readable reason
+ */
+function syntheticDataReason(provenance) {
+  return `Synthetic data on ${provenance.syntheticTimeframes.join(', ')} - live market data unavailable, no trade allowed`;
+}
+
+/**
+ * Build the NO_TRADE reason for a series that failed data-quality validation
+ * @param {Object} dataQuality - Result of getDataQuality
+ * @returns {string} Human-readable reason
+ */
+function brokenDataReason(dataQuality) {
+  return `Broken candle data on ${dataQuality.brokenTimeframes.join(', ')} (missing or invalid bars) - no trade allowed`;
+}
+
+/**
+ * Strategies that read a timeframe the validator marked broken
+ * @param {Object} multiTimeframeData - Full timeframe data
+ * @returns {Object} { [strategyName]: NO_TRADE reason } - empty when every strategy can trade
+ */
+function strategiesBlockedByData(multiTimeframeData) {
+  const blocked = {};
+  for (const [name, timeframes] of Object.entries(STRATEGY_TIMEFRAMES)) {
+    const dataQuality = getDataQuality(multiTimeframeData, timeframes);
+    if (!dataQuality.tradeable) blocked[name] = brokenDataReason(dataQuality);
+  }
+  return blocked;
+}
+
 /**
  * Normalize signal to canonical JSON structure
  * REFACTORED: Now enforces invariants - if signal is invalid, returns NO_TRADE
@@ -136,12 +234,20 @@ function normalizeToCanonical(rawSignal, multiTimeframeData, mode = 'STANDARD')
         ema21: data.indicators.ema?.ema21 || null,
         ema200: data.indicators.ema?.ema200 || null,
         stoch: data.indicators.stochRSI || null,
+        rsi: data.indicators.rsi || null,
+        macd: data.indicators.macd || null,
+        adx: data.indicators.adx || null,
+        divergences: data.indicators.divergences || [],
+        zones: data.indicators.zones || null,
+        fibonacci: data.indicators.fibonacci || null,
+        volumeProfile: data.indicators.volumeProfile || null,
         pullback: {
           state: data.indicators.analysis?.pullbackState || 'UNKNOWN',
           distanceFrom21EMA: data.indicators.analysis?.distanceFrom21EMA || null
         },
         structure: data.structure || null,
-        indicators: data.indicators || null
+        indicators: data.indicators || null,
+        provider: data.provider || null
       };
     }
   }
@@ -170,6 +276,7 @@ function normalizeToCanonical(rawSignal, multiTimeframeData, mode = 'STANDARD')
     targets: Array.isArray(rawSignal.targets) ? rawSignal.targets : 
             (rawSignal.targets?.tp1 ? [rawSignal.targets.tp1, rawSignal.targets.tp2] : [null, null]),
     riskReward: rawSignal.risk_reward || rawSignal.riskReward || { tp1RR: null, tp2RR: null },
+    targetSources: rawSignal.targetSources || null, // Where each target came from: 'rr' | 'zone' | 'fib'
     // Preserve new fields from enhanced confidence system
     entryType: rawSignal.entryType || 'pullback', // 'pullback' or 'breakout'
     penaltiesApplied: rawSignal.penaltiesApplied || [],
@@ -215,15 +322,23 @@ function normalizeToCanonical(rawSignal, multiTimeframeData, mode = 'STANDARD')
     mode: mode,
     currentPrice: rawSignal.currentPrice || null,
     ema21: rawSignal.ema21 || null,
-    ema200: rawSignal.ema200 || null
+    ema200: rawSignal.ema200 || null,
+    pricePrecision: getPricePrecision(rawSignal.symbol, rawSignal.currentPrice),
+    dataProvenance: getDataProvenance(multiTimeframeData),
+    dataQuality: getDataQuality(multiTimeframeData)
   };
   
+  // No-trade signals carry no price, the ladder still needs one
+  const ladderPrice = rawSignal.currentPrice ||
+    Object.values(multiTimeframeData).find(data => data?.indicators?.price?.current)?.indicators.price.current;
+  
   // Return canonical structure
   return {
     symbol: rawSignal.symbol,
     price: rawSignal.currentPrice || null,
     htfBias: htfBias,
     timeframes: timeframes,
+    levels: computeLevelLadder(multiTimeframeData, ladderPrice, { precision: getPricePrecision(rawSignal.symbol, ladderPrice) }), // S/R zones, nearest first
     signal: signal,
     meta: meta
   };
@@ -380,6 +495,7 @@ function tryAggressiveStrategies(symbol, analysis, htfBias, thresholds) {
   }
   
   const currentPrice = parseFloat(tf4h.price);
+  const pricePrecision = getPricePrecision(symbol, currentPrice);
   const trend1h = tf1h.indicators?.analysis?.trend;
   
   // Block counter-trend scalps when HTF bias is strong (>= 70%)
@@ -429,9 +545,9 @@ function tryAggressiveStrategies(symbol, analysis, htfBias, thresholds) {
         // Targets - ensure they're valid numbers
         const tp1_raw = entry + R * 1.5;
         const tp2_raw = entry + R * 3.0;
-        const tp1 = !isNaN(tp1_raw) && isFinite(tp1_raw) ? parseFloat(tp1_raw.toFixed(2)) : null;
-        const tp2 = !isNaN(tp2_raw) && isFinite(tp2_raw) ? parseFloat(tp2_raw.toFixed(2)) : null;
-        const stopLossFinal = !isNaN(stopLoss) && isFinite(stopLoss) ? parseFloat(stopLoss.toFixed(2)) : null;
+        const tp1 = !isNaN(tp1_raw) && isFinite(tp1_raw) ? roundPrice(tp1_raw, pricePrecision) : null;
+        const tp2 = !isNaN(tp2_raw) && isFinite(tp2_raw) ? roundPrice(tp2_raw, pricePrecision) : null;
+        const stopLossFinal = !isNaN(stopLoss) && isFinite(stopLoss) ? roundPrice(stopLoss, pricePrecision) : null;
         
         return {
           valid: true,
@@ -443,8 +559,8 @@ function tryAggressiveStrategies(symbol, analysis, htfBias, thresholds) {
           confidence: 55, // 0-100 scale
           reason_summary: `Aggressive 1H scalp LONG: 1H ${trend1h}, 15m ${dist15m.toFixed(2)}% from EMA21, stoch ${k15m.toFixed(0)}. Counter-trend fade with small size.`,
           entry_zone: { 
-            min: parseFloat((entry * 0.997).toFixed(2)), 
-            max: parseFloat((entry * 1.003).toFixed(2))
+            min: roundPrice(entry * 0.997, pricePrecision), 
+            max: roundPrice(entry * 1.003, pricePrecision)
           },
           stop_loss: stopLossFinal,
           invalidation_level: stopLossFinal,
@@ -521,9 +637,9 @@ function tryAggressiveStrategies(symbol, analysis, htfBias, thresholds) {
         // Targets - ensure they're valid numbers
         const tp1_raw = entry - R * 1.5;
         const tp2_raw = entry - R * 3.0;
-        const tp1 = !isNaN(tp1_raw) && isFinite(tp1_raw) ? parseFloat(tp1_raw.toFixed(2)) : null;
-        const tp2 = !isNaN(tp2_raw) && isFinite(tp2_raw) ? parseFloat(tp2_raw.toFixed(2)) : null;
-        const stopLossFinal = !isNaN(stopLoss) && isFinite(stopLoss) ? parseFloat(stopLoss.toFixed(2)) : null;
+        const tp1 = !isNaN(tp1_raw) && isFinite(tp1_raw) ? roundPrice(tp1_raw, pricePrecision) : null;
+        const tp2 = !isNaN(tp2_raw) && isFinite(tp2_raw) ? roundPrice(tp2_raw, pricePrecision) : null;
+        const stopLossFinal = !isNaN(stopLoss) && isFinite(stopLoss) ? roundPrice(stopLoss, pricePrecision) : null;
         
         return {
           valid: true,
@@ -535,8 +651,8 @@ function tryAggressiveStrategies(symbol, analysis, htfBias, thresholds) {
           confidence: 55, // 0-100 scale
           reason_summary: `Aggressive 1H scalp SHORT: 1H ${trend1h}, 15m ${dist15m.toFixed(2)}% from EMA21, stoch ${k15m.toFixed(0)}. Counter-trend fade with small size.`,
           entry_zone: { 
-            min: parseFloat((entry * 0.997).toFixed(2)), 
-            max: parseFloat((entry * 1.003).toFixed(2))
+            min: roundPrice(entry * 0.997, pricePrecision), 
+            max: roundPrice(entry * 1.003, pricePrecision)
           },
           stop_loss: stopLossFinal,
           invalidation_level: stopLossFinal,
@@ -620,26 +736,51 @@ function analyzeStochState(stochRSI) {
 
 /**
  * Calculate entry zone around 21 EMA
+ * If an active fair value gap or order block on the trade's side overlaps the EMA band,
+ * the entry narrows to that overlap (the zone centred closest to the EMA wins)
  * @param {number} ema21 - Current 21 EMA value
  * @param {string} direction - 'long' or 'short'
- * @returns {Object} Entry zone with min and max
+ * @param {Array} zones - Candidate zones from entryZoneCandidates() (optional)
+ * @returns {Object} Entry zone with min, max and source ('ema21' | 'fvg' | 'order_block')
  */
-function calculateEntryZone(ema21, direction) {
+function calculateEntryZone(ema21, direction, zones = []) {
   const buffer = 0.004; // 0.4% buffer as per PRD (±0.3-0.5%)
   
-  if (direction === 'long') {
+  const band = direction === 'long'
     // For longs: slight undercut allowed
-    return {
-      min: ema21 * (1 - buffer),
-      max: ema21 * (1 + buffer * 0.5)
-    };
-  } else {
+    ? { min: ema21 * (1 - buffer), max: ema21 * (1 + buffer * 0.5) }
     // For shorts: slight overshoot allowed
-    return {
-      min: ema21 * (1 - buffer * 0.5),
-      max: ema21 * (1 + buffer)
-    };
+    : { min: ema21 * (1 - buffer * 0.5), max: ema21 * (1 + buffer) };
+  
+  // Longs buy from bullish (support) zones, shorts sell from bearish (resistance) zones
+  const side = direction === 'long' ? 'bullish' : 'bearish';
+  let best = null;
+  for (const zone of zones) {
+    if (zone.direction !== side) continue;
+    const min = Math.max(band.min, zone.bottom);
+    const max = Math.min(band.max, zone.top);
+    if (min >= max) continue;
+    const distance = Math.abs((zone.top + zone.bottom) / 2 - ema21);
+    if (!best || distance < best.distance) {
+      best = { min, max, source: zone.type, distance };
+    }
   }
+  
+  return best
+    ? { min: best.min, max: best.max, source: best.source }
+    : { ...band, source: 'ema21' };
+}
+
+/**
+ * Active fair value gaps and order blocks from the given timeframes, as entry zone candidates
+ * @param {...Object} timeframes - Timeframe data ({ indicators: { zones } }); missing ones are skipped
+ * @returns {Array} Zones that are still tradeable (FVG not filled, order block not broken)
+ */
+function entryZoneCandidates(...timeframes) {
+  return timeframes.flatMap(tf => {
+    const zones = tf?.indicators?.zones;
+    return zones ? [...zones.fairValueGaps, ...zones.orderBlocks].filter(isZoneActive) : [];
+  });
 }
 
 /**
@@ -772,6 +913,54 @@ function invalidNoTrade(reason) {
   };
 }
 
+// Level zones weaker than this are ignored for stops and targets
+const LEVEL_ZONE_MIN_STRENGTH = 40;
+
+// Take-profit method per setup type:
+// - 'rr': R:R multiples from the template, moved in front of level zones
+// - 'fib': 1.272/1.618 extensions of the anchor timeframe's latest swing (falls back to 'rr' when they don't fit)
+const TARGET_METHODS = {
+  '4h': 'rr',
+  Swing: 'rr',
+  Scalp: 'rr',
+  TrendRider: 'fib'
+};
+
+// A fib TP1 must pay at least this R:R
+const FIB_TARGET_MIN_RR = 1.0;
+
+/**
+ * Describe volume profile levels at an entry zone, for the signal's confluence
+ * Checks the timeframe's visible-range POC, value area edges and high-volume nodes, plus the
+ * previous session's POC/VAH/VAL, within 0.3% of the zone
+ * @param {Object} tf - Timeframe data ({ indicators: { volumeProfile } })
+ * @param {Object} entryZone - { min, max }
+ * @returns {string} e.g. 'Entry at POC 101.2, prev session VAL 100.8' or 'N/A' without a profile
+ */
+function describeVolumeProfileConfluence(tf, entryZone) {
+  const profiles = tf?.indicators?.volumeProfile;
+  const visible = profiles?.visibleRange;
+  if (!visible || !entryZone?.min || !entryZone?.max) return 'N/A';
+
+  const previous = profiles.session?.previous;
+  const levels = [
+    ['POC', visible.poc],
+    ['VAH', visible.valueAreaHigh],
+    ['VAL', visible.valueAreaLow],
+    ...visible.highVolumeNodes.filter(node => node.price !== visible.poc).map(node => ['HVN', node.price]),
+    ...(previous ? [
+      ['prev session POC', previous.poc],
+      ['prev session VAH', previous.valueAreaHigh],
+      ['prev session VAL', previous.valueAreaLow]
+    ] : [])
+  ];
+  const atEntry = levels.filter(([, price]) => price >= entryZone.min * 0.997 && price <= entryZone.max * 1.003);
+  if (atEntry.length === 0) {
+    return `No volume level at entry (POC ${visible.poc}, value area ${visible.valueAreaLow}-${visible.valueAreaHigh}, price ${visible.position.replace('_', ' ')})`;
+  }
+  return `Entry at ${atEntry.map(([name, price]) => `${name} ${price}`).join(', ')}`;
+}
+
 /**
  * Calculate stop loss and take profit levels
  * UPDATED: Now uses setupType-conditional stop loss logic per text file
@@ -779,17 +968,28 @@ function invalidNoTrade(reason) {
  * - Scalp: Uses LTF (5m/15m) structure
  * - 4H: Uses 4H swing levels
  * 
+ * With a level ladder (lib/levels.js computeLevelLadder) stops and targets use real zones:
+ * - Stop: beyond the nearest support (long) / resistance (short) zone past the entry, unless that
+ *   is more than 1.5× farther than the swing stop
+ * - Targets: just in front of the next opposing zones that pay at least the template R:R
+ *   (at most twice it, and short of the midpoint to the next target); otherwise the plain R:R multiple
+ * Only zones with strength >= LEVEL_ZONE_MIN_STRENGTH count.
+ * Setups whose TARGET_METHODS entry is 'fib' take profit at the swing's Fibonacci extensions instead,
+ * as long as the swing runs in the trade's direction and TP1 pays at least FIB_TARGET_MIN_RR.
+ * 
  * @param {number} entryPrice - Entry price (mid of zone)
  * @param {string} direction - 'long' or 'short'
  * @param {Object} allStructures - Structures from all timeframes { '3d': {...}, '1d': {...}, '4h': {...}, '15m': {...}, '5m': {...} }
  * @param {string} setupType - 'Swing', 'Scalp', or '4h'
  * @param {Array<number>} rrTargets - R:R multiples for TP1, TP2 [1.0, 2.0] or [3.0, 5.0]
- * @returns {Object} SL and TP levels
+ * @param {Object} levelLadder - { support, resistance } zones, nearest first (optional)
+ * @param {Object} fibonacci - Anchor timeframe's indicators.fibonacci, for 'fib' targets (optional)
+ * @returns {Object} SL and TP levels, the R:R each target actually pays, and where the stop/targets came from
  */
-function calculateSLTP(entryPrice, direction, allStructures, setupType = '4h', rrTargets = [1.0, 2.0]) {
+function calculateSLTP(entryPrice, direction, allStructures, setupType = '4h', rrTargets = [1.0, 2.0], levelLadder = null, fibonacci = null) {
   const buffer = 0.003; // 0.3% buffer
   
-  let stopLoss, structure;
+  let structure;
   
   // Select appropriate timeframe structure based on setup type
   if (setupType === 'Swing') {
@@ -804,41 +1004,84 @@ function calculateSLTP(entryPrice, direction, allStructures, setupType = '4h', r
   }
   
   const { swingHigh, swingLow } = structure;
+  const isLong = direction === 'long';
+  const sign = isLong ? 1 : -1; // +1: stop below / targets above entry, -1: the reverse
+  
+  // SL beyond the swing low (long) / swing high (short), or 3% away without one
+  const swingLevel = isLong ? swingLow : swingHigh;
+  let invalidationLevel = swingLevel || entryPrice * (1 - sign * 0.03);
+  let stopLoss = swingLevel ? swingLevel * (1 - sign * buffer) : entryPrice * (1 - sign * 0.03);
+  let stopSource = swingLevel ? 'swing' : 'default';
+  
+  const strongZones = zones => (zones || []).filter(zone => zone.strength >= LEVEL_ZONE_MIN_STRENGTH);
+  const stopZone = strongZones(isLong ? levelLadder?.support : levelLadder?.resistance)
+    .find(zone => isLong ? zone.top < entryPrice : zone.bottom > entryPrice);
+  if (stopZone) {
+    const zoneEdge = isLong ? stopZone.bottom : stopZone.top;
+    const zoneStop = zoneEdge * (1 - sign * buffer);
+    if (Math.abs(entryPrice - zoneStop) <= Math.abs(entryPrice - stopLoss) * 1.5) {
+      stopLoss = zoneStop;
+      invalidationLevel = zoneEdge;
+      stopSource = 'zone';
+    }
+  }
   
-  if (direction === 'long') {
-    // SL below swing low
-    stopLoss = swingLow ? swingLow * (1 - buffer) : entryPrice * 0.97;
-    const risk = entryPrice - stopLoss;
-    
-    // TP based on R:R targets from template
-    const tp1 = entryPrice + (risk * rrTargets[0]);
-    const tp2 = entryPrice + (risk * rrTargets[1]);
-    
-    return {
-      stopLoss,
-      targets: [tp1, tp2],
-      riskAmount: risk,
-      setupType: setupType,
-      invalidationLevel: swingLow || (entryPrice * 0.97)
-    };
-    
-  } else { // short
-    // SL above swing high
-    stopLoss = swingHigh ? swingHigh * (1 + buffer) : entryPrice * 1.03;
-    const risk = stopLoss - entryPrice;
-    
-    // TP based on R:R targets from template
-    const tp1 = entryPrice - (risk * rrTargets[0]);
-    const tp2 = entryPrice - (risk * rrTargets[1]);
-    
+  const risk = Math.abs(entryPrice - stopLoss);
+  const rrOf = target => parseFloat((sign * (target - entryPrice) / risk).toFixed(2));
+  
+  // Fib extensions as targets when the setup asks for them and they fit
+  const fibTargets = TARGET_METHODS[setupType] === 'fib' ? fibExtensionTargets(fibonacci, direction, entryPrice) : [];
+  if (fibTargets.length >= rrTargets.length && rrOf(fibTargets[0]) >= FIB_TARGET_MIN_RR) {
+    const targets = fibTargets.slice(0, rrTargets.length);
     return {
       stopLoss,
-      targets: [tp1, tp2],
+      targets,
       riskAmount: risk,
       setupType: setupType,
-      invalidationLevel: swingHigh || (entryPrice * 1.03)
+      invalidationLevel,
+      rrTargets: targets.map(rrOf),
+      stopSource,
+      targetSources: targets.map(() => 'fib')
     };
   }
+  
+  // TP based on R:R targets from template, moved in front of a zone when one sits in range
+  const targetZones = strongZones(isLong ? levelLadder?.resistance : levelLadder?.support)
+    .filter(zone => isLong ? zone.bottom > entryPrice : zone.top < entryPrice);
+  const targets = [];
+  const targetSources = [];
+  let nextZone = 0;
+  rrTargets.forEach((rr, i) => {
+    let target = entryPrice + sign * risk * rr;
+    let source = 'rr';
+    // Stay short of the midpoint to the next R:R target so targets don't bunch up
+    const maxRR = Math.min(rr * 2, rrTargets[i + 1] !== undefined ? (rr + rrTargets[i + 1]) / 2 : Infinity);
+    for (; nextZone < targetZones.length; nextZone++) {
+      const zone = targetZones[nextZone];
+      const zoneTarget = (isLong ? zone.bottom : zone.top) * (1 - sign * buffer / 3);
+      const zoneRR = sign * (zoneTarget - entryPrice) / risk;
+      if (zoneRR < rr) continue;
+      if (zoneRR < maxRR) {
+        target = zoneTarget;
+        source = 'zone';
+        nextZone++;
+      }
+      break;
+    }
+    targets.push(target);
+    targetSources.push(source);
+  });
+  
+  return {
+    stopLoss,
+    targets,
+    riskAmount: risk,
+    setupType: setupType,
+    invalidationLevel,
+    rrTargets: targets.map(rrOf),
+    stopSource,     // 'zone' | 'swing' | 'default'
+    targetSources   // 'zone' | 'rr' | 'fib' per target
+  };
 }
 
 // Legacy calculateConfidence() function removed - now using calculateConfidenceWithHierarchy() exclusively
@@ -1124,7 +1367,50 @@ function calculateConfidenceWithHierarchy(multiTimeframeData, direction, mode =
       baseConfidence += 3;
     }
   }
-  
+
+  // Apply order book depth filter - near-mid liquidity leaning against the trade,
+  // or a wall sitting between entry and the first move
+  const depth = marketData?.orderBookDepth;
+  if (depth?.available) {
+    const nearBand = depth.bands.find(band => band.distancePct === 0.5);
+    if ((direction === 'long' && depth.bias === 'ASK_HEAVY') ||
+        (direction === 'short' && depth.bias === 'BID_HEAVY')) {
+      baseConfidence -= 3;
+      penaltiesApplied.push({
+        layer: 'market',
+        reason: `Order book ${direction === 'long' ? 'ask' : 'bid'}-heavy within 0.5% (imbalance ${nearBand?.imbalance}%)`,
+        multiplier: 0.97
+      });
+    } else if ((direction === 'long' && depth.bias === 'BID_HEAVY') ||
+               (direction === 'short' && depth.bias === 'ASK_HEAVY')) {
+      baseConfidence += 2;
+    }
+
+    const blockingWall = direction === 'long' ? depth.walls?.nearestAsk : depth.walls?.nearestBid;
+    if (blockingWall && blockingWall.distancePct <= 0.5) {
+      baseConfidence -= 3;
+      penaltiesApplied.push({
+        layer: 'market',
+        reason: `${direction === 'long' ? 'Ask' : 'Bid'} wall ${blockingWall.multiple}x typical size ${blockingWall.distancePct}% ${direction === 'long' ? 'above' : 'below'} mid`,
+        multiplier: 0.97
+      });
+    }
+  }
+
+  // Apply perp positioning filter - joining a crowded side risks a squeeze against it
+  const positioning = marketData?.derivatives?.positioning;
+  if ((direction === 'long' && positioning === 'CROWDED_LONG') ||
+      (direction === 'short' && positioning === 'CROWDED_SHORT')) {
+    baseConfidence -= 5;
+    penaltiesApplied.push({
+      layer: 'market',
+      reason: direction === 'long' ?
+        'Crowded longs (elevated funding with rising OI/premium)' :
+        'Crowded shorts (negative funding with rising OI/discount)',
+      multiplier: 0.95
+    });
+  }
+
   // Apply dFlow alignment filter with fallback for missing data
   let dflowScore = 0;
   let dflowNote = null;
@@ -1302,7 +1588,7 @@ function buildReasonSummary(analysis, direction, confidence) {
  * @param {number} currentPrice - Current market price
  * @returns {Object|null} Swing signal or null
  */
-function evaluateSwingSetup(multiTimeframeData, currentPrice, mode = 'STANDARD', marketData = null, dflowData = null, overrideUsed = false) {
+function evaluateSwingSetup(multiTimeframeData, currentPrice, mode = 'STANDARD', marketData = null, dflowData = null, overrideUsed = false, precision = null) {
   const tf3d = multiTimeframeData['3d'];
   const tf1d = multiTimeframeData['1d'];
   const tf4h = multiTimeframeData['4h'];
@@ -1311,6 +1597,8 @@ function evaluateSwingSetup(multiTimeframeData, currentPrice, mode = 'STANDARD',
   if (!tf3d || !tf1d || !tf4h) {
     return null;
   }
+
+  const pricePrecision = precision || getPricePrecision(null, currentPrice);
   
   // Extract indicators - FIX: Use correct data paths (indicators.analysis.trend, not indicators.trend)
   const trend3d = tf3d.indicators?.analysis?.trend;
@@ -1611,27 +1899,27 @@ function evaluateSwingSetup(multiTimeframeData, currentPrice, mode = 'STANDARD',
     explanation: confidenceExplanation,
     entryType: entryType, // 'pullback' or 'breakout'
     entry_zone: {
-      min: parseFloat(entryMin.toFixed(2)),
-      max: parseFloat(entryMax.toFixed(2))
+      min: roundPrice(entryMin, pricePrecision),
+      max: roundPrice(entryMax, pricePrecision)
     },
-    stop_loss: parseFloat(stopLoss.toFixed(2)),
-    invalidation_level: parseFloat(invalidationLevel.toFixed(2)),
+    stop_loss: roundPrice(stopLoss, pricePrecision),
+    invalidation_level: roundPrice(invalidationLevel, pricePrecision),
     targets: [
-      parseFloat(tp1.toFixed(2)),
-      parseFloat(tp2.toFixed(2)),
-      parseFloat(tp3.toFixed(2))
+      roundPrice(tp1, pricePrecision),
+      roundPrice(tp2, pricePrecision),
+      roundPrice(tp3, pricePrecision)
     ],
     risk_reward: {
       tp1RR: 3.0,
       tp2RR: 4.0,
       tp3RR: 5.0
     },
-    risk_amount: parseFloat(R.toFixed(2)),
+    risk_amount: roundPrice(R, pricePrecision),
     invalidation: {
-      level: parseFloat(invalidationLevel.toFixed(2)),
+      level: roundPrice(invalidationLevel, pricePrecision),
       description: direction === 'long' ? 
-        `Close below $${invalidationLevel.toFixed(2)}. HTF invalidation (3D/1D swing level)` :
-        `Close above $${invalidationLevel.toFixed(2)}. HTF invalidation (3D/1D swing level)`
+        `Close below $${formatPrice(invalidationLevel, pricePrecision)}. HTF invalidation (3D/1D swing level)` :
+        `Close above $${formatPrice(invalidationLevel, pricePrecision)}. HTF invalidation (3D/1D swing level)`
     },
     confluence: {
       trendAlignment: `${trend3d} on 3D, ${trend1d} on 1D, ${trend4h} on 4H`,
@@ -1647,7 +1935,7 @@ function evaluateSwingSetup(multiTimeframeData, currentPrice, mode = 'STANDARD',
       '✓ Price in ENTRY_ZONE on 15m/5m',
       '✓ HTF structure confirms'
     ],
-    currentPrice: parseFloat(currentPrice.toFixed(2)),
+    currentPrice: roundPrice(currentPrice, pricePrecision),
     timestamp: new Date().toISOString(),
     htfBias: htfBias
   };
@@ -1663,7 +1951,11 @@ function evaluateSwingSetup(multiTimeframeData, currentPrice, mode = 'STANDARD',
  * @returns {Object} Trade signal object
  */
 export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', mode = 'STANDARD', marketData = null, dflowData = null, overrideUsed = false) {
-  const analysis = multiTimeframeData;
+  // Timeframes that failed to load ({ error }) count as missing - e.g. 15m/5m for a symbol
+  // imported with hourly candles only
+  const analysis = Object.fromEntries(
+    Object.entries(multiTimeframeData).filter(([_, tf]) => tf && !tf.error)
+  );
   
   // CRITICAL: Compute HTF bias FIRST, before any other logic that might reference it
   // This prevents TDZ (Temporal Dead Zone) errors
@@ -1701,17 +1993,60 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
     return normalizeToCanonical(rawSignal, analysis, mode);
   }
   
+  // Never trade off fabricated candles
+  const provenance = getDataProvenance(analysis);
+  if (provenance.synthetic) {
+    console.warn(`[evaluateStrategy] ${symbol} synthetic data on ${provenance.syntheticTimeframes.join(', ')} - forcing NO_TRADE`);
+    const rawSignal = {
+      symbol,
+      direction: 'flat',
+      reason: syntheticDataReason(provenance),
+      confidence: 0,
+      valid: false,
+      setupType: 'auto',
+      selectedStrategy: 'NO_TRADE',
+      strategiesChecked: [],
+      htfBias
+    };
+    return normalizeToCanonical(rawSignal, analysis, mode);
+  }
+  
+  // Refuse to trade on series the validator couldn't repair - only strategies that read them are skipped
+  const blockedByData = strategiesBlockedByData(analysis);
+  const requestedStrategy = SETUP_STRATEGIES[setupType];
+  const allBlocked = Object.keys(blockedByData).length === Object.keys(STRATEGY_TIMEFRAMES).length;
+  if ((requestedStrategy && blockedByData[requestedStrategy]) || allBlocked) {
+    const reason = blockedByData[requestedStrategy] || brokenDataReason(getDataQuality(analysis));
+    console.warn(`[evaluateStrategy] ${symbol} ${reason}`);
+    const rawSignal = {
+      symbol,
+      direction: 'flat',
+      reason,
+      confidence: 0,
+      valid: false,
+      setupType: requestedStrategy ? setupType : 'auto',
+      selectedStrategy: 'NO_TRADE',
+      strategiesChecked: requestedStrategy ? [requestedStrategy] : [],
+      htfBias
+    };
+    return normalizeToCanonical(rawSignal, analysis, mode);
+  }
+  if (Object.keys(blockedByData).length > 0) {
+    console.warn(`[evaluateStrategy] ${symbol} broken data - skipping ${Object.keys(blockedByData).join(', ')}`);
+  }
+  
   // Normalize trend for consistent comparison
   const trend4hRaw = tf4h.indicators.analysis.trend;
   const trend4h = normalizeTrend(trend4hRaw);
   const currentPrice = tf4h.indicators.price.current;
+  const pricePrecision = getPricePrecision(symbol, currentPrice);
   const ema21 = tf4h.indicators.ema.ema21;
   const ema200 = tf4h.indicators.ema.ema200;
   const pullbackState = tf4h.indicators.analysis.pullbackState;
   
   // PRIORITY 1: Check for 3D Swing Setup (if setupType is 'Swing' OR auto-detect)
-  if (setupType === 'Swing' || setupType === 'auto') {
-    const swingSignal = evaluateSwingSetup(analysis, currentPrice, mode, marketData, dflowData, overrideUsed);
+  if ((setupType === 'Swing' || setupType === 'auto') && !blockedByData.SWING) {
+    const swingSignal = evaluateSwingSetup(analysis, currentPrice, mode, marketData, dflowData, overrideUsed, pricePrecision);
     if (swingSignal && swingSignal.valid) {
       // Return swing signal directly (already includes htfBias)
       const rawSignal = {
@@ -1789,7 +2124,7 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
   const canTry4HTrend = (mode === 'STANDARD' && (trend4h !== 'flat' || overrideUsed)) || 
                         (mode === 'AGGRESSIVE'); // AGGRESSIVE always allows 4H trend evaluation, STANDARD allows if override used
   
-  if (canTry4HTrend && (setupType === '4h' || setupType === 'auto')) {
+  if (canTry4HTrend && (setupType === '4h' || setupType === 'auto') && !blockedByData.TREND_4H) {
     // Continue with existing 4H trend logic below
     let direction = null;
     let setupValid = false;
@@ -1925,16 +2260,20 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
         entryZone = breakoutZone;
         entryType = 'breakout';
       } else {
-        entryZone = calculateEntryZone(ema21, direction);
+        entryZone = calculateEntryZone(ema21, direction, entryZoneCandidates(tf4h, tf1h));
       }
     } else {
       // Use pullback entry only if breakout conditions not met
-      entryZone = calculateEntryZone(ema21, direction);
+      entryZone = calculateEntryZone(ema21, direction, entryZoneCandidates(tf4h, tf1h));
     }
   }
   
   const entryMid = (entryZone.min + entryZone.max) / 2;
-  const sltp = calculateSLTP(entryMid, direction, allStructures, setupType, rrTargets);
+  const sltp = calculateSLTP(
+    entryMid, direction, allStructures, setupType, rrTargets,
+    computeLevelLadder(analysis, currentPrice),
+    tf4h.indicators?.fibonacci
+  );
   
   // Calculate confidence with hierarchical weighting system (pass strategy name and filters)
   const strategyName = setupType === 'Scalp' ? 'SCALP_1H' : 'TREND_4H';
@@ -2079,20 +2418,22 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
     strategiesChecked: ['SWING', 'TREND_4H'],
     entryType: entryType, // 'pullback' or 'breakout'
     entry_zone: {
-      min: parseFloat(entryZone.min.toFixed(2)),
-      max: parseFloat(entryZone.max.toFixed(2))
+      min: roundPrice(entryZone.min, pricePrecision),
+      max: roundPrice(entryZone.max, pricePrecision),
+      ...(entryZone.source && { source: entryZone.source }) // 'ema21' | 'fvg' | 'order_block' on pullback entries
     },
-    stop_loss: parseFloat(sltp.stopLoss.toFixed(2)),
-    invalidation_level: parseFloat(sltp.invalidationLevel.toFixed(2)),
+    stop_loss: roundPrice(sltp.stopLoss, pricePrecision),
+    invalidation_level: roundPrice(sltp.invalidationLevel, pricePrecision),
     targets: [
-      parseFloat(sltp.targets[0].toFixed(2)),
-      parseFloat(sltp.targets[1].toFixed(2))
+      roundPrice(sltp.targets[0], pricePrecision),
+      roundPrice(sltp.targets[1], pricePrecision)
     ],
     risk_reward: {
-      tp1RR: rrTargets[0],
-      tp2RR: rrTargets[1]
+      tp1RR: sltp.rrTargets[0],
+      tp2RR: sltp.rrTargets[1]
     },
-    risk_amount: parseFloat(sltp.riskAmount.toFixed(2)),
+    targetSources: sltp.targetSources, // 'rr' | 'zone' | 'fib' per target
+    risk_amount: roundPrice(sltp.riskAmount, pricePrecision),
     confidence: Math.round(confidence), // Already 0-100 scale, just round
     reason_summary: enhancedReason || reasonSummary,
     penaltiesApplied: penaltiesApplied,
@@ -2102,7 +2443,7 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
     notes: notes.length > 0 ? notes : undefined, // Array of notes about relaxed conditions
     valid: true, // Only set to true after all fields validated
     invalidation: {
-      level: parseFloat(sltp.invalidationLevel.toFixed(2)),
+      level: roundPrice(sltp.invalidationLevel, pricePrecision),
       description: '4H trend invalidation – break of recent swing level'
     },
     confluence: {
@@ -2110,6 +2451,7 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
       stochMomentum: tf4h.indicators?.stochRSI?.condition || 'N/A',
       pullbackState: pullbackState || 'N/A',
       liquidityZones: `${tf4h.indicators?.analysis?.pullback?.distanceFrom21EMA?.toFixed(2) || 'N/A'}% from 21 EMA`,
+      volumeProfile: describeVolumeProfileConfluence(tf4h, entryZone),
       htfConfirmation: `${htfBias.confidence}% confidence (${htfBias.source})`
     },
     conditionsRequired: [
@@ -2123,17 +2465,17 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
     stoch: stochObj,
     valid: true,
     timestamp: new Date().toISOString(),
-    currentPrice: parseFloat(currentPrice.toFixed(2)),
-    ema21: parseFloat(ema21.toFixed(2)),
-    ema200: ema200 ? parseFloat(ema200.toFixed(2)) : null,
+    currentPrice: roundPrice(currentPrice, pricePrecision),
+    ema21: roundPrice(ema21, pricePrecision),
+    ema200: ema200 ? roundPrice(ema200, pricePrecision) : null,
     htfBias: htfBias
   };
   return normalizeToCanonical(rawSignal, analysis, mode);
   } // End of 4H trend play
   
   // PRIORITY 3: TREND_RIDER (after TREND_4H, before SCALP_1H)
-  if (setupType === 'TrendRider' || setupType === 'auto') {
-    const trendRiderSignal = evaluateTrendRider(analysis, currentPrice, mode, marketData, dflowData);
+  if ((setupType === 'TrendRider' || setupType === 'auto') && !blockedByData.TREND_RIDER) {
+    const trendRiderSignal = evaluateTrendRider(analysis, currentPrice, mode, marketData, dflowData, false, pricePrecision);
     if (trendRiderSignal && trendRiderSignal.valid) {
       // If valid, return normalized signal
       const rawSignal = {
@@ -2153,7 +2495,7 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
   }
   
   // PRIORITY 4: Try 1H Scalp (works even when 4H is FLAT)
-  if ((setupType === 'Scalp' || setupType === 'auto') && tf1h && tf15m) {
+  if ((setupType === 'Scalp' || setupType === 'auto') && tf1h && tf15m && !blockedByData.SCALP_1H) {
     const trend1h = tf1h.indicators?.analysis?.trend;
     const dist1h = tf1h.indicators?.analysis?.distanceFrom21EMA;
     const dist15m = tf15m.indicators?.analysis?.distanceFrom21EMA;
@@ -2218,11 +2560,11 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
                 entryZone = breakoutZone;
                 entryType = 'breakout';
               } else {
-                entryZone = calculateEntryZone(ema21_1h, direction);
+                entryZone = calculateEntryZone(ema21_1h, direction, entryZoneCandidates(tf1h, tf15m));
               }
             } else {
               // Use pullback entry only if breakout conditions not met
-              entryZone = calculateEntryZone(ema21_1h, direction);
+              entryZone = calculateEntryZone(ema21_1h, direction, entryZoneCandidates(tf1h, tf15m));
             }
           }
           
@@ -2237,7 +2579,11 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
           };
           
           const rrTargets = [1.5, 3.0]; // Scalp targets
-          const sltp = calculateSLTP(entryMid, direction, allStructures, 'Scalp', rrTargets);
+          const sltp = calculateSLTP(
+            entryMid, direction, allStructures, 'Scalp', rrTargets,
+            computeLevelLadder(analysis, currentPrice),
+            tf1h?.indicators?.fibonacci
+          );
           
           // Use hierarchical confidence system for Scalp (pass strategy name and filters)
           const confidenceResult = calculateConfidenceWithHierarchy(
@@ -2325,20 +2671,22 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
             strategiesChecked: ['SWING', 'TREND_4H', 'SCALP_1H'],
             entryType: entryType, // 'pullback' or 'breakout'
             entry_zone: {
-              min: parseFloat(entryZone.min.toFixed(2)),
-              max: parseFloat(entryZone.max.toFixed(2))
+              min: roundPrice(entryZone.min, pricePrecision),
+              max: roundPrice(entryZone.max, pricePrecision),
+              ...(entryZone.source && { source: entryZone.source }) // 'ema21' | 'fvg' | 'order_block' on pullback entries
             },
-            stop_loss: parseFloat(sltp.stopLoss.toFixed(2)),
-            invalidation_level: parseFloat(sltp.invalidationLevel.toFixed(2)),
+            stop_loss: roundPrice(sltp.stopLoss, pricePrecision),
+            invalidation_level: roundPrice(sltp.invalidationLevel, pricePrecision),
             targets: [
-              parseFloat(sltp.targets[0].toFixed(2)),
-              parseFloat(sltp.targets[1].toFixed(2))
+              roundPrice(sltp.targets[0], pricePrecision),
+              roundPrice(sltp.targets[1], pricePrecision)
             ],
             risk_reward: {
-              tp1RR: rrTargets[0],
-              tp2RR: rrTargets[1]
+              tp1RR: sltp.rrTargets[0],
+              tp2RR: sltp.rrTargets[1]
             },
-            risk_amount: parseFloat(sltp.riskAmount.toFixed(2)),
+            targetSources: sltp.targetSources,
+            risk_amount: roundPrice(sltp.riskAmount, pricePrecision),
             confidence: Math.round(confidence), // Already 0-100 scale, just round
             reason_summary: confidenceExplanation ? 
               `1H ${trend1h.toLowerCase()} scalp with 15m pullback and Stoch alignment (HTF bias: ${htfBias.direction}, ${htfBias.confidence}%) [${confidenceExplanation}]` :
@@ -2347,7 +2695,7 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
             capsApplied: capsApplied,
             explanation: confidenceExplanation,
             invalidation: {
-              level: parseFloat(sltp.invalidationLevel.toFixed(2)),
+              level: roundPrice(sltp.invalidationLevel, pricePrecision),
               description: '1H scalp invalidation – loss of pullback structure on 15m/5m'
             },
             valid: true, // Only set to true after all fields validated
@@ -2356,6 +2704,7 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
               stochMomentum: tf15m.indicators?.stochRSI?.condition || 'N/A',
               pullbackState: `1H: ${pullbackState1h || 'N/A'}, 15m: ${pullbackState15m || 'N/A'}`,
               liquidityZones: `1H: ${dist1h !== undefined ? Math.abs(dist1h).toFixed(2) : 'N/A'}%, 15m: ${dist15m !== undefined ? Math.abs(dist15m).toFixed(2) : 'N/A'}% from 21 EMA`,
+              volumeProfile: describeVolumeProfileConfluence(tf1h, entryZone),
               htfConfirmation: `${htfBias.confidence}% confidence (${htfBias.source})`
             },
             conditionsRequired: [
@@ -2379,9 +2728,9 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
             },
             valid: true,
             timestamp: new Date().toISOString(),
-            currentPrice: parseFloat(currentPrice.toFixed(2)),
-            ema21: parseFloat(ema21_1h.toFixed(2)),
-            ema200: tf1h.indicators?.ema?.ema200 ? parseFloat(tf1h.indicators.ema.ema200.toFixed(2)) : null,
+            currentPrice: roundPrice(currentPrice, pricePrecision),
+            ema21: roundPrice(ema21_1h, pricePrecision),
+            ema200: tf1h.indicators?.ema?.ema200 ? roundPrice(tf1h.indicators.ema.ema200, pricePrecision) : null,
             htfBias: htfBias
           };
           return normalizeToCanonical(rawSignal, analysis, mode);
@@ -2391,7 +2740,7 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
   }
   
   // PRIORITY 4: If AGGRESSIVE mode, try aggressive variants before giving up
-  if (mode === 'AGGRESSIVE') {
+  if (mode === 'AGGRESSIVE' && !blockedByData.AGGRESSIVE) {
     const aggressiveSignal = tryAggressiveStrategies(symbol, analysis, htfBias, thresholds);
     if (aggressiveSignal.valid) {
       const rawSignal = {
@@ -2463,9 +2812,9 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
     },
     valid: false,
     timestamp: new Date().toISOString(),
-    currentPrice: parseFloat(currentPrice.toFixed(2)),
-    ema21: parseFloat(ema21.toFixed(2)),
-    ema200: ema200 ? parseFloat(ema200.toFixed(2)) : null,
+    currentPrice: roundPrice(currentPrice, pricePrecision),
+    ema21: roundPrice(ema21, pricePrecision),
+    ema200: ema200 ? roundPrice(ema200, pricePrecision) : null,
     htfBias: htfBias
   };
   return normalizeToCanonical(rawSignal, analysis, mode);
@@ -2476,9 +2825,10 @@ export function evaluateStrategy(symbol, multiTimeframeData, setupType = '4h', m
  * Independent LTF mean-reversion system (disregards 4H trend entirely)
  * Focuses on 1H/15m/5m alignment with tight EMA confluence
  * @param {Object} multiTimeframeData - All timeframe data
- * @returns {Object} Micro-scalp signal or null
+ * @returns {Object} { eligible, signal } - signal is null without a setup, and a NO_TRADE with the
+ *   reason when synthetic or broken candles block it
  */
-function evaluateMicroScalp(multiTimeframeData, marketData = null, dflowData = null, overrideUsed = false) {
+function evaluateMicroScalp(multiTimeframeData, marketData = null, dflowData = null, overrideUsed = false, precision = null) {
   const tf1h = multiTimeframeData['1h'];
   const tf15m = multiTimeframeData['15m'];
   const tf5m = multiTimeframeData['5m'];
@@ -2489,6 +2839,15 @@ function evaluateMicroScalp(multiTimeframeData, marketData = null, dflowData = n
     signal: null
   };
   
+  // Same data gates as evaluateStrategy - /api/analyze calls this directly, outside evaluateAllStrategies
+  const provenance = getDataProvenance(multiTimeframeData);
+  const dataQuality = getDataQuality(multiTimeframeData, STRATEGY_TIMEFRAMES.MICRO_SCALP);
+  if (provenance.synthetic || !dataQuality.tradeable) {
+    result.signal = createNoTradeStrategy('MICRO_SCALP',
+      provenance.synthetic ? syntheticDataReason(provenance) : brokenDataReason(dataQuality));
+    return result;
+  }
+  
   // Guard: Need all required timeframes
   if (!tf1h || !tf15m || !tf5m) {
     return result;
@@ -2508,6 +2867,7 @@ function evaluateMicroScalp(multiTimeframeData, marketData = null, dflowData = n
   const swingHigh15m = tf15m.indicators?.swingHigh;
   const swingHigh5m = tf5m.indicators?.swingHigh;
   const currentPrice = tf5m.indicators?.currentPrice || tf15m.indicators?.currentPrice;
+  const pricePrecision = precision || getPricePrecision(null, currentPrice);
   
   // Guard: Need all data points
   if (!trend1h || !pullback1h || !ema21_15m || !ema21_5m || !pullback15m || !pullback5m || 
@@ -2663,24 +3023,24 @@ function evaluateMicroScalp(multiTimeframeData, marketData = null, dflowData = n
     explanation: confidenceResult.explanation || '',
     entryType: 'pullback', // MICRO_SCALP uses pullback-only entries
     entry: {
-      min: parseFloat(entryMin.toFixed(2)),
-      max: parseFloat(entryMax.toFixed(2))
+      min: roundPrice(entryMin, pricePrecision),
+      max: roundPrice(entryMax, pricePrecision)
     },
-    stopLoss: parseFloat(stopLoss.toFixed(2)),
+    stopLoss: roundPrice(stopLoss, pricePrecision),
     targets: {
-      tp1: parseFloat(tp1.toFixed(2)),
-      tp2: parseFloat(tp2.toFixed(2))
+      tp1: roundPrice(tp1, pricePrecision),
+      tp2: roundPrice(tp2, pricePrecision)
     },
     riskReward: {
       tp1RR: 1.0,
       tp2RR: 1.5
     },
-    invalidation_level: parseFloat(invalidationLevel.toFixed(2)),
+    invalidation_level: roundPrice(invalidationLevel, pricePrecision),
     invalidation_description: direction === 'long' ? 
-      `5m close below ${invalidationLevel.toFixed(2)}` : 
-      `5m close above ${invalidationLevel.toFixed(2)}`,
+      `5m close below ${formatPrice(invalidationLevel, pricePrecision)}` : 
+      `5m close above ${formatPrice(invalidationLevel, pricePrecision)}`,
     reason: reason,
-    currentPrice: parseFloat(currentPrice.toFixed(2)),
+    currentPrice: roundPrice(currentPrice, pricePrecision),
     timestamp: new Date().toISOString()
   };
   
@@ -2697,7 +3057,7 @@ function evaluateMicroScalp(multiTimeframeData, marketData = null, dflowData = n
  * @param {string} mode               - STANDARD or AGGRESSIVE
  * @returns {Object|null} Strategy signal or null
  */
-export function evaluateTrendRider(multiTimeframeData, currentPrice, mode = 'STANDARD', marketData = null, dflowData = null, overrideUsed = false) {
+export function evaluateTrendRider(multiTimeframeData, currentPrice, mode = 'STANDARD', marketData = null, dflowData = null, overrideUsed = false, precision = null) {
   if (!multiTimeframeData) return null;
 
   const tf4h  = multiTimeframeData['4h'];
@@ -2707,6 +3067,8 @@ export function evaluateTrendRider(multiTimeframeData, currentPrice, mode = 'STA
 
   // Guard: need core timeframes
   if (!tf4h || !tf1h || !tf15m || !tf5m) return null;
+  const pricePrecision = precision || getPricePrecision(null, currentPrice);
+
 
   // ---- Extract indicators safely ----
   const trend4h   = normalizeTrend(tf4h.indicators?.analysis?.trend);
@@ -2880,7 +3242,7 @@ export function evaluateTrendRider(multiTimeframeData, currentPrice, mode = 'STA
   if (!direction) return null;
 
   // ---- Entry Zone - AGGRESSIVE mode ALWAYS uses aggressive entries ----
-  let entryMin, entryMax, entryType = 'pullback';
+  let entryMin, entryMax, entryType = 'pullback', entrySource = null;
   
   // AGGRESSIVE mode: ALWAYS use aggressive entry (close to or ahead of price)
   if (mode === 'AGGRESSIVE') {
@@ -2917,16 +3279,18 @@ export function evaluateTrendRider(multiTimeframeData, currentPrice, mode = 'STA
       } else {
         // Fallback to pullback entry
         const entryAnchor = ema21_4h;
-        const baseZone = calculateEntryZone(entryAnchor, direction);
+        const baseZone = calculateEntryZone(entryAnchor, direction, entryZoneCandidates(tf4h, tf1h));
         entryMin = baseZone.min;
         entryMax = baseZone.max;
+        entrySource = baseZone.source;
       }
     } else {
       // Use pullback entry zone only if breakout conditions not met
       const entryAnchor = ema21_4h;
-      const baseZone = calculateEntryZone(entryAnchor, direction);
+      const baseZone = calculateEntryZone(entryAnchor, direction, entryZoneCandidates(tf4h, tf1h));
       entryMin = baseZone.min;
       entryMax = baseZone.max;
+      entrySource = baseZone.source;
     }
   }
 
@@ -2950,7 +3314,9 @@ export function evaluateTrendRider(multiTimeframeData, currentPrice, mode = 'STA
     direction,
     allStructures,
     'TrendRider',
-    rrTargets
+    rrTargets,
+    computeLevelLadder(multiTimeframeData, currentPrice),
+    tf4h?.indicators?.fibonacci
   );
 
   // ---- Confidence scoring via hierarchy + small bonuses ----
@@ -3004,20 +3370,22 @@ export function evaluateTrendRider(multiTimeframeData, currentPrice, mode = 'STA
     entryType: entryType, // 'pullback' or 'breakout'
 
     entryZone: {
-      min: parseFloat(entryMin.toFixed(2)),
-      max: parseFloat(entryMax.toFixed(2))
+      min: roundPrice(entryMin, pricePrecision),
+      max: roundPrice(entryMax, pricePrecision),
+      ...(entrySource && { source: entrySource })
     },
-    stopLoss: parseFloat(sltp.stopLoss.toFixed(2)),
-    invalidationLevel: parseFloat(sltp.invalidationLevel.toFixed(2)),
-    targets: (sltp.targets || []).map(t => parseFloat(t.toFixed(2))),
+    stopLoss: roundPrice(sltp.stopLoss, pricePrecision),
+    invalidationLevel: roundPrice(sltp.invalidationLevel, pricePrecision),
+    targets: (sltp.targets || []).map(t => roundPrice(t, pricePrecision)),
     riskReward: {
       tp1RR: sltp.rrTargets?.[0] ?? rrTargets[0],
       tp2RR: sltp.rrTargets?.[1] ?? rrTargets[1]
     },
-    riskAmount: parseFloat((sltp.riskAmount ?? 0).toFixed(2)),
+    targetSources: sltp.targetSources,
+    riskAmount: roundPrice(sltp.riskAmount ?? 0, pricePrecision),
 
     invalidation: {
-      level: parseFloat(sltp.invalidationLevel.toFixed(2)),
+      level: roundPrice(sltp.invalidationLevel, pricePrecision),
       description: 'Trend Rider invalidated if 1H/4H structure breaks against trend.'
     },
 
@@ -3026,6 +3394,7 @@ export function evaluateTrendRider(multiTimeframeData, currentPrice, mode = 'STA
       stochMomentum: `15m stoch: ${stoch15_cond} (k=${stoch15_k.toFixed?.(1) ?? stoch15_k}), 5m stoch: ${stoch5_cond} (k=${stoch5_k.toFixed?.(1) ?? stoch5_k})`,
       pullbackState: `4H pullback: ${pullback4h.state} (${pullback4h.dist ?? 0}% from 21 EMA), 1H pullback: ${pullback1h.state} (${pullback1h.dist ?? 0}% from 21 EMA)`,
       liquidityZones: `Using 1H + 4H swings for SL/TP structure.`,
+      volumeProfile: describeVolumeProfileConfluence(tf4h, { min: entryMin, max: entryMax }),
       htfConfirmation: `${htfBias.confidence}% confidence (${htfBias.source})`
     },
 
@@ -3037,7 +3406,7 @@ export function evaluateTrendRider(multiTimeframeData, currentPrice, mode = 'STA
       '✓ SL anchored to recent 1H/4H structure with 2R–3.5R targets'
     ],
 
-    currentPrice: parseFloat(currentPrice.toFixed(2)),
+    currentPrice: roundPrice(currentPrice, pricePrecision),
     timestamp: new Date().toISOString(),
     htfBias
   };
@@ -3089,6 +3458,29 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
     MICRO_SCALP: null
   };
   
+  // Synthetic candles gate: a random walk can't back a trade, regardless of mode
+  const provenance = getDataProvenance(multiTimeframeData);
+  if (provenance.synthetic) {
+    console.warn(`[evaluateAllStrategies] ${symbol} synthetic data on ${provenance.syntheticTimeframes.join(', ')} - blocking all strategies`);
+    const syntheticReason = syntheticDataReason(provenance);
+    for (const name of Object.keys(strategies)) {
+      strategies[name] = createNoTradeStrategy(name, syntheticReason);
+    }
+    return { strategies, bestSignal: null };
+  }
+  
+  // Data-quality gate: missing/impossible bars make the levels of strategies that read them unreliable
+  const blockedByData = strategiesBlockedByData(multiTimeframeData);
+  if (Object.keys(blockedByData).length > 0) {
+    console.warn(`[evaluateAllStrategies] ${symbol} broken data - blocking ${Object.keys(blockedByData).join(', ')}`);
+  }
+  if (Object.keys(strategies).every(name => blockedByData[name])) {
+    for (const name of Object.keys(strategies)) {
+      strategies[name] = createNoTradeStrategy(name, blockedByData[name]);
+    }
+    return { strategies, bestSignal: null };
+  }
+  
   // SAFE_MODE: Strict 4H trend gate - if 4H is FLAT, all strategies must be NO_TRADE
   const tf4h = multiTimeframeData['4h'];
   const trend4hRaw = tf4h?.indicators?.analysis?.trend;
@@ -3221,9 +3613,10 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
   // IMPORTANT: When override is used, strategies should allow 4H flat
   // We'll pass overrideUsed as part of the context, but strategies need to check it
   // Wrap each evaluation in try-catch to handle TDZ errors and other exceptions
+  const pricePrecision = getPricePrecision(symbol, multiTimeframeData['4h']?.indicators?.price?.current || multiTimeframeData['1h']?.indicators?.price?.current);
   let swingResult = null;
   try {
-    swingResult = evaluateSwingSetup(multiTimeframeData, multiTimeframeData['4h']?.indicators?.price?.current || 0, mode, marketData, dflowData, overrideUsed);
+    swingResult = evaluateSwingSetup(multiTimeframeData, multiTimeframeData['4h']?.indicators?.price?.current || 0, mode, marketData, dflowData, overrideUsed, pricePrecision);
   } catch (err) {
     console.error(`[evaluateAllStrategies] ${symbol} SWING evaluation error:`, err.message, err.stack);
     swingResult = { error: `Strategy evaluation failed: ${err.message}` }; // Pass error to normalizeStrategyResult
@@ -3247,7 +3640,7 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
   
   let microScalpResult = null;
   try {
-    microScalpResult = evaluateMicroScalp(multiTimeframeData, marketData, dflowData, overrideUsed);
+    microScalpResult = evaluateMicroScalp(multiTimeframeData, marketData, dflowData, overrideUsed, pricePrecision);
   } catch (err) {
     console.error(`[evaluateAllStrategies] ${symbol} MICRO_SCALP evaluation error:`, err.message, err.stack);
     microScalpResult = { error: `Strategy evaluation failed: ${err.message}` }; // Pass error to normalizeStrategyResult
@@ -3258,7 +3651,7 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
   // htfBias already computed above - use it
   let trendRiderRaw = null;
   try {
-    trendRiderRaw = evaluateTrendRider(multiTimeframeData, currentPrice, mode, marketData, dflowData, overrideUsed);
+    trendRiderRaw = evaluateTrendRider(multiTimeframeData, currentPrice, mode, marketData, dflowData, overrideUsed, pricePrecision);
   } catch (err) {
     console.error(`[evaluateAllStrategies] ${symbol} TREND_RIDER evaluation error:`, err.message, err.stack);
     trendRiderRaw = null; // Will be wrapped below
@@ -3369,15 +3762,15 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
           override: true,
           notes: ['Override: AGGRESSIVE mode with HTF bias and short-term momentum', `HTF bias: ${htfBias.direction} (${htfBias.confidence}%)`, '1H and 15m trends aligned despite 4H flat', 'Aggressive entry: close to current price'],
           entryZone: aggressiveEntryZone ? {
-            min: parseFloat(aggressiveEntryZone.min.toFixed(2)),
-            max: parseFloat(aggressiveEntryZone.max.toFixed(2))
+            min: roundPrice(aggressiveEntryZone.min, pricePrecision),
+            max: roundPrice(aggressiveEntryZone.max, pricePrecision)
           } : {
-            min: parseFloat((currentPrice * 1.0001).toFixed(2)),
-            max: parseFloat((currentPrice * 1.0005).toFixed(2))
+            min: roundPrice(currentPrice * 1.0001, pricePrecision),
+            max: roundPrice(currentPrice * 1.0005, pricePrecision)
           },
-          stopLoss: parseFloat(stopLoss.toFixed(2)),
-          invalidationLevel: parseFloat(stopLoss.toFixed(2)),
-          targets: [parseFloat(tp1.toFixed(2)), parseFloat(tp2.toFixed(2))],
+          stopLoss: roundPrice(stopLoss, pricePrecision),
+          invalidationLevel: roundPrice(stopLoss, pricePrecision),
+          targets: [roundPrice(tp1, pricePrecision), roundPrice(tp2, pricePrecision)],
           riskReward: {
             tp1RR: 1.5,
             tp2RR: 3.0
@@ -3418,15 +3811,15 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
           override: true,
           notes: ['Override: AGGRESSIVE mode with HTF bias and short-term momentum', `HTF bias: ${htfBias.direction} (${htfBias.confidence}%)`, '1H and 15m trends aligned despite 4H flat', 'Aggressive entry: close to current price'],
           entryZone: aggressiveEntryZoneScalp ? {
-            min: parseFloat(aggressiveEntryZoneScalp.min.toFixed(2)),
-            max: parseFloat(aggressiveEntryZoneScalp.max.toFixed(2))
+            min: roundPrice(aggressiveEntryZoneScalp.min, pricePrecision),
+            max: roundPrice(aggressiveEntryZoneScalp.max, pricePrecision)
           } : {
-            min: parseFloat((currentPrice * 1.0001).toFixed(2)),
-            max: parseFloat((currentPrice * 1.0005).toFixed(2))
+            min: roundPrice(currentPrice * 1.0001, pricePrecision),
+            max: roundPrice(currentPrice * 1.0005, pricePrecision)
           },
-          stopLoss: parseFloat(stopLoss.toFixed(2)),
-          invalidationLevel: parseFloat(stopLoss.toFixed(2)),
-          targets: [parseFloat(tp1.toFixed(2)), parseFloat(tp2.toFixed(2))],
+          stopLoss: roundPrice(stopLoss, pricePrecision),
+          invalidationLevel: roundPrice(stopLoss, pricePrecision),
+          targets: [roundPrice(tp1, pricePrecision), roundPrice(tp2, pricePrecision)],
           riskReward: {
             tp1RR: 1.5,
             tp2RR: 3.0
@@ -3466,15 +3859,15 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
           override: true,
           notes: ['Override: AGGRESSIVE mode with HTF bias and short-term momentum', `HTF bias: ${htfBias.direction} (${htfBias.confidence}%)`, '1H, 15m, and 5m trends aligned despite 4H flat', 'Aggressive entry: close to current price'],
           entryZone: aggressiveEntryZoneMicro ? {
-            min: parseFloat(aggressiveEntryZoneMicro.min.toFixed(2)),
-            max: parseFloat(aggressiveEntryZoneMicro.max.toFixed(2))
+            min: roundPrice(aggressiveEntryZoneMicro.min, pricePrecision),
+            max: roundPrice(aggressiveEntryZoneMicro.max, pricePrecision)
           } : {
-            min: parseFloat((currentPrice * 1.0001).toFixed(2)),
-            max: parseFloat((currentPrice * 1.0005).toFixed(2))
+            min: roundPrice(currentPrice * 1.0001, pricePrecision),
+            max: roundPrice(currentPrice * 1.0005, pricePrecision)
           },
-          stopLoss: parseFloat(stopLoss.toFixed(2)),
-          invalidationLevel: parseFloat(stopLoss.toFixed(2)),
-          targets: [parseFloat(tp1.toFixed(2)), parseFloat(tp2.toFixed(2))],
+          stopLoss: roundPrice(stopLoss, pricePrecision),
+          invalidationLevel: roundPrice(stopLoss, pricePrecision),
+          targets: [roundPrice(tp1, pricePrecision), roundPrice(tp2, pricePrecision)],
           riskReward: {
             tp1RR: 1.0,
             tp2RR: 1.5
@@ -3536,15 +3929,15 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
           override: true,
           notes: ['Override: AGGRESSIVE mode with HTF bias and short-term momentum', `HTF bias: ${htfBias.direction} (${htfBias.confidence}%)`, '1H and 15m trends aligned despite 4H flat', 'Aggressive entry: close to current price'],
           entryZone: aggressiveEntryZoneShort ? {
-            min: parseFloat(aggressiveEntryZoneShort.min.toFixed(2)),
-            max: parseFloat(aggressiveEntryZoneShort.max.toFixed(2))
+            min: roundPrice(aggressiveEntryZoneShort.min, pricePrecision),
+            max: roundPrice(aggressiveEntryZoneShort.max, pricePrecision)
           } : {
-            min: parseFloat((currentPrice * 0.9995).toFixed(2)),
-            max: parseFloat((currentPrice * 0.9999).toFixed(2))
+            min: roundPrice(currentPrice * 0.9995, pricePrecision),
+            max: roundPrice(currentPrice * 0.9999, pricePrecision)
           },
-          stopLoss: parseFloat(stopLoss.toFixed(2)),
-          invalidationLevel: parseFloat(stopLoss.toFixed(2)),
-          targets: [parseFloat(tp1.toFixed(2)), parseFloat(tp2.toFixed(2))],
+          stopLoss: roundPrice(stopLoss, pricePrecision),
+          invalidationLevel: roundPrice(stopLoss, pricePrecision),
+          targets: [roundPrice(tp1, pricePrecision), roundPrice(tp2, pricePrecision)],
           riskReward: {
             tp1RR: 1.5,
             tp2RR: 3.0
@@ -3585,15 +3978,15 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
           override: true,
           notes: ['Override: AGGRESSIVE mode with HTF bias and short-term momentum', `HTF bias: ${htfBias.direction} (${htfBias.confidence}%)`, '1H and 15m trends aligned despite 4H flat', 'Aggressive entry: close to current price'],
           entryZone: aggressiveEntryZoneShortScalp2 ? {
-            min: parseFloat(aggressiveEntryZoneShortScalp2.min.toFixed(2)),
-            max: parseFloat(aggressiveEntryZoneShortScalp2.max.toFixed(2))
+            min: roundPrice(aggressiveEntryZoneShortScalp2.min, pricePrecision),
+            max: roundPrice(aggressiveEntryZoneShortScalp2.max, pricePrecision)
           } : {
-            min: parseFloat((currentPrice * 0.9995).toFixed(2)),
-            max: parseFloat((currentPrice * 0.9999).toFixed(2))
+            min: roundPrice(currentPrice * 0.9995, pricePrecision),
+            max: roundPrice(currentPrice * 0.9999, pricePrecision)
           },
-          stopLoss: parseFloat(stopLoss.toFixed(2)),
-          invalidationLevel: parseFloat(stopLoss.toFixed(2)),
-          targets: [parseFloat(tp1.toFixed(2)), parseFloat(tp2.toFixed(2))],
+          stopLoss: roundPrice(stopLoss, pricePrecision),
+          invalidationLevel: roundPrice(stopLoss, pricePrecision),
+          targets: [roundPrice(tp1, pricePrecision), roundPrice(tp2, pricePrecision)],
           riskReward: {
             tp1RR: 1.5,
             tp2RR: 3.0
@@ -3634,15 +4027,15 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
           override: true,
           notes: ['Override: AGGRESSIVE mode with HTF bias and short-term momentum', `HTF bias: ${htfBias.direction} (${htfBias.confidence}%)`, '1H, 15m, and 5m trends aligned despite 4H flat', 'Aggressive entry: close to current price'],
           entryZone: aggressiveEntryZoneMicroShort ? {
-            min: parseFloat(aggressiveEntryZoneMicroShort.min.toFixed(2)),
-            max: parseFloat(aggressiveEntryZoneMicroShort.max.toFixed(2))
+            min: roundPrice(aggressiveEntryZoneMicroShort.min, pricePrecision),
+            max: roundPrice(aggressiveEntryZoneMicroShort.max, pricePrecision)
           } : {
-            min: parseFloat((currentPrice * 0.9995).toFixed(2)),
-            max: parseFloat((currentPrice * 0.9999).toFixed(2))
+            min: roundPrice(currentPrice * 0.9995, pricePrecision),
+            max: roundPrice(currentPrice * 0.9999, pricePrecision)
           },
-          stopLoss: parseFloat(stopLoss.toFixed(2)),
-          invalidationLevel: parseFloat(stopLoss.toFixed(2)),
-          targets: [parseFloat(tp1.toFixed(2)), parseFloat(tp2.toFixed(2))],
+          stopLoss: roundPrice(stopLoss, pricePrecision),
+          invalidationLevel: roundPrice(stopLoss, pricePrecision),
+          targets: [roundPrice(tp1, pricePrecision), roundPrice(tp2, pricePrecision)],
           riskReward: {
             tp1RR: 1.0,
             tp2RR: 1.5
@@ -3666,6 +4059,13 @@ export function evaluateAllStrategies(symbol, multiTimeframeData, mode = 'STANDA
     console.log(`[AGGRESSIVE_FORCE] ${symbol}: 4H is NOT flat, forcing logic skipped`);
   }
   
+  // Strategies that read a broken timeframe never trade, whatever was evaluated or forced above
+  for (const name of Object.keys(strategies)) {
+    if (blockedByData[name]) {
+      strategies[name] = createNoTradeStrategy(name, blockedByData[name]);
+    }
+  }
+  
   // Recalculate valid strategies after AGGRESSIVE forcing (if any were forced)
   const validStrategies = Object.entries(strategies)
     .filter(([_, s]) => s && s.valid === true)
@@ -3812,6 +4212,7 @@ function normalizeStrategyResult(result, strategyName, mode = 'STANDARD', overri
       ? signal.targets.filter(t => t !== null && t !== undefined && !isNaN(t))
       : [],
     riskReward: signal.riskReward || { tp1RR: null, tp2RR: null },
+    targetSources: signal.targetSources || null, // 'rr' | 'zone' | 'fib' per target
     validationErrors: [],
     // NEW FIELDS (optional, backward compatible)
     penaltiesApplied: signal.penaltiesApplied || [],
@@ -3909,15 +4310,90 @@ export function buildTimeframeSummary(multiTimeframeData) {
         d: stochD, // Clamped to [0, 100]
         state: stochState
       },
+      rsi: indicators.rsi ? {
+        value: roundIndicator(indicators.rsi.value),
+        condition: indicators.rsi.condition
+      } : null,
+      macd: indicators.macd ? {
+        macd: roundIndicator(indicators.macd.macd, pricePrecisionFor(indicators)),
+        signal: roundIndicator(indicators.macd.signal, pricePrecisionFor(indicators)),
+        histogram: roundIndicator(indicators.macd.histogram, pricePrecisionFor(indicators)),
+        cross: indicators.macd.cross,
+        state: indicators.macd.state
+      } : null,
+      adx: indicators.adx ? {
+        adx: roundIndicator(indicators.adx.adx),
+        plusDI: roundIndicator(indicators.adx.plusDI),
+        minusDI: roundIndicator(indicators.adx.minusDI),
+        trendStrength: indicators.adx.trendStrength,
+        direction: indicators.adx.direction
+      } : null,
+      divergences: summarizeDivergences(indicators.divergences),
+      zones: indicators.zones || null, // { fairValueGaps, orderBlocks } with fill status
+      fibonacci: indicators.fibonacci || null, // Retracements/extensions of the latest swing, golden pocket flag
+      volumeProfile: indicators.volumeProfile || null, // POC, value area and volume nodes (visible range + session)
       confluenceScore: indicators.confluence?.overall || null,
+      marketStructure: data.structure?.pivots ? {
+        trend: data.structure.trend, // Direction of the last BOS/CHoCH
+        pivots: data.structure.pivots.map(({ type, label, price, candlesAgo }) => ({ type, label, price, candlesAgo })),
+        lastEvent: data.structure.lastEvent
+      } : null,
       structureSummary: buildStructureSummary(data.structure, indicators),
-      notes: buildTimeframeNotes(tf, indicators, data.structure)
+      notes: buildTimeframeNotes(tf, indicators, data.structure),
+      provider: data.provider || null, // OHLCV source used for this timeframe
+      quality: data.quality || null, // Validator report: status ok | degraded | broken, plus repairs made
+      indicatorProfile: indicators.metadata?.profile ? {
+        name: indicators.metadata.profile.name,
+        assignedBy: indicators.metadata.profile.assignedBy
+      } : null,
+      currentPeriod: buildPeriodInfo(data.lastCandle)
     };
   }
   
   return timeframes;
 }
 
+/**
+ * Round an oscillator value for display (null-safe)
+ */
+function roundIndicator(value, decimals = 2) {
+  return value == null ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Compact divergence list for timeframe output (pivot details stay on indicators.divergences)
+ */
+function summarizeDivergences(divergences) {
+  return (divergences || []).map(({ type, direction, oscillator, strength, label, age }) => ({
+    type, direction, oscillator, strength, label, age
+  }));
+}
+
+/**
+ * MACD is in price units, so it gets the symbol's price precision plus a couple of digits
+ */
+function pricePrecisionFor(indicators) {
+  return Math.min(10, getPricePrecision(null, indicators.price?.current).decimals + 2);
+}
+
+/**
+ * Describe the period of the latest candle and whether it is still forming
+ * Aggregated 3D/1W/1M candles carry isClosed; native candles fall back to closeTime
+ */
+function buildPeriodInfo(lastCandle) {
+  if (!lastCandle || !lastCandle.timestamp) return null;
+  
+  const forming = typeof lastCandle.isClosed === 'boolean'
+    ? !lastCandle.isClosed
+    : (lastCandle.closeTime ? lastCandle.closeTime > Date.now() : null);
+  
+  return {
+    openTime: new Date(lastCandle.timestamp).toISOString(),
+    closeTime: lastCandle.closeTime ? new Date(lastCandle.closeTime).toISOString() : null,
+    forming
+  };
+}
+
 /**
  * Build structure summary text
  */
@@ -3930,6 +4406,18 @@ function buildStructureSummary(structure, indicators) {
   
   if (!price) return '';
   
+  // Labeled pivots from the market structure module, e.g. "HH + HL, last BOS bullish at 97250 (4 candles ago)"
+  if (structure.pivots?.length) {
+    const lastHigh = structure.pivots.findLast(pivot => pivot.type === 'high' && pivot.label);
+    const lastLow = structure.pivots.findLast(pivot => pivot.type === 'low' && pivot.label);
+    const parts = [[lastHigh?.label, lastLow?.label].filter(Boolean).join(' + ')].filter(Boolean);
+    const event = structure.lastEvent;
+    if (event) {
+      parts.push(`last ${event.type === 'CHOCH' ? 'CHoCH' : 'BOS'} ${event.direction} at ${event.triggerPrice} (${event.candlesAgo} candles ago)`);
+    }
+    if (parts.length > 0) return parts.join(', ');
+  }
+  
   if (trend === 'UPTREND') {
     return `Higher highs, higher lows above 21 EMA`;
   } else if (trend === 'DOWNTREND') {
@@ -3967,6 +4455,8 @@ export default {
   evaluateStrategy,
   evaluateAllStrategies,
   buildTimeframeSummary,
+  getDataProvenance,
+  getDataQuality,
   analyzeStochState,
   evaluateMicroScalp,
   evaluateSwingSetup,
@@ -0,0 +1,199 @@
+/**
+ * Symbol Registry Module
+ * Admin CRUD over the assets in services/symbols.js, persisted so edits survive restarts
+ *
+ * One asset entry carries every per-coin mapping (display name, Kraken code, CoinGecko id,
+ * Solana mint/decimals, dashboard/scanner flags, dFlow prediction markets), so adding a coin
+ * is a single call instead of edits across marketData, tokenMapping and dflow.
+ *
+ * Only changes are written to SYMBOL_REGISTRY_FILE; built-in assets stay in code:
+ * { assets: { CODE: { ...full asset } }, removed: [CODE], updatedAt }
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import * as symbols from './symbols.js';
+
+const CODE_PATTERN = /^[A-Z0-9]{2,12}$/;
+
+// Editable fields and their validators (each returns an error message or null)
+const FIELD_RULES = {
+  name: value => typeof value === 'string' && value.trim().length > 0 && value.length <= 64 ? null : 'must be a non-empty string (max 64 chars)',
+  featured: value => typeof value === 'boolean' ? null : 'must be true or false',
+  dashboard: value => typeof value === 'boolean' ? null : 'must be true or false',
+  predictionMarkets: value => typeof value === 'boolean' ? null : 'must be true or false',
+  stablecoin: value => typeof value === 'boolean' ? null : 'must be true or false',
+  kraken: value => typeof value === 'string' && CODE_PATTERN.test(value) ? null : 'must be a Kraken asset code (e.g. XBT)',
+  coingecko: value => typeof value === 'string' && /^[a-z0-9-]{2,64}$/.test(value) ? null : 'must be a CoinGecko coin id (e.g. bitcoin)',
+  solanaMint: value => typeof value === 'string' && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value) ? null : 'must be a base58 Solana mint address',
+  decimals: value => Number.isInteger(value) && value >= 0 && value <= 18 ? null : 'must be an integer from 0 to 18'
+};
+
+// Serializes writes so concurrent admin calls don't drop each other's changes
+let writeQueue = Promise.resolve();
+
+async function readRegistryFile() {
+  try {
+    const saved = JSON.parse(await fs.readFile(symbols.SYMBOL_REGISTRY_FILE, 'utf8'));
+    return { assets: saved.assets || {}, removed: saved.removed || [] };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { assets: {}, removed: [] };
+    throw error;
+  }
+}
+
+async function writeRegistryFile(registry) {
+  const filePath = symbols.SYMBOL_REGISTRY_FILE;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify({ ...registry, updatedAt: new Date().toISOString() }, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+function updateRegistryFile(mutate) {
+  const run = writeQueue.then(async () => {
+    const registry = await readRegistryFile();
+    mutate(registry);
+    await writeRegistryFile(registry);
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Validate and normalize an asset code
+ * @param {string} code - Asset code or alias (e.g., 'pyth', 'XBT')
+ * @returns {string} Our asset code
+ */
+function parseAssetCode(code) {
+  const normalized = symbols.normalizeAsset(code);
+  if (!CODE_PATTERN.test(normalized)) {
+    throw new Error(`Invalid asset code: "${code}" (2-12 letters or digits, e.g. PYTH)`);
+  }
+  return normalized;
+}
+
+/**
+ * Validate asset fields
+ * null clears a field (except name)
+ * @param {Object} fields - Requested fields
+ * @returns {Object} Validated fields
+ */
+function validateFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('Invalid asset fields: expected an object');
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(fields)) {
+    const rule = FIELD_RULES[key];
+    if (!rule) {
+      errors.push(`${key} is not an asset field (allowed: ${Object.keys(FIELD_RULES).join(', ')})`);
+    } else if (value === null) {
+      if (key === 'name') errors.push('name can\'t be cleared');
+    } else {
+      const error = rule(value);
+      if (error) errors.push(`${key} ${error}`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid asset fields: ${errors.join('; ')}`);
+  }
+
+  return fields.name ? { ...fields, name: fields.name.trim() } : fields;
+}
+
+/**
+ * Registry view of an asset
+ */
+function describeAsset(asset) {
+  return {
+    ...asset,
+    builtIn: Boolean(symbols.getBuiltInAsset(asset.code)),
+    symbol: asset.stablecoin ? null : symbols.makeSymbol(asset.code)
+  };
+}
+
+/**
+ * List every asset in the registry
+ * @returns {Array<Object>} [{ code, name, ..., builtIn, symbol }] sorted by code
+ */
+export function listRegistryAssets() {
+  return symbols.listAssets()
+    .map(describeAsset)
+    .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+/**
+ * Get one asset
+ * @param {string} code - Asset code, alias or symbol ('PYTH', 'XBT', 'SOLUSDT')
+ * @returns {Object|null} Asset or null if unknown
+ */
+export function getRegistryAsset(code) {
+  const asset = symbols.resolveAsset(code);
+  return asset ? describeAsset(asset) : null;
+}
+
+/**
+ * Add an asset, or update the fields of an existing one
+ * A removed built-in asset is restored from its built-in definition first
+ * @param {string} code - Asset code
+ * @param {Object} fields - { name, featured, dashboard, predictionMarkets, stablecoin, kraken, coingecko, solanaMint, decimals }
+ * @returns {Promise<Object>} { asset, created }
+ */
+export async function upsertAsset(code, fields) {
+  const normalized = parseAssetCode(code);
+  const validated = validateFields(fields);
+  const existing = symbols.getAsset(normalized);
+
+  if (!existing && !validated.name && !symbols.getBuiltInAsset(normalized)) {
+    throw new Error('Invalid asset fields: name is required for a new asset');
+  }
+
+  const { code: _code, ...current } = existing || symbols.getBuiltInAsset(normalized) || {};
+  const next = Object.fromEntries(
+    Object.entries({ ...current, ...validated }).filter(([, value]) => value !== null)
+  );
+  if (next.solanaMint && next.decimals === undefined) {
+    throw new Error('Invalid asset fields: decimals is required with solanaMint');
+  }
+
+  await updateRegistryFile(registry => {
+    registry.assets[normalized] = next;
+    registry.removed = registry.removed.filter(removed => removed !== normalized);
+  });
+
+  symbols.unregisterAsset(normalized);
+  symbols.registerAsset(normalized, next);
+  console.log(`[SymbolRegistry] ${existing ? 'Updated' : 'Added'} ${normalized}`);
+
+  return { asset: getRegistryAsset(normalized), created: !existing };
+}
+
+/**
+ * Remove an asset
+ * Built-in assets are remembered as removed so they stay gone after a restart
+ * @param {string} code - Asset code
+ * @returns {Promise<boolean>} True if the asset existed
+ */
+export async function removeAsset(code) {
+  const normalized = parseAssetCode(code);
+  if (!symbols.getAsset(normalized)) return false;
+
+  const builtIn = Boolean(symbols.getBuiltInAsset(normalized));
+  await updateRegistryFile(registry => {
+    delete registry.assets[normalized];
+    if (builtIn && !registry.removed.includes(normalized)) registry.removed.push(normalized);
+  });
+
+  symbols.unregisterAsset(normalized);
+  console.log(`[SymbolRegistry] Removed ${normalized}`);
+  return true;
+}
+
+export default {
+  listRegistryAssets,
+  getRegistryAsset,
+  upsertAsset,
+  removeAsset
+};
@@ -0,0 +1,411 @@
+/**
+ * Symbol Model
+ * Single place that knows what a trading symbol is: base asset, quote currency,
+ * venue-specific codes (Kraken REST/WebSocket, Binance, CoinGecko), Solana mint and display name.
+ *
+ * Canonical symbols are base + quote with no separator (BTCUSDT, ETHEUR, SOLBTC).
+ * Input is accepted in any common spelling: 'btcusdt', 'BTC/USDT', 'btc-eur', 'ETH_BTC', 'XBTUSD'.
+ * Routes and services resolve through here instead of stripping suffixes by hand.
+ *
+ * The built-in assets below are the registry's defaults. Assets added, edited or removed
+ * through services/symbolRegistry.js (/api/symbols) are persisted to SYMBOL_REGISTRY_FILE
+ * and layered on top at startup.
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Vercel functions can only write to /tmp, local runs keep the registry in the project
+export const SYMBOL_REGISTRY_FILE = process.env.SYMBOL_REGISTRY_FILE ||
+  (process.env.VERCEL ? '/tmp/symbol-registry.json' : path.join(__dirname, '..', 'data', 'symbol-registry.json'));
+
+/**
+ * Quote currencies, checked longest first so USDT/USDC win over USD
+ * - kraken / krakenWs: quote code on Kraken REST and WebSocket v2 (USDT pairs are served
+ *   by Kraken's deeper USD books)
+ * - binance: quote code on Binance spot (null where Binance has no market)
+ * - coingecko: vs_currency
+ */
+const QUOTES = {
+  USDT: { name: 'Tether', kraken: 'USD', krakenWs: 'USD', binance: 'USDT', coingecko: 'usd' },
+  USDC: { name: 'USD Coin', kraken: 'USDC', krakenWs: 'USDC', binance: 'USDC', coingecko: 'usd' },
+  USD: { name: 'US Dollar', kraken: 'USD', krakenWs: 'USD', binance: null, coingecko: 'usd' },
+  EUR: { name: 'Euro', kraken: 'EUR', krakenWs: 'EUR', binance: 'EUR', coingecko: 'eur' },
+  BTC: { name: 'Bitcoin', kraken: 'XBT', krakenWs: 'BTC', binance: 'BTC', coingecko: 'btc' }
+};
+
+export const SUPPORTED_QUOTES = Object.keys(QUOTES);
+export const DEFAULT_QUOTE = 'USDT';
+
+const QUOTES_BY_LENGTH = [...SUPPORTED_QUOTES].sort((a, b) => b.length - a.length);
+
+/**
+ * Assets we know by name
+ * - featured: listed in the coin selector, scanner and getSupportedSymbols (as <BASE>USDT)
+ * - dashboard: always shown on the dashboard (starred coins are added on top)
+ * - predictionMarkets: has dFlow prediction markets under its code
+ * - kraken: Kraken asset code when it differs from ours
+ * - coingecko: CoinGecko coin id
+ * - solanaMint / decimals: SPL token used for Jupiter swaps
+ */
+const ASSETS = {
+  // Major Coins
+  BTC: { name: 'Bitcoin', featured: true, dashboard: true, predictionMarkets: true, kraken: 'XBT', coingecko: 'bitcoin', solanaMint: '3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh', decimals: 8 }, // WBTC - verify address
+  ETH: { name: 'Ethereum', featured: true, dashboard: true, predictionMarkets: true, coingecko: 'ethereum', solanaMint: '7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs', decimals: 8 }, // WETH - verify address
+  SOL: { name: 'Solana', featured: true, dashboard: true, predictionMarkets: true, coingecko: 'solana', solanaMint: 'So11111111111111111111111111111111111111112', decimals: 9 },
+  BNB: { name: 'BNB', featured: true, coingecko: 'binancecoin' },
+  ADA: { name: 'Cardano', featured: true, coingecko: 'cardano' },
+  XRP: { name: 'XRP', featured: true, coingecko: 'ripple' },
+  DOGE: { name: 'Dogecoin', featured: true, coingecko: 'dogecoin' },
+  DOT: { name: 'Polkadot', featured: true, coingecko: 'polkadot' },
+  MATIC: { name: 'Polygon', featured: true, coingecko: 'matic-network' },
+  LINK: { name: 'Chainlink', featured: true, coingecko: 'chainlink' },
+
+  // DeFi & Layer 1
+  AVAX: { name: 'Avalanche', featured: true, coingecko: 'avalanche-2' },
+  ATOM: { name: 'Cosmos', featured: true, coingecko: 'cosmos' },
+  UNI: { name: 'Uniswap', featured: true, coingecko: 'uniswap' },
+  AAVE: { name: 'Aave', featured: true, coingecko: 'aave' },
+  ALGO: { name: 'Algorand', featured: true, coingecko: 'algorand' },
+
+  // Layer 2 & Scaling
+  ARB: { name: 'Arbitrum', featured: true, coingecko: 'arbitrum' },
+  OP: { name: 'Optimism', featured: true, coingecko: 'optimism' },
+
+  // Meme & Community
+  SHIB: { name: 'Shiba Inu', featured: true, coingecko: 'shiba-inu' },
+  PEPE: { name: 'Pepe', featured: true, coingecko: 'pepe' },
+
+  // Other Major Assets
+  LTC: { name: 'Litecoin', featured: true, coingecko: 'litecoin' },
+  BCH: { name: 'Bitcoin Cash', featured: true, coingecko: 'bitcoin-cash' },
+  XLM: { name: 'Stellar', featured: true, coingecko: 'stellar' },
+  TRX: { name: 'Tron', featured: true, coingecko: 'tron' },
+  ETC: { name: 'Ethereum Classic', featured: true, coingecko: 'ethereum-classic' },
+  XMR: { name: 'Monero', featured: true, coingecko: 'monero' },
+  FIL: { name: 'Filecoin', featured: true, coingecko: 'filecoin' },
+  APT: { name: 'Aptos', featured: true, coingecko: 'aptos' },
+  NEAR: { name: 'Near Protocol', featured: true, coingecko: 'near' },
+  ICP: { name: 'Internet Computer', featured: true, coingecko: 'internet-computer' },
+  INJ: { name: 'Injective', featured: true, coingecko: 'injective-protocol' },
+  SUI: { name: 'Sui', featured: true, coingecko: 'sui' },
+  TON: { name: 'Toncoin', featured: true, coingecko: 'the-open-network' },
+
+  // Named only (Kraken all-pairs listing)
+  JUP: { name: 'Jupiter' },
+  RNDR: { name: 'Render', coingecko: 'render-token' },
+  FTM: { name: 'Fantom' },
+  GRT: { name: 'The Graph', coingecko: 'the-graph' },
+  SAND: { name: 'The Sandbox', coingecko: 'the-sandbox' },
+  MANA: { name: 'Decentraland', coingecko: 'decentraland' },
+  AXS: { name: 'Axie Infinity' },
+  RUNE: { name: 'THORChain' },
+  FLOW: { name: 'Flow', coingecko: 'flow' },
+  IMX: { name: 'Immutable X', coingecko: 'immutable-x' },
+  ENJ: { name: 'Enjin' },
+  ZEC: { name: 'Zcash' },
+  DASH: { name: 'Dash' },
+  COMP: { name: 'Compound' },
+  MKR: { name: 'Maker' },
+  SNX: { name: 'Synthetix' },
+  CRV: { name: 'Curve' },
+  '1INCH': { name: '1inch' },
+  YFI: { name: 'Yearn Finance' },
+  SUSHI: { name: 'SushiSwap' },
+  BAT: { name: 'Basic Attention Token' },
+  ZRX: { name: '0x' },
+  OMG: { name: 'OMG Network' },
+  LRC: { name: 'Loopring' },
+  ENS: { name: 'Ethereum Name Service' },
+  AUDIO: { name: 'Audius' },
+  CHZ: { name: 'Chiliz' },
+  GALA: { name: 'Gala' },
+  APE: { name: 'ApeCoin', coingecko: 'apecoin' },
+  BLUR: { name: 'Blur' },
+  LDO: { name: 'Lido DAO' },
+  EOS: { name: 'EOS', coingecko: 'eos' },
+  STX: { name: 'Stacks', coingecko: 'blockstack' },
+
+  // Stablecoins (also quote currencies)
+  USDT: { name: 'Tether', stablecoin: true, solanaMint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6 },
+  USDC: { name: 'USD Coin', stablecoin: true, solanaMint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 }
+};
+
+// Other spellings of our asset codes (Kraken's legacy X/Z-prefixed and renamed assets)
+const ASSET_ALIASES = {
+  XBT: 'BTC',
+  XXBT: 'BTC',
+  XDG: 'DOGE',
+  XXDG: 'DOGE',
+  XETH: 'ETH',
+  XXRP: 'XRP',
+  XLTC: 'LTC',
+  XXLM: 'XLM',
+  XETC: 'ETC',
+  XXMR: 'XMR',
+  XZEC: 'ZEC',
+  ZUSD: 'USD',
+  ZEUR: 'EUR'
+};
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{2,12}$/;
+
+// Other spellings of quote currencies in concatenated pair names: Kraken uses XBT for BTC,
+// and its legacy pair names prefix both sides (XXBTZUSD, XETHXXBT)
+const QUOTE_SPELLINGS = {
+  BTC: ['XXBT', 'XBT', 'BTC'],
+  USD: ['ZUSD', 'USD'],
+  EUR: ['ZEUR', 'EUR']
+};
+const LEGACY_CODE = /^[XZ][A-Z]{3}$/;
+
+/**
+ * Normalize an asset code (case, Kraken aliases)
+ * @param {string} code - Asset code (e.g., 'btc', 'XBT', 'XXDG')
+ * @returns {string} Our asset code (e.g., 'BTC', 'DOGE')
+ */
+export function normalizeAsset(code) {
+  const upper = String(code || '').trim().toUpperCase();
+  return ASSET_ALIASES[upper] || upper;
+}
+
+/**
+ * Get venue codes for a quote currency
+ * @param {string} code - Quote currency (e.g., 'USDT', 'EUR')
+ * @returns {Object|null} { name, kraken, krakenWs, binance, coingecko } or null if unsupported
+ */
+export function getQuote(code) {
+  return QUOTES[normalizeAsset(code)] || null;
+}
+
+/**
+ * Get what we know about an asset
+ * @param {string} code - Asset code or alias
+ * @returns {Object|null} { code, name, featured, coingecko, solanaMint, decimals, ... } or null if unknown
+ */
+export function getAsset(code) {
+  const normalized = normalizeAsset(code);
+  return ASSETS[normalized] ? { code: normalized, ...ASSETS[normalized] } : null;
+}
+
+/**
+ * Display name for an asset (falls back to the code)
+ * @param {string} code - Asset code or alias
+ * @returns {string} e.g. 'Bitcoin'
+ */
+export function getAssetName(code) {
+  return getAsset(code)?.name || normalizeAsset(code);
+}
+
+/**
+ * Split a symbol into base and quote
+ * @param {string} input - Any spelling: 'BTCUSDT', 'btc/eur', 'ETH-BTC', 'XBTUSD'
+ * @returns {Object|null} { base, quote } or null when no supported quote can be found
+ */
+export function parseSymbol(input) {
+  const raw = String(input || '').trim().toUpperCase();
+  if (!raw) return null;
+
+  const parts = raw.split(/[\/\-_:]/);
+  if (parts.length === 2) {
+    const base = normalizeAsset(parts[0]);
+    const quote = normalizeAsset(parts[1]);
+    if (QUOTES[quote] && SYMBOL_PATTERN.test(base) && base !== quote) {
+      return { base, quote };
+    }
+    return null;
+  }
+  if (parts.length > 1) return null;
+
+  for (const quote of QUOTES_BY_LENGTH) {
+    for (const spelling of QUOTE_SPELLINGS[quote] || [quote]) {
+      if (raw.length > spelling.length && raw.endsWith(spelling)) {
+        const rawBase = raw.slice(0, -spelling.length);
+        // A legacy quote (ZUSD) only pairs with a legacy base (XXBT), so FOOZUSD stays FOOZ/USD
+        if (LEGACY_CODE.test(spelling) && !LEGACY_CODE.test(rawBase)) continue;
+        const base = normalizeAsset(rawBase);
+        if (SYMBOL_PATTERN.test(base) && base !== quote) {
+          return { base, quote };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a symbol to its full model
+ * @param {string} input - Any spelling of a pair
+ * @returns {Object|null} Symbol model, or null for names that aren't a base/quote pair
+ *   (e.g. imported custom series like 'PEPETEST')
+ *   { symbol, base, quote, name, displayName, known, featured,
+ *     venues: { kraken, krakenWs, binance, coingecko: { id, vsCurrency } | null },
+ *     solanaMint, decimals }
+ */
+export function resolveSymbol(input) {
+  const parsed = parseSymbol(input);
+  if (!parsed) return null;
+
+  const { base, quote } = parsed;
+  const asset = ASSETS[base];
+  const quoteInfo = QUOTES[quote];
+  const krakenBase = asset?.kraken || base;
+
+  return {
+    symbol: `${base}${quote}`,
+    base,
+    quote,
+    name: asset?.name || base,
+    displayName: `${base}/${quote}`,
+    known: Boolean(asset),
+    featured: Boolean(asset?.featured) && quote === DEFAULT_QUOTE,
+    venues: {
+      kraken: `${krakenBase}${quoteInfo.kraken}`,
+      krakenWs: `${base}/${quoteInfo.krakenWs}`,
+      binance: quoteInfo.binance ? `${base}${quoteInfo.binance}` : null,
+      coingecko: asset?.coingecko ? { id: asset.coingecko, vsCurrency: quoteInfo.coingecko } : null
+    },
+    solanaMint: asset?.solanaMint || null,
+    decimals: asset?.decimals ?? null
+  };
+}
+
+/**
+ * Canonical spelling of a symbol
+ * Pairs become BASEQUOTE ('btc/eur' → 'BTCEUR'); anything else (imported custom series)
+ * is only trimmed and upper-cased
+ * @param {string} input - Symbol as received
+ * @returns {string} Canonical symbol
+ */
+export function normalizeSymbol(input) {
+  return resolveSymbol(input)?.symbol || String(input || '').trim().toUpperCase();
+}
+
+/**
+ * Build a symbol from base and quote
+ * @param {string} base - Base asset (any alias)
+ * @param {string} quote - Quote currency (default USDT)
+ * @returns {string} Canonical symbol
+ */
+export function makeSymbol(base, quote = DEFAULT_QUOTE) {
+  return `${normalizeAsset(base)}${normalizeAsset(quote)}`;
+}
+
+/**
+ * Resolve the asset a symbol or asset code refers to ('SOLUSDT' → SOL, 'USDC' → USDC)
+ * @param {string} input - Symbol or asset code
+ * @returns {Object|null} Asset (see getAsset) or null if unknown
+ */
+export function resolveAsset(input) {
+  return getAsset(input) || getAsset(resolveSymbol(input)?.base);
+}
+
+/**
+ * Featured symbols (the dashboard's default set)
+ * @returns {Array<string>} e.g. ['BTCUSDT', 'ETHUSDT', ...]
+ */
+export function listFeaturedSymbols() {
+  return Object.entries(ASSETS)
+    .filter(([, asset]) => asset.featured)
+    .map(([code]) => makeSymbol(code));
+}
+
+/**
+ * All known assets
+ * @returns {Array<Object>} [{ code, name, ... }] (see getAsset)
+ */
+export function listAssets() {
+  return Object.entries(ASSETS).map(([code, asset]) => ({ code, ...asset }));
+}
+
+/**
+ * Dashboard symbols (always shown, starred coins are added on top)
+ * @returns {Array<string>} e.g. ['BTCUSDT', 'ETHUSDT', 'SOLUSDT']
+ */
+export function listDashboardSymbols() {
+  return Object.entries(ASSETS)
+    .filter(([, asset]) => asset.dashboard)
+    .map(([code]) => makeSymbol(code));
+}
+
+/**
+ * Built-in definition of an asset (before registry edits)
+ * @param {string} code - Asset code or alias
+ * @returns {Object|null} Asset fields, or null for assets added at runtime
+ */
+export function getBuiltInAsset(code) {
+  const builtIn = BUILT_IN_ASSETS[normalizeAsset(code)];
+  return builtIn ? { ...builtIn } : null;
+}
+
+/**
+ * Register or extend an asset at runtime (in memory - services/symbolRegistry.js persists)
+ * Fields set to null are cleared
+ * @param {string} code - Asset code
+ * @param {Object} info - Fields to set (name, coingecko, solanaMint, decimals, ...)
+ */
+export function registerAsset(code, info) {
+  const normalized = normalizeAsset(code);
+  const merged = { name: normalized, ...ASSETS[normalized], ...info };
+  ASSETS[normalized] = Object.fromEntries(Object.entries(merged).filter(([, value]) => value !== null));
+}
+
+/**
+ * Remove an asset at runtime (in memory - services/symbolRegistry.js persists)
+ * @param {string} code - Asset code or alias
+ * @returns {boolean} True if the asset existed
+ */
+export function unregisterAsset(code) {
+  const normalized = normalizeAsset(code);
+  if (!ASSETS[normalized]) return false;
+  delete ASSETS[normalized];
+  return true;
+}
+
+/**
+ * Apply the persisted registry on top of the built-in assets
+ * Read synchronously at startup so every importer sees the same assets
+ * File format: { assets: { CODE: { ...fields } }, removed: [CODE], updatedAt }
+ */
+function loadPersistedAssets() {
+  let saved;
+  try {
+    saved = JSON.parse(readFileSync(SYMBOL_REGISTRY_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[Symbols] Ignoring unreadable registry ${SYMBOL_REGISTRY_FILE}:`, error.message);
+    }
+    return;
+  }
+
+  for (const code of saved.removed || []) unregisterAsset(code);
+  for (const [code, info] of Object.entries(saved.assets || {})) registerAsset(code, info);
+  console.log(`[Symbols] Loaded registry: ${Object.keys(saved.assets || {}).length} custom, ${(saved.removed || []).length} removed`);
+}
+
+const BUILT_IN_ASSETS = structuredClone(ASSETS);
+loadPersistedAssets();
+
+export default {
+  SUPPORTED_QUOTES,
+  DEFAULT_QUOTE,
+  normalizeAsset,
+  getQuote,
+  getAsset,
+  getAssetName,
+  parseSymbol,
+  resolveSymbol,
+  normalizeSymbol,
+  makeSymbol,
+  resolveAsset,
+  listFeaturedSymbols,
+  listDashboardSymbols,
+  listAssets,
+  getBuiltInAsset,
+  registerAsset,
+  unregisterAsset,
+  SYMBOL_REGISTRY_FILE
+};
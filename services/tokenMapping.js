@@ -1,47 +1,18 @@
 /**
  * Token Mapping Service
- * Maps Kraken trading symbols to Solana SPL token addresses
- * Supports BTC/ETH/SOL for MVP, easily extensible for more tokens
+ * Maps trading symbols to Solana SPL token addresses
+ * Mints and decimals live on the asset in services/symbols.js, so any quote
+ * spelling resolves ('SOLUSDT', 'SOL/EUR', 'SOL' → SOL mint)
  */
 
-/**
- * Token address mapping
- * Maps Kraken symbols to Solana token mint addresses
- */
-const TOKEN_ADDRESSES = {
-  // Native SOL
-  'SOL': 'So11111111111111111111111111111111111111112',
-  'SOLUSDT': 'So11111111111111111111111111111111111111112',
-  
-  // Wrapped Bitcoin on Solana (WBTC)
-  // TODO: Verify actual WBTC token address on Solana mainnet
-  'BTC': '3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh', // WBTC placeholder - verify address
-  'BTCUSDT': '3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh',
-  
-  // Wrapped Ethereum on Solana (WETH)
-  // TODO: Verify actual WETH token address on Solana mainnet
-  'ETH': '7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs', // WETH placeholder - verify address
-  'ETHUSDT': '7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs',
-  
-  // Stablecoins
-  'USDC': 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-  'USDT': 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
-};
+import { getAsset, resolveAsset, resolveSymbol, listAssets, makeSymbol } from './symbols.js';
+import { upsertAsset } from './symbolRegistry.js';
 
-/**
- * Token decimals mapping
- * Standard decimals for each token
- */
-const TOKEN_DECIMALS = {
-  'SOL': 9,
-  'SOLUSDT': 9,
-  'BTC': 8,
-  'BTCUSDT': 8,
-  'ETH': 8,
-  'ETHUSDT': 8,
-  'USDC': 6,
-  'USDT': 6,
-};
+// Decimals assumed when an asset has a mint but no recorded decimals (SOL's)
+const DEFAULT_DECIMALS = 9;
+
+// Swaps settle against USDC, so a signal's prices and USD sizing only carry over from dollar-quoted pairs
+const USD_QUOTES = ['USDT', 'USDC', 'USD'];
 
 /**
  * Get Solana token address for a trading symbol
@@ -54,12 +25,11 @@ export function getTokenAddress(symbol) {
     return null;
   }
 
-  const normalizedSymbol = symbol.toUpperCase();
-  const address = TOKEN_ADDRESSES[normalizedSymbol];
+  const address = resolveAsset(symbol)?.solanaMint;
 
   if (!address) {
     console.warn(`[TokenMapping] Token address not found for symbol: ${symbol}`);
-    console.warn('[TokenMapping] Available symbols:', Object.keys(TOKEN_ADDRESSES).join(', '));
+    console.warn('[TokenMapping] Available symbols:', getSupportedSymbols().join(', '));
     return null;
   }
 
@@ -74,13 +44,10 @@ export function getTokenAddress(symbol) {
  */
 export function getTokenDecimals(symbol) {
   if (!symbol) {
-    return 9; // Default to SOL decimals
+    return DEFAULT_DECIMALS;
   }
 
-  const normalizedSymbol = symbol.toUpperCase();
-  const decimals = TOKEN_DECIMALS[normalizedSymbol] || 9;
-
-  return decimals;
+  return resolveAsset(symbol)?.decimals || DEFAULT_DECIMALS;
 }
 
 /**
@@ -105,35 +72,51 @@ export function fromTokenAmount(amount, symbol) {
   return amount / Math.pow(10, decimals);
 }
 
+/**
+ * Check if a symbol is quoted in dollars (bare asset codes count - they trade against USDC)
+ * @param {string} symbol - Trading symbol or asset code
+ * @returns {boolean} False for pairs like SOLBTC or SOLEUR
+ */
+export function isUsdQuoted(symbol) {
+  if (!symbol || getAsset(symbol)) return Boolean(symbol);
+  const quote = resolveSymbol(symbol)?.quote;
+  return !quote || USD_QUOTES.includes(quote);
+}
+
 /**
  * Check if symbol is supported
  * @param {string} symbol - Trading symbol
- * @returns {boolean} True if symbol is supported
+ * @returns {boolean} True if symbol is supported (has a mint and is quoted in dollars)
  */
 export function isSymbolSupported(symbol) {
   if (!symbol) return false;
-  const normalizedSymbol = symbol.toUpperCase();
-  return TOKEN_ADDRESSES.hasOwnProperty(normalizedSymbol);
+  return isUsdQuoted(symbol) && Boolean(resolveAsset(symbol)?.solanaMint);
 }
 
 /**
  * Get all supported symbols
- * @returns {string[]} Array of supported symbols
+ * @returns {string[]} Asset codes with a mint, plus their USDT pairs for tradeable (non-stable) assets
  */
 export function getSupportedSymbols() {
-  return Object.keys(TOKEN_ADDRESSES);
+  return listAssets()
+    .filter(asset => asset.solanaMint)
+    .flatMap(asset => asset.stablecoin ? [asset.code] : [asset.code, makeSymbol(asset.code)]);
 }
 
 /**
- * Add a new token mapping (for future extension)
- * @param {string} symbol - Trading symbol
+ * Add a new token mapping
+ * Saved to the symbol registry, so it survives restarts
+ * @param {string} symbol - Trading symbol or asset code
  * @param {string} address - Solana token mint address
  * @param {number} decimals - Token decimals
+ * @returns {Promise<Object>} Registry asset
  */
-export function addTokenMapping(symbol, address, decimals = 9) {
-  const normalizedSymbol = symbol.toUpperCase();
-  TOKEN_ADDRESSES[normalizedSymbol] = address;
-  TOKEN_DECIMALS[normalizedSymbol] = decimals;
-  console.log(`[TokenMapping] Added new token mapping: ${normalizedSymbol} -> ${address} (${decimals} decimals)`);
+export async function addTokenMapping(symbol, address, decimals = DEFAULT_DECIMALS) {
+  const code = resolveAsset(symbol)?.code || resolveSymbol(symbol)?.base || symbol.toUpperCase();
+  const fields = { solanaMint: address, decimals };
+  if (!resolveAsset(code)) fields.name = code;
+  const { asset } = await upsertAsset(code, fields);
+  console.log(`[TokenMapping] Added new token mapping: ${code} -> ${address} (${decimals} decimals)`);
+  return asset;
 }
 
@@ -7,6 +7,7 @@
 
 import * as jupiterSwap from './jupiterSwap.js';
 import * as tokenMapping from './tokenMapping.js';
+import { resolveSymbol } from './symbols.js';
 import { getWallet } from './walletManager.js';
 import { getConnection } from './walletManager.js';
 
@@ -49,10 +50,14 @@ export async function executeTrade(signal, tradeType = 'spot', amountUSD = null)
     const symbol = signal.symbol || signal.pair || 'SOLUSDT';
     console.log('[TradeExecution] ✅ Symbol extracted:', symbol);
 
+    if (!tokenMapping.isUsdQuoted(symbol)) {
+      throw new Error(`${symbol} is not quoted in USD: spot swaps settle against USDC, so only USD/USDT/USDC pairs can be executed`);
+    }
+
     // Determine input and output tokens based on direction
     // For long: Buy token with SOL/USDC
     // For short: Sell token for SOL/USDC
-    const baseToken = symbol.replace('USDT', '').replace('USD', '');
+    const baseToken = resolveSymbol(symbol)?.base || symbol;
     console.log('[TradeExecution] Base token:', baseToken);
     
     console.log('[TradeExecution] Looking up token addresses...');
@@ -0,0 +1,249 @@
+/**
+ * Trade Flow Module
+ * Classifies the aggressor side of recent trades and accumulates buy/sell volume per candle,
+ * so lib/volumeAnalysis.js can build cumulative volume delta (CVD) from real order flow.
+ *
+ * Trade format: { price, qty, timestamp, side } with side 'buy' (taker lifted the ask)
+ * or 'sell' (taker hit the bid).
+ *
+ * Kraken's public Trades endpoint only returns the latest 1000 trades, so each pull is folded
+ * into per-minute buy/sell buckets kept per pair. Trade-classified candles reach back to when
+ * collection started - as long as consecutive pulls overlap - rather than only as far as the
+ * latest pull does. A pull that no longer overlaps the previous one (trades were missed in
+ * between) restarts collection. Older candles keep the shape-based delta estimate.
+ */
+
+import axios from 'axios';
+import { calculateOrderFlow } from '../lib/volumeAnalysis.js';
+
+const KRAKEN_TRADES_URL = 'https://api.kraken.com/0/public/Trades';
+const REQUEST_TIMEOUT_MS = 5000;
+const TRADE_COUNT = 1000;           // Kraken's maximum per request
+const PRESSURE_SAMPLE = 100;        // Latest trades behind the recentTrades pressure summary
+
+// Cache for trade pulls (15 second TTL)
+const cache = new Map();
+const CACHE_TTL = 15 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+const FLOW_RETENTION_MS = 7 * 24 * 60 * MINUTE_MS; // Two 20-bar windows of 4h candles
+
+// Kraken pair → { coverageStart, lastTrade: { id, timestamp }, minutes: Map(minute open → { buyVolume, sellVolume, tradeCount }) }
+const collectedFlow = new Map();
+
+/**
+ * Classify the aggressor side of each trade
+ * Uses the venue's side when it has one ('b'/'s', 'buy'/'sell', Binance isBuyerMaker);
+ * otherwise the tick rule: an uptick is a buy, a downtick a sell, an unchanged price
+ * keeps the previous side
+ * @param {Array<Object>} trades - [{ price, qty, timestamp, side?, isBuyerMaker?, id? }] oldest first
+ * @returns {Array<Object>} [{ price, qty, timestamp, side, id? }]
+ */
+export function classifyTrades(trades) {
+  let prevPrice = null;
+  let prevSide = 'buy';
+
+  return trades.map(trade => {
+    let side;
+    if (trade.side === 'b' || trade.side === 'buy') {
+      side = 'buy';
+    } else if (trade.side === 's' || trade.side === 'sell') {
+      side = 'sell';
+    } else if (typeof trade.isBuyerMaker === 'boolean') {
+      side = trade.isBuyerMaker ? 'sell' : 'buy';
+    } else if (prevPrice !== null && trade.price !== prevPrice) {
+      side = trade.price > prevPrice ? 'buy' : 'sell';
+    } else {
+      side = prevSide;
+    }
+
+    prevPrice = trade.price;
+    prevSide = side;
+    return { price: trade.price, qty: trade.qty, timestamp: trade.timestamp, side, ...(trade.id != null && { id: trade.id }) };
+  });
+}
+
+/**
+ * Fetch the latest trades for a Kraken pair
+ * @param {string} krakenPair - Kraken pair (e.g., 'XBTUSD')
+ * @returns {Promise<Array<Object>>} Classified trades, oldest first
+ */
+export async function fetchRecentTrades(krakenPair) {
+  const cached = cache.get(krakenPair);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.data;
+  }
+
+  const response = await axios.get(KRAKEN_TRADES_URL, {
+    params: { pair: krakenPair, count: TRADE_COUNT },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+
+  if (response.data.error && response.data.error.length > 0) {
+    throw new Error(`Kraken API error: ${response.data.error.join(', ')}`);
+  }
+
+  const result = response.data.result || {};
+  const rows = result[Object.keys(result).find(key => key !== 'last')] || [];
+
+  // Kraken rows: [price, volume, time (s), side 'b'/'s', orderType, misc, tradeId]
+  const data = classifyTrades(rows.map(([price, volume, time, side, , , tradeId]) => ({
+    price: parseFloat(price),
+    qty: parseFloat(volume),
+    timestamp: Math.round(parseFloat(time) * 1000),
+    side,
+    id: tradeId ?? null
+  })));
+
+  recordTrades(krakenPair, data);
+  cache.set(krakenPair, { data, timestamp: Date.now() });
+  return data;
+}
+
+/**
+ * Fold a pull of classified trades into the pair's per-minute buckets
+ * Trades already counted by an earlier pull are skipped (by trade id, or timestamp without one)
+ * @param {string} krakenPair - Kraken pair
+ * @param {Array<Object>} trades - Classified trades, oldest first
+ * @returns {Object|null} The pair's collected flow
+ */
+export function recordTrades(krakenPair, trades) {
+  if (trades.length === 0) return collectedFlow.get(krakenPair) || null;
+
+  const first = trades[0];
+  let flow = collectedFlow.get(krakenPair);
+  const last = flow?.lastTrade;
+  const overlaps = last && (first.id != null && last.id != null
+    ? first.id <= last.id + 1
+    : first.timestamp <= last.timestamp);
+  if (!overlaps) {
+    flow = { coverageStart: first.timestamp, lastTrade: null, minutes: new Map() };
+    collectedFlow.set(krakenPair, flow);
+  }
+
+  const seen = trade => last && overlaps &&
+    (trade.id != null && last.id != null ? trade.id <= last.id : trade.timestamp <= last.timestamp);
+  for (const trade of trades) {
+    if (seen(trade)) continue;
+    const minute = Math.floor(trade.timestamp / MINUTE_MS) * MINUTE_MS;
+    const bucket = flow.minutes.get(minute) || { buyVolume: 0, sellVolume: 0, tradeCount: 0 };
+    if (trade.side === 'buy') bucket.buyVolume += trade.qty;
+    else bucket.sellVolume += trade.qty;
+    bucket.tradeCount++;
+    flow.minutes.set(minute, bucket);
+    flow.lastTrade = { id: trade.id ?? null, timestamp: trade.timestamp };
+  }
+
+  // Minutes arrive in order, so the oldest are at the front
+  const cutoff = Math.floor((flow.lastTrade.timestamp - FLOW_RETENTION_MS) / MINUTE_MS) * MINUTE_MS;
+  for (const minute of flow.minutes.keys()) {
+    if (minute >= cutoff) break;
+    flow.minutes.delete(minute);
+    flow.coverageStart = Math.max(flow.coverageStart, minute + MINUTE_MS);
+  }
+  return flow;
+}
+
+/**
+ * Buy/sell pressure over the latest trades
+ * @param {Array<Object>} trades - Classified trades, oldest first
+ * @param {number} sample - Number of latest trades to use
+ * @returns {Object} { overallFlow, buyPressure, sellPressure, volumeImbalance }
+ */
+export function summarizePressure(trades, sample = PRESSURE_SAMPLE) {
+  let buyVolume = 0;
+  let sellVolume = 0;
+  for (const trade of trades.slice(-sample)) {
+    if (trade.side === 'buy') buyVolume += trade.qty;
+    else sellVolume += trade.qty;
+  }
+
+  const totalVolume = buyVolume + sellVolume;
+  const buyPressure = totalVolume > 0 ? (buyVolume / totalVolume) * 100 : 50;
+  const sellPressure = totalVolume > 0 ? (sellVolume / totalVolume) * 100 : 50;
+  const volumeImbalance = buyPressure - sellPressure;
+
+  return {
+    overallFlow: volumeImbalance > 5 ? 'BUY' : volumeImbalance < -5 ? 'SELL' : 'NEUTRAL',
+    buyPressure: parseFloat(buyPressure.toFixed(1)),
+    sellPressure: parseFloat(sellPressure.toFixed(1)),
+    volumeImbalance: parseFloat(volumeImbalance.toFixed(1))
+  };
+}
+
+/**
+ * Annotate candles with aggressor buy/sell volume and delta from a pair's collected flow
+ * Only candles that open at or after the start of collection are annotated - an earlier
+ * candle would be missing part of its flow
+ * @param {Array<Object>} candles - OHLCV candles, oldest first
+ * @param {Object} flow - Collected flow (recordTrades)
+ * @returns {Array<Object>} New candle array; covered candles gain { buyVolume, sellVolume, delta, tradeCount }
+ */
+export function accumulateFlow(candles, flow) {
+  if (!flow?.lastTrade) return candles;
+
+  return candles.map(candle => {
+    if (candle.timestamp < flow.coverageStart) return candle;
+
+    const end = Math.min(candle.closeTime ?? Infinity, flow.lastTrade.timestamp + 1);
+    let buyVolume = 0;
+    let sellVolume = 0;
+    let tradeCount = 0;
+    for (let minute = Math.floor(candle.timestamp / MINUTE_MS) * MINUTE_MS; minute < end; minute += MINUTE_MS) {
+      const bucket = flow.minutes.get(minute);
+      if (!bucket) continue;
+      buyVolume += bucket.buyVolume;
+      sellVolume += bucket.sellVolume;
+      tradeCount += bucket.tradeCount;
+    }
+
+    return { ...candle, buyVolume, sellVolume, delta: buyVolume - sellVolume, tradeCount };
+  });
+}
+
+/**
+ * Trade flow for a Kraken pair across the analyzed timeframes
+ * Never throws - returns { available: false, error } when trades can't be fetched
+ * @param {string} krakenPair - Kraken pair (e.g., 'XBTUSD')
+ * @param {Object} candlesByInterval - { interval: candles } as returned by getMultiTimeframeData
+ * @returns {Promise<Object>} { available, recentTrades, tradeCount, coverage, intervals: { interval: orderFlow } }
+ */
+export async function getTradeFlow(krakenPair, candlesByInterval = {}) {
+  try {
+    const trades = await fetchRecentTrades(krakenPair);
+    const flow = collectedFlow.get(krakenPair);
+    if (trades.length === 0 || !flow?.lastTrade) {
+      return { available: false, error: 'No recent trades' };
+    }
+
+    const intervals = {};
+    for (const [interval, candles] of Object.entries(candlesByInterval)) {
+      if (!Array.isArray(candles) || candles.length === 0) continue;
+      const orderFlow = calculateOrderFlow(accumulateFlow(candles, flow));
+      if (orderFlow) intervals[interval] = orderFlow;
+    }
+
+    return {
+      available: true,
+      recentTrades: summarizePressure(trades),
+      tradeCount: trades.length,
+      coverage: {
+        from: new Date(flow.coverageStart).toISOString(),
+        to: new Date(flow.lastTrade.timestamp).toISOString()
+      },
+      intervals
+    };
+  } catch (error) {
+    console.warn(`[TradeFlow] Trades unavailable for ${krakenPair}:`, error.message);
+    return { available: false, error: error.message };
+  }
+}
+
+export default {
+  classifyTrades,
+  fetchRecentTrades,
+  summarizePressure,
+  recordTrades,
+  accumulateFlow,
+  getTradeFlow
+};